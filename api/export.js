@@ -0,0 +1,66 @@
+// pages/api/export.js
+import { exportBundle } from '../lib/exports.js';
+import { hasBearerToken } from '../lib/requestAuth.js';
+import { getTenant, tenantStorage } from '../lib/tenants.js';
+
+/**
+ * Accounting export API
+ *
+ *   POST /api/export?format=datev|quickbooks|xero&from=<date>[&to=<date>]
+ *
+ * `from` and `to` are invoice dates (`YYYY-MM-DD`) or months (`YYYY-MM`);
+ * without `to` the month of `from` is exported. The zip with the export files
+ * and the original documents is written to `exports/` at the storage root,
+ * the answer names it: a month of scanned documents is too big for a function
+ * response. Requests must carry `Authorization: Bearer <EXPORT_API_TOKEN>`.
+ * With tenant routing, add `tenant=<id>` to export that tenant's ledgers with
+ * its account mapping.
+ */
+
+/**
+ * Maps export errors to HTTP status codes
+ * @param {Error} err - Error thrown by the export
+ * @return {number} Status code
+ */
+function statusFor(err) {
+  if (/^(Unknown export format|Invalid date|Invalid range|DATEV export needs|A DATEV Buchungsstapel)/.test(err.message)) return 400;
+  if (/^Export is larger than/.test(err.message)) return 413;
+  return 500;
+}
+
+export default async function handler(req, res) {
+  if (!process.env.EXPORT_API_TOKEN) {
+    res.status(503).json({ error: 'Export API is not configured (EXPORT_API_TOKEN)' });
+    return;
+  }
+  if (!hasBearerToken(req, process.env.EXPORT_API_TOKEN)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const { format, from, to, tenant: tenantId } = req.query || {};
+  if (!format || !from) {
+    res.status(400).json({ error: 'Missing "format" or "from" query parameter' });
+    return;
+  }
+  const tenant = tenantId ? getTenant(tenantId) : null;
+  if (tenantId && !tenant) {
+    res.status(404).json({ error: `Unknown tenant: ${tenantId}` });
+    return;
+  }
+
+  try {
+    const storage = tenantStorage(tenant);
+    const { filename, buffer, count, missing, skipped } = await exportBundle(storage, { format, from, to, tenant });
+    await storage.writeRootFile(`exports/${filename}`, buffer);
+    res.status(201).json({ file: `exports/${filename}`, size: buffer.length, count, missing, skipped });
+  } catch (err) {
+    const code = statusFor(err);
+    if (code === 500) console.error('ERROR: Export API request failed:', err);
+    res.status(code).json({ error: err.message });
+  }
+}
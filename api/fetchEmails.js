@@ -1,57 +1,56 @@
 /**
  * Email Retrieval and Processing Service
  * 
- * Fetches and processes email attachments from a specified sender,
- * extracts invoice data, and sends notifications.
+ * Syncs the mailbox incrementally (Gmail history), takes in the attachments of
+ * messages matching the mail rules, labels the finished messages and sends
+ * notifications. See lib/gmail.js for the rules and the sync state.
  */
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
-import fs from 'fs/promises';
-import { existsSync, mkdirSync } from 'fs';
-import { OpenAI } from 'openai';
-import { processAttachment } from '../lib/invoiceProcessor.js';
+import { ingestMessage, getMessageStore, messageOutcome } from '../lib/ingestion.js';
+import { isMessageComplete } from '../lib/messageStore.js';
+import { describeDuplicate } from '../lib/duplicates.js';
+import { formatEmailSummary } from '../lib/whatsapp.js';
+import { googleAuthClient } from '../lib/oauth.js';
+import {
+  loadMailRules,
+  buildSyncQuery,
+  syncStart,
+  headerValue,
+  findAttachmentParts,
+  listLabels,
+  ensureLabels,
+  searchMessageIds,
+  historyMessageIds,
+  matchMailRule,
+  tenantForMessage,
+  resultLabelNames,
+  loadSyncState,
+  saveSyncState
+} from '../lib/gmail.js';
 import twilio from 'twilio';
-import logger from '../utils/logger.js'; // Create a structured logging module
 
 // Load environment variables
 dotenv.config();
 
 // Constants
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const ATTACHMENTS_DIR = join(__dirname, 'attachments');
-const EMAIL_FETCH_HOURS = 24;
 const PROCESSING_DELAY_MS = 1000;
 
 /**
  * Initialize API clients and configuration
  */
-const initializeClients = () => {
+const initializeClients = async () => {
   // Initialize Twilio client
   const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN ? 
     twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN) : null;
     
-  // Initialize Gmail OAuth client
-  const oAuth2Client = new google.auth.OAuth2(
-    process.env.WEB_CLIENT_ID,
-    process.env.WEB_CLIENT_SECRET,
-    process.env.WEB_REDIRECT_URIS
-  );
-  
-  // Set credentials from environment
-  oAuth2Client.setCredentials({
-    refresh_token: process.env.WEB_REFRESH_TOKEN
-  });
-  
+  // Gmail OAuth client with the tokens of scripts/auth.js (or WEB_REFRESH_TOKEN)
+  const oAuth2Client = await googleAuthClient();
+
   // Initialize Gmail API
   const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
   
-  // Initialize OpenAI API
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  
-  return { twilioClient, gmail, openai };
+  return { twilioClient, gmail };
 };
 
 /**
@@ -59,34 +58,35 @@ const initializeClients = () => {
  * 
  * @param {string[]} filenames - List of processed file names
  * @param {Object} twilioClient - Initialized Twilio client
+ * @param {string[]} recipients - WhatsApp numbers of the tenant's notification recipients
  * @returns {Promise<void>}
  */
-async function sendWhatsAppNotification(filenames = [], twilioClient) {
+async function sendWhatsAppNotification(filenames = [], twilioClient, recipients = []) {
   if (!twilioClient || filenames.length === 0) {
-    logger.debug('WhatsApp notification skipped: missing client or no files processed');
+    console.log('INFO: WhatsApp notification skipped: missing client or no files processed');
     return;
   }
   
-  const recipient = process.env.TWILIO_REPLY_TO;
   const sender = process.env.TWILIO_WHATSAPP_NUMBER;
 
-  if (!recipient || !sender) {
-    logger.warn('WhatsApp notification skipped: missing configuration');
+  if (recipients.length === 0 || !sender) {
+    console.warn('WARNING: WhatsApp notification skipped: missing configuration');
     return;
   }
 
-  const message = `📬 The following invoice${filenames.length > 1 ? 's were' : ' was'} processed from your email:\n` +
-    filenames.map(name => `• ${name}`).join('\n');
+  const message = formatEmailSummary(filenames);
 
-  try {
-    await twilioClient.messages.create({
-      from: `whatsapp:${sender}`,
-      to: `whatsapp:${recipient}`,
-      body: message,
-    });
-    logger.info('WhatsApp notification sent successfully');
-  } catch (err) {
-    logger.error('Failed to send WhatsApp notification', { error: err.message });
+  for (const recipient of recipients) {
+    try {
+      await twilioClient.messages.create({
+        from: `whatsapp:${sender}`,
+        to: `whatsapp:${recipient}`,
+        body: message,
+      });
+      console.log(`INFO: WhatsApp notification sent to ${recipient}`);
+    } catch (err) {
+      console.error(`ERROR: Failed to send WhatsApp notification to ${recipient}:`, err.message);
+    }
   }
 }
 
@@ -123,183 +123,233 @@ function decodeBase64(data) {
   return Buffer.from(data, 'base64').toString('utf-8');
 }
 
-/**
- * Ensure attachments directory exists
- * 
- * @returns {Promise<void>}
- */
-async function ensureAttachmentsDir() {
-  if (!existsSync(ATTACHMENTS_DIR)) {
-    mkdirSync(ATTACHMENTS_DIR, { recursive: true });
-    logger.info(`Created attachments directory: ${ATTACHMENTS_DIR}`);
-  }
-}
-
-/**
- * Get query date for email filtering
- * 
- * @param {number} hoursAgo - Hours to look back
- * @returns {string} - Formatted date string for Gmail query
- */
-function getQueryDateString(hoursAgo) {
-  const currentDate = new Date();
-  currentDate.setHours(currentDate.getHours() - hoursAgo);
-  return currentDate.toISOString().split('T')[0].replace(/-/g, '/');
-}
-
 /**
  * Process an email message and its attachments
  * 
- * @param {Object} message - Gmail message object
+ * @param {string} messageId - Gmail message id
  * @param {Object} gmail - Gmail API client
- * @param {Object} openai - OpenAI API client
- * @returns {Promise<string[]>} - Successfully processed filenames
+ * @param {Object} sync - Sync context
+ * @param {import('../lib/gmail.js').MailRule[]} sync.rules - Mail rules
+ * @param {Map<string, string>} sync.labels - Label ids by name
+ * @param {string[]} sync.resultLabelIds - Ids of the processed and failed labels
+ * @returns {Promise<{tenant: Object|null, files: string[], outcome: string}>} - Tenant the email was
+ *   routed to, successfully processed filenames, and `processed`, `failed`, `pending` or `skipped`
  */
-async function processEmailMessage(message, gmail, openai) {
+async function processEmailMessage(messageId, gmail, { rules, labels, resultLabelIds }) {
   const processedFiles = [];
+  const messageKey = `gmail:${messageId}`;
+  let tenant = null;
   
   try {
     const msgRes = await gmail.users.messages.get({
       userId: 'me',
-      id: message.id
+      id: messageId
     });
 
     const msg = msgRes.data;
-    const headers = msg.payload.headers || [];
-    const parts = msg.payload.parts || [];
+
+    // Labelled by an earlier run, or a draft that only looks like a new message
+    if ((msg.labelIds || []).some(id => resultLabelIds.includes(id) || id === 'DRAFT')) {
+      console.log(`INFO: Email ${messageId} is already labelled, skipping`);
+      return { tenant, files: processedFiles, outcome: 'skipped' };
+    }
 
     // Extract metadata
-    const from = headers.find(header => header.name === 'From')?.value || 'Unknown';
-    const subject = headers.find(header => header.name === 'Subject')?.value || 'No Subject';
-    const date = headers.find(header => header.name === 'Date')?.value || '';
+    const from = headerValue(msg, 'From') || 'Unknown';
+    const subject = headerValue(msg, 'Subject') || 'No Subject';
+    const date = headerValue(msg, 'Date');
+    const to = headerValue(msg, 'To', 'Cc', 'Delivered-To');
+
+    const rule = await matchMailRule(gmail, msg, rules, labels);
+    if (!rule) {
+      console.log(`INFO: Email "${subject}" from ${from} matches no mail rule`);
+      return { tenant, files: processedFiles, outcome: 'skipped' };
+    }
+
+    // The rule, else the recipient or sender, decides which company's books the invoices go to
+    tenant = tenantForMessage(rule, { from, to });
+    if (!tenant) {
+      console.warn(`WARNING: Skipping email "${subject}" from unregistered sender ${from} to ${to}`);
+      return { tenant, files: processedFiles, outcome: 'skipped' };
+    }
 
-    logger.info('Processing email', { from, subject, date: new Date(date).toISOString() });
+    console.log(`INFO: Processing email "${subject}" from ${from} (${date}) for ${tenant.id}`);
 
-    // Extract attachments
-    const attachments = parts.filter(part => part.filename && part.body?.attachmentId);
+    // Attachments can sit at any depth (multipart/mixed → multipart/alternative → ...)
+    const attachments = findAttachmentParts(msg.payload);
 
     if (attachments.length === 0) {
-      logger.info('No attachments found in email', { subject });
-      return processedFiles;
+      console.log(`INFO: No attachments found in email "${subject}"`);
+      return { tenant, files: processedFiles, outcome: 'skipped' };
     }
 
-    logger.info(`Found ${attachments.length} attachment(s)`, { subject });
+    // Finished by an earlier run that did not get to label it
+    if (isMessageComplete(await getMessageStore().get(messageKey))) {
+      console.log(`INFO: Email ${messageId} was already processed`);
+      return { tenant, files: processedFiles, outcome: await messageOutcome(messageKey) };
+    }
 
-    // Ensure attachments directory exists
-    await ensureAttachmentsDir();
+    console.log(`INFO: Found ${attachments.length} attachment(s) in "${subject}"`);
 
-    // Process each attachment
-    for (const attachment of attachments) {
-      try {
-        const attachmentData = await gmail.users.messages.attachments.get({
+    // Queue each attachment once; transient OpenAI/Graph errors are retried by the job queue.
+    // Gmail hands out a new attachmentId on every fetch, so the part id identifies the attachment
+    const loaders = attachments.map(attachment => ({
+      id: attachment.partId || attachment.filename,
+      filename: attachment.filename,
+      load: async () => {
+        // Small attachments come inline with the message
+        const data = attachment.body.data ?? (await gmail.users.messages.attachments.get({
           userId: 'me',
-          messageId: message.id,
+          messageId,
           id: attachment.body.attachmentId
-        });
-
-        const buffer = Buffer.from(attachmentData.data.data, 'base64');
-        const filePath = join(ATTACHMENTS_DIR, attachment.filename);
-        await fs.writeFile(filePath, buffer);
-        
-        logger.info(`Saved attachment`, { filename: attachment.filename, size: buffer.length });
-
-        // Process the attachment with OpenAI
-        logger.info(`Processing with AI`, { filename: attachment.filename });
-        
-        const result = await processAttachment({
-          buffer: buffer,
-          filename: attachment.filename,
-          contentType: attachment.mimeType,
-        }, openai);
-
-        if (result.ok) {
-          logger.info(`Successfully processed`, { filename: attachment.filename });
-          processedFiles.push(result.filename);
-        } else {
-          logger.warn(`Failed to process attachment`, { 
-            filename: attachment.filename, 
-            error: result.error 
-          });
-        }
-      } catch (err) {
-        logger.error('Attachment processing error', { 
-          filename: attachment.filename, 
-          error: err.message,
-          stack: err.stack 
-        });
-      }
-    }
+        })).data.data;
 
-    // Mark email as read
-    await gmail.users.messages.modify({
-      userId: 'me',
-      id: message.id,
-      resource: { removeLabelIds: ['UNREAD'] }
+        // Handed to the queue as a buffer; a copy on disk would be picked up again by scripts/watch-attachments.js
+        const buffer = Buffer.from(data, 'base64');
+        return { buffer, filename: attachment.filename, contentType: attachment.mimeType };
+      }
+    }));
+
+    // Process the queued attachments with the configured extraction provider.
+    // ZIP archives and forwarded emails are unpacked into one result per invoice
+    console.log(`INFO: Processing ${loaders.length} attachment(s) of "${subject}"`);
+    const { results, alreadyDone } = await ingestMessage(messageKey, loaders, {
+      source: 'gmail',
+      tenant: tenant.id,
+      meta: { messageId, from, subject }
     });
+    if (alreadyDone) console.log(`INFO: Skipped ${alreadyDone} attachment(s) of "${subject}" processed by an earlier run`);
+
+    for (const result of results) {
+      const name = result.container ? `${result.filename} (in ${result.container})` : result.filename;
+      if (result.ok && result.duplicate) {
+        console.log(`INFO: ${name} is a duplicate (${describeDuplicate(result.duplicate)})`);
+        processedFiles.push(`${name} (${describeDuplicate(result.duplicate)})`);
+      } else if (result.ok) {
+        console.log(`INFO: Successfully processed ${name}`);
+        processedFiles.push(name);
+      } else if (result.review) {
+        console.warn(`WARNING: ${name} held for review as ${result.review.id}:`, result.error);
+        processedFiles.push(`${name} (held for review: ${result.error})`);
+      } else if (result.queued) {
+        console.warn(`WARNING: ${name} queued for retry as job ${result.job}`);
+        processedFiles.push(`${name} (${result.error.toLowerCase()})`);
+      } else {
+        console.warn(`WARNING: Failed to process ${name}:`, result.error);
+      }
+    }
     
-    return processedFiles;
+    return { tenant, files: processedFiles, outcome: await messageOutcome(messageKey) };
   } catch (err) {
-    logger.error('Email processing error', { messageId: message.id, error: err.message });
-    return processedFiles;
+    console.error(`ERROR: Processing email ${messageId} failed:`, err.message);
+    // Tried again on the next run, unless the message was deleted meanwhile
+    const gone = Number(err.response?.status ?? err.code) === 404;
+    return { tenant, files: processedFiles, outcome: gone ? 'skipped' : 'pending' };
   }
 }
 
+/**
+ * Lists the messages to look at in this run
+ * 
+ * @param {Object} gmail - Gmail API client
+ * @param {import('../lib/gmail.js').SyncState} state - Sync state of the last run
+ * @param {import('../lib/gmail.js').MailRule[]} rules - Mail rules
+ * @returns {Promise<{ids: string[], historyId: string}>} - Message ids (new ones and those still
+ *   pending from earlier runs) and the checkpoint for the next run
+ */
+async function listMessagesToSync(gmail, state, rules) {
+  const changes = state.historyId ? await historyMessageIds(gmail, state.historyId) : null;
+  if (changes) {
+    console.log(`INFO: Incremental sync since history ${state.historyId}, ${changes.ids.length} changed message(s)`);
+    return { ids: [...new Set([...state.pending, ...changes.ids])], historyId: changes.historyId };
+  }
+
+  // The checkpoint is taken before the search, so nothing arriving meanwhile is missed
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  const query = buildSyncQuery(rules, syncStart(state));
+  console.log(`INFO: Full sync with query: ${query}`);
+  const ids = await searchMessageIds(gmail, query);
+  return { ids: [...new Set([...state.pending, ...ids])], historyId: profile.data.historyId };
+}
+
 /**
  * Main function to fetch and process emails
  * 
  * @returns {Promise<string[]>} - Successfully processed filenames
  */
 export async function fetchEmails() {
-  const { twilioClient, gmail, openai } = initializeClients();
+  const { twilioClient, gmail } = await initializeClients();
   const successfulFilenames = [];
-  const senderEmail = process.env.TARGET_SENDER_EMAIL || 'test.mateo@outlook.com';
-  const formattedDate = getQueryDateString(EMAIL_FETCH_HOURS);
+  const filesByTenant = new Map();
 
   try {
-    logger.info('Fetching emails', { 
-      sender: senderEmail, 
-      timeframe: `${EMAIL_FETCH_HOURS} hours` 
-    });
-
-    // Fetch messages matching query
-    const res = await gmail.users.messages.list({
-      userId: 'me',
-      maxResults: 100,
-      q: `from:${senderEmail} after:${formattedDate}`
-    });
+    const rules = loadMailRules();
+    const state = await loadSyncState();
+    const labels = await listLabels(gmail);
+    const { processed, failed } = resultLabelNames();
+    const [processedLabelId, failedLabelId] = await ensureLabels(gmail, labels, [processed, failed]);
+    for (const rule of rules.filter(rule => rule.label && !labels.has(rule.label))) {
+      console.warn(`WARNING: Mail rule names a label that does not exist: ${rule.label}`);
+    }
 
-    const messages = res.data.messages || [];
+    const { ids, historyId } = await listMessagesToSync(gmail, state, rules);
+    const pending = [];
     
-    if (messages.length === 0) {
-      logger.info('No new emails found in the specified time period');
-      return [];
+    if (ids.length === 0) {
+      console.log('INFO: No new emails since the last sync');
+    } else {
+      console.log(`INFO: Found ${ids.length} messages to process`);
     }
 
-    logger.info(`Found ${messages.length} messages to process`);
-
     // Process each message
-    for (const message of messages) {
-      const processedFiles = await processEmailMessage(message, gmail, openai);
-      successfulFilenames.push(...processedFiles);
+    for (const id of ids) {
+      const { tenant, files, outcome } = await processEmailMessage(id, gmail, {
+        rules,
+        labels,
+        resultLabelIds: [processedLabelId, failedLabelId]
+      });
+      successfulFilenames.push(...files);
+      if (tenant && files.length) {
+        const entry = filesByTenant.get(tenant.id) || { tenant, files: [] };
+        entry.files.push(...files);
+        filesByTenant.set(tenant.id, entry);
+      }
+
+      if (outcome === 'pending') {
+        pending.push(id);
+      } else if (outcome === 'processed' || outcome === 'failed') {
+        try {
+          await gmail.users.messages.modify({
+            userId: 'me',
+            id,
+            requestBody: { addLabelIds: [outcome === 'failed' ? failedLabelId : processedLabelId] }
+          });
+        } catch (err) {
+          // Without the label the message is still recognised as finished by the message store
+          console.error(`ERROR: Failed to label email ${id} as ${outcome}:`, err.message);
+        }
+      }
       
       // Add delay between processing emails to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, PROCESSING_DELAY_MS));
     }
 
-    // Send notification if files were processed
+    await saveSyncState({ historyId, syncedAt: new Date().toISOString(), pending });
+
+    // Each tenant's recipients hear about their own files only
+    for (const { tenant, files } of filesByTenant.values()) {
+      await sendWhatsAppNotification(files, twilioClient, tenant.notify);
+    }
+
     if (successfulFilenames.length > 0) {
-      await sendWhatsAppNotification(successfulFilenames, twilioClient);
-      logger.info('Email processing completed', { 
-        totalProcessed: successfulFilenames.length,
-        files: successfulFilenames
-      });
+      console.log(`INFO: Email processing completed, ${successfulFilenames.length} file(s): ${successfulFilenames.join(', ')}`);
     } else {
-      logger.info('No files were successfully processed');
+      console.log('INFO: No files were successfully processed');
     }
 
     return successfulFilenames;
   } catch (err) {
-    logger.error('Email fetching error', { error: err.message, stack: err.stack });
+    console.error('ERROR: Email fetching failed:', err);
     throw err;
   }
 }
@@ -0,0 +1,119 @@
+/**
+ * IMAP Mailbox Retrieval Service
+ *
+ * Takes in the attachments of unseen messages in an IMAP mailbox (any
+ * provider, see lib/imap.js), files the finished messages and sends the
+ * tenant's WhatsApp summary. The counterpart of fetchEmails.js for mailboxes
+ * that are not on Gmail.
+ */
+import dotenv from 'dotenv';
+import { ingestMessage, messageOutcome } from '../lib/ingestion.js';
+import { getTenant, tenantForEmail, unroutedTenant } from '../lib/tenants.js';
+import { emailSummaryLine, notifyEmailSummary } from '../lib/whatsapp.js';
+import {
+  imapConfig,
+  createImapClient,
+  findUnseenWithAttachments,
+  readImapMessage,
+  settleImapMessage
+} from '../lib/imap.js';
+
+dotenv.config();
+
+/**
+ * Takes in one message
+ * @param {import('imapflow').ImapFlow} client - Client with the folder selected
+ * @param {number} uid - Message UID
+ * @param {Object} context
+ * @param {import('../lib/imap.js').ImapConfig} context.config - IMAP settings
+ * @param {number} context.uidValidity - UIDVALIDITY of the folder, part of the message key
+ * @returns {Promise<{tenant: Object|null, files: string[], outcome: string}>} Tenant, summary lines
+ *   and `processed`, `failed`, `pending` or `skipped`
+ */
+async function processImapMessage(client, uid, { config, uidValidity }) {
+  const { from, to, subject, attachments } = await readImapMessage(client, uid);
+
+  const tenant = config.tenant ? getTenant(config.tenant) : tenantForEmail({ from, to }) || unroutedTenant();
+  if (!tenant) {
+    console.warn(`WARNING: Skipping IMAP message ${uid} from unregistered sender ${from} ("${subject}")`);
+    return { tenant, files: [], outcome: 'skipped' };
+  }
+  if (!attachments.length) {
+    console.log(`INFO: IMAP message ${uid} ("${subject}") has no usable attachments`);
+    return { tenant, files: [], outcome: 'skipped' };
+  }
+
+  // UIDs are only unique together with the folder and its UIDVALIDITY
+  const messageKey = `imap:${config.user}@${config.host}/${config.folder}/${uidValidity}/${uid}`;
+  console.log(`INFO: Processing ${attachments.length} attachment(s) of "${subject}" for ${tenant.id}`);
+  const { results } = await ingestMessage(
+    messageKey,
+    attachments.map((attachment, index) => ({
+      id: String(index),
+      filename: attachment.filename,
+      load: async () => attachment
+    })),
+    { source: 'imap', tenant: tenant.id, meta: { from, subject, uid } }
+  );
+
+  for (const result of results.filter(result => !emailSummaryLine(result))) {
+    console.warn(`WARNING: Failed to process ${result.filename}:`, result.error);
+  }
+  return { tenant, files: results.map(emailSummaryLine).filter(Boolean), outcome: await messageOutcome(messageKey) };
+}
+
+/**
+ * Main function to fetch and process the IMAP mailbox
+ * @param {Object} [options]
+ * @param {import('imapflow').ImapFlow} [options.client] - Client to use instead of one built from the settings
+ * @returns {Promise<string[]>} Summary lines of the processed files
+ */
+export async function fetchImapEmails({ client } = {}) {
+  const config = imapConfig();
+  const imap = client ?? createImapClient(config);
+  const processed = [];
+  const filesByTenant = new Map();
+
+  await imap.connect();
+  try {
+    const lock = await imap.getMailboxLock(config.folder);
+    try {
+      const uids = await findUnseenWithAttachments(imap);
+      console.log(`INFO: ${uids.length} unseen message(s) with attachments in ${config.folder}`);
+
+      for (const uid of uids) {
+        let outcome = 'pending';
+        try {
+          const result = await processImapMessage(imap, uid, { config, uidValidity: imap.mailbox.uidValidity });
+          outcome = result.outcome;
+          processed.push(...result.files);
+          if (result.tenant && result.files.length) {
+            const entry = filesByTenant.get(result.tenant.id) || { tenant: result.tenant, files: [] };
+            entry.files.push(...result.files);
+            filesByTenant.set(result.tenant.id, entry);
+          }
+        } catch (err) {
+          // Left unseen: the next run tries again
+          console.error(`ERROR: IMAP message ${uid} could not be processed:`, err.message);
+        }
+
+        if (outcome !== 'pending') {
+          try {
+            await settleImapMessage(imap, uid, outcome, config);
+          } catch (err) {
+            console.error(`ERROR: Could not file IMAP message ${uid} as ${outcome}:`, err.message);
+          }
+        }
+      }
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await imap.logout();
+  }
+
+  // Each tenant's recipients hear about their own files only
+  for (const { tenant, files } of filesByTenant.values()) await notifyEmailSummary(tenant, files);
+
+  return processed;
+}
@@ -0,0 +1,143 @@
+/**
+ * Microsoft 365 Mailbox Retrieval Service
+ *
+ * Takes in the attachments of new messages in an Outlook / Exchange Online
+ * mailbox over Microsoft Graph (see lib/outlook.js), moves the finished
+ * messages to the processed folder and sends the tenant's WhatsApp summary.
+ * Each run continues the delta query of the previous one.
+ */
+import dotenv from 'dotenv';
+import { getGraphClient } from '../lib/onedrive.js';
+import { ingestMessage, messageOutcome, getMessageStore } from '../lib/ingestion.js';
+import { isMessageComplete } from '../lib/messageStore.js';
+import { getTenant, tenantForEmail, unroutedTenant } from '../lib/tenants.js';
+import { emailSummaryLine, notifyEmailSummary } from '../lib/whatsapp.js';
+import {
+  outlookConfig,
+  resolveMailFolder,
+  deltaMessages,
+  getMessage,
+  formatRecipients,
+  messageAttachments,
+  settleOutlookMessage,
+  loadOutlookState,
+  saveOutlookState
+} from '../lib/outlook.js';
+
+dotenv.config();
+
+/**
+ * Takes in one message
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {Object} message - Message with the fields selected by the delta query
+ * @param {import('../lib/outlook.js').OutlookConfig} config - Mailbox settings
+ * @returns {Promise<{tenant: Object|null, files: string[], outcome: string}>} Tenant, summary lines
+ *   and `processed`, `failed`, `pending`, `skipped` or `settled` (finished and filed by an earlier run)
+ */
+async function processOutlookMessage(client, message, config) {
+  const from = formatRecipients([message.from].filter(Boolean));
+  const to = formatRecipients([...(message.toRecipients || []), ...(message.ccRecipients || [])]);
+  const subject = message.subject || '';
+
+  // Graph ids change when a message is moved; the Internet message id does not
+  const messageKey = `outlook:${config.mailbox}:${message.internetMessageId || message.id}`;
+
+  // Flagging a failed message changes it, so the delta query returns it once more; nothing is downloaded again
+  if (isMessageComplete(await getMessageStore().get(messageKey))) {
+    const outcome = await messageOutcome(messageKey);
+    const filed = outcome === 'failed' && !config.failedFolder && message.flag?.flagStatus === 'flagged';
+    if (filed) console.log(`INFO: Outlook message "${subject}" was already processed, skipping`);
+    return { tenant: null, files: [], outcome: filed ? 'settled' : outcome };
+  }
+
+  const tenant = config.tenant ? getTenant(config.tenant) : tenantForEmail({ from, to }) || unroutedTenant();
+  if (!tenant) {
+    console.warn(`WARNING: Skipping Outlook message from unregistered sender ${from} ("${subject}")`);
+    return { tenant, files: [], outcome: 'skipped' };
+  }
+  const attachments = message.hasAttachments ? await messageAttachments(client, config.mailbox, message.id) : [];
+  if (!attachments.length) {
+    console.log(`INFO: Outlook message "${subject}" has no usable attachments`);
+    return { tenant, files: [], outcome: 'skipped' };
+  }
+
+  console.log(`INFO: Processing ${attachments.length} attachment(s) of "${subject}" for ${tenant.id}`);
+  const { results } = await ingestMessage(messageKey, attachments, {
+    source: 'outlook',
+    tenant: tenant.id,
+    meta: { from, subject, messageId: message.id }
+  });
+
+  for (const result of results.filter(result => !emailSummaryLine(result))) {
+    console.warn(`WARNING: Failed to process ${result.filename}:`, result.error);
+  }
+  return { tenant, files: results.map(emailSummaryLine).filter(Boolean), outcome: await messageOutcome(messageKey) };
+}
+
+/**
+ * Main function to fetch and process the Outlook mailbox
+ * @param {Object} [options]
+ * @param {import('@microsoft/microsoft-graph-client').Client} [options.client] - Graph client to use instead of the default one
+ * @returns {Promise<string[]>} Summary lines of the processed files
+ */
+export async function fetchOutlookEmails({ client } = {}) {
+  const config = outlookConfig();
+  const graph = client ?? await getGraphClient();
+  const state = await loadOutlookState(`${config.mailbox}/${config.folder}`);
+  const startedAt = new Date().toISOString();
+  const folders = new Map();
+  const processed = [];
+  const filesByTenant = new Map();
+
+  const folderId = await resolveMailFolder(graph, config.mailbox, config.folder);
+  const { messages, deltaLink } = await deltaMessages(graph, config.mailbox, folderId, state);
+
+  // Messages left pending last time come first; they may have been moved or deleted since
+  const queue = [];
+  for (const id of state.pending) {
+    if (messages.some(message => message.id === id)) continue;
+    try {
+      queue.push(await getMessage(graph, config.mailbox, id));
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+      console.warn(`WARNING: Pending Outlook message ${id} is gone, dropping it`);
+    }
+  }
+  queue.push(...messages);
+  console.log(`INFO: ${queue.length} new or pending message(s) in ${config.folder}`);
+
+  const pending = [];
+  for (const message of queue) {
+    let outcome = 'pending';
+    try {
+      const result = await processOutlookMessage(graph, message, config);
+      outcome = result.outcome;
+      processed.push(...result.files);
+      if (result.tenant && result.files.length) {
+        const entry = filesByTenant.get(result.tenant.id) || { tenant: result.tenant, files: [] };
+        entry.files.push(...result.files);
+        filesByTenant.set(result.tenant.id, entry);
+      }
+    } catch (err) {
+      console.error(`ERROR: Outlook message "${message.subject}" could not be processed:`, err.message);
+    }
+
+    if (outcome === 'processed' || outcome === 'failed') {
+      try {
+        await settleOutlookMessage(graph, message.id, outcome, config, folders);
+      } catch (err) {
+        console.error(`ERROR: Could not file Outlook message "${message.subject}" as ${outcome}:`, err.message);
+      }
+    } else if (outcome === 'pending') {
+      // The delta query will not return it again; the next run picks it up from the state
+      pending.push(message.id);
+    }
+  }
+
+  await saveOutlookState({ source: state.source, deltaLink, syncedAt: startedAt, pending });
+
+  // Each tenant's recipients hear about their own files only
+  for (const { tenant, files } of filesByTenant.values()) await notifyEmailSummary(tenant, files);
+
+  return processed;
+}
@@ -1,6 +1,13 @@
 // pages/api/invoice-inbox.js
-import { OpenAI } from 'openai';
-import { processAttachment } from '../lib/invoiceProcessor.js';
+import { processWhatsAppMedia, handleWhatsAppText, formatReply } from '../lib/whatsapp.js';
+import { readRawBody, isValidInboxRequest } from '../lib/requestAuth.js';
+import { tenantForWhatsApp, UNKNOWN_SENDER_REPLY } from '../lib/tenants.js';
+
+export const config = {
+  api: {
+    bodyParser: false, // the HMAC is computed over the raw body
+  },
+};
 
 export default async function handler(req, res) {
   try {
@@ -9,103 +16,43 @@ export default async function handler(req, res) {
       return;
     }
 
-    const { from, numMedia = 0, media = [] } = req.body || {};
-
-    if (!from) {
-      res.status(400).json({ error: 'Missing "from" in request body' });
+    const rawBody = await readRawBody(req);
+    if (!isValidInboxRequest(req, rawBody)) {
+      res.status(401).json({ error: 'Unauthorized' });
       return;
     }
 
-    if (Number(numMedia) === 0 || media.length === 0) {
-      res.json({ replyBody: 'No attachments were detected in your submission.' });
+    let body;
+    try {
+      body = JSON.parse(rawBody || '{}');
+    } catch {
+      res.status(400).json({ error: 'Request body is not valid JSON' });
       return;
     }
 
-    const validatedMedia = media.map((m, idx) => {
-      const { url, contentType, filename } = m || {};
-
-      if (!url) {
-        return {
-          ok: false,
-          filename: filename || `media_${idx}`,
-          error: 'Missing media URL'
-        };
-      }
-
-      if (!contentType) {
-        return {
-          ok: false,
-          filename: filename || url.split('/').pop() || `media_${idx}`,
-          error: 'Missing content type'
-        };
-      }
-
-      return { ok: true, url, contentType, filename };
-    });
-
-    const toProcess = validatedMedia.filter(m => m.ok);
-    const preErrors = validatedMedia.filter(m => !m.ok);
-
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-    const processedResults = [];
-    for (const mediaItem of toProcess) {
-      const { url, contentType, filename } = mediaItem;
-
-      const response = await fetch(url, {
-        headers: {
-          Authorization:
-            'Basic ' +
-            Buffer.from(
-              `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
-            ).toString('base64')
-        }
-      });
-
-      if (!response.ok) {
-        processedResults.push({
-          ok: false,
-          filename,
-          error: `Download failed: ${response.status}`
-        });
-        continue;
-      }
-
-      const buffer = Buffer.from(await response.arrayBuffer());
-
-      const result = await processAttachment({
-        buffer,
-        filename,
-        contentType
-      }, openai);
-
-      processedResults.push(result);
-    }
-
-    const results = [...preErrors, ...processedResults];
-    const ok = results.filter(r => r.ok);
-    const err = results.filter(r => !r.ok);
-
-    let replyBody = '';
+    const { from, messageSid, numMedia = 0, media = [], body: text = '' } = body || {};
 
-    if (ok.length) {
-      replyBody +=
-        'Successfully processed the following attachments:\n' +
-        ok.map(r => `• ${r.filename}`).join('\n') +
-        '\n\n';
+    if (!from) {
+      res.status(400).json({ error: 'Missing "from" in request body' });
+      return;
     }
 
-    if (err.length) {
-      replyBody +=
-        'The following attachments could not be processed:\n' +
-        err.map(r => `• ${r.filename} – ${r.error}`).join('\n');
+    const tenant = tenantForWhatsApp(from);
+    if (!tenant) {
+      console.warn(`WARNING: Rejected inbox submission from unregistered number ${from}`);
+      res.status(403).json({ replyBody: UNKNOWN_SENDER_REPLY });
+      return;
     }
 
-    if (!replyBody.trim()) {
-      replyBody = 'No attachments were detected in your submission.';
+    // A text-only submission answers a confirmation request or is a command
+    if (Number(numMedia) === 0 || media.length === 0) {
+      const { reply } = await handleWhatsAppText({ from, text, tenant });
+      res.json({ replyBody: reply });
+      return;
     }
 
-    res.json({ replyBody: replyBody.trim() });
+    const results = await processWhatsAppMedia({ from, messageSid, tenant: tenant.id, media });
+    res.json({ replyBody: formatReply(results) });
   } catch (fatal) {
     console.error('Fatal error in handler:', fatal);
     res.status(500).json({
@@ -0,0 +1,110 @@
+// pages/api/review.js
+import {
+  listReviews,
+  getReview,
+  readReviewFile,
+  correctReview,
+  rejectReview,
+  expireConfirmations
+} from '../lib/reviewQueue.js';
+import { approveReview } from '../lib/invoiceProcessor.js';
+import { hasBearerToken } from '../lib/requestAuth.js';
+import { getTenant, tenantStorage } from '../lib/tenants.js';
+
+/**
+ * Review queue API
+ *
+ *   GET   /api/review[?status=pending]            list entries
+ *   GET   /api/review?id=<id>                     view one entry
+ *   GET   /api/review?id=<id>&download=1          original document
+ *   PATCH /api/review?id=<id>  {fields}           correct fields (re-validated)
+ *   POST  /api/review?id=<id>&action=approve {fields?}  store with the corrected values
+ *   POST  /api/review?id=<id>&action=reject {reason?}   discard
+ *
+ * Requests must carry `Authorization: Bearer <REVIEW_API_TOKEN>`. With tenant
+ * routing, add `tenant=<id>` to work on that tenant's queue.
+ */
+
+/**
+ * Maps queue errors to HTTP status codes
+ * @param {Error} err - Error thrown by the queue
+ * @return {number} Status code
+ */
+function statusFor(err) {
+  if (/not found/i.test(err.message)) return 404;
+  if (/already (approving|approved|rejected|expired)/i.test(err.message)) return 409;
+  if (/^Invalid invoice data/.test(err.message)) return 422;
+  return 500;
+}
+
+export default async function handler(req, res) {
+  if (!process.env.REVIEW_API_TOKEN) {
+    res.status(503).json({ error: 'Review API is not configured (REVIEW_API_TOKEN)' });
+    return;
+  }
+  if (!hasBearerToken(req, process.env.REVIEW_API_TOKEN)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  const { id, action, status, download, tenant: tenantId } = req.query || {};
+  const body = req.body || {};
+  const tenant = tenantId ? getTenant(tenantId) : null;
+  if (tenantId && !tenant) {
+    res.status(404).json({ error: `Unknown tenant: ${tenantId}` });
+    return;
+  }
+  const storage = tenantStorage(tenant);
+
+  try {
+    if (req.method === 'GET' && !id) {
+      // Unanswered confirmation requests should not linger as pending
+      await expireConfirmations(storage);
+      res.json({ items: await listReviews(storage, { status }) });
+      return;
+    }
+
+    if (!id) {
+      res.status(400).json({ error: 'Missing "id" query parameter' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const item = await getReview(storage, id);
+      if (download) {
+        const buffer = await readReviewFile(storage, item);
+        res.setHeader('Content-Type', item.contentType || 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${item.filename}"`);
+        res.status(200).send(buffer);
+        return;
+      }
+      res.json({ item });
+      return;
+    }
+
+    if (req.method === 'PATCH') {
+      if (!body.fields || typeof body.fields !== 'object') {
+        res.status(400).json({ error: 'Missing "fields" object in request body' });
+        return;
+      }
+      res.json({ item: await correctReview(storage, id, body.fields) });
+      return;
+    }
+
+    if (req.method === 'POST' && action === 'approve') {
+      res.json(await approveReview(id, body.fields || {}, { storage }));
+      return;
+    }
+
+    if (req.method === 'POST' && action === 'reject') {
+      res.json({ item: await rejectReview(storage, id, body.reason) });
+      return;
+    }
+
+    res.status(405).json({ error: 'Method or action not allowed' });
+  } catch (err) {
+    const code = statusFor(err);
+    if (code === 500) console.error('ERROR: Review API request failed:', err);
+    res.status(code).json({ error: err.message });
+  }
+}
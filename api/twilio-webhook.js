@@ -1,5 +1,17 @@
-import fetch from 'node-fetch';
 import twilio from 'twilio';
+import { waitUntil } from '@vercel/functions';
+import { readRawBody, isValidTwilioRequest } from '../lib/requestAuth.js';
+import { getMessageStore, assertDurableQueue } from '../lib/ingestion.js';
+import { isMessageComplete } from '../lib/messageStore.js';
+import { tenantForWhatsApp, UNKNOWN_SENDER_REPLY } from '../lib/tenants.js';
+import {
+  resolveMedia,
+  processWhatsAppMedia,
+  handleWhatsAppText,
+  formatReply,
+  sendWhatsAppMessage,
+  replyNumber
+} from '../lib/whatsapp.js';
 
 export const config = {
   api: {
@@ -7,27 +19,9 @@ export const config = {
   },
 };
 
-/**
- * Validates if the provided string is a valid international phone number
- * @param {string} number - Phone number to validate
- * @return {boolean} Validation result
- */
-function isValidWhatsAppNumber(number) {
-  return typeof number === 'string' && /^\+?[1-9]\d{6,14}$/.test(number);
-}
-
-/**
- * Retrieves a safe number for message replies
- * @param {string} from - Original sender number
- * @return {string} Validated phone number or fallback
- */
-function getSafeReplyNumber(from) {
-  return isValidWhatsAppNumber(from)
-    ? from
-    : process.env.TWILIO_REPLY_TO;
-}
-
 export default async function handler(req, res) {
+  let data = {};
+  let verified = false;
   try {
     if (req.method !== 'POST') {
       res.status(405).send('Method Not Allowed');
@@ -35,11 +29,25 @@ export default async function handler(req, res) {
     }
 
     // Process the incoming request body
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const bodyStr = Buffer.concat(chunks).toString('utf8');
+    const bodyStr = await readRawBody(req);
     const params = new URLSearchParams(bodyStr);
-    const data = Object.fromEntries(params.entries());
+    data = Object.fromEntries(params.entries());
+
+    // Anyone can POST here; only Twilio can sign with our auth token
+    if (!isValidTwilioRequest(req, data)) {
+      console.warn('WARNING: Rejected Twilio webhook with a missing or invalid signature');
+      return res.status(403).send('Forbidden');
+    }
+    verified = true;
+
+    // Twilio retries a 503; a queue on the function's own disk would lose jobs
+    try {
+      await assertDurableQueue();
+    } catch (err) {
+      console.error('ERROR: Refusing Twilio webhook:', err.message);
+      res.status(503).send('Service Unavailable');
+      return;
+    }
 
     const { MessageSid, From, NumMedia = '0', AccountSid } = data;
     const numMedia = parseInt(NumMedia, 10);
@@ -48,126 +56,93 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing required Twilio fields' });
     }
 
-    const replyTo = getSafeReplyNumber(From);
+    const replyTo = replyNumber(From);
 
-    if (numMedia === 0) {
-      await sendTwilioReply(replyTo, 'No attachment found in your message. Please attach the document and try again.');
-      return res.status(200).end();
+    // Only registered numbers may submit; everyone else gets a polite refusal
+    const tenant = tenantForWhatsApp(From);
+    if (!tenant) {
+      console.warn(`WARNING: Rejected message ${MessageSid} from unregistered number ${From}`);
+      const refusal = new twilio.twiml.MessagingResponse();
+      refusal.message(UNKNOWN_SENDER_REPLY);
+      res.setHeader('Content-Type', 'text/xml');
+      res.status(200).send(refusal.toString());
+      return;
     }
 
-    const auth = Buffer.from(
-      `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
-    ).toString('base64');
-
-    // Retrieve media metadata from Twilio API
-    const mediaRes = await fetch(
-      `https://api.twilio.com/2010-04-01/Accounts/${AccountSid}/Messages/${MessageSid}/Media.json`,
-      {
-        headers: { Authorization: `Basic ${auth}` },
-      }
-    );
-
-    if (!mediaRes.ok) {
-      console.error('ERROR: Failed to fetch media metadata:', await mediaRes.text());
-      throw new Error(`Twilio media fetch failed: ${mediaRes.status}`);
+    // Twilio redelivers a message when it got no answer in time; finished ones are not processed again
+    if (isMessageComplete(await getMessageStore().get(`twilio:${MessageSid}`))) {
+      console.log(`INFO: Message ${MessageSid} was already processed, ignoring the redelivery`);
+      res.setHeader('Content-Type', 'text/xml');
+      res.status(200).send(new twilio.twiml.MessagingResponse().toString());
+      return;
     }
 
-    const mediaJson = await mediaRes.json();
-    const mediaList = mediaJson.media_list || [];
-
-    const media = [];
-
-    // Process each media item
-    for (let i = 0; i < mediaList.length; i++) {
-      const m = mediaList[i];
-      const mediaUrl = m.url || `https://api.twilio.com${m.uri.replace('.json', '')}`;
-
-      // Attempt to retrieve file metadata
-      let filename = `media_${i}`;
-      let contentType = m.content_type || 'application/octet-stream';
-
-      try {
-        const headersRes = await fetch(mediaUrl, {
-          method: 'HEAD',
-          headers: { Authorization: `Basic ${auth}` },
-        });
-
-        const contentDisp = headersRes.headers.get('content-disposition') || '';
-        const filenameMatch = contentDisp.match(/filename="([^"]+)"/);
-        if (filenameMatch) {
-          filename = filenameMatch[1];
-        }
-
-        const contentTypeHeader = headersRes.headers.get('content-type');
-        if (contentTypeHeader) {
-          contentType = contentTypeHeader;
-        }
-      } catch (headErr) {
-        console.warn('WARNING: Failed to fetch headers for media item:', headErr.message);
-      }
-
-      media.push({
-        url: mediaUrl,
-        contentType,
-        filename,
-      });
+    // Text without media answers a confirmation request ("yes", "total 123.45") or is a command ("status", "last 5", ...)
+    if (numMedia === 0) {
+      const { reply, kind } = await handleWhatsAppText({ from: From, text: data.Body, tenant });
+      // Recorded so a redelivery does not run "undo last" or "yes" twice
+      await getMessageStore().finish(`twilio:${MessageSid}`, 'command', kind);
+      const answer = new twilio.twiml.MessagingResponse();
+      answer.message(reply);
+      res.setHeader('Content-Type', 'text/xml');
+      res.status(200).send(answer.toString());
+      return;
     }
 
-    // Forward metadata to invoice processing service
-    const invoiceRes = await fetch(`${process.env.PUBLIC_URL}/api/invoice-inbox`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ from: From, numMedia, media }),
-    });
-
-    let replyBody = 'An unexpected error occurred while processing your document.';
-
-    if (invoiceRes.ok) {
-      try {
-        const result = await invoiceRes.json();
-        replyBody = result.replyBody?.trim() || 'Your document has been successfully processed.';
-      } catch (err) {
-        console.error('ERROR: Failed to parse response from invoice processor:', err);
-        replyBody = 'Unable to process the response from document processing service.';
-      }
-    } else {
-      const errorText = await invoiceRes.text();
-      console.error(`ERROR: Invoice processor failed (${invoiceRes.status}):`, errorText);
-      replyBody = 'The document processing service encountered an error. Please try again later.';
-    }
+    // Acknowledge right away: extraction and upload easily outlast Twilio's webhook timeout
+    const ack = new twilio.twiml.MessagingResponse();
+    ack.message(`Received, processing ${numMedia} file${numMedia > 1 ? 's' : ''}. You will get the result shortly.`);
+    res.setHeader('Content-Type', 'text/xml');
+    res.status(200).send(ack.toString());
 
-    await sendTwilioReply(replyTo, replyBody);
-    res.status(200).end();
+    // Keeps the function alive on Vercel after the response; a plain Node server just keeps running
+    waitUntil(processInBackground(data, replyTo, tenant));
   } catch (err) {
     console.error('ERROR: Twilio webhook processing failed:', err);
-    const fallbackTo = getSafeReplyNumber(req.body?.From || '');
+    if (!verified) {
+      if (!res.headersSent) res.status(500).send('Internal Server Error');
+      return;
+    }
+    const fallbackTo = replyNumber(data.From);
     try {
-      await sendTwilioReply(
+      await sendWhatsAppMessage(
         fallbackTo,
         'We encountered an error processing your message. Please try again later or contact support if the issue persists.'
       );
     } catch (twilioErr) {
       console.error('ERROR: Failed to send error notification message:', twilioErr);
     }
-    res.status(500).send('Internal Server Error');
+    if (!res.headersSent) res.status(500).send('Internal Server Error');
   }
 }
 
 /**
- * Sends a WhatsApp reply using Twilio API
- * @param {string} to - Recipient's phone number
- * @param {string} body - Message content
- * @return {Promise} Twilio message promise
+ * Processes the media of an acknowledged message and sends the result reply
+ * @param {Object<string, string>} data - Webhook form parameters
+ * @param {string} replyTo - Number that receives the result
+ * @param {import('../lib/tenants.js').Tenant} tenant - Tenant the sender is routed to
+ * @return {Promise<void>}
  */
-async function sendTwilioReply(to, body) {
-  const client = twilio(
-    process.env.TWILIO_ACCOUNT_SID,
-    process.env.TWILIO_AUTH_TOKEN
-  );
+async function processInBackground(data, replyTo, tenant) {
+  let replyBody;
+  try {
+    const media = await resolveMedia(data);
+    const results = await processWhatsAppMedia({
+      from: data.From,
+      replyTo,
+      messageSid: data.MessageSid,
+      tenant: tenant.id,
+      media
+    });
+    replyBody = formatReply(results);
+  } catch (err) {
+    console.error('ERROR: Background processing of Twilio message failed:', err);
+    replyBody = 'We encountered an error processing your message. Please try again later or contact support if the issue persists.';
+  }
 
-  return client.messages.create({
-    from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-    to: `whatsapp:${to}`,
-    body,
-  });
+  try {
+    await sendWhatsAppMessage(replyTo, replyBody);
+  } catch (err) {
+    console.error('ERROR: Failed to send result message:', err);
+  }
 }
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Text commands over WhatsApp for checking and correcting the ledger.
+ * @module lib/commands
+ *
+ *   help                 list the commands
+ *   status               this month's ledger, open reviews and your last booking
+ *   last [n]             your last n bookings (default 1, at most 20)
+ *   total [month]        invoices and totals of a month ("september", "2025-09", "last month")
+ *   undo last            remove your last booking (ledger row, file and fingerprint)
+ *   fix <field> <value>  correct a field of your last booking, e.g. "fix total 123.45"
+ *
+ * "Your" bookings are the ones sent from the same number; every command works
+ * on the ledgers of the sender's tenant.
+ */
+
+import { tenantStorage } from './tenants.js';
+import { listReviews } from './reviewQueue.js';
+import {
+  AMENDABLE_FIELDS,
+  monthFolder,
+  monthTotals,
+  listBookings,
+  amendBooking,
+  undoBooking
+} from './ledger.js';
+
+const MAX_LAST = 20;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/** Reply to the `help` command */
+export const HELP_TEXT = [
+  'Send a photo, PDF, ZIP or forwarded email to book an invoice. Commands:',
+  '• status – this month and your last booking',
+  '• last 5 – your last 5 bookings',
+  '• total september – invoices and total of a month',
+  '• undo last – remove your last booking',
+  `• fix total 123.45 – correct your last booking (${Object.keys(AMENDABLE_FIELDS).join(', ')})`,
+  '• help – this list'
+].join('\n');
+
+/**
+ * Splits a message into a command and its arguments
+ * @param {string} text - Message body
+ * @returns {{name: string, args: string[]}|null} Command, or null if the text is not one
+ */
+export function parseCommand(text = '') {
+  const [word, ...args] = String(text).trim().split(/\s+/);
+  const name = (word || '').toLowerCase();
+  if (name === '?' || name === 'commands') return { name: 'help', args };
+  return ['help', 'status', 'last', 'total', 'undo', 'fix'].includes(name) ? { name, args } : null;
+}
+
+/**
+ * Resolves a month given in a command to its year.month folder. A month name
+ * without a year means its latest occurrence that is not in the future.
+ * @param {string} text - "september", "sep 2024", "2025-09", "09/2025", "this month", "last month"
+ * @param {Date} [now] - Reference date
+ * @returns {string|null} Folder such as `2025.09`, or null if not recognizable
+ */
+export function parseMonth(text = '', now = new Date()) {
+  const value = text.trim().toLowerCase();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const folder = (y, m) => `${y}.${String(m + 1).padStart(2, '0')}`;
+
+  if (!value || value === 'this month') return folder(year, month);
+  if (value === 'last month') return month === 0 ? folder(year - 1, 11) : folder(year, month - 1);
+
+  let match = value.match(/^(\d{4})[-./](\d{1,2})$/);
+  if (match && match[2] >= 1 && match[2] <= 12) return folder(Number(match[1]), match[2] - 1);
+  match = value.match(/^(\d{1,2})[-./](\d{4})$/);
+  if (match && match[1] >= 1 && match[1] <= 12) return folder(Number(match[2]), match[1] - 1);
+
+  match = value.match(/^([a-z]{3,})\.?(?:\s+(\d{4}))?$/);
+  const index = match ? MONTHS.findIndex(name => name.startsWith(match[1])) : -1;
+  if (index === -1) return null;
+  if (match[2]) return folder(Number(match[2]), index);
+  return folder(index > month ? year - 1 : year, index);
+}
+
+/**
+ * Formats totals by currency
+ * @param {Object<string, number>} totals - Totals by currency
+ * @returns {string} Text such as "1234.50 EUR, 99.00 USD"
+ */
+function formatTotals(totals) {
+  const parts = Object.entries(totals).map(([currency, sum]) => `${sum.toFixed(2)} ${currency === '?' ? '' : currency}`.trim());
+  return parts.join(', ') || '0.00';
+}
+
+/**
+ * Describes a booking in one line
+ * @param {Object} booking - Fingerprint entry
+ * @returns {string} Text such as "2025-09-10 ACME GmbH 123.45 EUR (inv.pdf)"
+ */
+function describeBooking(booking) {
+  const amount = [booking.total, booking.currency].filter(Boolean).join(' ');
+  return [booking.invoiceDate, booking.seller || 'unknown seller', amount].filter(Boolean).join(' ') +
+    ` (${booking.filename})`;
+}
+
+/**
+ * Returns the sender's latest booking
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} sender - Normalized sender number
+ * @returns {Promise<Object>} Fingerprint entry
+ * @throws {Error} If the sender has no bookings
+ */
+async function lastBooking(storage, sender) {
+  const [booking] = await listBookings(storage, { sender, limit: 1 });
+  if (!booking) throw new Error('You have no bookings yet.');
+  return booking;
+}
+
+/**
+ * Runs a command and returns the reply. Failures (nothing to undo, invalid
+ * value, ...) are answered, not thrown, so the sender always gets a reply.
+ * @param {{name: string, args: string[]}} command - Parsed command, see {@link parseCommand}
+ * @param {Object} context
+ * @param {import('./tenants.js').Tenant} context.tenant - Sender's tenant
+ * @param {string} context.sender - Normalized sender number
+ * @param {import('./storage.js').InvoiceStorage} [context.storage] - Storage backend, defaults to the tenant's
+ * @returns {Promise<string>} Reply text
+ */
+export async function runCommand({ name, args }, { tenant, sender, storage }) {
+  const store = storage ?? tenantStorage(tenant);
+
+  try {
+    switch (name) {
+      case 'help':
+        return HELP_TEXT;
+
+      case 'status': {
+        const folder = monthFolder(new Date());
+        const { count, totals } = await monthTotals(store, folder);
+        // Confirmation requests wait for their sender, not for a reviewer
+        const pending = (await listReviews(store, { status: 'pending' })).filter(item => !item.expiresAt);
+        const [last] = await listBookings(store, { sender, limit: 1 });
+        return [
+          `${folder}: ${count} invoice(s), ${formatTotals(totals)}`,
+          `Awaiting review: ${pending.length}`,
+          `Your last booking: ${last ? describeBooking(last) : 'none'}`
+        ].join('\n');
+      }
+
+      case 'last': {
+        const limit = Math.min(Math.max(parseInt(args[0] || '1', 10) || 1, 1), MAX_LAST);
+        const bookings = await listBookings(store, { sender, limit });
+        if (!bookings.length) return 'You have no bookings yet.';
+        return `Your last ${bookings.length} booking(s):\n` + bookings.map(b => `• ${describeBooking(b)}`).join('\n');
+      }
+
+      case 'total': {
+        const folder = parseMonth(args.join(' '));
+        if (!folder) return `Unknown month "${args.join(' ')}". Try "total september" or "total 2025-09".`;
+        const { count, totals } = await monthTotals(store, folder);
+        return `${folder}: ${count} invoice(s), ${formatTotals(totals)}`;
+      }
+
+      case 'undo': {
+        if (args.length && args[0].toLowerCase() !== 'last') return 'Only "undo last" is supported.';
+        const booking = await lastBooking(store, sender);
+        await undoBooking(store, booking);
+        return `Removed ${describeBooking(booking)} from the ${booking.folder} ledger.`;
+      }
+
+      case 'fix': {
+        const [field, ...value] = args;
+        if (!field || !value.length) return 'Usage: fix <field> <value>, e.g. "fix total 123.45".';
+        const booking = await lastBooking(store, sender);
+        const data = await amendBooking(store, booking, field.toLowerCase(), value.join(' '));
+        return `Updated ${booking.filename}: ${field.toLowerCase()} is now ${data[AMENDABLE_FIELDS[field.toLowerCase()]] || '(empty)'}.`;
+      }
+
+      default:
+        return HELP_TEXT;
+    }
+  } catch (err) {
+    console.warn(`WARNING: Command "${name}" from ${sender} failed:`, err.message);
+    return err.message;
+  }
+}
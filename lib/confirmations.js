@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Confirmation mode: WhatsApp senders check the extracted data before it is booked.
+ * @module lib/confirmations
+ *
+ * With `CONFIRM_SUBMISSIONS=true` (or `"confirm": true` on a tenant) a valid
+ * extraction is not uploaded right away. It is parked in the review queue as a
+ * confirmation request and the sender gets a preview of seller, date, total,
+ * tax and payment method. The sender answers with
+ *
+ *   YES                  book it (upload, ledger row, fingerprint)
+ *   NO                   discard it
+ *   <field> <value>      correct a field first, e.g. "total 123.45" or "date 2025-09-10"
+ *
+ * Answers apply to the sender's oldest open request; the next one is shown
+ * once it is settled. Requests not answered within `CONFIRMATION_TTL_HOURS`
+ * (default 24) expire and are discarded.
+ */
+
+import { AMENDABLE_FIELDS } from './ledger.js';
+import { parseCommand } from './commands.js';
+import { tenantStorage } from './tenants.js';
+import { approveReview } from './invoiceProcessor.js';
+import { describeDuplicate } from './duplicates.js';
+import { validateInvoice } from './invoiceValidator.js';
+import { correctReview, rejectReview, listConfirmations, expireConfirmations } from './reviewQueue.js';
+
+const DEFAULT_TTL_HOURS = 24;
+
+const YES = ['yes', 'y', 'ok', 'okay', 'confirm', 'book'];
+const NO = ['no', 'n', 'cancel', 'discard'];
+
+// Fields a sender can correct before confirming, by the name used in the reply
+const CORRECTABLE_FIELDS = { ...AMENDABLE_FIELDS, date: 'invoice_date' };
+
+/** Instructions appended to every preview */
+export const CONFIRM_INSTRUCTIONS =
+  'Reply YES to book it, NO to discard it, or correct a field first, e.g. "total 123.45" or "date 2025-09-10".';
+
+/**
+ * Tells whether submissions of a tenant wait for the sender's confirmation
+ * @param {import('./tenants.js').Tenant|null} tenant - Tenant
+ * @returns {boolean} The tenant's `confirm` setting, else `CONFIRM_SUBMISSIONS`
+ */
+export function confirmationEnabled(tenant) {
+  if (typeof tenant?.confirm === 'boolean') return tenant.confirm;
+  return process.env.CONFIRM_SUBMISSIONS === 'true';
+}
+
+/**
+ * Returns how long a confirmation request stays open
+ * @returns {number} Milliseconds from `CONFIRMATION_TTL_HOURS`, default 24 hours
+ */
+export function confirmationTtlMs() {
+  const hours = Number(process.env.CONFIRMATION_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Describes extracted invoice data for the sender to check
+ * @param {Object} data - Invoice data
+ * @returns {string} One line per field
+ */
+export function describeExtraction(data = {}) {
+  const amount = value => [value, data.currency].filter(Boolean).join(' ') || '–';
+  const tax = data.tax_rate ? `${amount(data.tax)} (${data.tax_rate}%)` : amount(data.tax);
+  return [
+    `Seller: ${data.seller || '–'}`,
+    `Date: ${data.invoice_date || '–'}`,
+    `Total: ${amount(data.total)}`,
+    `Tax: ${tax}`,
+    `Payment: ${data.payment_method || '–'}`
+  ].join('\n');
+}
+
+/**
+ * Formats the preview of a confirmation request
+ * @param {import('./reviewQueue.js').ReviewItem} item - Confirmation request
+ * @param {number} [waiting] - Further requests of the sender after this one
+ * @returns {string} Preview with instructions
+ */
+function preview(item, waiting = 0) {
+  const lines = [`Please check ${item.filename}:`, describeExtraction(item.data)];
+  if (Object.keys(item.errors || {}).length) {
+    lines.push(`Needs a correction: ${Object.entries(item.errors).map(([field, error]) => `${field} ${error}`).join('; ')}`);
+  }
+  lines.push('', CONFIRM_INSTRUCTIONS);
+  if (waiting) lines.push(`${waiting} more document(s) waiting for your confirmation.`);
+  return lines.join('\n');
+}
+
+/**
+ * Reads a correction such as "total 123.45" or "fix date 2025-09-10"
+ * @param {string} text - Message body
+ * @returns {{name: string, field: string, value: string}|null} Correction, or null if the text is not one
+ */
+export function parseCorrection(text) {
+  const words = text.split(/\s+/);
+  if (words[0].toLowerCase() === 'fix') words.shift();
+  const [name = '', ...value] = words;
+  const field = CORRECTABLE_FIELDS[name.toLowerCase()];
+  // "total september" is the month command, "total 123.45" a correction
+  if (field === 'total' && !/^-?[\d.,' ]+$/.test(value.join(' '))) return null;
+  return field && value.length ? { name: name.toLowerCase(), field, value: value.join(' ') } : null;
+}
+
+/**
+ * Answers a text message of a sender with open confirmation requests. Expired
+ * requests are discarded first and the sender is told about their own.
+ * @param {string} text - Message body
+ * @param {Object} context
+ * @param {import('./tenants.js').Tenant} context.tenant - Sender's tenant
+ * @param {string} context.sender - Normalized sender number
+ * @param {import('./storage.js').InvoiceStorage} [context.storage] - Storage backend, defaults to the tenant's
+ * @returns {Promise<string|null>} Reply, or null if the text is not an answer to a request
+ *   (nothing open, or a command that should run as usual)
+ */
+export async function handleConfirmationReply(text = '', { tenant, sender, storage }) {
+  const store = storage ?? tenantStorage(tenant);
+  const answer = String(text).trim();
+  const word = answer.toLowerCase().replace(/[.!]+$/, '');
+
+  const expired = (await expireConfirmations(store)).filter(item => item.sender === sender);
+  const [item, ...waiting] = await listConfirmations(store, sender);
+
+  if (!item) {
+    if (!expired.length || parseCommand(answer)) return null;
+    return `Your confirmation for ${expired.map(entry => entry.filename).join(', ')} expired, nothing was booked. Please send the document again.`;
+  }
+
+  try {
+    if (YES.includes(word)) {
+      const result = await approveReview(item.id, {}, { storage: store });
+      let booked = `Booked ${result.filename}.`;
+      if (result.skipped) booked = `${item.filename} was ${describeDuplicate(result.duplicate)}, nothing was booked again.`;
+      else if (result.duplicate) booked = `Booked ${result.filename} (${describeDuplicate(result.duplicate)}, please check).`;
+      return waiting.length ? `${booked}\n\n${preview(waiting[0], waiting.length - 1)}` : booked;
+    }
+
+    if (NO.includes(word)) {
+      await rejectReview(store, item.id, 'Declined by the sender');
+      const discarded = `Discarded ${item.filename}, nothing was booked.`;
+      return waiting.length ? `${discarded}\n\n${preview(waiting[0], waiting.length - 1)}` : discarded;
+    }
+
+    const correction = parseCorrection(answer);
+    if (correction) {
+      // A value that does not validate would be dropped; better to ask again
+      const { errors } = validateInvoice({ ...item.data, [correction.field]: correction.value });
+      if (errors[correction.field]) throw new Error(`Invalid ${correction.name}: ${errors[correction.field]}`);
+      const updated = await correctReview(store, item.id, { [correction.field]: correction.value });
+      return preview(updated, waiting.length);
+    }
+  } catch (err) {
+    console.warn(`WARNING: Confirmation answer "${answer}" from ${sender} failed:`, err.message);
+    return `${err.message}\n\n${preview(item, waiting.length)}`;
+  }
+
+  // Commands still work while a confirmation is open; anything else gets the preview again
+  if (parseCommand(answer)) return null;
+  return preview(item, waiting.length);
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Unpacking of container attachments before invoice processing.
+ * @module lib/containers
+ *
+ * Suppliers send ZIP archives of invoices and colleagues forward whole emails
+ * (`.eml`, Outlook `.msg`). These are expanded recursively into the documents
+ * they contain, so every invoice inside goes through the normal pipeline on
+ * its own. Limits on nesting depth, entry count and unpacked size keep a
+ * hostile archive from exhausting memory.
+ */
+
+import path from 'path';
+
+const MAX_DEPTH = 3;
+const MAX_ENTRIES = 200;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+const ZIP_CHUNK_BYTES = 16 * 1024;
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.heic': 'image/heic',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip',
+  '.eml': 'message/rfc822',
+  '.msg': 'application/vnd.ms-outlook'
+};
+
+/**
+ * @typedef {Object} Attachment
+ * @property {Buffer} buffer - File content
+ * @property {string} filename - File name
+ * @property {string} contentType - MIME type
+ * @property {string} [container] - Path of the containers it was unpacked from, e.g. "march.zip/fwd.eml"
+ */
+
+/**
+ * Guesses a MIME type from a file name
+ * @param {string} filename - File name
+ * @returns {string} MIME type, `application/octet-stream` if unknown
+ */
+export function guessContentType(filename = '') {
+  return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Tells which kind of container an attachment is, if any
+ * @param {string} contentType - MIME type
+ * @param {string} [filename] - File name
+ * @returns {'zip'|'eml'|'msg'|null} Container kind
+ */
+export function containerKind(contentType = '', filename = '') {
+  const type = contentType.toLowerCase();
+  const ext = path.extname(filename).toLowerCase();
+  if (/zip/.test(type) || ext === '.zip') return 'zip';
+  if (type === 'message/rfc822' || ext === '.eml') return 'eml';
+  if (type === 'application/vnd.ms-outlook' || ext === '.msg') return 'msg';
+  return null;
+}
+
+/**
+ * Tells whether a file can be processed as an invoice or unpacked further
+ * @param {string} contentType - MIME type
+ * @param {string} filename - File name
+ * @returns {boolean} True for supported documents and containers
+ */
+function isSupported(contentType, filename) {
+  return contentType.includes('pdf') ||
+    contentType.startsWith('image/') ||
+    /[/+]xml\b/.test(contentType) ||
+    containerKind(contentType, filename) !== null;
+}
+
+/**
+ * Takes an unpacked file out of the remaining limits
+ * @param {{entries: number, bytes: number}} budget - Remaining limits, updated in place
+ * @param {number} bytes - Unpacked bytes
+ * @param {number} [entries] - Files
+ * @throws {Error} If a limit is exceeded
+ */
+function charge(budget, bytes, entries = 0) {
+  budget.entries -= entries;
+  budget.bytes -= bytes;
+  if (budget.entries < 0) throw new Error(`Archive is too large to unpack (more than ${MAX_ENTRIES} files)`);
+  if (budget.bytes < 0) throw new Error(`Archive is too large to unpack (more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB unpacked)`);
+}
+
+/**
+ * Lists the files of a ZIP archive
+ * @param {Buffer} buffer - ZIP content
+ * @param {{entries: number, bytes: number}} budget - Remaining limits, updated in place
+ * @returns {Promise<Array<{buffer: Buffer, filename: string}>>} Contained files
+ * @throws {Error} If the archive is corrupt or exceeds the limits
+ */
+async function unzip(buffer, budget) {
+  const { Unzip, UnzipInflate } = await import('fflate');
+  const files = [];
+  let failure = null;
+
+  const reader = new Unzip(file => {
+    const base = path.posix.basename(file.name);
+    if (failure || file.name.endsWith('/') || file.name.startsWith('__MACOSX/') || base.startsWith('.')) return;
+    const chunks = [];
+    // Counts what is really inflated: the sizes in the headers are whatever the sender wrote
+    file.ondata = (err, data, final) => {
+      if (failure) return;
+      try {
+        if (err) throw err;
+        charge(budget, data.length);
+        chunks.push(data);
+        if (final) files.push({ buffer: Buffer.concat(chunks), filename: base });
+      } catch (error) {
+        failure = error;
+        file.terminate();
+      }
+    };
+    try {
+      charge(budget, 0, 1);
+      file.start();
+    } catch (err) {
+      failure ??= err;
+    }
+  });
+  reader.register(UnzipInflate);
+
+  // Small input slices keep a single inflate step from producing more than a few MB
+  const data = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  for (let offset = 0; offset < data.length && !failure; offset += ZIP_CHUNK_BYTES) {
+    const end = Math.min(offset + ZIP_CHUNK_BYTES, data.length);
+    try {
+      reader.push(data.subarray(offset, end), end === data.length);
+    } catch (err) {
+      failure = err;
+    }
+  }
+  if (failure) throw failure;
+  return files;
+}
+
+/**
+ * Lists the attachments of a MIME email, skipping inline parts such as logos
+ * @param {Buffer} buffer - Raw RFC 822 message
+ * @returns {Promise<Array<{buffer: Buffer, filename: string, contentType: string}>>} Attached files
+ */
+async function emlAttachments(buffer) {
+  const { simpleParser } = await import('mailparser');
+  const mail = await simpleParser(buffer);
+  return (mail.attachments || [])
+    .filter(part => part.contentDisposition !== 'inline' || part.contentType === 'application/pdf')
+    .map((part, index) => ({
+      buffer: part.content,
+      filename: part.filename || `attachment_${index + 1}`,
+      contentType: part.contentType
+    }));
+}
+
+/**
+ * Lists the attachments of an Outlook message, including embedded messages
+ * @param {Buffer} buffer - .msg file content
+ * @returns {Promise<Array<{buffer: Buffer, filename: string}>>} Attached files
+ */
+async function msgAttachments(buffer) {
+  const { default: msgReaderModule } = await import('@kenjiuno/msgreader');
+  const MsgReader = msgReaderModule.default || msgReaderModule;
+  const reader = new MsgReader(buffer);
+  const message = reader.getFileData();
+  if (message.error) throw new Error(message.error);
+  const { attachments = [] } = message;
+
+  return attachments
+    .filter(attachment => !attachment.attachmentHidden)
+    .map((attachment, index) => {
+      const file = reader.getAttachment(attachment);
+      const fallback = attachment.innerMsgContent ? `message_${index + 1}.msg` : `attachment_${index + 1}`;
+      return { buffer: Buffer.from(file.content), filename: file.fileName || fallback };
+    });
+}
+
+/**
+ * Expands an attachment into the documents it contains. Plain documents are
+ * returned unchanged; ZIP archives and emails are unpacked recursively.
+ * Files that are neither invoices nor containers (signatures, .txt, ...) are dropped.
+ * @param {Attachment} attachment - Attachment to expand
+ * @returns {Promise<{documents: Attachment[], errors: Array<{filename: string, container?: string, error: string}>}>}
+ *   Documents to process and the containers that could not be unpacked
+ */
+export async function expandAttachment(attachment) {
+  const documents = [];
+  const errors = [];
+  const budget = { entries: MAX_ENTRIES, bytes: MAX_UNPACKED_BYTES };
+
+  async function visit(item, depth) {
+    const kind = containerKind(item.contentType, item.filename);
+    if (!kind) {
+      documents.push(item);
+      return;
+    }
+
+    const container = item.container ? `${item.container}/${item.filename}` : item.filename;
+    try {
+      if (depth >= MAX_DEPTH) throw new Error(`Containers nested deeper than ${MAX_DEPTH} levels`);
+
+      console.log(`INFO: Unpacking ${kind} container ${container}`);
+      let children;
+      if (kind === 'zip') {
+        children = await unzip(item.buffer, budget);
+      } else {
+        // Parsers hold the decoded parts in memory, roughly the size of the message itself
+        charge(budget, item.buffer.length);
+        children = kind === 'eml' ? await emlAttachments(item.buffer) : await msgAttachments(item.buffer);
+        charge(budget, 0, children.length);
+      }
+
+      const supported = children
+        .map(child => {
+          const guessed = guessContentType(child.filename);
+          // Mail clients often label everything application/octet-stream; the extension is more telling
+          const contentType = !child.contentType || child.contentType === 'application/octet-stream'
+            ? guessed
+            : child.contentType;
+          return { ...child, contentType, container };
+        })
+        .filter(child => {
+          if (isSupported(child.contentType, child.filename)) return true;
+          console.log(`INFO: Ignoring ${child.filename} in ${container}, not an invoice document`);
+          return false;
+        });
+
+      if (supported.length === 0) {
+        errors.push({ filename: item.filename, ...(item.container && { container: item.container }), error: 'No invoice documents found inside' });
+        return;
+      }
+      for (const child of supported) await visit(child, depth + 1);
+    } catch (err) {
+      console.warn(`WARNING: Could not unpack ${container}:`, err.message);
+      errors.push({ filename: item.filename, ...(item.container && { container: item.container }), error: `Could not unpack: ${err.message}` });
+    }
+  }
+
+  await visit(attachment, 0);
+  return { documents, errors };
+}
@@ -4,65 +4,288 @@
  *
  * This module facilitates:
  *   1. Verification and creation of the invoice data repository (CSV file)
- *   2. Secure append operations to maintain invoice records
+ *   2. Secure append operations to maintain invoice records, guarded by the
+ *      ledger's eTag so concurrent writers never overwrite each other's rows
  */
 
 import { stringify } from 'csv-stringify/sync';
+import { parse } from 'csv-parse/sync';
 import 'isomorphic-fetch';
+import { driveRoot, updateDriveFile } from './onedrive.js';
 
-// Configuration for OneDrive API access
-const userId = process.env.ONEDRIVE_USER_ID;  // Organization user identifier
-const driveRoot = `/users/${userId}/drive`;
+/** Name of the ledger file kept in every year.month folder */
+export const CSV_FILENAME = 'invoices.csv';
 
 /**
- * Ensures the existence of the invoice data repository file
+ * Returns the name of the yearly ledger kept in the invoice root folder
+ * @param {number|string} year - Year
+ * @returns {string} File name such as `invoices-2025.csv`
+ */
+export function yearLedgerName(year) {
+  return `invoices-${year}.csv`;
+}
+
+/** Column headers of the ledger file */
+export const CSV_HEADER = [
+  'Timestamp', 'Invoice Date', 'Seller', 'Total', 'Tax', 'Payment Method',
+  'Invoice Number', 'Currency', 'Net Amount', 'Due Date',
+  'Seller VAT ID', 'Buyer VAT ID', 'Seller Address', 'Line Items', 'Tax Rate'
+];
+
+/**
+ * Builds a ledger row in CSV_HEADER order from extracted invoice data
+ * @param {Object} data - Extracted invoice data
+ * @param {string} [timestamp] - Processing timestamp, defaults to now
+ * @returns {Array<string>} Ledger row
+ */
+export function toCsvRow(data, timestamp = new Date().toISOString()) {
+  const lineItems = Array.isArray(data.line_items) && data.line_items.length
+    ? JSON.stringify(data.line_items)
+    : '';
+
+  return [
+    timestamp,
+    data.invoice_date,
+    data.seller,
+    data.total,
+    data.tax,
+    data.payment_method,
+    data.invoice_number,
+    data.currency,
+    data.net_amount,
+    data.due_date,
+    data.seller_vat_id,
+    data.buyer_vat_id,
+    data.seller_address,
+    lineItems,
+    data.tax_rate
+  ].map(value => value ?? '');
+}
+
+/**
+ * Upgrades ledger content written with an older header to CSV_HEADER.
+ * Older ledgers always hold a prefix of the current columns, so existing rows
+ * are padded with empty cells and nothing is reordered. Columns someone added
+ * after ours, e.g. the accountant's notes, are kept behind the new ones.
+ * @param {string} content - Current ledger file content
+ * @returns {string|null} Migrated content, or null if the ledger is already current
+ * @throws {Error} If the header is not a known ledger layout
+ */
+export function migrateLedger(content) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const options = { relax_column_count: true, record_delimiter: ['\r\n', '\n'] };
+
+  // Only the header is needed to tell whether anything has to change
+  const [header] = parse(content.slice(bom.length), { ...options, to_line: 1 });
+  if (!header) return null;
+
+  const mismatch = header.findIndex((col, i) => i >= CSV_HEADER.length || col.trim() !== CSV_HEADER[i]);
+  const known = mismatch === -1 ? header.length : mismatch;
+  const extra = header.slice(known);
+  if (!known || extra.some(col => CSV_HEADER.includes(col.trim()))) {
+    throw new Error(`Unrecognized ${CSV_FILENAME} header: ${header.join(', ')}`);
+  }
+  if (known === CSV_HEADER.length) return null;
+
+  const [, ...rows] = parse(content.slice(bom.length), options);
+  const padded = rows.map(row => {
+    const own = row.slice(0, known);
+    return [...own, ...Array(CSV_HEADER.length - own.length).fill(''), ...row.slice(known)];
+  });
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  return bom + stringify([[...CSV_HEADER, ...extra], ...padded], { record_delimiter: eol });
+}
+
+/**
+ * Parses ledger content into data rows
+ * @param {Buffer|string|null} content - Ledger file content
+ * @returns {string[][]} Data rows without the header; empty for a missing ledger
+ */
+export function parseLedger(content) {
+  if (!content) return [];
+  const [, ...rows] = parse(content.toString('utf8'), {
+    bom: true,
+    relax_column_count: true,
+    record_delimiter: ['\r\n', '\n']
+  });
+  return rows;
+}
+
+/**
+ * Replaces (or deletes) the row with a given timestamp in ledger content.
+ * The header record, BOM and line endings stay as they are, so a ledger
+ * someone saved from Excel keeps opening the same way.
+ * @param {Buffer|null} content - Ledger file content
+ * @param {string} timestamp - Timestamp in the first column, identifies the row
+ * @param {Array|null|((current: string[]) => Array|null)} row - New row, null to delete it, or a function
+ *   that gets the current row and returns the new one
+ * @returns {Buffer|null} New content, or null if no row has that timestamp
+ */
+export function replaceRow(content, timestamp, row) {
+  if (!content) return null;
+  const text = content.toString('utf8');
+  const bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const [header, ...rows] = parse(text.slice(bom.length), {
+    relax_column_count: true,
+    record_delimiter: ['\r\n', '\n']
+  });
+  const index = rows.findIndex(item => item[0] === timestamp);
+  if (index === -1) return null;
+  const next = typeof row === 'function' ? row(rows[index]) : row;
+  rows.splice(index, 1, ...(next ? [next] : []));
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  return Buffer.from(bom + stringify([header, ...rows], { record_delimiter: eol }), 'utf8');
+}
+
+/**
+ * Ledger operations on the monthly `invoices.csv` files of a storage backend
+ * and the yearly `invoices-YYYY.csv` next to them, built on its CSV and root
+ * file operations. The monthly ledger is the record; the yearly one follows
+ * it, and a failure there is logged rather than failing the booking (it can be
+ * rebuilt with `scripts/reports.js rebuild`).
+ * @param {Object} storage - Backend with ensureRootFolder, ensureCsvFile, appendCsvRow, readRootFile,
+ *   writeRootFile and updateRootFile
+ * @returns {Pick<import('./storage.js').InvoiceStorage,
+ *   'appendLedgerRow'|'readLedgerRows'|'replaceLedgerRow'|'readYearLedgerRows'|'writeYearLedger'>} Ledger operations
+ */
+export function csvLedger(storage) {
+  const followYear = async (year, update) => {
+    try {
+      await update(yearLedgerName(year));
+    } catch (err) {
+      console.warn(`WARNING: Yearly ledger ${yearLedgerName(year)} not updated, rebuild it with "node scripts/reports.js rebuild ${year}":`, err.message);
+    }
+  };
+
+  return {
+    async appendLedgerRow(folderId, invoiceDate, row) {
+      await storage.appendCsvRow(await storage.ensureCsvFile(folderId), row);
+      await followYear(new Date(invoiceDate).getUTCFullYear(), async name => {
+        await storage.appendCsvRow(await storage.ensureCsvFile(await storage.ensureRootFolder(), name), row);
+      });
+    },
+    async readLedgerRows(folder) {
+      return parseLedger(await storage.readRootFile(`${folder}/${CSV_FILENAME}`));
+    },
+    async replaceLedgerRow(folder, timestamp, row) {
+      // Conditional updates: a row appended meanwhile is not lost by writing back an older copy.
+      // The yearly ledger gets the row the monthly one ended up with
+      let written = row;
+      const change = typeof row === 'function' ? current => (written = row(current)) : row;
+      const replaced = await storage.updateRootFile(`${folder}/${CSV_FILENAME}`, content => replaceRow(content, timestamp, change));
+      if (!replaced) return false;
+      await followYear(folder.slice(0, 4), name => storage.updateRootFile(name, content => replaceRow(content, timestamp, written)));
+      return true;
+    },
+    async readYearLedgerRows(year) {
+      return parseLedger(await storage.readRootFile(yearLedgerName(year)));
+    },
+    async writeYearLedger(year, rows) {
+      await storage.writeRootFile(yearLedgerName(year), Buffer.from(stringify([CSV_HEADER, ...rows]), 'utf8'));
+    }
+  };
+}
+
+/**
+ * Ensures the existence of the invoice data repository file. The ledger is
+ * looked up by its path and created with conflictBehavior `fail`, so when two
+ * first bookings of a month race, the second one finds the ledger the first
+ * one created instead of overwriting its row.
  * @param {Object} graph - Microsoft Graph client instance
  * @param {string} folderId - Target folder identifier
+ * @param {string} [filename='invoices.csv'] - Ledger file name
  * @returns {Promise<string>} File identifier of the invoice CSV
  */
-export async function ensureCsvFile(graph, folderId) {
-  // Validate existence of invoice repository
-  const children = await graph
-    .api(`${driveRoot}/items/${folderId}/children?$select=name,id`)
-    .get();
+export async function ensureCsvFile(graph, folderId, filename = CSV_FILENAME) {
+  const item = `${driveRoot()}/items/${folderId}:/${filename}:`;
 
-  const csv = children.value.find(c => c.name === 'invoices.csv');
+  // Validate existence of invoice repository
+  let csv = null;
+  try {
+    csv = await graph.api(item).select('id').get();
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
   if (csv) return csv.id;
 
   // Initialize repository with appropriate headers
-  const header = stringify([
-    ['Timestamp', 'Invoice Date', 'Seller', 'Total', 'Tax', 'Payment Method']
-  ]);
+  const header = stringify([CSV_HEADER]);
 
-  const res = await graph
-    .api(`${driveRoot}/items/${folderId}:/${'invoices.csv'}:/content`)
+  try {
+    const res = await graph
+      .api(`${item}/content`)
+      .query({ '@microsoft.graph.conflictBehavior': 'fail' })
+      .header('Content-Type', 'application/octet-stream')
+      .put(Buffer.from(header, 'utf8'));
+    return res.id;
+  } catch (error) {
+    // Created by a concurrent booking in the meantime
+    if (error.statusCode !== 409) throw error;
+    return (await graph.api(item).select('id').get()).id;
+  }
+}
+
+/**
+ * Keeps a copy of a ledger next to it before a migration rewrites it
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} fileId - Invoice CSV file identifier
+ * @param {Buffer} original - Ledger content before the migration
+ * @returns {Promise<void>}
+ */
+async function backupCsvFile(graph, fileId, original) {
+  const { parentReference } = await graph.api(`${driveRoot()}/items/${fileId}`).select('parentReference').get();
+  await graph
+    .api(`${driveRoot()}/items/${parentReference.id}:/${backupName()}:/content`)
+    .query({ '@microsoft.graph.conflictBehavior': 'rename' })
     .header('Content-Type', 'application/octet-stream')
-    .put(Buffer.from(header, 'utf8'));
+    .put(original);
+}
 
-  return res.id;
+/**
+ * Returns the file name used for the pre-migration ledger backup
+ * @returns {string} Backup file name
+ */
+export function backupName() {
+  return `invoices.backup-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
 }
 
 /**
- * Appends transaction data to the invoice repository
+ * Returns the bytes that append a row to a ledger, in the ledger's own line
+ * endings. A ledger saved without a final line break (e.g. by Excel) gets one first.
+ * @param {Buffer} existing - Current ledger content
+ * @param {Array} row - Ledger row
+ * @returns {Buffer} Bytes to append
+ */
+export function ledgerRowBytes(existing, row) {
+  const eol = existing.includes('\r\n') ? '\r\n' : '\n';
+  const last = existing.length ? existing[existing.length - 1] : 0x0a;
+  const lead = last === 0x0a || last === 0x0d ? '' : eol;
+  return Buffer.from(lead + stringify([row], { record_delimiter: eol }), 'utf8');
+}
+
+/**
+ * Appends transaction data to the invoice repository. The upload only goes
+ * through if the ledger is still the version that was read, see
+ * {@link updateDriveFile}; when someone else changed it in between, e.g. a
+ * parallel upload or a colleague saving it in Excel, the append starts over
+ * on the new version. A ledger with an older header is migrated in the same
+ * write, after a backup of the original is stored next to it.
  * @param {Object} graph - Microsoft Graph client instance
  * @param {string} fileId - Invoice CSV file identifier
  * @param {Array} row - Transaction data to be recorded
- * @returns {Promise<void>}
+ * @returns {Promise<void>} Resolves once the updated ledger is stored
+ * @throws {Error} If the ledger is gone, the upload fails, or the ledger keeps changing
  */
 export async function appendCsvRow(graph, fileId, row) {
-  // Retrieve current repository data
-  const csvArrayBuffer = await graph
-    .api(`${driveRoot}/items/${fileId}/content`)
-    .responseType('arraybuffer')
-    .get();
-
-  // Process data for update operation
-  const existing = Buffer.from(csvArrayBuffer).toString('utf8');
-  const updated = existing + stringify([row]);
-
-  // Commit updated repository
-  await graph
-    .api(`${driveRoot}/items/${fileId}/content`)
-    .header('Content-Type', 'application/octet-stream')
-    .put(Buffer.from(updated, 'utf8'));
+  await updateDriveFile(graph, `${driveRoot()}/items/${fileId}`, async existing => {
+    if (!existing) throw new Error(`${CSV_FILENAME} ${fileId} no longer exists`);
+    const migrated = migrateLedger(existing.toString('utf8'));
+    if (migrated !== null) {
+      await backupCsvFile(graph, fileId, existing);
+      console.log(`INFO: Migrating ${CSV_FILENAME} ${fileId} to the current header`);
+    }
+    const current = migrated === null ? existing : Buffer.from(migrated, 'utf8');
+    // Appended to the original bytes, so BOM and line endings stay as they are
+    return Buffer.concat([current, ledgerRowBytes(current, row)]);
+  }, CSV_FILENAME);
 }
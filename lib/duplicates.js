@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Duplicate invoice detection.
+ * @module lib/duplicates
+ *
+ * Every stored document is fingerprinted twice: a SHA-256 of the file bytes
+ * (exact duplicate) and a fuzzy key built from seller, invoice date, total and
+ * invoice number (the same invoice arriving as a different file, e.g. a phone
+ * photo of a PDF that was already emailed). Fingerprints are kept in a JSON
+ * index at the storage root.
+ */
+
+import { createHash } from 'crypto';
+
+/** Name of the fingerprint index kept at the storage root */
+export const FINGERPRINT_INDEX = 'fingerprints.json';
+
+// Legal-form tokens ignored when comparing seller names
+const LEGAL_FORMS = new Set([
+  'ag', 'bv', 'co', 'corp', 'gmbh', 'inc', 'kg', 'llc', 'ltd', 'nv', 'oy',
+  'plc', 'sa', 'sarl', 'sas', 'shpk', 'spa', 'srl', 'ug'
+]);
+
+/**
+ * Computes the exact-match fingerprint of a document.
+ * @param {Buffer} buffer - File content
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export function contentHash(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Normalizes a seller name for fuzzy comparison.
+ * @param {string} seller - Seller name as extracted
+ * @returns {string} Lowercase name without accents, punctuation or legal form
+ */
+function normalizeSeller(seller = '') {
+  return String(seller)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !LEGAL_FORMS.has(token))
+    .join(' ');
+}
+
+/**
+ * Normalizes an amount to a two-decimal string.
+ * @param {string|number} value - Amount as extracted
+ * @returns {string} Amount with two decimals, or '' if not numeric
+ */
+function normalizeAmount(value) {
+  const number = Number(String(value ?? '').replace(/[^\d.-]/g, ''));
+  return value === '' || value == null || Number.isNaN(number) ? '' : number.toFixed(2);
+}
+
+/**
+ * Builds the fuzzy fingerprint of an extracted invoice.
+ * @param {Object} data - Extracted invoice data
+ * @returns {{seller: string, date: string, total: string, number: string}} Normalized key parts
+ */
+export function fuzzyKey(data = {}) {
+  return {
+    seller: normalizeSeller(data.seller),
+    date: String(data.invoice_date ?? '').slice(0, 10),
+    total: normalizeAmount(data.total),
+    number: String(data.invoice_number ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+  };
+}
+
+/**
+ * Tells whether two fuzzy keys describe the same invoice. Seller, date and
+ * total must agree; invoice numbers only count when both sides have one.
+ * @param {Object} a - Fuzzy key
+ * @param {Object} b - Fuzzy key
+ * @returns {boolean} True if the keys match
+ */
+function sameInvoice(a, b) {
+  if (!a || !b || !a.seller || !a.date || !a.total) return false;
+  if (a.seller !== b.seller || a.date !== b.date || a.total !== b.total) return false;
+  return !a.number || !b.number || a.number === b.number;
+}
+
+/**
+ * Loads the fingerprint index from storage.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @returns {Promise<Object[]>} Recorded fingerprints
+ */
+export async function loadFingerprints(storage) {
+  return parseFingerprints(await storage.readRootFile(FINGERPRINT_INDEX));
+}
+
+/**
+ * Parses the content of the fingerprint index.
+ * @param {Buffer|null} content - Index file content
+ * @returns {Object[]} Recorded fingerprints; empty for a missing index
+ * @throws {Error} If the index is not valid JSON, so it is never overwritten from a bad read
+ */
+function parseFingerprints(content) {
+  if (!content) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content.toString('utf8'));
+  } catch (err) {
+    throw new Error(`Unreadable ${FINGERPRINT_INDEX}: ${err.message}`);
+  }
+  if (!Array.isArray(parsed?.entries)) throw new Error(`Unreadable ${FINGERPRINT_INDEX}: no "entries" list`);
+  return parsed.entries;
+}
+
+/**
+ * Looks up a document in the fingerprint index.
+ * @param {Object[]} entries - Recorded fingerprints
+ * @param {Object} candidate
+ * @param {string} candidate.hash - Content hash of the document
+ * @param {Object} [candidate.data] - Extracted invoice data, enables the fuzzy check
+ * @returns {{type: 'exact'|'near', recordedAt: string, filename: string}|null} Matching record, if any
+ */
+export function findDuplicate(entries, { hash, data }) {
+  const exact = entries.find(entry => entry.hash === hash);
+  if (exact) return { type: 'exact', recordedAt: exact.recordedAt, filename: exact.filename };
+
+  if (!data) return null;
+  const key = fuzzyKey(data);
+  const near = entries.find(entry => sameInvoice(key, entry.key));
+  return near ? { type: 'near', recordedAt: near.recordedAt, filename: near.filename } : null;
+}
+
+/**
+ * Applies a change to the fingerprint index with a conditional write, so
+ * documents finishing at the same time never drop each other's entries.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {(entries: Object[]) => *} change - Mutates the list, its return value is passed through;
+ *   runs again on the current index if it changed meanwhile
+ * @returns {Promise<*>} Return value of `change`
+ */
+export async function updateFingerprints(storage, change) {
+  let result;
+  await storage.updateRootFile(FINGERPRINT_INDEX, content => {
+    const entries = parseFingerprints(content);
+    result = change(entries);
+    return Buffer.from(JSON.stringify({ entries }, null, 2), 'utf8');
+  });
+  return result;
+}
+
+/**
+ * Adds a stored document to the fingerprint index. Besides the fingerprints, the entry remembers where the booking lives (month folder and
+ * ledger row timestamp) and who sent it, so it can be listed, corrected or undone.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} record
+ * @param {string} record.hash - Content hash of the document
+ * @param {Object} record.data - Extracted invoice data
+ * @param {string} record.filename - Name the document was stored under
+ * @param {string} [record.folder] - Year.month folder of the document and its ledger
+ * @param {string} [record.row] - Timestamp column of the ledger row
+ * @param {string} [record.xml] - Name of the e-invoice XML stored next to the document
+ * @param {string} [record.sender] - Phone number or email address of the sender
+ * @returns {Promise<void>}
+ */
+export async function recordFingerprint(storage, { hash, data, filename, folder, row, xml, sender }) {
+  await updateFingerprints(storage, entries => entries.push({
+    hash,
+    key: fuzzyKey(data),
+    filename,
+    invoiceDate: data.invoice_date,
+    seller: data.seller,
+    total: data.total,
+    currency: data.currency,
+    ...(folder && { folder }),
+    ...(row && { row }),
+    ...(xml && { xml }),
+    ...(sender && { sender }),
+    recordedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Describes a duplicate match for user-facing replies.
+ * @param {{type: string, recordedAt: string}} duplicate - Result of findDuplicate
+ * @returns {string} Short note, e.g. "already recorded on 2025-09-10"
+ */
+export function describeDuplicate(duplicate) {
+  const date = String(duplicate?.recordedAt ?? '').slice(0, 10) || 'an earlier date';
+  return duplicate?.type === 'near'
+    ? `possibly already recorded on ${date}`
+    : `already recorded on ${date}`;
+}
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Deterministic parsing of EN 16931 structured e-invoices.
+ * @module lib/eInvoice
+ *
+ * Supports the two syntaxes allowed by EN 16931:
+ *   - UBL 2.1 (Peppol BIS Billing, XRechnung UBL): `<Invoice>` / `<CreditNote>`
+ *   - UN/CEFACT CII (ZUGFeRD, Factur-X, XRechnung CII): `<CrossIndustryInvoice>`
+ * Plain XML files are parsed directly; PDFs are searched for an embedded
+ * Factur-X/ZUGFeRD attachment. The result has the same shape as the model
+ * output and goes through the same validation, without any AI call.
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { validateInvoice } from './invoiceValidator.js';
+
+// File names used by ZUGFeRD 1/2, Factur-X and XRechnung for the embedded XML
+const EMBEDDED_XML_NAMES = ['factur-x.xml', 'zugferd-invoice.xml', 'xrechnung.xml', 'zugferd_invoice.xml'];
+
+// UNTDID 4461 payment means codes
+const PAYMENT_MEANS = {
+  10: 'Cash',
+  20: 'Cheque',
+  30: 'Bank Transfer',
+  31: 'Bank Transfer',
+  42: 'Bank Transfer',
+  48: 'Credit Card',
+  49: 'Direct Debit',
+  54: 'Credit Card',
+  55: 'Debit Card',
+  57: 'Standing Order',
+  58: 'Bank Transfer',
+  59: 'Direct Debit',
+  68: 'Online Payment'
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: name => ['InvoiceLine', 'CreditNoteLine', 'TaxSubtotal', 'TaxTotal', 'PaymentMeans',
+    'IncludedSupplyChainTradeLineItem', 'ApplicableTradeTax', 'SpecifiedTaxRegistration',
+    'TaxTotalAmount', 'SpecifiedTradeSettlementPaymentMeans', 'SpecifiedTradePaymentTerms'].includes(name)
+});
+
+/**
+ * Tells whether an attachment is an XML document
+ * @param {string} contentType - MIME type
+ * @param {string} [filename] - File name
+ * @returns {boolean} True for XML content
+ */
+export function isXmlDocument(contentType = '', filename = '') {
+  return /[/+]xml\b/i.test(contentType) || /\.xml$/i.test(filename);
+}
+
+/**
+ * Returns the text content of a parsed XML node
+ * @param {*} node - Parsed node (string, object with #text, or array)
+ * @returns {string} Text content or ''
+ */
+function text(node) {
+  if (Array.isArray(node)) return text(node[0]);
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+}
+
+/**
+ * Walks a path of element names, taking the first element at every array
+ * @param {Object} node - Starting node
+ * @param {...string} names - Element names
+ * @returns {*} Node at the end of the path or undefined
+ */
+function at(node, ...names) {
+  let current = node;
+  for (const name of names) {
+    if (Array.isArray(current)) current = current[0];
+    if (!current || typeof current !== 'object') return undefined;
+    current = current[name];
+  }
+  return current;
+}
+
+/**
+ * Converts a CII date (format 102, YYYYMMDD) to ISO
+ * @param {*} node - DateTimeString node
+ * @returns {string} ISO date or the raw value
+ */
+function ciiDate(node) {
+  const value = text(node);
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+}
+
+/**
+ * Joins address parts into a single line
+ * @param {...string} parts - Address parts
+ * @returns {string} Address line
+ */
+function joinAddress(...parts) {
+  return parts.map(part => part.trim()).filter(Boolean).join(', ');
+}
+
+/**
+ * Maps a UBL Invoice or CreditNote to the extraction shape
+ * @param {Object} doc - Parsed root element
+ * @param {boolean} creditNote - Whether the document is a credit note
+ * @returns {Object} Raw invoice fields
+ */
+function fromUbl(doc, creditNote) {
+  const supplier = at(doc, 'AccountingSupplierParty', 'Party');
+  const customer = at(doc, 'AccountingCustomerParty', 'Party');
+  const address = at(supplier, 'PostalAddress') || {};
+  const totals = at(doc, 'LegalMonetaryTotal') || {};
+  const taxTotal = (doc.TaxTotal || []).find(total => total.TaxSubtotal) || (doc.TaxTotal || [])[0] || {};
+  const lines = doc[creditNote ? 'CreditNoteLine' : 'InvoiceLine'] || [];
+  const sign = creditNote ? '-' : '';
+
+  return {
+    invoice_number: text(doc.ID),
+    invoice_date: text(doc.IssueDate),
+    due_date: text(doc.DueDate) || text(at(doc, 'PaymentMeans', 'PaymentDueDate')),
+    currency: text(doc.DocumentCurrencyCode),
+    seller: text(at(supplier, 'PartyLegalEntity', 'RegistrationName')) || text(at(supplier, 'PartyName', 'Name')),
+    seller_vat_id: text(at(supplier, 'PartyTaxScheme', 'CompanyID')),
+    buyer_vat_id: text(at(customer, 'PartyTaxScheme', 'CompanyID')),
+    seller_address: joinAddress(
+      text(address.StreetName),
+      `${text(address.PostalZone)} ${text(address.CityName)}`,
+      text(at(address, 'Country', 'IdentificationCode'))
+    ),
+    total: sign + (text(totals.PayableAmount) || text(totals.TaxInclusiveAmount)),
+    net_amount: sign + text(totals.TaxExclusiveAmount),
+    tax: sign + text(taxTotal.TaxAmount),
+    tax_rate: text(at(taxTotal, 'TaxSubtotal', 'TaxCategory', 'Percent')),
+    payment_method: PAYMENT_MEANS[text(at(doc, 'PaymentMeans', 'PaymentMeansCode'))] || '',
+    line_items: lines.map(line => ({
+      description: text(at(line, 'Item', 'Name')) || text(at(line, 'Item', 'Description')),
+      quantity: text(line.InvoicedQuantity) || text(line.CreditedQuantity),
+      unit_price: text(at(line, 'Price', 'PriceAmount')),
+      amount: sign + text(line.LineExtensionAmount)
+    }))
+  };
+}
+
+/**
+ * Picks the VAT registration (scheme "VA") out of a CII trade party
+ * @param {Object} party - Trade party node
+ * @returns {string} VAT ID or ''
+ */
+function ciiVatId(party) {
+  const registrations = at(party, 'SpecifiedTaxRegistration') || [];
+  const list = Array.isArray(registrations) ? registrations : [registrations];
+  const vat = list.find(reg => at(reg, 'ID', '@_schemeID') === 'VA') || list[0];
+  return text(at(vat, 'ID'));
+}
+
+/**
+ * Maps a CII CrossIndustryInvoice to the extraction shape
+ * @param {Object} doc - Parsed root element
+ * @returns {Object} Raw invoice fields
+ */
+function fromCii(doc) {
+  const header = at(doc, 'ExchangedDocument') || {};
+  const transaction = at(doc, 'SupplyChainTradeTransaction') || {};
+  const agreement = at(transaction, 'ApplicableHeaderTradeAgreement') || {};
+  const settlement = at(transaction, 'ApplicableHeaderTradeSettlement') || {};
+  const seller = at(agreement, 'SellerTradeParty') || {};
+  const address = at(seller, 'PostalTradeAddress') || {};
+  const summation = at(settlement, 'SpecifiedTradeSettlementHeaderMonetarySummation') || {};
+  const currency = text(settlement.InvoiceCurrencyCode);
+  const taxTotals = summation.TaxTotalAmount || [];
+  const taxTotal = taxTotals.find(amount => amount?.['@_currencyID'] === currency) || taxTotals[0];
+  // Type code 381 is a credit note
+  const sign = text(header.TypeCode) === '381' ? '-' : '';
+
+  return {
+    invoice_number: text(header.ID),
+    invoice_date: ciiDate(at(header, 'IssueDateTime', 'DateTimeString')),
+    due_date: ciiDate(at(settlement, 'SpecifiedTradePaymentTerms', 'DueDateDateTime', 'DateTimeString')),
+    currency,
+    seller: text(seller.Name),
+    seller_vat_id: ciiVatId(seller),
+    buyer_vat_id: ciiVatId(at(agreement, 'BuyerTradeParty')),
+    seller_address: joinAddress(
+      text(address.LineOne),
+      `${text(address.PostcodeCode)} ${text(address.CityName)}`,
+      text(address.CountryID)
+    ),
+    total: sign + text(summation.GrandTotalAmount),
+    net_amount: sign + text(summation.TaxBasisTotalAmount),
+    tax: sign + text(taxTotal),
+    tax_rate: text(at(settlement, 'ApplicableTradeTax', 'RateApplicablePercent')),
+    payment_method: PAYMENT_MEANS[text(at(settlement, 'SpecifiedTradeSettlementPaymentMeans', 'TypeCode'))] || '',
+    line_items: (transaction.IncludedSupplyChainTradeLineItem || []).map(line => ({
+      description: text(at(line, 'SpecifiedTradeProduct', 'Name')),
+      quantity: text(at(line, 'SpecifiedLineTradeDelivery', 'BilledQuantity')),
+      unit_price: text(at(line, 'SpecifiedLineTradeAgreement', 'NetPriceProductTradePrice', 'ChargeAmount')),
+      amount: sign + text(at(line, 'SpecifiedLineTradeSettlement', 'SpecifiedTradeSettlementLineMonetarySummation', 'LineTotalAmount'))
+    }))
+  };
+}
+
+/**
+ * Parses a UBL or CII e-invoice into validated invoice data
+ * @param {Buffer|string} xml - XML document
+ * @returns {import('./extraction.js').ExtractionResult & {syntax: string}} Validated result
+ * @throws {Error} If the XML is malformed or not a supported e-invoice
+ */
+export function parseEInvoice(xml) {
+  let parsed;
+  try {
+    // Without validation a broken document parses into whatever elements were closed
+    parsed = parser.parse(Buffer.isBuffer(xml) ? xml.toString('utf8') : xml, true);
+  } catch (err) {
+    throw new Error(`Malformed XML document: ${err.message}`);
+  }
+
+  let raw;
+  let syntax;
+  if (parsed.Invoice) {
+    raw = fromUbl(parsed.Invoice, false);
+    syntax = 'ubl';
+  } else if (parsed.CreditNote) {
+    raw = fromUbl(parsed.CreditNote, true);
+    syntax = 'ubl';
+  } else if (parsed.CrossIndustryInvoice) {
+    raw = fromCii(parsed.CrossIndustryInvoice);
+    syntax = 'cii';
+  } else {
+    const root = Object.keys(parsed).find(key => !key.startsWith('?')) || 'empty document';
+    throw new Error(`XML document is not a UBL or CII e-invoice (root element: ${root})`);
+  }
+
+  // Strip the sign again from fields that were empty to begin with
+  for (const field of ['total', 'net_amount', 'tax']) {
+    if (raw[field] === '-') raw[field] = '';
+  }
+  raw.line_items = raw.line_items.map(line => ({ ...line, amount: line.amount === '-' ? '' : line.amount }));
+
+  return { ...validateInvoice(raw), attempts: 0, source: 'e-invoice', syntax };
+}
+
+/**
+ * Looks for an embedded Factur-X / ZUGFeRD / XRechnung XML in a PDF
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<{filename: string, content: Buffer}|null>} Embedded invoice XML, if any
+ */
+export async function findEmbeddedInvoiceXml(buffer) {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  let document;
+  try {
+    document = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+  } catch (err) {
+    console.warn('WARNING: Could not open PDF to look for embedded e-invoice XML:', err.message);
+    return null;
+  }
+
+  try {
+    const attachments = Object.values((await document.getAttachments()) || {});
+    const xmlFiles = attachments.filter(file => /\.xml$/i.test(file.filename || ''));
+    const match = xmlFiles.find(file => EMBEDDED_XML_NAMES.includes(file.filename.toLowerCase())) ||
+      xmlFiles.find(file => /CrossIndustryInvoice|urn:oasis:names:specification:ubl/.test(
+        Buffer.from(file.content).toString('utf8', 0, 2048)
+      ));
+    return match ? { filename: match.filename, content: Buffer.from(match.content) } : null;
+  } finally {
+    await document.destroy();
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Excel workbook ledger in OneDrive, written through the Graph workbook API.
+ * @module lib/excelDrive
+ *
+ * The alternative to `invoices.csv` for `LEDGER_FORMAT=xlsx`: an
+ * `invoices.xlsx` per month folder and an `invoices-YYYY.xlsx` per year in the
+ * invoice root folder (only the yearly one with `LEDGER_XLSX_SCOPE=year`),
+ * each holding an Excel table named `Invoices` with the columns of
+ * {@link module:csvDrive.CSV_HEADER}.
+ * Dates are stored as real Excel dates and amounts as numbers, so nothing
+ * depends on the locale of whoever opens the file, and the table keeps its
+ * filters and sorting. Rows are added with the table API, which appends on
+ * the server, so parallel bookings cannot overwrite each other.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { CSV_HEADER } from './csvDrive.js';
+import { driveRoot, WRITE_ATTEMPTS } from './onedrive.js';
+
+/** Name of the monthly workbook */
+export const XLSX_FILENAME = 'invoices.xlsx';
+
+const TABLE = 'Invoices';
+const SHEET = 'Invoices';
+
+// Excel counts days from 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_COLUMNS = new Set(['Invoice Date', 'Due Date']);
+const AMOUNT_COLUMNS = new Set(['Total', 'Tax', 'Net Amount']);
+const NUMBER_COLUMNS = new Set(['Tax Rate']);
+
+const DATE_FORMAT = 'yyyy-mm-dd';
+const AMOUNT_FORMAT = '#,##0.00';
+
+/** Number format of every column, in CSV_HEADER order */
+const COLUMN_FORMATS = CSV_HEADER.map(column => {
+  if (DATE_COLUMNS.has(column)) return DATE_FORMAT;
+  if (AMOUNT_COLUMNS.has(column)) return AMOUNT_FORMAT;
+  if (NUMBER_COLUMNS.has(column)) return 'General';
+  return '@';
+});
+
+/**
+ * Returns the column letter of a zero-based column index (up to 26 columns)
+ * @param {number} index - Column index
+ * @returns {string} Letter such as `A`
+ */
+function columnLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * Returns the workbook a ledger row goes to
+ * @param {string} root - Invoice root folder below the drive root
+ * @param {string|Date} invoiceDate - Invoice date
+ * @param {'month'|'year'} [scope='month'] - One workbook per month folder or per year
+ * @returns {string} Path below the drive root, e.g. `Invoices/2025.09/invoices.xlsx`
+ */
+export function workbookPath(root, invoiceDate, scope = 'month') {
+  const iso = new Date(invoiceDate).toISOString();
+  return scope === 'year'
+    ? `${root}/invoices-${iso.slice(0, 4)}.xlsx`
+    : `${root}/${iso.slice(0, 7).replace('-', '.')}/${XLSX_FILENAME}`;
+}
+
+/**
+ * Converts a ledger row to typed cell values: ISO dates become Excel dates,
+ * amounts and rates numbers; anything that does not parse stays text. Text
+ * gets Excel's `'` prefix, so a seller named `=HYPERLINK(...)` is never run
+ * as a formula and invoice number `00123` keeps its zeros.
+ * @param {Array} row - Ledger row in CSV_HEADER order
+ * @returns {Array<string|number>} Cell values
+ */
+export function toWorkbookValues(row) {
+  return CSV_HEADER.map((column, index) => {
+    const value = row[index] ?? '';
+    if (DATE_COLUMNS.has(column) && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return (Date.UTC(year, month - 1, day) - EXCEL_EPOCH) / DAY_MS;
+    }
+    if ((AMOUNT_COLUMNS.has(column) || NUMBER_COLUMNS.has(column)) && value !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+    return value === '' ? '' : `'${value}`;
+  });
+}
+
+/**
+ * Converts cell values read from the table back to a ledger row
+ * @param {Array<string|number>} values - Cell values in CSV_HEADER order
+ * @returns {string[]} Ledger row as in invoices.csv
+ */
+export function fromWorkbookValues(values) {
+  return CSV_HEADER.map((column, index) => {
+    const value = values[index];
+    if (DATE_COLUMNS.has(column) && typeof value === 'number') {
+      return new Date(EXCEL_EPOCH + Math.round(value) * DAY_MS).toISOString().slice(0, 10);
+    }
+    // Same notation as the validator writes to invoices.csv
+    if ((AMOUNT_COLUMNS.has(column) || NUMBER_COLUMNS.has(column)) && typeof value === 'number') {
+      return value.toFixed(2);
+    }
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * Builds an empty workbook with the header row and the `Invoices` table. An
+ * Excel table always has a body row, so the template carries one empty,
+ * formatted placeholder row that goes once the first booking is added.
+ * @returns {Buffer} xlsx file content
+ */
+export function createWorkbookTemplate() {
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const pkg = 'http://schemas.openxmlformats.org/package/2006/relationships';
+  const last = columnLetter(CSV_HEADER.length - 1);
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  // Cell style per column: 1 text, 2 date, 3 amount, 0 general
+  const style = format => ({ '@': 1, [DATE_FORMAT]: 2, [AMOUNT_FORMAT]: 3 }[format] ?? 0);
+
+  const header = CSV_HEADER
+    .map((column, i) => `<c r="${columnLetter(i)}1" t="inlineStr"><is><t>${escape(column)}</t></is></c>`)
+    .join('');
+  const placeholder = COLUMN_FORMATS
+    .map((format, i) => `<c r="${columnLetter(i)}2" s="${style(format)}"/>`)
+    .join('');
+
+  const xml = body => strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`);
+  return Buffer.from(zipSync({
+    '[Content_Types].xml': xml(
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/tables/table1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>'),
+    '_rels/.rels': xml(
+      `<Relationships xmlns="${pkg}"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`),
+    'xl/workbook.xml': xml(
+      `<workbook xmlns="${main}" xmlns:r="${rel}"><sheets><sheet name="${SHEET}" sheetId="1" r:id="rId1"/></sheets></workbook>`),
+    'xl/_rels/workbook.xml.rels': xml(
+      `<Relationships xmlns="${pkg}">` +
+      `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/>` +
+      '</Relationships>'),
+    'xl/styles.xml': xml(
+      `<styleSheet xmlns="${main}">` +
+      `<numFmts count="2"><numFmt numFmtId="164" formatCode="${DATE_FORMAT}"/><numFmt numFmtId="165" formatCode="${AMOUNT_FORMAT}"/></numFmts>` +
+      '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+      '</styleSheet>'),
+    'xl/worksheets/sheet1.xml': xml(
+      `<worksheet xmlns="${main}" xmlns:r="${rel}"><sheetData>` +
+      `<row r="1">${header}</row><row r="2">${placeholder}</row>` +
+      '</sheetData><tableParts count="1"><tablePart r:id="rId1"/></tableParts></worksheet>'),
+    'xl/worksheets/_rels/sheet1.xml.rels': xml(
+      `<Relationships xmlns="${pkg}"><Relationship Id="rId1" Type="${rel}/table" Target="../tables/table1.xml"/></Relationships>`),
+    'xl/tables/table1.xml': xml(
+      `<table xmlns="${main}" id="1" name="${TABLE}" displayName="${TABLE}" ref="A1:${last}2" totalsRowShown="0">` +
+      `<autoFilter ref="A1:${last}2"/><tableColumns count="${CSV_HEADER.length}">` +
+      CSV_HEADER.map((column, i) => `<tableColumn id="${i + 1}" name="${escape(column)}"/>`).join('') +
+      '</tableColumns><tableStyleInfo name="TableStyleMedium2" showFirstColumn="0" showLastColumn="0" showRowStripes="1" showColumnStripes="0"/>' +
+      '</table>')
+  }));
+}
+
+/**
+ * Returns the Graph path of a workbook item
+ * @param {string} itemPath - Path below the drive root
+ * @returns {string} Item path usable with `/content` and `/workbook`
+ */
+function itemBase(itemPath) {
+  return `${driveRoot()}/root:/${itemPath}:`;
+}
+
+/**
+ * Creates a workbook from the template unless it exists already
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} itemPath - Path below the drive root
+ * @returns {Promise<void>}
+ */
+async function createWorkbook(graph, itemPath) {
+  try {
+    await graph
+      .api(`${itemBase(itemPath)}/content`)
+      .query({ '@microsoft.graph.conflictBehavior': 'fail' })
+      .header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      .put(createWorkbookTemplate());
+    console.log(`INFO: Created ledger workbook ${itemPath}`);
+  } catch (error) {
+    // Created by a concurrent booking in the meantime
+    if (error.statusCode !== 409) throw error;
+  }
+}
+
+/**
+ * Applies the column formats to one table row
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} itemPath - Path below the drive root
+ * @param {number} index - Zero-based table row index
+ * @param {Array<string|number>} [values] - New cell values, written together with the formats
+ * @returns {Promise<void>}
+ */
+async function formatRow(graph, itemPath, index, values) {
+  const base = `${itemBase(itemPath)}/workbook`;
+  const { address } = await graph.api(`${base}/tables/${TABLE}/rows/itemAt(index=${index})/range`).select('address').get();
+  await graph
+    .api(`${base}/worksheets/${SHEET}/range(address='${address.split('!').pop()}')`)
+    .patch({ numberFormat: [COLUMN_FORMATS], ...(values && { values: [values] }) });
+}
+
+/**
+ * Reads the rows of the ledger table
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} itemPath - Path below the drive root
+ * @returns {Promise<Array<{index: number, row: string[]}>>} Rows with their table index; empty if there is no workbook
+ */
+async function tableRows(graph, itemPath) {
+  try {
+    const res = await graph.api(`${itemBase(itemPath)}/workbook/tables/${TABLE}/rows`).get();
+    return (res.value || [])
+      .map(({ index, values }) => ({ index, row: fromWorkbookValues(values[0]) }))
+      .filter(({ row }) => row.some(Boolean));
+  } catch (error) {
+    if (error.statusCode === 404) return [];
+    throw new Error(`Failed to read ${itemPath}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Appends a row to the ledger table, creating the workbook on first use
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} itemPath - Path below the drive root
+ * @param {Array} row - Ledger row in CSV_HEADER order
+ * @returns {Promise<void>} Resolves once the row is in the table
+ * @throws {Error} If the row could not be added
+ */
+export async function appendWorkbookRow(graph, itemPath, row) {
+  const add = () => graph
+    .api(`${itemBase(itemPath)}/workbook/tables/${TABLE}/rows/add`)
+    .post({ values: [toWorkbookValues(row)] });
+
+  let added;
+  try {
+    try {
+      added = await add();
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      await createWorkbook(graph, itemPath);
+      added = await add();
+    }
+  } catch (error) {
+    throw new Error(`Failed to add the ledger row to ${itemPath}: ${error.message}`, { cause: error });
+  }
+
+  let { index } = added;
+  // The template's empty placeholder row goes once the first booking is in
+  if (index === 1) {
+    const first = await graph.api(`${itemBase(itemPath)}/workbook/tables/${TABLE}/rows/itemAt(index=0)`).get();
+    if (!first.values?.[0]?.some(value => value !== '')) {
+      await graph.api(`${itemBase(itemPath)}/workbook/tables/${TABLE}/rows/itemAt(index=0)`).delete();
+      index = 0;
+    }
+  }
+
+  try {
+    await formatRow(graph, itemPath, index);
+  } catch (error) {
+    // The row is booked; only its number formats are missing
+    console.warn(`WARNING: Could not format the new row in ${itemPath}:`, error.message);
+  }
+}
+
+/**
+ * Reads the ledger rows of a month
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} itemPath - Path below the drive root
+ * @param {string} [month] - Only rows with an invoice date in this month (`YYYY-MM`), for yearly workbooks
+ * @returns {Promise<string[][]>} Rows as in invoices.csv, without the header
+ */
+export async function readWorkbookRows(graph, itemPath, month) {
+  return (await tableRows(graph, itemPath))
+    .map(({ row }) => row)
+    .filter(row => !month || String(row[1]).startsWith(month));
+}
+
+/**
+ * Replaces or deletes the ledger row with a given timestamp. Table rows are
+ * addressed by index, which shifts when someone deletes a row meanwhile, so
+ * the row at the index is read again right before it is changed.
+ * @param {Object} graph - Microsoft Graph client instance
+ * @param {string} itemPath - Path below the drive root
+ * @param {string} timestamp - Timestamp in the first column, identifies the row
+ * @param {Array|null|((current: string[]) => Array|null)} row - New row, null to delete it, or a function
+ *   that gets the row as read right before the change and returns the new one
+ * @returns {Promise<boolean>} False if no row has that timestamp
+ * @throws {Error} If the table keeps changing for {@link WRITE_ATTEMPTS} attempts
+ */
+export async function replaceWorkbookRow(graph, itemPath, timestamp, row) {
+  for (let attempt = 1; attempt <= WRITE_ATTEMPTS; attempt++) {
+    const match = (await tableRows(graph, itemPath)).find(entry => entry.row[0] === timestamp);
+    if (!match) return false;
+
+    const item = `${itemBase(itemPath)}/workbook/tables/${TABLE}/rows/itemAt(index=${match.index})`;
+    const current = fromWorkbookValues((await graph.api(item).get()).values?.[0] || []);
+    if (current[0] !== timestamp) {
+      console.warn(`WARNING: Rows of ${itemPath} moved while replacing ${timestamp}, trying again`);
+      continue;
+    }
+    const next = typeof row === 'function' ? row(current) : row;
+    if (next) {
+      await formatRow(graph, itemPath, match.index, toWorkbookValues(next));
+    } else {
+      await graph.api(item).delete();
+    }
+    return true;
+  }
+  throw new Error(`${itemPath} kept changing, row ${timestamp} not replaced after ${WRITE_ATTEMPTS} attempts`);
+}
@@ -0,0 +1,471 @@
+/**
+ * @fileoverview Ledger exports for accounting software, bundled with the
+ * original documents.
+ * @module lib/exports
+ *
+ * {@link exportBundle} reads the bookings with an invoice date in a range from
+ * the monthly ledgers and writes them as
+ * - `datev`: a DATEV Buchungsstapel (EXTF format 700, Windows-1252), one
+ *   booking per invoice: expense account to creditor, gross amount, tax key;
+ * - `quickbooks`: bills as a QuickBooks Online CSV and a QuickBooks Desktop IIF;
+ * - `xero`: a Xero bill import CSV (tax exclusive amounts).
+ * The zip also holds every booked document (and e-invoice XML) under
+ * `documents/YYYY.MM/`, found through the fingerprint index. Documents are
+ * added one at a time and stored as they are (PDFs and photos are compressed
+ * already); a bundle over `EXPORT_MAX_MB` (default 200) is refused.
+ *
+ * Accounts come from `EXPORT_ACCOUNTS_FILE` (default `export-accounts.json`,
+ * or inline `EXPORT_ACCOUNTS`, see `export-accounts.example.json`) with the
+ * tenant's `accounts` on top. Each format section may map sellers (by name,
+ * case-insensitive) to their own accounts in `sellers`.
+ */
+
+import fs from 'fs';
+import { Zip, ZipDeflate, ZipPassThrough, strToU8 } from 'fflate';
+import { stringify } from 'csv-stringify/sync';
+import { readLedger, rowToData } from './ledger.js';
+import { loadFingerprints } from './duplicates.js';
+import { envNumber } from './jobQueue.js';
+
+const DEFAULT_ACCOUNTS_FILE = 'export-accounts.json';
+// Stays below the 250 MB a simple OneDrive upload takes
+const DEFAULT_MAX_MB = 200;
+
+/** Export formats and their defaults; every value can be overridden in the account mapping */
+export const EXPORT_FORMATS = {
+  datev: {
+    // SKR03: sonstige betriebliche Aufwendungen, creditor collective account
+    account: '4900',
+    creditor: '70000',
+    accountLength: 4,
+    fiscalYearStart: '01-01',
+    chart: '03',
+    // BU-Schlüssel by tax rate: 9 = 19 % Vorsteuer, 8 = 7 % Vorsteuer
+    taxKeys: { 19: '9', 7: '8' }
+  },
+  quickbooks: {
+    account: 'Uncategorized Expense',
+    payableAccount: 'Accounts Payable',
+    taxAccount: 'Tax Receivable',
+    taxCodes: {}
+  },
+  xero: {
+    account: '429',
+    taxType: 'INPUT',
+    noTaxType: 'NONE',
+    taxTypes: {},
+    dateFormat: 'DD/MM/YYYY'
+  }
+};
+
+/**
+ * Reads the configured account mapping
+ * @returns {Object} Mapping by format, empty when none is configured
+ * @throws {Error} If the configuration is not valid JSON
+ */
+function readAccountsConfig() {
+  if (process.env.EXPORT_ACCOUNTS) return JSON.parse(process.env.EXPORT_ACCOUNTS);
+
+  const file = process.env.EXPORT_ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    // Only a missing default file means "defaults"; a named file must exist
+    if (err.code === 'ENOENT' && !process.env.EXPORT_ACCOUNTS_FILE) return {};
+    throw new Error(`Failed to read account mapping ${file}: ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Returns the account mapping of a format
+ * @param {string} format - Export format
+ * @param {import('./tenants.js').Tenant|null} [tenant] - Tenant whose `accounts` override the configured ones
+ * @returns {Object} Mapping with the defaults filled in
+ * @throws {Error} If the format is unknown
+ */
+export function accountMapping(format, tenant = null) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format "${format}", use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const configured = readAccountsConfig()[format] || {};
+  const own = tenant?.accounts?.[format] || {};
+  return {
+    ...EXPORT_FORMATS[format],
+    ...configured,
+    ...own,
+    sellers: { ...configured.sellers, ...own.sellers }
+  };
+}
+
+/**
+ * Returns the mapping that applies to an invoice's seller
+ * @param {Object} mapping - Format mapping, see {@link accountMapping}
+ * @param {string} seller - Seller name
+ * @returns {Object} Mapping with the seller's entries applied
+ */
+function sellerMapping(mapping, seller = '') {
+  const name = seller.trim().toLowerCase();
+  const match = Object.entries(mapping.sellers).find(([key]) => key.trim().toLowerCase() === name);
+  return match ? { ...mapping, ...match[1] } : mapping;
+}
+
+/**
+ * Returns the tax rate of an invoice
+ * @param {Object} data - Invoice data
+ * @returns {number|null} Rate in percent, derived from tax and net when the ledger has none
+ */
+function taxRate(data) {
+  // A cell that is not a number counts as empty, NaN would match no tax key
+  const rate = data.tax_rate === '' ? NaN : Number(data.tax_rate);
+  if (!Number.isNaN(rate)) return rate;
+  const tax = Number(data.tax);
+  const net = Number(data.net_amount) || Number(data.total) - tax;
+  return tax && net ? Math.round((tax / net) * 1000) / 10 : null;
+}
+
+/**
+ * Looks up a value by tax rate
+ * @param {Object<string, string>} table - Values by rate, e.g. `{"19": "9"}`
+ * @param {number|null} rate - Tax rate
+ * @returns {string} Value, or an empty string
+ */
+function byRate(table, rate) {
+  if (rate === null) return '';
+  const entry = Object.entries(table || {}).find(([key]) => Number(key) === rate);
+  return entry ? String(entry[1]) : '';
+}
+
+const amount = value => (Number(value) || 0).toFixed(2);
+const netOf = data => data.net_amount !== '' ? amount(data.net_amount) : amount(Number(data.total) - Number(data.tax || 0));
+
+// Windows-1252 characters outside Latin-1, which DATEV expects
+const CP1252 = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Encodes text as Windows-1252; other characters become `?`
+ * @param {string} text - Text
+ * @returns {Uint8Array} Encoded bytes
+ */
+function windows1252(text) {
+  return Uint8Array.from(text, char => {
+    const code = char.codePointAt(0);
+    if (CP1252[char]) return CP1252[char];
+    return code < 0x100 && (code < 0x80 || code > 0x9f) ? code : 0x3f;
+  });
+}
+
+/**
+ * Tells whether a booking can go into a DATEV Buchungsstapel. A foreign
+ * currency booking needs Kurs and Basis-Umsatz, and the ledger has no
+ * exchange rate, so those are left to be booked in DATEV by hand.
+ * @param {Object} data - Invoice data
+ * @returns {boolean} True for EUR (or no currency)
+ */
+function inEuro(data) {
+  return !data.currency || String(data.currency).toUpperCase() === 'EUR';
+}
+
+/**
+ * Writes the bookings as a DATEV Buchungsstapel. Bookings not in EUR are left
+ * out, see {@link exportBundle}.
+ * @param {Object[]} invoices - Invoice data
+ * @param {Object} mapping - DATEV mapping, see {@link accountMapping}
+ * @param {{from: string, to: string}} range - Invoice date range
+ * @returns {Object<string, Uint8Array>} File by name
+ * @throws {Error} If consultant or client number are missing, or the range spans two fiscal years
+ */
+export function datevExport(invoices, mapping, { from, to }) {
+  if (!mapping.consultant || !mapping.client) {
+    throw new Error('DATEV export needs the "consultant" (Beraternummer) and "client" (Mandantennummer) numbers in the account mapping');
+  }
+  // fiscalYearStart is `MM-DD`; a fiscal year is named after the calendar year it starts in
+  const fiscalYear = date => Number(date.slice(0, 4)) - (date.slice(5) < mapping.fiscalYearStart ? 1 : 0);
+  const fiscalStart = year => `${year}${mapping.fiscalYearStart.replace('-', '')}`;
+  if (fiscalYear(from) !== fiscalYear(to)) {
+    throw new Error('A DATEV Buchungsstapel cannot span two fiscal years, export each year on its own');
+  }
+
+  const compact = date => date.replace(/-/g, '');
+  const text = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const header = [
+    text('EXTF'), 700, 21, text('Buchungsstapel'), 13,
+    new Date().toISOString().replace(/\D/g, '').slice(0, 17), '', text('RE'), text(''), text(''),
+    mapping.consultant, mapping.client, fiscalStart(fiscalYear(from)), mapping.accountLength,
+    compact(from), compact(to), text(`Rechnungseingang ${from.slice(0, 7)}`.slice(0, 30)), text(''),
+    1, 0, 0, text('EUR'), '', text(''), '', '', text(mapping.chart), '', '', '', text('')
+  ];
+  const columns = [
+    'Umsatz (ohne Soll/Haben-Kz)', 'Soll/Haben-Kennzeichen', 'WKZ Umsatz', 'Kurs', 'Basis-Umsatz',
+    'WKZ Basis-Umsatz', 'Konto', 'Gegenkonto (ohne BU-Schlüssel)', 'BU-Schlüssel', 'Belegdatum',
+    'Belegfeld 1', 'Belegfeld 2', 'Skonto', 'Buchungstext'
+  ];
+
+  const lines = [header.join(';'), columns.map(text).join(';')];
+  for (const data of invoices.filter(inEuro)) {
+    const accounts = sellerMapping(mapping, data.seller);
+    const gross = Number(data.total) || 0;
+    lines.push([
+      amount(Math.abs(gross)).replace('.', ','),
+      text(gross < 0 ? 'H' : 'S'),
+      text('EUR'), '', '', '',
+      accounts.account,
+      accounts.creditor,
+      text(byRate(accounts.taxKeys, taxRate(data))),
+      `${data.invoice_date.slice(8, 10)}${data.invoice_date.slice(5, 7)}`,
+      // Belegfeld 1 allows 36 characters out of a small set
+      text(String(data.invoice_number).replace(/[^A-Za-z0-9$&%*+\-/.]/g, '').slice(0, 36)),
+      text(data.due_date ? `${data.due_date.slice(8, 10)}${data.due_date.slice(5, 7)}${data.due_date.slice(2, 4)}` : ''),
+      '',
+      text(String(data.seller || '').slice(0, 60))
+    ].join(';'));
+  }
+
+  return { [`EXTF_Buchungsstapel_${compact(from)}_${compact(to)}.csv`]: windows1252(`${lines.join('\r\n')}\r\n`) };
+}
+
+/**
+ * Writes the bookings as QuickBooks bills: a QuickBooks Online bill import CSV
+ * and a QuickBooks Desktop IIF
+ * @param {Object[]} invoices - Invoice data
+ * @param {Object} mapping - QuickBooks mapping, see {@link accountMapping}
+ * @param {{from: string, to: string}} range - Invoice date range
+ * @returns {Object<string, Uint8Array>} Files by name
+ */
+export function quickbooksExport(invoices, mapping, { from, to }) {
+  const usDate = date => (date ? `${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(0, 4)}` : '');
+  const csv = [[
+    'Bill No', 'Supplier', 'Bill Date', 'Due Date', 'Memo', 'Account',
+    'Line Description', 'Line Amount', 'Line Tax Code', 'Line Tax Amount', 'Currency'
+  ]];
+  // IIF fields must not contain tabs or line breaks
+  const field = value => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+  const iif = [
+    ['!TRNS', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'DUEDATE'],
+    ['!SPL', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+    ['!ENDTRNS']
+  ];
+
+  for (const data of invoices) {
+    const accounts = sellerMapping(mapping, data.seller);
+    const vendor = accounts.vendor || data.seller;
+    const memo = [data.invoice_number, data.payment_method].filter(Boolean).join(', ');
+    const net = netOf(data);
+    const tax = amount(data.tax);
+
+    csv.push([
+      data.invoice_number, vendor, usDate(data.invoice_date), usDate(data.due_date || data.invoice_date), memo,
+      accounts.account, data.seller, net, byRate(accounts.taxCodes, taxRate(data)), tax, data.currency
+    ]);
+
+    const date = usDate(data.invoice_date);
+    iif.push(['TRNS', 'BILL', date, accounts.payableAccount, vendor, amount(-Number(data.total)), data.invoice_number, memo, usDate(data.due_date)]);
+    iif.push(['SPL', 'BILL', date, accounts.account, vendor, net, data.invoice_number, memo]);
+    if (Number(data.tax)) iif.push(['SPL', 'BILL', date, accounts.taxAccount, vendor, tax, data.invoice_number, 'Tax']);
+    iif.push(['ENDTRNS']);
+  }
+
+  const name = `quickbooks-bills_${from}_${to}`;
+  return {
+    [`${name}.csv`]: strToU8(stringify(csv)),
+    [`${name}.iif`]: strToU8(`${iif.map(row => row.map(field).join('\t')).join('\r\n')}\r\n`)
+  };
+}
+
+/**
+ * Writes the bookings as a Xero bill import CSV, one line per invoice with tax
+ * exclusive amounts (pick "Tax exclusive" when importing)
+ * @param {Object[]} invoices - Invoice data
+ * @param {Object} mapping - Xero mapping, see {@link accountMapping}
+ * @param {{from: string, to: string}} range - Invoice date range
+ * @returns {Object<string, Uint8Array>} File by name
+ */
+export function xeroExport(invoices, mapping, { from, to }) {
+  const formatDate = date => mapping.dateFormat
+    .replace('YYYY', date.slice(0, 4))
+    .replace('MM', date.slice(5, 7))
+    .replace('DD', date.slice(8, 10));
+  const rows = [[
+    '*ContactName', 'EmailAddress', 'POAddressLine1', 'POAddressLine2', 'POAddressLine3', 'POAddressLine4',
+    'POCity', 'PORegion', 'POPostalCode', 'POCountry', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Total',
+    'InventoryItemCode', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'TaxAmount',
+    'TrackingName1', 'TrackingOption1', 'TrackingName2', 'TrackingOption2', 'Currency'
+  ]];
+
+  for (const data of invoices) {
+    const accounts = sellerMapping(mapping, data.seller);
+    const rate = taxRate(data);
+    const taxType = Number(data.tax) ? byRate(accounts.taxTypes, rate) || accounts.taxType : accounts.noTaxType;
+    rows.push([
+      accounts.contact || data.seller, '', data.seller_address, '', '', '', '', '', '', '',
+      // Xero needs a number; fall back to the ledger row so re-imports stay unique
+      data.invoice_number || `INBOX-${data.timestamp.replace(/\D/g, '').slice(0, 14)}`,
+      formatDate(data.invoice_date), formatDate(data.due_date || data.invoice_date), amount(data.total),
+      '', [data.seller, data.invoice_number].filter(Boolean).join(' '), 1, netOf(data),
+      accounts.account, taxType, amount(data.tax), '', '', '', '', data.currency
+    ]);
+  }
+
+  return { [`xero-bills_${from}_${to}.csv`]: strToU8(stringify(rows)) };
+}
+
+const WRITERS = { datev: datevExport, quickbooks: quickbooksExport, xero: xeroExport };
+
+/**
+ * Reads the bookings with an invoice date in a range
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {{from: string, to: string}} range - First and last invoice date, `YYYY-MM-DD`
+ * @returns {Promise<Object[]>} Invoice data with the row `timestamp`, by invoice date
+ */
+export async function ledgerRange(storage, { from, to }) {
+  const invoices = [];
+  for (let month = from.slice(0, 7); month <= to.slice(0, 7);) {
+    const rows = await readLedger(storage, month.replace('-', '.'));
+    invoices.push(...rows.map(rowToData).filter(data => data.invoice_date >= from && data.invoice_date <= to));
+    const [year, mm] = month.split('-').map(Number);
+    month = mm === 12 ? `${year + 1}-01` : `${year}-${String(mm + 1).padStart(2, '0')}`;
+  }
+  return invoices.sort((a, b) => a.invoice_date.localeCompare(b.invoice_date) || a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Names a booking in the README and on the console
+ * @param {Object} data - Invoice data
+ * @returns {string} Invoice date, seller and number
+ */
+function describeBooking(data) {
+  return `${data.invoice_date} ${data.seller} ${data.invoice_number}`.trim();
+}
+
+/**
+ * Builds a zip piece by piece, so every document can be let go of as soon as
+ * it is added. Documents are stored as they are, the export files deflated.
+ * @param {number} maxBytes - Size the zip may reach
+ * @returns {{add: (name: string, data: Uint8Array, deflate?: boolean) => void, finish: () => Buffer}} Zip writer
+ * @throws {Error} From `add`, once the zip would grow past `maxBytes`
+ */
+function zipWriter(maxBytes) {
+  const chunks = [];
+  let size = 0;
+  const zip = new Zip((err, chunk) => {
+    if (err) throw err;
+    chunks.push(chunk);
+    size += chunk.length;
+  });
+
+  return {
+    add(name, data, deflate = false) {
+      if (size + data.length > maxBytes) {
+        throw new Error(`Export is larger than ${maxBytes / 1024 / 1024} MB (EXPORT_MAX_MB), export a shorter range`);
+      }
+      const file = deflate ? new ZipDeflate(name, { level: 6 }) : new ZipPassThrough(name);
+      zip.add(file);
+      file.push(data, true);
+    },
+    finish() {
+      zip.end();
+      return Buffer.concat(chunks, size);
+    }
+  };
+}
+
+/**
+ * Adds the stored documents of the bookings to the bundle, one at a time
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object[]} invoices - Invoice data with the row `timestamp`
+ * @param {(name: string, data: Uint8Array) => void} add - Adds a file to the bundle
+ * @returns {Promise<{count: number, missing: string[]}>} Number of files added, and the bookings whose
+ *   document is not found
+ */
+async function addBookedDocuments(storage, invoices, add) {
+  const entries = new Map((await loadFingerprints(storage)).filter(entry => entry.row).map(entry => [entry.row, entry]));
+  let count = 0;
+  const missing = [];
+
+  for (const data of invoices) {
+    const entry = entries.get(data.timestamp);
+    let found = false;
+    for (const name of entry ? [entry.filename, entry.xml].filter(Boolean) : []) {
+      const buffer = await storage.readRootFile(`${entry.folder}/${name}`);
+      if (!buffer) continue;
+      add(`documents/${entry.folder}/${name}`, new Uint8Array(buffer));
+      count++;
+      if (name === entry.filename) found = true;
+    }
+    if (!found) missing.push(describeBooking(data));
+  }
+  return { count, missing };
+}
+
+/**
+ * Checks and completes an export date range
+ * @param {string} from - First day (`YYYY-MM-DD`) or month (`YYYY-MM`)
+ * @param {string} [to] - Last day or month, defaults to the end of `from`'s month
+ * @returns {{from: string, to: string}} Range of days
+ * @throws {Error} If a date is not valid or the range is reversed
+ */
+export function exportRange(from, to = from) {
+  const day = (value, end) => {
+    if (/^\d{4}-(0[1-9]|1[0-2])$/.test(value || '')) {
+      if (!end) return `${value}-01`;
+      const [year, month] = value.split('-').map(Number);
+      return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      throw new Error(`Invalid date "${value}", use YYYY-MM-DD or YYYY-MM`);
+    }
+    return value;
+  };
+  const range = { from: day(from, false), to: day(to, true) };
+  if (range.from > range.to) throw new Error(`Invalid range: ${range.from} is after ${range.to}`);
+  return range;
+}
+
+/**
+ * Exports the bookings of a date range for an accounting package, as a zip
+ * with the export files, the original documents and a `README.txt`
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} options
+ * @param {'datev'|'quickbooks'|'xero'} options.format - Export format
+ * @param {string} options.from - First invoice date (`YYYY-MM-DD`) or month
+ * @param {string} [options.to] - Last invoice date or month, defaults to the end of `from`'s month
+ * @param {import('./tenants.js').Tenant|null} [options.tenant] - Tenant, for its account mapping
+ * @returns {Promise<{filename: string, buffer: Buffer, count: number, missing: string[], skipped: string[]}>} Zip,
+ *   number of bookings, the bookings exported without their document and those left out
+ *   (DATEV: not in EUR, to be booked by hand with the exchange rate)
+ * @throws {Error} If the format, range or mapping is invalid, or the zip grows past `EXPORT_MAX_MB`
+ */
+export async function exportBundle(storage, { format, from, to, tenant = null }) {
+  const mapping = accountMapping(format, tenant);
+  const range = exportRange(from, to);
+  const all = await ledgerRange(storage, range);
+  const invoices = format === 'datev' ? all.filter(inEuro) : all;
+  const skipped = all.filter(data => !invoices.includes(data)).map(data => `${describeBooking(data)} (${data.currency})`);
+  const exported = WRITERS[format](invoices, mapping, range);
+
+  const zip = zipWriter(envNumber('EXPORT_MAX_MB', DEFAULT_MAX_MB) * 1024 * 1024);
+  for (const [name, data] of Object.entries(exported)) zip.add(name, data, true);
+  const { count, missing } = await addBookedDocuments(storage, invoices, zip.add);
+
+  const readme = [
+    `${format} export of ${invoices.length} booking(s) with an invoice date from ${range.from} to ${range.to}`,
+    `Created ${new Date().toISOString()}`,
+    '',
+    ...Object.keys(exported),
+    `documents/ - ${count} original document(s)`,
+    ...(missing.length ? ['', 'Exported without a document:', ...missing.map(item => `  ${item}`)] : []),
+    ...(skipped.length ? ['', 'Not exported, not in EUR (book them in DATEV with the exchange rate):', ...skipped.map(item => `  ${item}`)] : [])
+  ].join('\r\n');
+
+  const filename = `${format}-export_${range.from}_${range.to}.zip`;
+  zip.add('README.txt', strToU8(`${readme}\r\n`), true);
+  const buffer = zip.finish();
+  if (missing.length) console.warn(`WARNING: ${missing.length} booking(s) exported without their document`);
+  if (skipped.length) console.warn(`WARNING: ${skipped.length} booking(s) not in EUR left out of the DATEV export`);
+  console.log(`INFO: Exported ${invoices.length} booking(s) as ${filename}`);
+  return { filename, buffer, count: invoices.length, missing, skipped };
+}
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Extraction provider selection.
+ * @module lib/extraction
+ *
+ * A provider turns document text or an image into validated invoice data.
+ * The provider is picked with `EXTRACTION_PROVIDER`:
+ *   - `openai` (default): the OpenAI API, model `EXTRACTION_MODEL` (default gpt-4o-mini)
+ *   - `openai-compatible`: any server exposing the OpenAI API at `EXTRACTION_BASE_URL`
+ *   - `offline`: rule-based extraction from the PDF text layer, no network at all
+ */
+
+import { createOpenAIExtractor, DEFAULT_MODEL } from './openaiExtractor.js';
+import { createOfflineExtractor } from './offlineExtractor.js';
+
+const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {Object} data - Normalized invoice data
+ * @property {Object<string, string>} errors - Per-field validation errors
+ * @property {boolean} valid - Whether the required fields are usable
+ * @property {number} attempts - Number of extraction attempts made
+ * @property {string} [reason] - Why the document could not be read at all; it is parked for review with this reason
+ */
+
+/**
+ * @typedef {Object} ExtractionProvider
+ * @property {string} name - Provider identifier
+ * @property {string} [model] - Model used, if any
+ * @property {boolean} [readsImages] - False if the provider cannot read images (scans and photos); assumed true when unset
+ * @property {(text: string) => Promise<ExtractionResult>} extractFromText - Extracts from document text
+ * @property {(buffer: Buffer, contentType: string) => Promise<ExtractionResult>} extractFromImage - Extracts from an image
+ * @property {(images: Array<{buffer: Buffer, contentType: string}>) => Promise<ExtractionResult>} extractFromImages - Extracts from several pages of one document
+ */
+
+/**
+ * Returns the extraction provider selected by configuration.
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name, defaults to `EXTRACTION_PROVIDER`
+ * @param {string} [options.model] - Model name, defaults to `EXTRACTION_MODEL`
+ * @param {string} [options.baseUrl] - Server URL for `openai-compatible`, defaults to `EXTRACTION_BASE_URL`
+ * @param {import('openai').OpenAI} [options.client] - Pre-built client for the OpenAI based providers
+ * @param {string} [options.buyerName] - Company the invoices are addressed to (the tenant), so it is never taken for the seller
+ * @returns {ExtractionProvider} Extraction provider
+ * @throws {Error} If the provider is unknown or misconfigured
+ */
+export function getExtractionProvider({ provider, model, baseUrl, client, buyerName } = {}) {
+  const selected = (provider || process.env.EXTRACTION_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const selectedModel = model || process.env.EXTRACTION_MODEL;
+  const responseFormat = process.env.EXTRACTION_RESPONSE_FORMAT;
+
+  switch (selected) {
+    case 'openai':
+      return createOpenAIExtractor({
+        client,
+        model: selectedModel || DEFAULT_MODEL,
+        responseFormat: responseFormat || 'json_schema',
+        buyerName
+      });
+
+    case 'openai-compatible': {
+      const url = baseUrl || process.env.EXTRACTION_BASE_URL;
+      if (!url || !selectedModel) {
+        throw new Error('openai-compatible extraction requires EXTRACTION_BASE_URL and EXTRACTION_MODEL');
+      }
+      return createOpenAIExtractor({
+        name: 'openai-compatible',
+        client,
+        baseUrl: url,
+        // Local servers usually ignore the key, but the client refuses to start without one
+        apiKey: process.env.EXTRACTION_API_KEY || 'not-needed',
+        model: selectedModel,
+        responseFormat: responseFormat || 'json_object',
+        buyerName
+      });
+    }
+
+    case 'offline':
+      return createOfflineExtractor();
+
+    default:
+      throw new Error(`Unknown extraction provider: ${selected}`);
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Incremental Gmail sync: history checkpoints, mail rules, attachment lookup and result labels.
+ * @module lib/gmail
+ *
+ * The first run (and any run whose checkpoint Gmail no longer knows) searches
+ * the mailbox with a query built from the rules, page by page, over the last
+ * `GMAIL_SYNC_LOOKBACK_HOURS` (default 24). Every run stores the mailbox
+ * `historyId` in `<queue dir>/gmail-sync.json`; later runs only read the
+ * history since then (new messages and newly added labels) and check each
+ * message against the rules. A message is taken in when it matches any rule;
+ * all conditions of one rule must hold:
+ *
+ *   GMAIL_RULES='[
+ *     { "label": "Invoices" },
+ *     { "from": ["billing@supplier.com", "@vendor.de"], "tenant": "acme" },
+ *     { "query": "subject:(invoice OR rechnung) has:attachment" }
+ *   ]'
+ *
+ * `label` is a Gmail label name, `from` / `to` are addresses or `@domain`,
+ * `query` is any Gmail search and `tenant` routes the matches to a tenant
+ * (otherwise the usual sender/recipient routing applies). The email senders
+ * and recipients of the tenants are rules as well.
+ *
+ * A finished message gets the label `Invoice/Processed`, or `Invoice/Failed`
+ * when a document could not be processed (`GMAIL_PROCESSED_LABEL`,
+ * `GMAIL_FAILED_LABEL`); labelled messages are not taken in again. Messages
+ * with a job still waiting for a retry are kept in the sync state and
+ * labelled on a later run. Labels need the `gmail.modify` scope.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { getIngestionQueue } from './ingestion.js';
+import { loadTenants, getTenant, tenantForEmail, unroutedTenant, emailAddresses, matchesAddress } from './tenants.js';
+
+const DEFAULT_LOOKBACK_HOURS = 24;
+const DEFAULT_PROCESSED_LABEL = 'Invoice/Processed';
+const DEFAULT_FAILED_LABEL = 'Invoice/Failed';
+const STATE_FILE = 'gmail-sync.json';
+const PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} MailRule
+ * @property {string} [label] - Gmail label the message must carry
+ * @property {string[]} [from] - Sender addresses or `@domain`, one must match
+ * @property {string[]} [to] - Recipient addresses or `@domain`, one must match
+ * @property {string} [query] - Gmail search the message must match
+ * @property {string} [tenant] - Tenant the matching messages belong to
+ */
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string} [historyId] - Mailbox history id of the last sync
+ * @property {string} [syncedAt] - ISO timestamp of the last sync
+ * @property {string[]} pending - Messages with jobs still waiting for a retry
+ */
+
+/**
+ * Returns the names of the labels put on finished messages
+ * @returns {{processed: string, failed: string}} Label names
+ */
+export function resultLabelNames() {
+  return {
+    processed: process.env.GMAIL_PROCESSED_LABEL || DEFAULT_PROCESSED_LABEL,
+    failed: process.env.GMAIL_FAILED_LABEL || DEFAULT_FAILED_LABEL
+  };
+}
+
+/**
+ * Reads the mail rules: `GMAIL_RULES` plus the email senders and recipients of the tenants
+ * @returns {MailRule[]} Rules
+ * @throws {Error} If `GMAIL_RULES` is invalid, names an unknown tenant, or there are no rules at all
+ */
+export function loadMailRules() {
+  let configured = [];
+  if (process.env.GMAIL_RULES) {
+    try {
+      configured = JSON.parse(process.env.GMAIL_RULES);
+    } catch (err) {
+      throw new Error(`GMAIL_RULES is not valid JSON: ${err.message}`, { cause: err });
+    }
+    if (!Array.isArray(configured)) throw new Error('GMAIL_RULES must be a JSON array of rules');
+  }
+
+  for (const rule of configured) {
+    if (!rule?.label && !rule?.from?.length && !rule?.to?.length && !rule?.query) {
+      throw new Error(`Mail rule ${JSON.stringify(rule)} has no condition (label, from, to or query)`);
+    }
+    if (rule.tenant && !getTenant(rule.tenant)) throw new Error(`Mail rule names unknown tenant: ${rule.tenant}`);
+  }
+
+  const rules = [
+    ...configured,
+    ...loadTenants().flatMap(tenant => [
+      ...(tenant.email.senders.length ? [{ from: tenant.email.senders }] : []),
+      ...(tenant.email.recipients.length ? [{ to: tenant.email.recipients }] : [])
+    ])
+  ];
+  if (rules.length === 0) {
+    throw new Error('No mail rules configured: set GMAIL_RULES, TARGET_SENDER_EMAIL or add email senders to the tenants');
+  }
+  return rules;
+}
+
+/**
+ * Writes a label name the way Gmail search expects it (`Invoice/Processed` → `invoice-processed`)
+ * @param {string} name - Label name
+ * @returns {string} Search term value
+ */
+function labelTerm(name) {
+  return name.toLowerCase().replace(/[\s/]+/g, '-');
+}
+
+/**
+ * Builds the search of a full sync: messages matching any rule since a date,
+ * without the result labels
+ * @param {MailRule[]} rules - Mail rules
+ * @param {Date} since - Oldest message date
+ * @returns {string} Gmail query
+ */
+export function buildSyncQuery(rules, since) {
+  const addresses = (field, entries) => `${field}:(${entries.map(entry => entry.replace(/^@/, '')).join(' OR ')})`;
+  const terms = rules.map(rule => [
+    rule.label && `label:${labelTerm(rule.label)}`,
+    rule.from?.length && addresses('from', rule.from),
+    rule.to?.length && addresses('to', rule.to),
+    rule.query && `(${rule.query})`
+  ].filter(Boolean).join(' '));
+
+  const { processed, failed } = resultLabelNames();
+  const date = since.toISOString().slice(0, 10).replace(/-/g, '/');
+  return `{${terms.map(term => `(${term})`).join(' ')}} after:${date} -label:${labelTerm(processed)} -label:${labelTerm(failed)}`;
+}
+
+/**
+ * Returns the date a full sync starts from
+ * @param {SyncState} state - Sync state
+ * @returns {Date} Date of the last sync, else `GMAIL_SYNC_LOOKBACK_HOURS` ago
+ */
+export function syncStart(state) {
+  if (state.syncedAt) return new Date(state.syncedAt);
+  const hours = Number(process.env.GMAIL_SYNC_LOOKBACK_HOURS) || DEFAULT_LOOKBACK_HOURS;
+  return new Date(Date.now() - hours * 60 * 60 * 1000);
+}
+
+/**
+ * Reads a message header
+ * @param {Object} message - Gmail message
+ * @param {...string} names - Header names; values of several headers are joined
+ * @returns {string} Header value, empty if missing
+ */
+export function headerValue(message, ...names) {
+  return (message.payload?.headers || [])
+    .filter(header => names.some(name => header.name.toLowerCase() === name.toLowerCase()))
+    .map(header => header.value)
+    .join(', ');
+}
+
+/**
+ * Finds the attachments of a message at any depth (multipart/mixed →
+ * multipart/alternative → ..., forwarded message parts)
+ * @param {Object} part - Message payload or MIME part
+ * @returns {Object[]} Parts with a file name and content, in message order
+ */
+export function findAttachmentParts(part) {
+  if (!part) return [];
+  const own = part.filename && (part.body?.attachmentId || part.body?.data) ? [part] : [];
+  return [...own, ...(part.parts || []).flatMap(findAttachmentParts)];
+}
+
+/**
+ * Lists the labels of the mailbox
+ * @param {Object} gmail - Gmail API client
+ * @returns {Promise<Map<string, string>>} Label ids by name
+ */
+export async function listLabels(gmail) {
+  const res = await gmail.users.labels.list({ userId: 'me' });
+  return new Map((res.data.labels || []).map(label => [label.name, label.id]));
+}
+
+/**
+ * Returns the ids of labels, creating the missing ones
+ * @param {Object} gmail - Gmail API client
+ * @param {Map<string, string>} labels - Known labels, updated in place
+ * @param {string[]} names - Label names
+ * @returns {Promise<string[]>} Label ids in the order of `names`
+ */
+export async function ensureLabels(gmail, labels, names) {
+  const ids = [];
+  for (const name of names) {
+    if (!labels.has(name)) {
+      const res = await gmail.users.labels.create({
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+      });
+      labels.set(name, res.data.id);
+      console.log(`INFO: Created Gmail label ${name}`);
+    }
+    ids.push(labels.get(name));
+  }
+  return ids;
+}
+
+/**
+ * Lists the messages matching a search, following every result page
+ * @param {Object} gmail - Gmail API client
+ * @param {string} query - Gmail query
+ * @returns {Promise<string[]>} Message ids
+ */
+export async function searchMessageIds(gmail, query) {
+  const ids = [];
+  let pageToken;
+  do {
+    const res = await gmail.users.messages.list({ userId: 'me', q: query, maxResults: PAGE_SIZE, pageToken });
+    ids.push(...(res.data.messages || []).map(message => message.id));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+  return ids;
+}
+
+/**
+ * Lists the messages added or labelled since a history checkpoint
+ * @param {Object} gmail - Gmail API client
+ * @param {string} startHistoryId - Checkpoint of the last sync
+ * @returns {Promise<{ids: string[], historyId: string}|null>} Message ids and the new
+ *   checkpoint, or null if Gmail no longer keeps history that old (a full sync is needed)
+ */
+export async function historyMessageIds(gmail, startHistoryId) {
+  const ids = new Set();
+  let historyId = startHistoryId;
+  let pageToken;
+  try {
+    do {
+      const res = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId,
+        historyTypes: ['messageAdded', 'labelAdded'],
+        maxResults: PAGE_SIZE,
+        pageToken
+      });
+      for (const entry of res.data.history || []) {
+        for (const { message } of [...(entry.messagesAdded || []), ...(entry.labelsAdded || [])]) ids.add(message.id);
+      }
+      historyId = res.data.historyId || historyId;
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+  } catch (err) {
+    if (Number(err.response?.status ?? err.code) === 404) {
+      console.warn(`WARNING: Gmail history ${startHistoryId} has expired, falling back to a full sync`);
+      return null;
+    }
+    throw err;
+  }
+  return { ids: [...ids], historyId };
+}
+
+/**
+ * Finds the first rule a message matches
+ * @param {Object} gmail - Gmail API client, for `query` rules
+ * @param {Object} message - Gmail message with headers and label ids
+ * @param {MailRule[]} rules - Mail rules
+ * @param {Map<string, string>} labels - Label ids by name
+ * @returns {Promise<MailRule|null>} Matching rule, or null
+ */
+export async function matchMailRule(gmail, message, rules, labels) {
+  const senders = emailAddresses(headerValue(message, 'From'));
+  const recipients = emailAddresses(headerValue(message, 'To', 'Cc', 'Delivered-To'));
+  const matches = (addresses, entries) => addresses.some(address => entries.some(entry => matchesAddress(address, entry)));
+
+  for (const rule of rules) {
+    if (rule.label && !(message.labelIds || []).includes(labels.get(rule.label))) continue;
+    if (rule.from?.length && !matches(senders, rule.from)) continue;
+    if (rule.to?.length && !matches(recipients, rule.to)) continue;
+    if (rule.query) {
+      // A search cannot be applied to one message, but it can be narrowed to its Message-ID
+      const messageId = headerValue(message, 'Message-ID').replace(/^<|>$/g, '');
+      if (!messageId) continue;
+      const res = await gmail.users.messages.list({ userId: 'me', q: `rfc822msgid:${messageId} (${rule.query})`, maxResults: 1 });
+      if (!(res.data.messages || []).some(found => found.id === message.id)) continue;
+    }
+    return rule;
+  }
+  return null;
+}
+
+/**
+ * Finds the tenant a matched message belongs to
+ * @param {MailRule} rule - Rule the message matched
+ * @param {{from: string, to: string}} headers - `From` and the joined recipient headers
+ * @returns {import('./tenants.js').Tenant|null} The rule's tenant, else the routed one; without
+ *   tenant configuration the default tenant takes every match
+ */
+export function tenantForMessage(rule, headers) {
+  if (rule.tenant) return getTenant(rule.tenant);
+  return tenantForEmail(headers) || unroutedTenant();
+}
+
+/**
+ * Returns the sync state file
+ * @returns {string} `GMAIL_SYNC_STATE`, default `gmail-sync.json` in the queue directory
+ */
+function stateFile() {
+  return path.resolve(process.env.GMAIL_SYNC_STATE || path.join(getIngestionQueue().dir, STATE_FILE));
+}
+
+/**
+ * Reads the sync state
+ * @returns {Promise<SyncState>} State; empty before the first sync
+ */
+export async function loadSyncState() {
+  try {
+    return { pending: [], ...JSON.parse(await fs.readFile(stateFile(), 'utf8')) };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { pending: [] };
+    throw err;
+  }
+}
+
+/**
+ * Writes the sync state
+ * @param {SyncState} state - Sync state
+ * @returns {Promise<void>}
+ */
+export async function saveSyncState(state) {
+  const file = stateFile();
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2));
+  await fs.rename(tmp, file);
+}
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview IMAP mailbox access for mailboxes that are not on Gmail.
+ * @module lib/imap
+ *
+ * Connects with `IMAP_HOST` / `IMAP_PORT` / `IMAP_USER` / `IMAP_PASSWORD`
+ * (`EMAIL_USER` / `EMAIL_PASSWORD` work as well) and reads `IMAP_FOLDER`
+ * (default `INBOX`). Only unseen messages whose body structure has an
+ * attachment are downloaded; the download does not mark them as seen. What
+ * happens to a finished message is decided by {@link settleImapMessage}.
+ */
+
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { getTenant } from './tenants.js';
+
+const DEFAULT_PORT = 993;
+const DEFAULT_FOLDER = 'INBOX';
+
+/**
+ * @typedef {Object} ImapConfig
+ * @property {string} host - Server host name
+ * @property {number} port - Server port
+ * @property {boolean} secure - Connect with TLS (`IMAP_SECURE=false` for a local test server)
+ * @property {string} user - Login name
+ * @property {string} password - Password
+ * @property {string} folder - Folder searched for new messages
+ * @property {string} [processedFolder] - Folder finished messages are moved to
+ * @property {string} [failedFolder] - Folder messages with failed documents are moved to
+ * @property {string} [tenant] - Tenant every message of the mailbox belongs to
+ */
+
+/**
+ * Reads the IMAP settings from the environment
+ * @returns {ImapConfig} Settings
+ * @throws {Error} If host, user or password is missing, or `IMAP_TENANT` names an unknown tenant
+ */
+export function imapConfig() {
+  const config = {
+    host: process.env.IMAP_HOST,
+    port: Number(process.env.IMAP_PORT) || DEFAULT_PORT,
+    secure: process.env.IMAP_SECURE !== 'false',
+    user: process.env.IMAP_USER || process.env.EMAIL_USER,
+    password: process.env.IMAP_PASSWORD || process.env.EMAIL_PASSWORD,
+    folder: process.env.IMAP_FOLDER || DEFAULT_FOLDER,
+    ...(process.env.IMAP_PROCESSED_FOLDER && { processedFolder: process.env.IMAP_PROCESSED_FOLDER }),
+    ...(process.env.IMAP_FAILED_FOLDER && { failedFolder: process.env.IMAP_FAILED_FOLDER }),
+    ...(process.env.IMAP_TENANT && { tenant: process.env.IMAP_TENANT })
+  };
+  const missing = ['host', 'user', 'password'].filter(key => !config[key]);
+  if (missing.length) throw new Error(`IMAP is not configured, missing: ${missing.join(', ')}`);
+  // Otherwise every message would be skipped and marked as seen
+  if (config.tenant && !getTenant(config.tenant)) throw new Error(`IMAP_TENANT names unknown tenant: ${config.tenant}`);
+  return config;
+}
+
+/**
+ * Creates an IMAP client (not yet connected)
+ * @param {ImapConfig} config - Settings
+ * @returns {ImapFlow} Client
+ */
+export function createImapClient({ host, port, secure, user, password }) {
+  return new ImapFlow({ host, port, secure, auth: { user, pass: password }, logger: false });
+}
+
+/**
+ * Tells whether a body structure contains an attachment at any depth
+ * @param {Object} node - Body structure node as returned by imapflow
+ * @returns {boolean} True if a part is an attachment or carries a file name
+ */
+export function hasAttachment(node) {
+  if (!node) return false;
+  if (node.childNodes?.length) return node.childNodes.some(hasAttachment);
+  return node.disposition === 'attachment' ||
+    Boolean(node.dispositionParameters?.filename || node.parameters?.name);
+}
+
+/**
+ * Lists the unseen messages with attachments in the selected folder
+ * @param {ImapFlow} client - Client with the folder selected
+ * @returns {Promise<number[]>} Message UIDs
+ */
+export async function findUnseenWithAttachments(client) {
+  const uids = (await client.search({ seen: false }, { uid: true })) || [];
+  if (!uids.length) return [];
+
+  // Collected first: no other command may run while a fetch is being iterated
+  const matches = [];
+  for await (const message of client.fetch(uids, { uid: true, bodyStructure: true }, { uid: true })) {
+    if (hasAttachment(message.bodyStructure)) matches.push(message.uid);
+  }
+  return matches;
+}
+
+/**
+ * Downloads and parses a message
+ * @param {ImapFlow} client - Client with the folder selected
+ * @param {number} uid - Message UID
+ * @returns {Promise<{from: string, to: string, subject: string, attachments: Array<{buffer: Buffer, filename: string, contentType: string}>}>}
+ *   Headers and attached files; inline parts such as logos are left out
+ * @throws {Error} If the message is gone
+ */
+export async function readImapMessage(client, uid) {
+  const message = await client.fetchOne(String(uid), { uid: true, source: true }, { uid: true });
+  if (!message?.source) throw new Error(`Message ${uid} not found`);
+
+  const mail = await simpleParser(message.source);
+  return {
+    from: mail.from?.text || '',
+    to: [mail.to, mail.cc].flat().filter(Boolean).map(address => address.text).join(', '),
+    subject: mail.subject || '',
+    attachments: (mail.attachments || [])
+      .filter(part => part.contentDisposition !== 'inline' || part.contentType === 'application/pdf')
+      .map((part, index) => ({
+        buffer: part.content,
+        filename: part.filename || `attachment_${index + 1}`,
+        contentType: part.contentType
+      }))
+  };
+}
+
+/**
+ * Files a finished message: marks it as seen (and flagged when it failed) and
+ * moves it to the processed or failed folder when one is configured. Skipped
+ * messages (unregistered sender, nothing to take in) are only marked as seen,
+ * so they are not downloaded again on every run but stay where a person looks.
+ * Pending messages are not passed here and stay unseen, so the next run looks at them again.
+ * @param {ImapFlow} client - Client with the folder selected
+ * @param {number} uid - Message UID
+ * @param {'processed'|'failed'|'skipped'} outcome - How the message ended up
+ * @param {ImapConfig} config - Settings
+ * @returns {Promise<void>}
+ */
+export async function settleImapMessage(client, uid, outcome, config) {
+  if (outcome === 'skipped') {
+    await client.messageFlagsAdd(String(uid), ['\\Seen'], { uid: true });
+    return;
+  }
+  const target = outcome === 'failed' ? config.failedFolder : config.processedFolder;
+  await client.messageFlagsAdd(String(uid), outcome === 'failed' ? ['\\Seen', '\\Flagged'] : ['\\Seen'], { uid: true });
+  if (target) {
+    await client.mailboxCreate(target);
+    await client.messageMove(String(uid), target, { uid: true });
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Queue-backed ingestion shared by every attachment source.
+ * @module lib/ingestion
+ *
+ * Sources (WhatsApp inbox, Gmail and IMAP fetch, folder watcher) enqueue attachments
+ * instead of processing them inline. A job runs {@link processAttachments};
+ * when any document in it fails with a transient error (rate limit, network,
+ * 5xx from OpenAI or Graph) the whole job is retried with backoff. Documents
+ * that were already stored are recognised as exact duplicates on the retry,
+ * and their earlier result is kept.
+ *
+ * Message based sources go through {@link ingestMessage}, which records every
+ * attachment in the message store so a redelivered or re-scanned message only
+ * processes what did not finish the first time.
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { createJobQueue, envNumber, DEFAULT_CONCURRENCY } from './jobQueue.js';
+import { createMessageStore, isAttachmentFinished, isMessageComplete } from './messageStore.js';
+import { processAttachments } from './invoiceProcessor.js';
+import { getTenant, tenantOptions, normalizePhone, emailAddresses } from './tenants.js';
+import { confirmationEnabled, confirmationTtlMs } from './confirmations.js';
+
+let defaultQueue = null;
+let defaultStore = null;
+
+/**
+ * Returns the configured ingestion queue (`QUEUE_DIR`)
+ * @returns {import('./jobQueue.js').JobQueue} Job queue
+ */
+export function getIngestionQueue() {
+  return (defaultQueue ??= createJobQueue());
+}
+
+/**
+ * Makes sure the queue outlives a serverless invocation. On Vercel (or
+ * Lambda) the function's own disk is gone after the response, and with it
+ * every job waiting for a retry and the message bookkeeping, so `QUEUE_DIR`
+ * must be set to a shared, writable mount that a long-running
+ * `scripts/jobs.js work` drains as well.
+ * @returns {Promise<void>}
+ * @throws {Error} When running serverless without such a `QUEUE_DIR`
+ */
+export async function assertDurableQueue() {
+  if (!process.env.VERCEL && !process.env.AWS_LAMBDA_FUNCTION_NAME) return;
+  const dir = process.env.QUEUE_DIR;
+  if (!dir || !path.isAbsolute(dir)) {
+    throw new Error('QUEUE_DIR must be an absolute path on a shared volume when running serverless');
+  }
+  const resolved = path.resolve(dir);
+  if (resolved === os.tmpdir() || resolved.startsWith(`${os.tmpdir()}${path.sep}`)) {
+    throw new Error(`QUEUE_DIR ${dir} is the function's temporary disk, jobs would not survive the invocation`);
+  }
+  try {
+    await fs.mkdir(resolved, { recursive: true });
+    await fs.access(resolved, fs.constants.W_OK);
+  } catch (err) {
+    throw new Error(`QUEUE_DIR ${dir} is not writable`, { cause: err });
+  }
+}
+
+/**
+ * Returns the message store of the configured ingestion queue
+ * @returns {Object} Message store, see {@link module:lib/messageStore}
+ */
+export function getMessageStore() {
+  return (defaultStore ??= createMessageStore({ queue: getIngestionQueue() }));
+}
+
+/**
+ * Identifies a result across attempts
+ * @param {Object} result - Processing result
+ * @returns {string} Container path and file name
+ */
+function resultKey(result) {
+  return `${result.container || ''}/${result.filename}`;
+}
+
+/**
+ * Combines the results of a retry with those of earlier attempts. A document
+ * stored by an earlier attempt shows up as an exact duplicate now; the
+ * earlier result is the one the sender should see.
+ * @param {Object[]} previous - Results of the earlier attempt
+ * @param {Object[]} current - Results of this attempt
+ * @returns {Object[]} Merged results
+ */
+function mergeResults(previous = [], current) {
+  const stored = new Map(previous.filter(r => r.ok && !r.skipped).map(r => [resultKey(r), r]));
+  return current.map(result =>
+    result.skipped && result.duplicate?.type === 'exact' && stored.has(resultKey(result))
+      ? stored.get(resultKey(result))
+      : result
+  );
+}
+
+/**
+ * Returns who sent the attachment of a job, as kept with its booking
+ * @param {Object} payload - Job payload
+ * @returns {string|undefined} Normalized phone number or email address
+ */
+function senderOf({ source, meta }) {
+  if (!meta?.from) return undefined;
+  return source === 'whatsapp' ? normalizePhone(meta.from) : emailAddresses(meta.from)[0];
+}
+
+/**
+ * Job handler: processes the attachment of an ingestion job
+ * @type {import('./jobQueue.js').JobHandler}
+ */
+export async function processJob(job, buffer) {
+  if (!buffer) {
+    return { result: [{ ok: false, filename: job.payload.filename, error: 'Job payload is missing' }] };
+  }
+
+  const { filename, contentType, tenant: tenantId } = job.payload;
+  // Jobs without a tenant (folder watcher, jobs queued before routing) use the configured root
+  const tenant = tenantId ? getTenant(tenantId) : null;
+  if (tenantId && !tenant) {
+    return { result: [{ ok: false, filename, error: `Unknown tenant: ${tenantId}` }] };
+  }
+
+  // Only WhatsApp senders can answer a confirmation request
+  const confirm = job.payload.source === 'whatsapp' && confirmationEnabled(tenant);
+  const results = mergeResults(
+    job.result,
+    await processAttachments(
+      { buffer, filename, contentType },
+      null,
+      {
+        ...tenantOptions(tenant),
+        sender: senderOf(job.payload),
+        ...(confirm && { confirmTtlMs: confirmationTtlMs() })
+      }
+    )
+  );
+  const transient = results.filter(result => result.transient);
+  if (transient.length) {
+    return {
+      result: results,
+      retry: true,
+      error: transient.map(result => `${result.filename}: ${result.error}`).join('; ')
+    };
+  }
+  return { result: results };
+}
+
+/**
+ * Queues an attachment for processing.
+ * @param {Object} attachment - The attachment object
+ * @param {Buffer} attachment.buffer - File buffer
+ * @param {string} attachment.filename - Original filename
+ * @param {string} attachment.contentType - MIME type
+ * @param {Object} [options]
+ * @param {string} options.source - Source name, e.g. "whatsapp", "gmail", "watcher"
+ * @param {string} [options.tenant] - Tenant id; decides storage folder and buyer name
+ * @param {string} [options.key] - Deduplication key; an existing live job with the same key is returned
+ * @param {Object} [options.meta] - Source specific details kept with the job
+ * @param {import('./jobQueue.js').JobQueue} [options.queue] - Queue, defaults to the configured one
+ * @returns {Promise<import('./jobQueue.js').Job>} Queued (or existing) job
+ */
+export async function enqueueAttachment({ buffer, filename, contentType }, { source, tenant, key, meta, queue } = {}) {
+  return (queue ?? getIngestionQueue()).enqueue(
+    { filename, contentType, source, ...(tenant && { tenant }), ...(meta && { meta }) },
+    buffer,
+    { key }
+  );
+}
+
+/**
+ * Runs the given jobs right away (one attempt each, at most `JOB_CONCURRENCY`
+ * at a time), for sources that report results in the same request. Jobs that
+ * need a retry stay queued for the worker.
+ * @param {import('./jobQueue.js').Job[]} jobs - Jobs to run
+ * @param {Object} [options]
+ * @param {import('./jobQueue.js').JobQueue} [options.queue] - Queue, defaults to the configured one
+ * @returns {Promise<import('./jobQueue.js').Job[]>} Jobs after the attempt, in the given order
+ */
+export async function runJobsNow(jobs, { queue } = {}) {
+  const target = queue ?? getIngestionQueue();
+  const limit = envNumber('JOB_CONCURRENCY', DEFAULT_CONCURRENCY);
+  const pending = jobs.map((job, index) => ({ job, index }));
+  const done = [];
+
+  const lane = async () => {
+    while (pending.length) {
+      const { job, index } = pending.shift();
+      const due = job.status === 'queued' && Date.parse(job.runAt) <= Date.now();
+      const finished = due ? await target.run(job.id, processJob) : null;
+      // A job claimed by another worker (or already finished) is reported as it is now
+      done[index] = finished ?? (await target.get(job.id)) ?? job;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, pending.length) }, lane));
+  return done;
+}
+
+/**
+ * Flattens jobs into per-document results for replies and summaries. Jobs
+ * waiting for a retry, or dead, contribute their last known results plus a
+ * note for the documents that are still outstanding.
+ * @param {import('./jobQueue.js').Job[]} jobs - Jobs
+ * @returns {Object[]} Processing results; pending ones carry `queued: true`
+ */
+export function jobResults(jobs) {
+  return jobs.flatMap(job => {
+    const results = Array.isArray(job.result) ? job.result : [];
+    if (job.status === 'done') return results;
+
+    let note = 'Queued for processing';
+    if (job.status === 'dead') note = `Failed after ${job.attempts} attempt(s): ${job.lastError}`;
+    else if (job.lastError) note = 'Temporary error, will be retried automatically';
+    const settled = results.filter(result => !result.transient);
+    const outstanding = results.length ? results.filter(result => result.transient) : [{ filename: job.payload.filename }];
+    return [
+      ...settled,
+      ...outstanding.map(result => ({
+        ok: false,
+        filename: result.filename,
+        ...(result.container && { container: result.container }),
+        error: note,
+        ...(job.status !== 'dead' && { queued: true }),
+        job: job.id
+      }))
+    ];
+  });
+}
+
+/**
+ * @typedef {Object} MessageAttachment
+ * @property {string} id - Attachment id, stable across deliveries (Twilio media index, Gmail part id)
+ * @property {string} filename - File name
+ * @property {() => Promise<{buffer: Buffer, filename: string, contentType: string}>} load - Downloads the attachment
+ */
+
+/**
+ * Takes in the attachments of one message exactly once. Finished attachments
+ * are skipped, queued ones are picked up from their job, and only the rest is
+ * downloaded and queued (job key `<messageKey>:<attachment id>`). The jobs are
+ * then run right away like {@link runJobsNow}.
+ * @param {string|null} messageKey - Message key, e.g. `twilio:<MessageSid>`; null disables the bookkeeping
+ * @param {MessageAttachment[]} attachments - Attachments of the message
+ * @param {Object} [options]
+ * @param {string} options.source - Source name
+ * @param {string} [options.tenant] - Tenant id the message was routed to
+ * @param {Object} [options.meta] - Source specific details kept with the jobs
+ * @param {import('./jobQueue.js').JobQueue} [options.queue] - Queue, defaults to the configured one
+ * @param {Object} [options.store] - Message store, defaults to the one of the queue
+ * @returns {Promise<{results: Object[], alreadyDone: number}>} Results of this run and the
+ *   number of attachments finished by an earlier delivery
+ */
+export async function ingestMessage(messageKey, attachments, { source, tenant, meta, queue, store } = {}) {
+  const target = queue ?? getIngestionQueue();
+  const messages = messageKey ? (store ?? (queue ? createMessageStore({ queue }) : getMessageStore())) : null;
+  const record = messages ? await messages.begin(messageKey, attachments) : null;
+  const results = [];
+  const jobs = [];
+  const ids = [];
+  let alreadyDone = 0;
+
+  for (const attachment of attachments) {
+    const entry = record?.attachments[attachment.id];
+    if (isAttachmentFinished(entry)) {
+      alreadyDone += 1;
+      continue;
+    }
+
+    let job = entry?.job ? await target.get(entry.job) : null;
+    if (!job) {
+      try {
+        job = await enqueueAttachment(await attachment.load(), {
+          source,
+          tenant,
+          meta,
+          queue: target,
+          ...(messageKey && { key: `${messageKey}:${attachment.id}` })
+        });
+      } catch (err) {
+        // Left pending: the next delivery of the message tries again
+        console.error(`ERROR: Could not take in ${attachment.filename}:`, err.message);
+        results.push({ ok: false, filename: attachment.filename, error: err.message });
+        continue;
+      }
+      if (messages) await messages.track(messageKey, attachment.id, job);
+    }
+    jobs.push(job);
+    ids.push(attachment.id);
+  }
+
+  if (alreadyDone) console.log(`INFO: ${alreadyDone} attachment(s) of ${messageKey} were already processed, skipping`);
+
+  const finished = await runJobsNow(jobs, { queue: target });
+  if (messages) {
+    for (const [index, job] of finished.entries()) await messages.track(messageKey, ids[index], job);
+  }
+  results.push(...jobResults(finished));
+  return { results, alreadyDone };
+}
+
+/**
+ * Decides how a taken-in message ended up, e.g. to label or move an email
+ * @param {string} messageKey - Message key, e.g. `gmail:<id>`
+ * @returns {Promise<'processed'|'failed'|'pending'>} `pending` while an attachment is not finished
+ */
+export async function messageOutcome(messageKey) {
+  const record = await getMessageStore().get(messageKey);
+  if (!isMessageComplete(record)) return 'pending';
+
+  const entries = Object.values(record.attachments);
+  const queue = getIngestionQueue();
+  const jobs = (await Promise.all(entries.filter(entry => entry.job).map(entry => queue.get(entry.job)))).filter(Boolean);
+  const failed = entries.some(entry => entry.status === 'failed') ||
+    jobResults(jobs).some(result => !result.ok && !result.review && !result.confirmation);
+  return failed ? 'failed' : 'processed';
+}
@@ -4,24 +4,59 @@
  * @module invoiceProcessor
  */
 
-import { OpenAI } from 'openai';
 import { createRequire } from 'module';
+import { getStorage } from './storage.js';
+import { toCsvRow } from './csvDrive.js';
+import { monthFolder } from './ledger.js';
 import {
-  getGraphClient,
-  ensureYearMonthFolder,
-  uploadFile
-} from './onedrive.js';
-import { ensureCsvFile, appendCsvRow } from './csvDrive.js';
+  contentHash,
+  loadFingerprints,
+  findDuplicate,
+  recordFingerprint
+} from './duplicates.js';
+import { describeErrors, validateInvoice } from './invoiceValidator.js';
+import { getExtractionProvider } from './extraction.js';
+import { rasterizePdf } from './pdfRaster.js';
+import { isXmlDocument, parseEInvoice, findEmbeddedInvoiceXml } from './eInvoice.js';
+import { expandAttachment } from './containers.js';
+import { isTransientError } from './jobQueue.js';
+import {
+  scoreConfidence,
+  minConfidence,
+  enqueueReview,
+  listReviews,
+  correctReview,
+  readReviewFile,
+  claimReview,
+  releaseReview,
+  markApproved
+} from './reviewQueue.js';
 
 const require = createRequire(import.meta.url);
 
 /**
- * Resolves OpenAI client instance
- * @param {OpenAI|null} client - Existing client or null
- * @returns {OpenAI} - OpenAI client instance
+ * Resolves the extraction provider
+ * @param {import('openai').OpenAI|null} client - Existing OpenAI client or null
+ * @param {import('./extraction.js').ExtractionProvider|null} provider - Explicit provider or null
+ * @param {string} [buyerName] - Company the invoices are addressed to
+ * @returns {import('./extraction.js').ExtractionProvider} Extraction provider
+ */
+function resolveProvider(client, provider, buyerName) {
+  return provider ?? getExtractionProvider({ client: client ?? undefined, buyerName });
+}
+
+/**
+ * Builds the result for a document the provider cannot read, so it is parked
+ * for review instead of failing
+ * @param {import('./extraction.js').ExtractionProvider} extractor - Extraction provider
+ * @param {string} what - The kind of document, e.g. "Scanned PDF"
+ * @returns {import('./extraction.js').ExtractionResult} Invalid result with a reason
  */
-function resolveOpenAI(client) {
-  return client ?? new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+function unreadableDocument(extractor, what) {
+  const reason = `${what} needs image extraction, which the ${extractor.name} extraction provider cannot do; ` +
+    'enter the data in the review or configure a model-based EXTRACTION_PROVIDER';
+  console.warn(`WARNING: ${reason}`);
+  return { ...validateInvoice({}), attempts: 0, source: 'none', reason };
 }
 
 /**
@@ -30,167 +65,267 @@ function resolveOpenAI(client) {
  * @param {Buffer} attachment.buffer - File buffer
  * @param {string} attachment.filename - Original filename
  * @param {string} attachment.contentType - MIME type
- * @param {OpenAI} [openai] - Optional OpenAI client instance
+ * @param {import('openai').OpenAI} [openai] - Optional OpenAI client for the OpenAI based providers
+ * @param {Object} [options] - Processing options
+ * @param {import('./storage.js').InvoiceStorage} [options.storage] - Storage backend, defaults to the configured one
+ * @param {import('./extraction.js').ExtractionProvider} [options.provider] - Extraction provider, defaults to the configured one
+ * @param {string} [options.buyerName] - Company the invoices are addressed to, for the configured provider
+ * @param {string} [options.sender] - Phone number or email address of the sender, kept with the booking
+ * @param {number} [options.confirmTtlMs] - Confirmation mode: valid documents wait this long for the
+ *   sender's confirmation (result with `confirmation`) instead of being stored right away
  * @returns {Promise<Object>} Processing result
  */
-export async function processAttachment({ buffer, filename, contentType }, openai) {
-  const ai = resolveOpenAI(openai);
-
+export async function processAttachment({ buffer, filename, contentType }, openai, { storage, provider, buyerName, sender, confirmTtlMs } = {}) {
   try {
     filename = sanitizeFilename(filename);
+    const store = storage ?? getStorage();
+
+    // Exact duplicates are skipped before spending an extraction call on them
+    const hash = contentHash(buffer);
+    const fingerprints = await loadFingerprints(store);
+    const exact = findDuplicate(fingerprints, { hash });
+    if (exact) {
+      console.log(`INFO: Skipping exact duplicate of ${exact.filename} recorded ${exact.recordedAt}`);
+      return { ok: true, filename, skipped: true, duplicate: exact };
+    }
+    const now = new Date().toISOString();
+    const queued = (await listReviews(store, { status: 'pending' }))
+      .find(item => item.hash === hash && !(item.expiresAt && item.expiresAt <= now));
+    if (queued?.expiresAt) {
+      console.log(`INFO: ${filename} is already awaiting confirmation as ${queued.id}`);
+      return {
+        ok: false,
+        filename,
+        data: queued.data,
+        confidence: queued.confidence,
+        confirmation: { id: queued.id, expiresAt: queued.expiresAt }
+      };
+    }
+    if (queued) {
+      console.log(`INFO: ${filename} is already awaiting review as ${queued.id}`);
+      return { ok: false, filename, error: `Already awaiting review (${queued.reason})`, review: { id: queued.id } };
+    }
 
-    let data;
-    if (contentType.includes('pdf')) {
+    // Structured e-invoices are read directly; the model is only involved for everything else
+    let extraction;
+    let embeddedXml = null;
+    if (isXmlDocument(contentType, filename)) {
+      console.log('INFO: Processing XML e-invoice');
+      extraction = parseEInvoice(buffer);
+    } else if (contentType.includes('pdf')) {
       console.log('INFO: Processing PDF document');
-      data = await extractFromPdf(buffer, ai);
+      embeddedXml = await findEmbeddedInvoiceXml(buffer);
+      if (embeddedXml) {
+        console.log(`INFO: Using embedded e-invoice ${embeddedXml.filename}`);
+        try {
+          extraction = parseEInvoice(embeddedXml.content);
+        } catch (err) {
+          // A broken attachment must not sink a PDF that is readable on its own
+          console.warn(`WARNING: Embedded e-invoice ${embeddedXml.filename} could not be read, extracting from the PDF:`, err.message);
+          embeddedXml = null;
+        }
+      }
+      if (!extraction) {
+        extraction = await extractFromPdf(buffer, resolveProvider(openai, provider, buyerName));
+      }
     } else if (contentType.startsWith('image/')) {
       console.log('INFO: Processing image document');
-      data = await extractFromImage(buffer, ai, contentType);
+      const extractor = resolveProvider(openai, provider, buyerName);
+      extraction = extractor.readsImages === false
+        ? unreadableDocument(extractor, 'Image')
+        : await extractor.extractFromImage(buffer, contentType);
     } else {
       throw new Error(`Unsupported content type: ${contentType}`);
     }
 
-    if (!data.invoice_date || !data.total) {
-      throw new Error('Required invoice data missing: invoice_date or total amount');
+    const { data, errors, valid, attempts } = extraction;
+    const confidence = scoreConfidence(extraction);
+
+    // Unusable or doubtful extractions are parked for a human instead of being dropped
+    if (!valid || confidence < minConfidence()) {
+      const reason = extraction.reason || (valid
+        ? `Low confidence (${confidence})${Object.keys(errors).length ? `: ${describeErrors(errors)}` : ''}`
+        : `Invalid invoice data: ${describeErrors(errors)}`);
+      console.warn(`WARNING: ${filename} needs review after ${attempts} attempt(s). ${reason}`);
+      const review = await enqueueReview(store, {
+        buffer, filename, contentType, hash, data, errors, reason, confidence,
+        source: extraction.source, attempts, sender
+      });
+      return {
+        ok: false,
+        filename,
+        error: reason,
+        data,
+        fieldErrors: errors,
+        attempts,
+        confidence,
+        review: { id: review.id }
+      };
+    }
+    if (Object.keys(errors).length) {
+      console.warn(`WARNING: ${filename} has unusable optional fields. ${describeErrors(errors)}`);
+    }
+
+    // Nothing is uploaded or booked until the sender has seen and confirmed the data
+    if (confirmTtlMs) {
+      const expiresAt = new Date(Date.now() + confirmTtlMs).toISOString();
+      const pending = await enqueueReview(store, {
+        buffer, filename, contentType, hash, data, errors, reason: 'Awaiting confirmation by the sender',
+        confidence, source: extraction.source, attempts, sender, expiresAt
+      });
+      return {
+        ok: false,
+        filename,
+        data,
+        attempts,
+        confidence,
+        confirmation: { id: pending.id, expiresAt }
+      };
     }
 
-    const graph = await getGraphClient();
-    const folderId = await ensureYearMonthFolder(graph, data.invoice_date);
-    await uploadFile(graph, folderId, filename, buffer);
-
-    const csvId = await ensureCsvFile(graph, folderId);
-    await appendCsvRow(graph, csvId, [
-      new Date().toISOString(),
-      data.invoice_date,
-      data.seller,
-      data.total,
-      data.tax,
-      data.payment_method
-    ]);
-
-    console.log(`SUCCESS: Document processed successfully. Filename: ${filename}`);
-    return { ok: true, filename };
+    const stored = await storeInvoice(store, { buffer, filename, hash, data, fingerprints, embeddedXml, sender });
+    return {
+      ok: true,
+      filename: stored.filename,
+      data,
+      attempts,
+      confidence,
+      ...(extraction.source && { source: extraction.source }),
+      ...(Object.keys(errors).length && { fieldErrors: errors }),
+      ...(stored.duplicate && { duplicate: stored.duplicate })
+    };
   } catch (err) {
     console.error(`ERROR: Processing failed for ${filename}. Details:`, err);
-    return { ok: false, filename, error: err.message };
+    // Rate limits and network errors are retried by the job queue instead of failing the document
+    return { ok: false, filename, error: err.message, ...(isTransientError(err) && { transient: true }) };
   }
 }
 
 /**
- * Sanitizes filename to ensure compatibility with storage systems
- * @param {string} filename - Original filename
- * @returns {string} Sanitized filename
+ * Uploads a document with its extracted data: original file (plus the embedded
+ * e-invoice XML, if any), ledger row and fingerprint.
+ * @param {import('./storage.js').InvoiceStorage} store - Storage backend
+ * @param {Object} invoice
+ * @param {Buffer} invoice.buffer - File content
+ * @param {string} invoice.filename - Sanitized file name
+ * @param {string} invoice.hash - Content hash of the file
+ * @param {Object} invoice.data - Validated invoice data
+ * @param {Object[]} invoice.fingerprints - Recorded fingerprints, for the near-duplicate check
+ * @param {{content: Buffer}|null} [invoice.embeddedXml] - Embedded e-invoice XML
+ * @param {string} [invoice.sender] - Phone number or email address of the sender
+ * @returns {Promise<{filename: string, duplicate: Object|null}>} Stored name and near-duplicate match
  */
-function sanitizeFilename(filename = '') {
-  return filename
-    .replace(/[\/\\:*?"<>|#%]/g, '-')
-    .replace(/\s+/g, '_')
-    .slice(0, 100);
+async function storeInvoice(store, { buffer, filename, hash, data, fingerprints, embeddedXml, sender }) {
+  // Near duplicates are still stored, but flagged in the result for the sender to check
+  const duplicate = findDuplicate(fingerprints, { hash, data });
+  if (duplicate) {
+    console.warn(`WARNING: ${filename} looks like ${duplicate.filename} recorded ${duplicate.recordedAt}`);
+  }
+
+  const folderId = await store.ensureYearMonthFolder(data.invoice_date);
+  filename = await store.uploadFile(folderId, filename, buffer);
+  // Keep the embedded XML next to the PDF, it is the legally binding part of a hybrid invoice
+  let xml;
+  if (embeddedXml) {
+    xml = await store.uploadFile(folderId, filename.replace(/\.pdf$/i, '') + '.xml', embeddedXml.content, 'application/xml');
+  }
+
+  // The row timestamp identifies the ledger row for later corrections
+  const row = new Date().toISOString();
+  await store.appendLedgerRow(folderId, data.invoice_date, toCsvRow(data, row));
+
+  await recordFingerprint(store, {
+    hash, data, filename, folder: monthFolder(data.invoice_date), row, xml, sender
+  });
+
+  console.log(`SUCCESS: Document processed successfully. Filename: ${filename}`);
+  return { filename, duplicate };
 }
 
 /**
- * Returns the data extraction prompt for AI
- * @returns {string} Extraction prompt
+ * Approves a review queue entry: applies the reviewer's corrections, then
+ * stores the document exactly like a successful {@link processAttachment}.
+ * The entry is claimed first, so a second approval running at the same time
+ * fails instead of booking the document twice; a document that is meanwhile
+ * recorded (same content) is not stored again.
+ * @param {string} id - Review identifier
+ * @param {Object} [fields] - Corrected invoice fields, merged over the entry's data
+ * @param {Object} [options]
+ * @param {import('./storage.js').InvoiceStorage} [options.storage] - Storage backend, defaults to the configured one
+ * @returns {Promise<Object>} Processing result, as for {@link processAttachment}
+ * @throws {Error} If the entry is unknown, already resolved or being approved, or its data is still invalid
  */
-function extractionPrompt() {
-  // Prompt content unchanged as it's already well-structured
-  return `
-You are an information extraction system. Your task is to analyze the provided text (which may be an invoice, receipt, or financial document) and return a JSON object containing the following fields:
-
-- "invoice_date": The invoice issue date in strict ISO format (YYYY-MM-DD).  
-  • If multiple dates appear, choose the one most likely to be the invoice issue date (not due date, not delivery date).  
-  • If no date can be determined, return "".
-
-- "seller": The entity issuing the invoice (company or individual).  
-  • This is never "Timelessoft" (they are only processing invoices).  
-  • Extract the seller's name exactly as written in the text.  
-  • If no seller can be determined, return "".
-
-- "total": The total invoice amount as a number with exactly two decimal places.  
-  • Always extract the *final total payable amount* (including tax, if present).  
-  • Represent only the numeric value (no currency symbols, no commas). Example: 1234.50.  
-  • If no total can be determined, return "".
-
-- "tax": The tax amount or percentage associated with the invoice.  
-  • If both an amount and a percentage are present, return the amount in numeric form (two decimals).  
-  • If only a percentage is available, return it as a string with "%" (e.g., "19%").  
-  • If no tax is mentioned, return "".
-
-- "payment_method": The method of payment (e.g., "Credit Card", "Bank Transfer", "Cash", "PayPal").  
-  • If multiple are mentioned, pick the most relevant (the one actually used for this invoice, not just an option).  
-  • If not specified, return "".
-
-STRICT REQUIREMENTS:
-1. Return ONLY a valid JSON object with the above keys, in exactly this format:
-   {
-     "invoice_date": "",
-     "seller": "",
-     "total": "",
-     "tax": "",
-     "payment_method": ""
-   }
-
-2. Do NOT include explanations, notes, markdown fences, or extra text — only the JSON.
-
-3. All string values must be enclosed in double quotes ("").
-
-4. If a value cannot be confidently extracted, use an empty string ("").
-
-Example of a valid output:
-{
-  "invoice_date": "2025-09-10",
-  "seller": "ACME GmbH",
-  "total": "1250.75",
-  "tax": "19%",
-  "payment_method": "Bank Transfer"
-}
-`;
+export async function approveReview(id, fields = {}, { storage } = {}) {
+  const store = storage ?? getStorage();
+  if (Object.keys(fields).length) await correctReview(store, id, fields);
+  const item = await claimReview(store, id);
+  const { data, errors } = validateInvoice(item.data);
+
+  let stored;
+  try {
+    const fingerprints = await loadFingerprints(store);
+    const exact = findDuplicate(fingerprints, { hash: item.hash });
+    if (exact) {
+      console.log(`INFO: Review item ${id} is already recorded as ${exact.filename}, not storing it again`);
+      await markApproved(store, id, { data, storedAs: exact.filename });
+      return { ok: true, filename: exact.filename, data, review: { id }, skipped: true, duplicate: exact };
+    }
+
+    const buffer = await readReviewFile(store, item);
+    const embeddedXml = item.contentType.includes('pdf') ? await findEmbeddedInvoiceXml(buffer) : null;
+    stored = await storeInvoice(store, {
+      buffer, filename: item.filename, hash: item.hash, data, fingerprints, embeddedXml, sender: item.sender
+    });
+  } catch (err) {
+    await releaseReview(store, id).catch(releaseErr =>
+      console.error(`ERROR: Could not release review item ${id}:`, releaseErr.message)
+    );
+    throw err;
+  }
+  await markApproved(store, id, { data, storedAs: stored.filename });
+  console.log(`INFO: Review item ${id} approved`);
+
+  return {
+    ok: true,
+    filename: stored.filename,
+    data,
+    review: { id },
+    ...(Object.keys(errors).length && { fieldErrors: errors }),
+    ...(stored.duplicate && { duplicate: stored.duplicate })
+  };
 }
 
 /**
- * Removes markdown code fences from string
- * @param {string} str - Input string
- * @returns {string} Cleaned string
+ * Processes an attachment that may be a container (ZIP archive, forwarded
+ * .eml/.msg email). Containers are unpacked recursively and every document
+ * inside is processed on its own; plain documents yield a single result.
+ * @param {Object} attachment - The attachment object, as for {@link processAttachment}
+ * @param {import('openai').OpenAI} [openai] - Optional OpenAI client for the OpenAI based providers
+ * @param {Object} [options] - Processing options, as for {@link processAttachment}
+ * @returns {Promise<Object[]>} One processing result per contained document; results
+ *   from inside a container carry a `container` path such as "march.zip/fwd.eml"
  */
-function stripFence(str = '') {
-  str = str.replace(/[\u200B-\u200D\uFEFF]/g, '');
-  const match = str.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  if (match) return match[1].trim();
-  return str.trim();
+export async function processAttachments(attachment, openai, options = {}) {
+  const { documents, errors } = await expandAttachment(attachment);
+  const results = errors.map(error => ({ ok: false, ...error }));
+
+  for (const document of documents) {
+    const result = await processAttachment(document, openai, options);
+    results.push(document.container ? { ...result, container: document.container } : result);
+  }
+  return results;
 }
 
 /**
- * Extracts invoice data from image
- * @param {Buffer} buffer - Image buffer
- * @param {OpenAI} openai - OpenAI client
- * @param {string} contentType - Image MIME type
- * @returns {Promise<Object>} Extracted invoice data
+ * Sanitizes filename to ensure compatibility with storage systems
+ * @param {string} filename - Original filename
+ * @returns {string} Sanitized filename
  */
-async function extractFromImage(buffer, openai, contentType = 'image/png') {
-  const base64 = buffer.toString('base64');
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'image_url',
-            image_url: { url: `data:${contentType};base64,${base64}` }
-          },
-          { type: 'text', text: extractionPrompt() }
-        ]
-      }
-    ]
-  });
-
-  const parsed = JSON.parse(stripFence(response.choices[0].message.content));
-  if (parsed.total_amount !== undefined && parsed.total === undefined) {
-    parsed.total = parsed.total_amount;
-    delete parsed.total_amount;
-  }
-  return parsed;
+function sanitizeFilename(filename = '') {
+  return filename
+    .replace(/[\/\\:*?"<>|#%]/g, '-')
+    .replace(/\s+/g, '_')
+    .slice(0, 100);
 }
 
 /**
@@ -210,28 +345,95 @@ async function parsePdfLocally(buffer) {
 }
 
 /**
- * Extracts invoice data from PDF document
+ * Tells whether a PDF text layer is real text rather than an empty or broken
+ * layer (scanner OCR noise, unmapped glyphs showing up as "(cid:12)", ...)
+ * @param {string} text - Text returned by pdf-parse
+ * @returns {boolean} True if the text is worth sending to the extractor
+ */
+function textLooksUsable(text) {
+  const compact = text.replace(/\s+/g, '');
+  if (compact.length < 20) return false;
+  if (/(\(cid:\d+\)){3}|\uFFFD{3}/.test(text)) return false;
+
+  const readable = (compact.match(/[\p{L}\p{N}.,:;%€$£\/\-]/gu) || []).length;
+  const words = text.match(/\p{L}{3,}/gu) || [];
+  return readable / compact.length > 0.8 && words.length >= 5;
+}
+
+/**
+ * Ranks extraction results: valid beats invalid, then fewer errors, then more filled fields
+ * @param {import('./extraction.js').ExtractionResult} result - Extraction result
+ * @returns {number} Score, higher is better
+ */
+function scoreExtraction(result) {
+  const filled = Object.values(result.data || {})
+    .filter(value => (Array.isArray(value) ? value.length : value))
+    .length;
+  return (result.valid ? 1000 : 0) - 10 * Object.keys(result.errors || {}).length + filled;
+}
+
+/**
+ * Extracts invoice data from the rendered pages of a PDF
+ * @param {Buffer} buffer - PDF buffer
+ * @param {import('./extraction.js').ExtractionProvider} extractor - Extraction provider
+ * @returns {Promise<import('./extraction.js').ExtractionResult>} Validated extraction result
+ */
+async function extractFromPdfPages(buffer, extractor) {
+  console.log('INFO: Rasterizing PDF pages for image extraction');
+  const pages = await rasterizePdf(buffer);
+  if (pages.length === 0) throw new Error('PDF contains no pages');
+  return { ...(await extractor.extractFromImages(pages)), source: 'vision' };
+}
+
+/**
+ * Extracts invoice data from PDF document.
+ * The text layer is used when it looks like real text. Scanned PDFs without
+ * one are rasterized and sent through the image path; when the text layer is
+ * suspicious, or its result is unusable, both paths run and the better result
+ * wins. `PDF_VISION_FALLBACK` selects `auto` (default), `compare` (always run
+ * both) or `off` (text only). A provider that cannot read images never gets
+ * the pages; a scan is parked for review instead.
  * @param {Buffer} buffer - PDF buffer
- * @param {OpenAI} openai - OpenAI client
- * @returns {Promise<Object>} Extracted invoice data
+ * @param {import('./extraction.js').ExtractionProvider} extractor - Extraction provider
+ * @returns {Promise<import('./extraction.js').ExtractionResult>} Validated extraction result
  */
-async function extractFromPdf(buffer, openai) {
+async function extractFromPdf(buffer, extractor) {
+  const mode = (process.env.PDF_VISION_FALLBACK || 'auto').toLowerCase();
+
   console.log('INFO: Parsing PDF content');
-  const text = await parsePdfLocally(buffer);
-  if (!text.trim()) throw new Error('PDF parsing yielded no extractable text content');
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'user', content: extractionPrompt() },
-      { role: 'assistant', content: text }
-    ]
-  });
+  let text = '';
+  try {
+    text = await parsePdfLocally(buffer);
+  } catch (err) {
+    if (mode === 'off') throw err;
+    console.warn('WARNING: PDF text layer could not be read:', err.message);
+  }
+
+  if (mode === 'off') {
+    if (!text.trim()) throw new Error('PDF parsing yielded no extractable text content');
+    return { ...(await extractor.extractFromText(text)), source: 'text' };
+  }
+
+  if (!text.trim()) {
+    console.log('INFO: PDF has no text layer, treating it as a scan');
+    // Rasterizing is only worth it for a provider that can read the pages
+    if (extractor.readsImages === false) return unreadableDocument(extractor, 'Scanned PDF');
+    return extractFromPdfPages(buffer, extractor);
+  }
+
+  const textResult = { ...(await extractor.extractFromText(text)), source: 'text' };
+  if (mode !== 'compare' && textResult.valid && textLooksUsable(text)) return textResult;
+  if (extractor.readsImages === false) return textResult;
 
-  const parsed = JSON.parse(stripFence(response.choices[0].message.content));
-  if (parsed.total_amount !== undefined && parsed.total === undefined) {
-    parsed.total = parsed.total_amount;
-    delete parsed.total_amount;
+  let visionResult;
+  try {
+    visionResult = await extractFromPdfPages(buffer, extractor);
+  } catch (err) {
+    console.warn('WARNING: Image extraction of PDF pages failed, keeping the text result:', err.message);
+    return textResult;
   }
-  return parsed;
+
+  const best = scoreExtraction(visionResult) > scoreExtraction(textResult) ? visionResult : textResult;
+  console.log(`INFO: Using the ${best.source} extraction result`);
+  return best;
 }
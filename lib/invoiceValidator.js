@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Validation and normalization of extracted invoice data.
+ * @module lib/invoiceValidator
+ *
+ * Sits between the raw model output and storage: dates become ISO
+ * `YYYY-MM-DD`, amounts become two-decimal strings, the tax value is split
+ * into an amount and a percentage, and every field that cannot be understood
+ * is reported with its own error message instead of being stored as-is.
+ */
+
+/** Fields without which a document cannot be booked */
+export const REQUIRED_FIELDS = ['invoice_date', 'total'];
+
+const TEXT_FIELDS = [
+  'seller', 'payment_method', 'invoice_number',
+  'seller_vat_id', 'buyer_vat_id', 'seller_address'
+];
+
+// Alternative keys the model sometimes uses for our fields
+const FIELD_ALIASES = {
+  total_amount: 'total',
+  date: 'invoice_date',
+  tax_amount: 'tax',
+  vat: 'tax'
+};
+
+const CURRENCY_SYMBOLS = [
+  [/€|\beuro?s?\b/i, 'EUR'],
+  [/£/, 'GBP'],
+  [/\bCHF\b|\bFr\./, 'CHF'],
+  [/\blek[eë]?\b/i, 'ALL'],
+  [/\$|\bUS\s?dollars?\b/i, 'USD']
+];
+
+const MONTHS = {
+  jan: 1, january: 1, januar: 1, janar: 1,
+  feb: 2, february: 2, februar: 2, shkurt: 2,
+  mar: 3, march: 3, märz: 3, maerz: 3, mars: 3,
+  apr: 4, april: 4, prill: 4,
+  may: 5, mai: 5, maj: 5,
+  jun: 6, june: 6, juni: 6, qershor: 6,
+  jul: 7, july: 7, juli: 7, korrik: 7,
+  aug: 8, august: 8, gusht: 8,
+  sep: 9, sept: 9, september: 9, shtator: 9,
+  oct: 10, october: 10, okt: 10, oktober: 10, tetor: 10,
+  nov: 11, november: 11, nëntor: 11,
+  dec: 12, december: 12, dez: 12, dezember: 12, dhjetor: 12
+};
+
+/**
+ * Builds an ISO date string after checking the date really exists
+ * @param {number} year - Four digit year (two digit years are taken as 20xx)
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of month
+ * @returns {string|null} ISO date or null if invalid
+ */
+function isoDate(year, month, day) {
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses the date formats commonly printed on invoices.
+ * Numeric dates with an ambiguous day/month order are read day-first unless
+ * `INVOICE_DATE_ORDER=mdy` is configured.
+ * @param {*} value - Raw date value
+ * @returns {string|null} ISO date, '' for an empty value, null if unparseable
+ */
+export function parseDate(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) {
+    const [a, b, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    const monthFirst = a <= 12 && (b > 12 || process.env.INVOICE_DATE_ORDER === 'mdy');
+    return monthFirst ? isoDate(year, a, b) : isoDate(year, b, a);
+  }
+
+  match = text.match(/^(\d{1,2})\.?\s+([^\s\d.,]+)\.?,?\s+(\d{4})$/);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return isoDate(Number(match[3]), MONTHS[match[2].toLowerCase()], Number(match[1]));
+  }
+
+  match = text.match(/^([^\s\d.,]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (match && MONTHS[match[1].toLowerCase()]) {
+    return isoDate(Number(match[3]), MONTHS[match[1].toLowerCase()], Number(match[2]));
+  }
+
+  return null;
+}
+
+/**
+ * Parses an amount in any of the usual notations ("1.234,56 €", "1,234.56",
+ * "EUR 1 234.56", "(12.00)") into a number.
+ * @param {*} value - Raw amount
+ * @returns {number|''|null} Parsed number, '' for an empty value, null if unparseable
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = String(value ?? '').trim();
+  if (!text) return '';
+
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d,.\-()]/g, ''));
+  text = text.replace(/[^\d,.]/g, '');
+  if (!/\d/.test(text)) return null;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let decimalSep = null;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalSep = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? '.' : ',';
+    const occurrences = text.split(sep).length - 1;
+    const decimals = text.length - text.lastIndexOf(sep) - 1;
+    // A single separator followed by exactly three digits is a thousands separator
+    if (occurrences === 1 && decimals !== 3) decimalSep = sep;
+  }
+
+  const normalized = decimalSep
+    ? text.split(decimalSep).map(part => part.replace(/[.,]/g, '')).join('.')
+    : text.replace(/[.,]/g, '');
+  const number = Number(normalized);
+  if (!Number.isFinite(number)) return null;
+  return negative ? -number : number;
+}
+
+/**
+ * Formats a number as a two-decimal amount string
+ * @param {number} number - Amount
+ * @returns {string} Amount such as "1234.50"
+ */
+function formatAmount(number) {
+  return (Math.round(number * 100) / 100).toFixed(2);
+}
+
+/**
+ * Detects a currency code from a raw amount or currency value
+ * @param {*} value - Raw value
+ * @returns {string} ISO 4217 code, or '' if none is recognizable
+ */
+function detectCurrency(value) {
+  const text = String(value ?? '').trim();
+  for (const [pattern, iso] of CURRENCY_SYMBOLS) {
+    if (pattern.test(text)) return iso;
+  }
+
+  const code = text.toUpperCase().match(/(?:^|[\s\d])([A-Z]{3})(?:$|[\s\d])/);
+  return code ? code[1] : '';
+}
+
+/**
+ * Validates and normalizes raw extraction output.
+ * @param {Object} raw - Object returned by the extraction model
+ * @returns {{data: Object, errors: Object<string, string>, valid: boolean}}
+ *   Normalized data, per-field error messages, and whether the required fields are usable
+ */
+export function validateInvoice(raw) {
+  const errors = {};
+  const data = {};
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    for (const field of REQUIRED_FIELDS) errors[field] = 'missing';
+    return { data, errors, valid: false };
+  }
+
+  const input = { ...raw };
+  for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+    if (input[alias] !== undefined && (input[field] === undefined || input[field] === '')) {
+      input[field] = input[alias];
+    }
+  }
+
+  for (const field of TEXT_FIELDS) {
+    data[field] = String(input[field] ?? '').replace(/\s+/g, ' ').trim();
+  }
+  for (const field of ['seller_vat_id', 'buyer_vat_id']) {
+    data[field] = data[field].toUpperCase().replace(/[\s.-]/g, '');
+  }
+
+  for (const field of ['invoice_date', 'due_date']) {
+    const parsed = parseDate(input[field]);
+    if (parsed === null) errors[field] = `unrecognized date "${input[field]}"`;
+    data[field] = parsed || '';
+  }
+
+  const amounts = {};
+  for (const field of ['total', 'net_amount']) {
+    const parsed = parseNumber(input[field]);
+    if (parsed === null) errors[field] = `unrecognized amount "${input[field]}"`;
+    amounts[field] = typeof parsed === 'number' ? parsed : null;
+    data[field] = typeof parsed === 'number' ? formatAmount(parsed) : '';
+  }
+
+  const currency = detectCurrency(input.currency) || detectCurrency(input.total);
+  if (input.currency && !currency) errors.currency = `unrecognized currency "${input.currency}"`;
+  data.currency = currency;
+
+  Object.assign(data, splitTax(input, amounts, errors));
+  data.line_items = normalizeLineItems(input.line_items, errors);
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!data[field] && !errors[field]) errors[field] = 'missing';
+  }
+
+  if (amounts.total !== null && amounts.net_amount !== null && data.tax) {
+    const expected = amounts.net_amount + Number(data.tax);
+    if (Math.abs(expected - amounts.total) > 0.05) {
+      errors.net_amount = `net amount plus tax (${formatAmount(expected)}) does not match total (${data.total})`;
+    }
+  }
+
+  const valid = REQUIRED_FIELDS.every(field => !errors[field]);
+  return { data, errors, valid };
+}
+
+/**
+ * Separates the tax amount from the tax percentage. A bare number is taken as
+ * a percentage only when that is what makes the net/total figures add up.
+ * @param {Object} input - Raw extraction output
+ * @param {{total: number|null, net_amount: number|null}} amounts - Parsed totals
+ * @param {Object<string, string>} errors - Error collector
+ * @returns {{tax: string, tax_rate: string}} Tax amount and percentage
+ */
+function splitTax(input, amounts, errors) {
+  let taxAmount = null;
+  let taxRate = null;
+
+  for (const [field, value] of [['tax', input.tax], ['tax_rate', input.tax_rate]]) {
+    if (value === undefined || value === null || value === '') continue;
+
+    const parsed = parseNumber(value);
+    if (parsed === null || parsed === '') {
+      errors[field] = `unrecognized tax value "${value}"`;
+      continue;
+    }
+
+    if (field === 'tax_rate' || String(value).includes('%')) {
+      taxRate = parsed;
+    } else if (looksLikeRate(parsed, amounts)) {
+      taxRate = parsed;
+    } else {
+      taxAmount = parsed;
+    }
+  }
+
+  if (taxRate !== null && (taxRate < 0 || taxRate > 100)) {
+    errors.tax_rate = `tax rate ${taxRate}% is out of range`;
+    taxRate = null;
+  }
+
+  if (taxAmount === null && taxRate !== null) {
+    if (amounts.net_amount !== null) {
+      taxAmount = amounts.net_amount * taxRate / 100;
+    } else if (amounts.total !== null) {
+      taxAmount = amounts.total - amounts.total / (1 + taxRate / 100);
+    }
+  }
+
+  return {
+    tax: taxAmount === null ? '' : formatAmount(taxAmount),
+    tax_rate: taxRate === null ? '' : formatAmount(taxRate)
+  };
+}
+
+/**
+ * Tells whether a bare tax number is better explained as a percentage
+ * @param {number} value - Parsed tax value
+ * @param {{total: number|null, net_amount: number|null}} amounts - Parsed totals
+ * @returns {boolean} True if the value should be treated as a percentage
+ */
+function looksLikeRate(value, { total, net_amount: net }) {
+  if (total === null || net === null) return false;
+  const difference = total - net;
+  const asAmount = Math.abs(difference - value) <= 0.05;
+  const asRate = Math.abs(net * value / 100 - difference) <= 0.05;
+  return asRate && !asAmount;
+}
+
+/**
+ * Normalizes the line item list, dropping empty entries
+ * @param {*} items - Raw line items
+ * @param {Object<string, string>} errors - Error collector
+ * @returns {Array<Object>} Normalized line items
+ */
+function normalizeLineItems(items, errors) {
+  if (items === undefined || items === null || items === '') return [];
+  if (!Array.isArray(items)) {
+    errors.line_items = 'expected a list of line items';
+    return [];
+  }
+
+  const result = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') return;
+
+    const line = { description: String(item.description ?? '').replace(/\s+/g, ' ').trim() };
+    for (const field of ['quantity', 'unit_price', 'amount']) {
+      const parsed = parseNumber(item[field]);
+      if (parsed === null) errors[`line_items[${index}].${field}`] = `unrecognized number "${item[field]}"`;
+      line[field] = typeof parsed === 'number'
+        ? (field === 'quantity' ? String(parsed) : formatAmount(parsed))
+        : '';
+    }
+
+    if (line.description || line.amount) result.push(line);
+  });
+  return result;
+}
+
+/**
+ * Summarizes field errors for log lines and user replies
+ * @param {Object<string, string>} errors - Per-field errors
+ * @returns {string} Summary such as "invoice_date: missing; total: unrecognized amount "abc""
+ */
+export function describeErrors(errors = {}) {
+  return Object.entries(errors)
+    .map(([field, message]) => `${field}: ${message}`)
+    .join('; ');
+}
@@ -0,0 +1,445 @@
+/**
+ * @fileoverview Persistent file-backed job queue with retries and a dead-letter state.
+ * @module lib/jobQueue
+ *
+ * Every job is a JSON file under `<dir>/jobs/`, its payload a file under
+ * `<dir>/blobs/`. Workers claim a job by creating `<dir>/locks/<id>` with the
+ * exclusive `wx` flag, so several processes (the watcher, a cron run of
+ * fetchEmails, `scripts/jobs.js work`) can share one queue directory; the
+ * lock is touched while the job runs, so only the lock of a crashed worker
+ * goes stale. A deduplication key is claimed the same way, as
+ * `<dir>/keys/<hash>` holding the job id. Jobs that fail with a transient
+ * error are retried with exponential backoff; after the last attempt they are
+ * moved to the `dead` state with their last error and can be requeued by hand.
+ * Finished jobs move to `<dir>/done/`, so polling only reads open jobs, and
+ * are deleted after `JOB_RETENTION_DAYS`.
+ *
+ * Job states: `queued` → `running` → `done` | `queued` (retry) | `dead`.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { createHash, randomUUID } from 'crypto';
+
+const DEFAULT_DIR = '.queue';
+/** Jobs a worker runs at a time unless `JOB_CONCURRENCY` says otherwise */
+export const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const DEFAULT_POLL_MS = 2000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// A key file without its job is left over from a crash between the two writes
+const ORPHAN_KEY_MS = 60 * 1000;
+
+// Network failures worth another try
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job identifier, sortable by creation time
+ * @property {'queued'|'running'|'done'|'dead'} status - Job state
+ * @property {string} [key] - Deduplication key, see {@link JobQueue.enqueue}
+ * @property {Object} payload - Job description (file name, content type, source, ...)
+ * @property {number} attempts - Attempts made so far
+ * @property {number} maxAttempts - Attempts allowed before the job goes dead
+ * @property {string} runAt - ISO timestamp before which the job is not picked up
+ * @property {string} [lastError] - Error of the last failed attempt
+ * @property {*} [result] - Handler result of the successful attempt
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} JobQueue
+ * @property {string} dir - Queue directory
+ * @property {(payload: Object, buffer?: Buffer, options?: {key?: string, maxAttempts?: number}) => Promise<Job>} enqueue
+ *   Adds a job; with a `key`, an existing job with that key that is not dead is returned instead
+ * @property {(id: string) => Promise<Job|null>} get - Reads a job
+ * @property {(id: string) => Promise<Buffer|null>} readPayload - Reads the payload buffer of a job
+ * @property {(filter?: {status?: string}) => Promise<Job[]>} list - Lists jobs, oldest first (finished ones only
+ *   with no filter or `status: 'done'`)
+ * @property {(id: string) => Promise<Job>} requeue - Puts a dead job back into the queue with fresh attempts
+ * @property {(id: string, handler: JobHandler) => Promise<Job|null>} run - Runs one job now if it can be claimed
+ * @property {(handler: JobHandler, options?: {concurrency?: number, onFinished?: (job: Job) => *}) => Promise<Job[]>} drain
+ *   Runs all due jobs, returns them; `onFinished` is called after every attempt
+ * @property {(handler: JobHandler, options?: {concurrency?: number, pollMs?: number, onFinished?: (job: Job) => *}) => {stop: () => Promise<void>}} work
+ *   Keeps running due jobs until stopped
+ * @property {() => Promise<number>} prune - Deletes finished jobs older than the retention, returns how many
+ */
+
+/**
+ * @callback JobHandler
+ * @param {Job} job - Claimed job
+ * @param {Buffer|null} buffer - Job payload buffer
+ * @returns {Promise<{result?: *, retry?: boolean, error?: string}>} `retry` asks for another
+ *   attempt with backoff; otherwise the job is done with `result`. A thrown error counts as `retry`.
+ */
+
+/**
+ * Tells whether an error is worth retrying: rate limits, server errors,
+ * timeouts and network failures from OpenAI, Graph or fetch.
+ * @param {Error} err - Error to classify
+ * @returns {boolean} True for transient errors
+ */
+export function isTransientError(err) {
+  if (!err) return false;
+  // Wrapped errors (e.g. OneDrive helpers) keep the original in `cause`
+  if (err.cause instanceof Error && isTransientError(err.cause)) return true;
+  const status = err.status ?? err.statusCode ?? err.response?.status;
+  if (status === 408 || status === 429 || (status >= 500 && status < 600)) return true;
+  if (TRANSIENT_CODES.has(err.code) || TRANSIENT_CODES.has(err.cause?.code)) return true;
+  if (['APIConnectionError', 'APIConnectionTimeoutError', 'AbortError', 'TimeoutError'].includes(err.name)) return true;
+  return /fetch failed|socket hang up|network|timed? ?out/i.test(err.message || '');
+}
+
+/**
+ * Returns the delay before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {number} baseMs - Delay after the first failure
+ * @returns {number} Delay in milliseconds, doubling per attempt and capped at one hour
+ */
+export function retryDelay(attempts, baseMs) {
+  return Math.min(baseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Writes a file atomically (temporary file + rename)
+ * @param {string} file - Target path
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmp, content);
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Reads an environment number, falling back when unset or not a number
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Configured value
+ */
+export function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Opens (and creates, if needed) a job queue directory.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Queue directory, defaults to `QUEUE_DIR` or `.queue`
+ * @param {number} [options.maxAttempts] - Default attempts per job, defaults to `JOB_MAX_ATTEMPTS` or 5
+ * @param {number} [options.retryBaseMs] - First retry delay, defaults to `JOB_RETRY_BASE_MS` or 30 s
+ * @param {number} [options.lockTimeoutMs] - Age after which a lock of a crashed worker is broken, defaults to 15 min
+ * @param {number} [options.retentionDays] - Days finished jobs are kept, defaults to `JOB_RETENTION_DAYS` or 30
+ * @returns {JobQueue} Job queue
+ */
+export function createJobQueue({ dir, maxAttempts, retryBaseMs, lockTimeoutMs, retentionDays } = {}) {
+  const root = path.resolve(dir || process.env.QUEUE_DIR || DEFAULT_DIR);
+  const jobsDir = path.join(root, 'jobs');
+  const doneDir = path.join(root, 'done');
+  const blobsDir = path.join(root, 'blobs');
+  const locksDir = path.join(root, 'locks');
+  const keysDir = path.join(root, 'keys');
+  const attemptsAllowed = maxAttempts || envNumber('JOB_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+  const baseDelay = retryBaseMs ?? envNumber('JOB_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  const lockTimeout = lockTimeoutMs || DEFAULT_LOCK_TIMEOUT_MS;
+  const retentionMs = (retentionDays || envNumber('JOB_RETENTION_DAYS', DEFAULT_RETENTION_DAYS)) * 24 * 60 * 60 * 1000;
+
+  let ready = null;
+  const init = () => (ready ??= Promise.all(
+    [jobsDir, doneDir, blobsDir, locksDir, keysDir].map(folder => fs.mkdir(folder, { recursive: true }))
+  ));
+
+  const jobFile = id => path.join(jobsDir, `${id}.json`);
+  const doneFile = id => path.join(doneDir, `${id}.json`);
+  const blobFile = id => path.join(blobsDir, id);
+  const lockFile = id => path.join(locksDir, id);
+  const keyFile = key => path.join(keysDir, createHash('sha256').update(key).digest('hex'));
+
+  async function readJob(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function get(id) {
+    return (await readJob(jobFile(id))) ?? readJob(doneFile(id));
+  }
+
+  async function save(job) {
+    job.updatedAt = new Date().toISOString();
+    await writeAtomic(jobFile(job.id), JSON.stringify(job, null, 2));
+    return job;
+  }
+
+  /**
+   * Moves a finished job out of the directory that is polled
+   * @param {Job} job - Finished job
+   * @returns {Promise<Job>} The job
+   */
+  async function archive(job) {
+    job.updatedAt = new Date().toISOString();
+    await writeAtomic(doneFile(job.id), JSON.stringify(job, null, 2));
+    await fs.rm(jobFile(job.id), { force: true });
+    return job;
+  }
+
+  async function scan(folder, status) {
+    const names = (await fs.readdir(folder)).filter(name => name.endsWith('.json')).sort();
+    const jobs = [];
+    for (const name of names) {
+      const job = await readJob(path.join(folder, name));
+      if (job && (!status || job.status === status)) jobs.push(job);
+    }
+    return jobs;
+  }
+
+  async function list({ status } = {}) {
+    await init();
+    const open = status === 'done' ? [] : await scan(jobsDir, status);
+    const done = status && status !== 'done' ? [] : await scan(doneDir, status);
+    return [...open, ...done].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Takes a deduplication key for a new job, like the job locks with `wx`
+   * @param {string} key - Deduplication key
+   * @param {string} id - Id of the new job
+   * @returns {Promise<Job|null>} The job holding the key, or null if it is now taken for `id`
+   */
+  async function claimKey(key, id) {
+    for (;;) {
+      try {
+        await fs.writeFile(keyFile(key), id, { flag: 'wx' });
+        return null;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const holder = (await fs.readFile(keyFile(key), 'utf8').catch(() => '')).trim();
+      const job = holder && await get(holder);
+      if (job && job.status !== 'dead') return job;
+      const stat = await fs.stat(keyFile(key)).catch(() => null);
+      // Dead jobs give up their key; a just-claimed key may not have its job file yet
+      if (job || (stat && Date.now() - stat.mtimeMs > ORPHAN_KEY_MS)) {
+        await fs.rm(keyFile(key), { force: true });
+        continue;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  async function enqueue(payload, buffer, { key, maxAttempts: jobAttempts } = {}) {
+    await init();
+    const now = new Date().toISOString();
+    const id = `${Date.now().toString(36).padStart(9, '0')}-${randomUUID().slice(0, 8)}`;
+    if (key) {
+      const existing = await claimKey(key, id);
+      if (existing) return existing;
+    }
+
+    if (buffer) await writeAtomic(blobFile(id), buffer);
+    const job = {
+      id,
+      status: 'queued',
+      ...(key && { key }),
+      payload,
+      attempts: 0,
+      maxAttempts: jobAttempts || attemptsAllowed,
+      runAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+    await save(job);
+    console.log(`INFO: Queued job ${id} (${payload.filename || 'no file'})`);
+    return job;
+  }
+
+  async function readPayload(id) {
+    try {
+      return await fs.readFile(blobFile(id));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Takes the lock of a job, breaking locks left behind by crashed workers
+   * @param {string} id - Job identifier
+   * @returns {Promise<boolean>} True if this worker now owns the job
+   */
+  async function claim(id) {
+    try {
+      await fs.writeFile(lockFile(id), String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const stat = await fs.stat(lockFile(id)).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > lockTimeout) {
+      console.warn(`WARNING: Breaking stale lock of job ${id}`);
+      await fs.rm(lockFile(id), { force: true });
+      return claim(id);
+    }
+    return false;
+  }
+
+  async function run(id, handler) {
+    await init();
+    if (!(await claim(id))) return null;
+
+    try {
+      const job = await get(id);
+      // Re-check after claiming: another worker may have finished it in the meantime
+      if (!job || (job.status !== 'queued' && job.status !== 'running')) return job;
+
+      job.status = 'running';
+      job.attempts += 1;
+      await save(job);
+
+      // Keeps the lock fresh, so a slow job is not taken for one of a crashed worker
+      const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockFile(id), now, now).catch(() => {});
+      }, lockTimeout / 3);
+      let outcome;
+      try {
+        outcome = (await handler(job, await readPayload(id))) || {};
+      } catch (err) {
+        console.error(`ERROR: Job ${id} attempt ${job.attempts} threw:`, err);
+        outcome = { retry: true, error: err.message };
+      } finally {
+        clearInterval(heartbeat);
+      }
+
+      if (!outcome.retry) {
+        Object.assign(job, { status: 'done', result: outcome.result });
+        delete job.lastError;
+        await fs.rm(blobFile(id), { force: true });
+        return await archive(job);
+      }
+
+      job.lastError = outcome.error || 'Unknown error';
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'dead';
+        // A redelivery of the same message may queue a new job now
+        if (job.key) await fs.rm(keyFile(job.key), { force: true });
+        console.error(`ERROR: Job ${id} moved to dead-letter after ${job.attempts} attempt(s): ${job.lastError}`);
+      } else {
+        const delay = retryDelay(job.attempts, baseDelay);
+        Object.assign(job, { status: 'queued', runAt: new Date(Date.now() + delay).toISOString() });
+        console.warn(`WARNING: Job ${id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${job.lastError}`);
+      }
+      if (outcome.result !== undefined) job.result = outcome.result;
+      return await save(job);
+    } finally {
+      await fs.rm(lockFile(id), { force: true });
+    }
+  }
+
+  /**
+   * Lists the jobs that may run now, including `running` jobs of crashed workers
+   * @returns {Promise<Job[]>} Due jobs, oldest first
+   */
+  async function due() {
+    await init();
+    const now = Date.now();
+    const jobs = await scan(jobsDir);
+    // Finished before jobs were archived
+    for (const job of jobs.filter(item => item.status === 'done')) await archive(job);
+    return jobs.filter(job =>
+      (job.status === 'queued' && Date.parse(job.runAt) <= now) || job.status === 'running'
+    );
+  }
+
+  async function prune() {
+    await init();
+    const cutoff = Date.now() - retentionMs;
+    let pruned = 0;
+    for (const name of await fs.readdir(doneDir)) {
+      const stat = await fs.stat(path.join(doneDir, name)).catch(() => null);
+      if (!stat || stat.mtimeMs > cutoff) continue;
+      const job = await readJob(path.join(doneDir, name));
+      if (job?.key) {
+        // Only while the key still points at this job
+        const holder = await fs.readFile(keyFile(job.key), 'utf8').catch(() => '');
+        if (holder.trim() === job.id) await fs.rm(keyFile(job.key), { force: true });
+      }
+      await fs.rm(path.join(doneDir, name), { force: true });
+      pruned++;
+    }
+    if (pruned) console.log(`INFO: Pruned ${pruned} finished job(s) older than ${Math.round(retentionMs / 86400000)} day(s)`);
+    return pruned;
+  }
+
+  let lastPrune = 0;
+  async function drain(handler, { concurrency, onFinished } = {}) {
+    const limit = concurrency || envNumber('JOB_CONCURRENCY', DEFAULT_CONCURRENCY);
+    if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+      lastPrune = Date.now();
+      await prune().catch(err => console.warn('WARNING: Pruning finished jobs failed:', err.message));
+    }
+    const pending = await due();
+    const finished = [];
+
+    const lane = async () => {
+      while (pending.length) {
+        const job = await run(pending.shift().id, handler);
+        if (!job) continue;
+        finished.push(job);
+        if (onFinished) await onFinished(job);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, pending.length) }, lane));
+    return finished;
+  }
+
+  function work(handler, { concurrency, pollMs = DEFAULT_POLL_MS, onFinished } = {}) {
+    let stopped = false;
+    let timer = null;
+    let current = Promise.resolve();
+
+    const tick = () => {
+      current = drain(handler, { concurrency, onFinished })
+        .catch(err => console.error('ERROR: Job worker iteration failed:', err))
+        .finally(() => {
+          if (!stopped) timer = setTimeout(tick, pollMs);
+        });
+    };
+    tick();
+
+    return {
+      async stop() {
+        stopped = true;
+        clearTimeout(timer);
+        await current;
+      }
+    };
+  }
+
+  async function requeue(id) {
+    const job = await get(id);
+    if (!job) throw new Error(`Job not found: ${id}`);
+    if (job.status !== 'dead') throw new Error(`Job ${id} is ${job.status}, only dead jobs can be requeued`);
+    if (job.key && (await claimKey(job.key, id))) {
+      throw new Error(`Job ${id} was queued again in the meantime, requeue that one instead`);
+    }
+
+    Object.assign(job, { status: 'queued', attempts: 0, runAt: new Date().toISOString() });
+    console.log(`INFO: Requeued job ${id}`);
+    return save(job);
+  }
+
+  return { dir: root, enqueue, get, readPayload, list, requeue, run, drain, work, prune };
+}
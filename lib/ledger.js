@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Reading and amending booked invoices in the monthly ledgers.
+ * @module lib/ledger
+ *
+ * Every booking has an entry in the fingerprint index (see
+ * {@link module:lib/duplicates}) that names its year.month folder, the
+ * timestamp of its ledger row and its sender. That is enough to list a
+ * sender's latest bookings, correct a field in the ledger row, or undo a
+ * booking (ledger row, stored files and fingerprint) without scanning every
+ * month. The ledgers are read and amended through the ledger operations of
+ * the storage backend, whether they are `YYYY.MM/invoices.csv` files or Excel workbooks.
+ */
+
+import { toCsvRow, CSV_HEADER } from './csvDrive.js';
+import { loadFingerprints, updateFingerprints, fuzzyKey } from './duplicates.js';
+import { validateInvoice } from './invoiceValidator.js';
+
+/** Invoice fields that can be corrected after booking, by the name used in commands */
+export const AMENDABLE_FIELDS = {
+  total: 'total',
+  tax: 'tax',
+  net: 'net_amount',
+  seller: 'seller',
+  number: 'invoice_number',
+  currency: 'currency',
+  due: 'due_date',
+  payment: 'payment_method'
+};
+
+// Ledger columns in CSV_HEADER order, as invoice data fields
+const ROW_FIELDS = [
+  'timestamp', 'invoice_date', 'seller', 'total', 'tax', 'payment_method',
+  'invoice_number', 'currency', 'net_amount', 'due_date',
+  'seller_vat_id', 'buyer_vat_id', 'seller_address', 'line_items', 'tax_rate'
+];
+
+/**
+ * Returns the year.month folder an invoice is filed under
+ * @param {string|Date} invoiceDate - Invoice date
+ * @returns {string} Folder name such as `2025.09`
+ */
+export function monthFolder(invoiceDate) {
+  return new Date(invoiceDate).toISOString().slice(0, 7).replace('-', '.');
+}
+
+/**
+ * Reads the ledger of a month
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} folder - Year.month folder
+ * @returns {Promise<string[][]>} Data rows without the header; empty if the month has no ledger
+ */
+export async function readLedger(storage, folder) {
+  return storage.readLedgerRows(folder);
+}
+
+/**
+ * Turns a ledger row back into invoice data
+ * @param {string[]} row - Ledger row
+ * @returns {Object} Invoice data with the row `timestamp`
+ */
+export function rowToData(row) {
+  const data = Object.fromEntries(ROW_FIELDS.map((field, index) => [field, row[index] ?? '']));
+  try {
+    data.line_items = data.line_items ? JSON.parse(data.line_items) : [];
+  } catch {
+    data.line_items = [];
+  }
+  return data;
+}
+
+/**
+ * Lists bookings, newest first
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} [filter]
+ * @param {string} [filter.sender] - Only bookings of this sender
+ * @param {number} [filter.limit] - Maximum number of bookings
+ * @returns {Promise<Object[]>} Fingerprint entries of the bookings
+ */
+export async function listBookings(storage, { sender, limit } = {}) {
+  const bookings = (await loadFingerprints(storage))
+    // Entries from before bookings were tracked cannot be located in the ledger
+    .filter(entry => entry.folder && entry.row && (!sender || entry.sender === sender))
+    .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+  return limit ? bookings.slice(0, limit) : bookings;
+}
+
+/**
+ * Sums the ledger of a month per currency
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} folder - Year.month folder
+ * @returns {Promise<{count: number, totals: Object<string, number>}>} Number of invoices and totals by currency
+ */
+export async function monthTotals(storage, folder) {
+  const rows = (await readLedger(storage, folder)).map(rowToData);
+  const totals = {};
+  for (const row of rows) {
+    const currency = row.currency || '?';
+    totals[currency] = (totals[currency] || 0) + (Number(row.total) || 0);
+  }
+  return { count: rows.length, totals };
+}
+
+/**
+ * Corrects one field of a booking in its ledger row and fingerprint
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} booking - Fingerprint entry, see {@link listBookings}
+ * @param {string} name - Field name as in {@link AMENDABLE_FIELDS}
+ * @param {string} value - New value
+ * @returns {Promise<Object>} Corrected invoice data
+ * @throws {Error} If the field cannot be corrected or the value is not valid
+ */
+export async function amendBooking(storage, booking, name, value) {
+  const field = AMENDABLE_FIELDS[name];
+  if (!field) throw new Error(`Cannot correct "${name}"; use one of ${Object.keys(AMENDABLE_FIELDS).join(', ')}`);
+
+  // Applied to the row as it is when written, so a correction made meanwhile to another field stays
+  let data;
+  const replaced = await storage.replaceLedgerRow(booking.folder, booking.row, row => {
+    const { timestamp, ...current } = rowToData(row);
+    const result = validateInvoice({ ...current, [field]: value });
+    if (result.errors[field] || (field === 'tax' && result.errors.tax_rate)) {
+      throw new Error(`Invalid ${name}: ${result.errors[field] || result.errors.tax_rate}`);
+    }
+    data = result.data;
+    // Columns someone added after ours stay as they are
+    return [...toCsvRow(data, timestamp), ...row.slice(CSV_HEADER.length)];
+  });
+  if (!replaced) throw new Error(`Ledger row of ${booking.filename} not found in ${booking.folder}`);
+
+  await updateFingerprints(storage, entries => {
+    const entry = entries.find(item => item.row === booking.row && item.hash === booking.hash);
+    if (entry) Object.assign(entry, { key: fuzzyKey(data), seller: data.seller, total: data.total, currency: data.currency });
+  });
+  console.log(`INFO: Corrected ${field} of ${booking.filename} in ${booking.folder}`);
+  return data;
+}
+
+/**
+ * Undoes a booking: removes its ledger row, the stored document (and XML) and
+ * its fingerprint, so the document can be sent again
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} booking - Fingerprint entry, see {@link listBookings}
+ * @returns {Promise<void>}
+ * @throws {Error} If the ledger row is no longer there
+ */
+export async function undoBooking(storage, booking) {
+  if (!(await storage.replaceLedgerRow(booking.folder, booking.row, null))) {
+    throw new Error(`Ledger row of ${booking.filename} not found in ${booking.folder}`);
+  }
+
+  await storage.deleteRootFile(`${booking.folder}/${booking.filename}`);
+  if (booking.xml) await storage.deleteRootFile(`${booking.folder}/${booking.xml}`);
+
+  await updateFingerprints(storage, entries => {
+    const index = entries.findIndex(item => item.row === booking.row && item.hash === booking.hash);
+    if (index !== -1) entries.splice(index, 1);
+  });
+  console.log(`INFO: Undid booking of ${booking.filename} in ${booking.folder}`);
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Local filesystem storage backend mirroring the OneDrive layout.
+ * Documents land in `<root>/YYYY.MM/` next to an `invoices.csv` ledger, exactly
+ * as they would under `Invoices/` in OneDrive.
+ * @module lib/localDrive
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { stringify } from 'csv-stringify/sync';
+import {
+  CSV_FILENAME,
+  CSV_HEADER,
+  migrateLedger,
+  backupName,
+  ledgerRowBytes,
+  csvLedger
+} from './csvDrive.js';
+
+let warnedXlsx = false;
+
+// A lock older than this was left behind by a crashed process
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_WAIT_MS = 50;
+
+/**
+ * Runs a read-modify-write of a file while holding `<file>.lock`, created
+ * with the exclusive `wx` flag so other processes sharing the folder (the
+ * watcher, a queue worker, a webhook) wait for their turn.
+ * @param {string} file - File to lock
+ * @param {() => Promise<*>} fn - Work to do under the lock
+ * @returns {Promise<*>} Return value of `fn`
+ */
+async function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  for (;;) {
+    try {
+      await fs.writeFile(lock, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const stat = await fs.stat(lock).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      console.warn(`WARNING: Breaking stale lock ${lock}`);
+      await fs.rm(lock, { force: true });
+      continue;
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_WAIT_MS + Math.random() * LOCK_WAIT_MS));
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lock, { force: true });
+  }
+}
+
+/**
+ * Creates a storage backend that writes into a local folder.
+ * @param {string} root - Folder that plays the role of the OneDrive `Invoices` directory
+ * @returns {import('./storage.js').InvoiceStorage} Local storage backend
+ */
+export function createLocalStorage(root) {
+  if (!root) {
+    throw new Error('Invalid parameters: root folder is required for local storage');
+  }
+  const rootDir = path.resolve(root);
+  if (process.env.LEDGER_FORMAT === 'xlsx' && !warnedXlsx) {
+    warnedXlsx = true;
+    console.warn('WARNING: LEDGER_FORMAT=xlsx needs OneDrive (Graph workbook API), the local backend keeps writing invoices.csv');
+  }
+
+  const storage = {
+    name: 'local',
+
+    async ensureYearMonthFolder(invoiceDate) {
+      const date = new Date(invoiceDate);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid invoice date: ${invoiceDate}`);
+      }
+
+      const yearMonth = date.toISOString().slice(0, 7).replace('-', '.');
+      const folderPath = path.join(rootDir, yearMonth);
+      await fs.mkdir(folderPath, { recursive: true });
+      return folderPath;
+    },
+
+    async uploadFile(folderId, filename, buffer) {
+      if (!folderId || !filename || !buffer) {
+        throw new Error('Invalid parameters: folderId, filename and buffer are required');
+      }
+
+      // Same conflict behaviour as OneDrive: never overwrite, pick "name 1.ext" instead
+      const { name, ext } = path.parse(filename);
+      let candidate = filename;
+      for (let i = 1; ; i++) {
+        try {
+          await fs.writeFile(path.join(folderId, candidate), buffer, { flag: 'wx' });
+          return candidate;
+        } catch (err) {
+          if (err.code !== 'EEXIST') throw err;
+          candidate = `${name} ${i}${ext}`;
+        }
+      }
+    },
+
+    async ensureRootFolder() {
+      await fs.mkdir(rootDir, { recursive: true });
+      return rootDir;
+    },
+
+    async ensureCsvFile(folderId, filename = CSV_FILENAME) {
+      const csvPath = path.join(folderId, filename);
+      try {
+        // Exclusive create: a ledger another process created meanwhile keeps its rows
+        await fs.writeFile(csvPath, stringify([CSV_HEADER]), { encoding: 'utf8', flag: 'wx' });
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      return csvPath;
+    },
+
+    async appendCsvRow(fileId, row) {
+      await withFileLock(fileId, async () => {
+        const existing = await fs.readFile(fileId);
+        const migrated = migrateLedger(existing.toString('utf8'));
+        if (migrated === null) {
+          // Same line endings as the file; appending never rewrites what is there
+          await fs.appendFile(fileId, ledgerRowBytes(existing, row));
+          return;
+        }
+
+        await fs.copyFile(fileId, path.join(path.dirname(fileId), backupName()));
+        const current = Buffer.from(migrated, 'utf8');
+        const tmp = `${fileId}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, Buffer.concat([current, ledgerRowBytes(current, row)]));
+        await fs.rename(tmp, fileId);
+        console.log(`INFO: Migrated ${fileId} to the current header`);
+      });
+    },
+
+    async readRootFile(name) {
+      try {
+        return await fs.readFile(path.join(rootDir, name));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async writeRootFile(name, buffer) {
+      const filePath = path.join(rootDir, name);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async updateRootFile(name, update) {
+      const filePath = path.join(rootDir, name);
+      return withFileLock(filePath, async () => {
+        const content = await fs.readFile(filePath).catch(err => {
+          if (err.code === 'ENOENT') return null;
+          throw err;
+        });
+        const updated = await update(content);
+        if (!updated) return false;
+        // Readers never see a half-written file
+        const tmp = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, updated);
+        await fs.rename(tmp, filePath);
+        return true;
+      });
+    },
+
+    async deleteRootFile(name) {
+      await fs.rm(path.join(rootDir, name), { force: true });
+    }
+  };
+  return Object.assign(storage, csvLedger(storage));
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Persistent record of the messages taken in, with a status per attachment.
+ * @module lib/messageStore
+ *
+ * Twilio retries webhooks and the Gmail fetch re-scans the last 24 hours on
+ * every run, so the same message arrives more than once. Every message gets a
+ * JSON file under `<queue dir>/messages/`, keyed by its source id
+ * (`twilio:<MessageSid>`, `gmail:<message id>`), with one entry per attachment:
+ *
+ *   pending → queued (job created) → done | failed
+ *
+ * A queued entry follows the state of its job, so a rerun skips what is
+ * finished, reuses the job of what is still queued and only downloads again
+ * what never made it into the queue.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { createHash, randomUUID } from 'crypto';
+
+const FINISHED = new Set(['done', 'failed']);
+
+/**
+ * @typedef {Object} AttachmentEntry
+ * @property {'pending'|'queued'|'done'|'failed'} status - Attachment state
+ * @property {string} filename - File name
+ * @property {string} [job] - Ingestion job of the attachment
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} MessageRecord
+ * @property {string} key - Message key, e.g. `twilio:SM...` or `gmail:18c...`
+ * @property {Object<string, AttachmentEntry>} attachments - Entries by attachment id
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Tells whether every attachment of a message is finished
+ * @param {MessageRecord|null} record - Message record
+ * @returns {boolean} True if nothing is left to do for the message
+ */
+export function isMessageComplete(record) {
+  const entries = Object.values(record?.attachments || {});
+  return entries.length > 0 && entries.every(entry => FINISHED.has(entry.status));
+}
+
+/**
+ * Tells whether an attachment entry is finished
+ * @param {AttachmentEntry} [entry] - Attachment entry
+ * @returns {boolean} True for done or failed attachments
+ */
+export function isAttachmentFinished(entry) {
+  return Boolean(entry) && FINISHED.has(entry.status);
+}
+
+/**
+ * Maps a job state to the attachment state
+ * @param {import('./jobQueue.js').Job} job - Ingestion job
+ * @returns {'queued'|'done'|'failed'} Attachment state
+ */
+function statusOf(job) {
+  if (job.status === 'done') return 'done';
+  if (job.status === 'dead') return 'failed';
+  return 'queued';
+}
+
+/**
+ * Opens the message store of a job queue.
+ * @param {Object} options
+ * @param {import('./jobQueue.js').JobQueue} options.queue - Queue the attachment jobs live in
+ * @param {string} [options.dir] - Store directory, defaults to `messages/` in the queue directory
+ * @returns {Object} Message store with `get`, `begin`, `track` and `finish`
+ */
+export function createMessageStore({ queue, dir }) {
+  const root = path.resolve(dir || path.join(queue.dir, 'messages'));
+  // Message ids are not safe file names (Gmail ids are, Twilio or IMAP ids may not be)
+  const recordFile = key => path.join(root, `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+
+  async function read(key) {
+    try {
+      return JSON.parse(await fs.readFile(recordFile(key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function save(record) {
+    record.updatedAt = new Date().toISOString();
+    await fs.mkdir(root, { recursive: true });
+    const tmp = `${recordFile(record.key)}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+    await fs.rename(tmp, recordFile(record.key));
+    return record;
+  }
+
+  /**
+   * Brings queued (and failed, which may have been requeued) entries up to
+   * date with their jobs
+   * @param {MessageRecord} record - Message record, updated in place
+   * @returns {Promise<boolean>} True if an entry changed
+   */
+  async function refresh(record) {
+    let changed = false;
+    for (const entry of Object.values(record.attachments)) {
+      if (!entry.job || entry.status === 'done') continue;
+      const job = await queue.get(entry.job);
+      // A job lost with the queue directory has to be processed again
+      const status = job ? statusOf(job) : 'pending';
+      if (status !== entry.status) {
+        Object.assign(entry, { status, updatedAt: new Date().toISOString() });
+        if (!job) delete entry.job;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Reads a message record with up-to-date attachment states
+   * @param {string} key - Message key
+   * @returns {Promise<MessageRecord|null>} Record, or null for an unknown message
+   */
+  async function get(key) {
+    const record = await read(key);
+    if (record && (await refresh(record))) await save(record);
+    return record;
+  }
+
+  /**
+   * Registers a message and its attachments; attachments already known keep their state
+   * @param {string} key - Message key
+   * @param {Array<{id: string, filename: string}>} attachments - Attachments of the message
+   * @returns {Promise<MessageRecord>} Record with up-to-date attachment states
+   */
+  async function begin(key, attachments) {
+    const now = new Date().toISOString();
+    const record = (await read(key)) || { key, attachments: {}, createdAt: now };
+    let changed = !record.updatedAt;
+    for (const { id, filename } of attachments) {
+      if (record.attachments[id]) continue;
+      record.attachments[id] = { status: 'pending', filename, updatedAt: now };
+      changed = true;
+    }
+    if ((await refresh(record)) || changed) await save(record);
+    return record;
+  }
+
+  /**
+   * Records the job of an attachment and takes over its state
+   * @param {string} key - Message key
+   * @param {string} id - Attachment id
+   * @param {import('./jobQueue.js').Job} job - Ingestion job
+   * @returns {Promise<MessageRecord>} Updated record
+   */
+  async function track(key, id, job) {
+    const record = (await read(key)) || { key, attachments: {}, createdAt: new Date().toISOString() };
+    record.attachments[id] = {
+      ...record.attachments[id],
+      status: statusOf(job),
+      filename: record.attachments[id]?.filename || job.payload.filename,
+      job: job.id,
+      updatedAt: new Date().toISOString()
+    };
+    return save(record);
+  }
+
+  /**
+   * Marks an entry as done without a job, e.g. a text command that was answered
+   * @param {string} key - Message key
+   * @param {string} id - Entry id
+   * @param {string} filename - Name shown for the entry
+   * @returns {Promise<MessageRecord>} Updated record
+   */
+  async function finish(key, id, filename) {
+    const record = (await read(key)) || { key, attachments: {}, createdAt: new Date().toISOString() };
+    record.attachments[id] = { status: 'done', filename, updatedAt: new Date().toISOString() };
+    return save(record);
+  }
+
+  return { dir: root, get, begin, track, finish };
+}
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview OAuth for the Gmail API and delegated Microsoft Graph access.
+ * @module lib/oauth
+ *
+ * {@link authorize} runs the browser sign-in once: it starts a listener on the
+ * loopback redirect URI (`OAUTH_REDIRECT_URI`, default
+ * `http://localhost:53682/oauth/callback`, which has to be registered with
+ * both apps), prints the consent URL, receives the code, exchanges it (with
+ * PKCE and a `state` check) and writes the tokens to the token store. The
+ * clients built here read the store and write back refreshed tokens, so no
+ * refresh token has to be copied into `.env`.
+ *
+ * Google: the app of `WEB_CLIENT_ID` / `WEB_CLIENT_SECRET`, scope
+ * `gmail.modify` (fetchEmails labels and reads messages).
+ *
+ * Microsoft: only needed for the delegated mode (`ONEDRIVE_AUTH=delegated`),
+ * e.g. a personal OneDrive, where the app acts as the signed-in user. The
+ * default app-only mode uses the client secret and needs no sign-in.
+ */
+
+import http from 'http';
+import { createHash, randomBytes } from 'crypto';
+import { google } from 'googleapis';
+import { readTokens, saveTokens, tokenStorePath } from './tokenStore.js';
+
+const DEFAULT_REDIRECT_URI = 'http://localhost:53682/oauth/callback';
+const AUTH_TIMEOUT_MS = 5 * 60 * 1000;
+// Access tokens are refreshed this long before they expire
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/** Scopes the pipeline needs, by provider */
+export const OAUTH_SCOPES = {
+  google: ['https://www.googleapis.com/auth/gmail.modify'],
+  microsoft: ['offline_access', 'User.Read', 'Files.ReadWrite.All', 'Mail.ReadWrite']
+};
+
+/**
+ * Returns the loopback redirect URI
+ * @returns {URL} `OAUTH_REDIRECT_URI`
+ * @throws {Error} If it does not point at this machine
+ */
+export function redirectUri() {
+  const uri = new URL(process.env.OAUTH_REDIRECT_URI || DEFAULT_REDIRECT_URI);
+  if (!['localhost', '127.0.0.1', '[::1]'].includes(uri.hostname)) {
+    throw new Error(`OAUTH_REDIRECT_URI must point at localhost, got ${uri.origin}`);
+  }
+  return uri;
+}
+
+/**
+ * Creates a PKCE verifier and its challenge
+ * @returns {{verifier: string, challenge: string}} S256 pair
+ */
+function pkcePair() {
+  const verifier = randomBytes(32).toString('base64url');
+  return { verifier, challenge: createHash('sha256').update(verifier).digest('base64url') };
+}
+
+/**
+ * Returns the Microsoft identity platform endpoint of the configured directory
+ * @param {'authorize'|'token'} endpoint - Endpoint
+ * @returns {string} URL; `ONEDRIVE_TENANT_ID`, default `common` (work and personal accounts)
+ */
+function microsoftEndpoint(endpoint) {
+  return `https://login.microsoftonline.com/${process.env.ONEDRIVE_TENANT_ID || 'common'}/oauth2/v2.0/${endpoint}`;
+}
+
+/**
+ * Creates the Google OAuth client without credentials
+ * @returns {import('googleapis').Auth.OAuth2Client} Client of `WEB_CLIENT_ID`
+ * @throws {Error} If the client id or secret is missing
+ */
+function googleClient() {
+  if (!process.env.WEB_CLIENT_ID || !process.env.WEB_CLIENT_SECRET) {
+    throw new Error('Missing Google OAuth client, set WEB_CLIENT_ID and WEB_CLIENT_SECRET');
+  }
+  return new google.auth.OAuth2(process.env.WEB_CLIENT_ID, process.env.WEB_CLIENT_SECRET, redirectUri().href);
+}
+
+/**
+ * Creates the Google OAuth client for the Gmail API. Tokens come from the
+ * token store, or from `WEB_REFRESH_TOKEN` where no store exists (e.g. on
+ * Vercel); refreshed tokens are written back to the store.
+ * @returns {Promise<import('googleapis').Auth.OAuth2Client>} Authorized client
+ * @throws {Error} If no token is available
+ */
+export async function googleAuthClient() {
+  const client = googleClient();
+  const tokens = (await readTokens('google')) ||
+    (process.env.WEB_REFRESH_TOKEN && { refresh_token: process.env.WEB_REFRESH_TOKEN });
+  if (!tokens?.refresh_token) {
+    throw new Error('No Google token found, run "node scripts/auth.js google" first');
+  }
+  client.setCredentials(tokens);
+  client.on('tokens', refreshed => {
+    saveTokens('google', refreshed)
+      .catch(err => console.warn('WARNING: Refreshed Google token could not be stored:', err.message));
+  });
+  return client;
+}
+
+/**
+ * Calls the Microsoft token endpoint
+ * @param {Object<string, string>} params - Grant parameters
+ * @returns {Promise<import('./tokenStore.js').StoredTokens>} Tokens with `expiry_date`
+ * @throws {Error} With the error description of the identity platform
+ */
+async function requestMicrosoftToken(params) {
+  const body = new URLSearchParams({
+    client_id: process.env.ONEDRIVE_CLIENT_ID,
+    scope: OAUTH_SCOPES.microsoft.join(' '),
+    ...(process.env.ONEDRIVE_CLIENT_SECRET && { client_secret: process.env.ONEDRIVE_CLIENT_SECRET }),
+    ...params
+  });
+  const response = await fetch(microsoftEndpoint('token'), { method: 'POST', body });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(`Microsoft token request failed: ${result.error_description || result.error || response.status}`);
+  }
+  return {
+    access_token: result.access_token,
+    refresh_token: result.refresh_token,
+    expiry_date: Date.now() + result.expires_in * 1000,
+    scope: result.scope
+  };
+}
+
+/**
+ * Creates a token credential for the Graph client that acts as the user signed
+ * in with {@link authorize}. Access tokens are refreshed with the stored
+ * refresh token (or `ONEDRIVE_REFRESH_TOKEN` where no store exists); Microsoft
+ * rotates refresh tokens, so every refresh is written back to the store.
+ * @returns {{getToken: function(): Promise<{token: string, expiresOnTimestamp: number}>}} Credential
+ */
+export function microsoftDelegatedCredential() {
+  let refreshing = null;
+
+  const refresh = async () => {
+    const stored = (await readTokens('microsoft')) ||
+      (process.env.ONEDRIVE_REFRESH_TOKEN && { refresh_token: process.env.ONEDRIVE_REFRESH_TOKEN.trim() });
+    if (!stored?.refresh_token) {
+      throw new Error('No Microsoft token found, run "node scripts/auth.js microsoft" first');
+    }
+    if (stored.access_token && stored.expiry_date > Date.now() + EXPIRY_MARGIN_MS) return stored;
+
+    const tokens = await requestMicrosoftToken({ grant_type: 'refresh_token', refresh_token: stored.refresh_token });
+    try {
+      return await saveTokens('microsoft', tokens);
+    } catch (err) {
+      console.warn('WARNING: Refreshed Microsoft token could not be stored:', err.message);
+      return tokens;
+    }
+  };
+
+  let current = null;
+  return {
+    async getToken() {
+      if (!current || current.expiry_date <= Date.now() + EXPIRY_MARGIN_MS) {
+        // One refresh at a time: parallel uploads would otherwise burn the rotating refresh token
+        refreshing ??= refresh().finally(() => { refreshing = null; });
+        current = await refreshing;
+      }
+      return { token: current.access_token, expiresOnTimestamp: current.expiry_date };
+    }
+  };
+}
+
+/**
+ * Waits for the OAuth redirect on the loopback address
+ * @param {URL} uri - Redirect URI to listen on
+ * @param {string} state - Expected `state` value
+ * @returns {Promise<string>} Authorization code
+ * @throws {Error} If consent was refused, the state does not match or nobody signs in within 5 minutes
+ */
+function waitForRedirect(uri, state) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, uri.origin);
+      if (url.pathname !== uri.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+      const error = url.searchParams.get('error');
+      const ok = !error && url.searchParams.get('state') === state && url.searchParams.get('code');
+      res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/plain; charset=utf-8', Connection: 'close' });
+      res.end(ok ? 'Signed in, you can close this window.' : 'Sign-in failed, see the terminal.');
+      finish(ok
+        ? null
+        : new Error(error ? `Sign-in refused: ${url.searchParams.get('error_description') || error}` : 'Sign-in answer has an unexpected state'),
+      url.searchParams.get('code'));
+    });
+    const timer = setTimeout(() => finish(new Error('No sign-in within 5 minutes')), AUTH_TIMEOUT_MS);
+
+    function finish(err, code) {
+      clearTimeout(timer);
+      server.close();
+      if (err) reject(err);
+      else resolve(code);
+    }
+
+    server.on('error', reject);
+    server.listen(Number(uri.port) || 80, uri.hostname.replace(/^\[|\]$/g, ''));
+  });
+}
+
+/**
+ * Signs in with a provider in the browser and stores the tokens
+ * @param {'google'|'microsoft'} provider - Provider
+ * @param {Object} [options]
+ * @param {function(string): void} [options.onUrl] - Receives the consent URL, printed by default
+ * @returns {Promise<{file: string, scope: string}>} Token store file and granted scopes
+ * @throws {Error} If the sign-in fails or no refresh token is returned
+ */
+export async function authorize(provider, { onUrl = url => console.log(`Open this URL to sign in:\n\n${url}\n`) } = {}) {
+  const uri = redirectUri();
+  const state = randomBytes(16).toString('hex');
+  const { verifier, challenge } = pkcePair();
+  let tokens;
+
+  if (provider === 'google') {
+    const client = googleClient();
+    const code = waitForRedirect(uri, state);
+    onUrl(client.generateAuthUrl({
+      access_type: 'offline',
+      prompt: 'consent', // Google only returns a refresh token on consent
+      scope: OAUTH_SCOPES.google,
+      state,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    }));
+    ({ tokens } = await client.getToken({ code: await code, codeVerifier: verifier }));
+  } else if (provider === 'microsoft') {
+    if (!process.env.ONEDRIVE_CLIENT_ID) throw new Error('Missing Microsoft app, set ONEDRIVE_CLIENT_ID');
+    const code = waitForRedirect(uri, state);
+    onUrl(`${microsoftEndpoint('authorize')}?${new URLSearchParams({
+      client_id: process.env.ONEDRIVE_CLIENT_ID,
+      response_type: 'code',
+      response_mode: 'query',
+      redirect_uri: uri.href,
+      scope: OAUTH_SCOPES.microsoft.join(' '),
+      state,
+      code_challenge: challenge,
+      code_challenge_method: 'S256',
+      prompt: 'select_account'
+    })}`);
+    tokens = await requestMicrosoftToken({
+      grant_type: 'authorization_code',
+      code: await code,
+      redirect_uri: uri.href,
+      code_verifier: verifier
+    });
+  } else {
+    throw new Error(`Unknown provider "${provider}", use google or microsoft`);
+  }
+
+  if (!tokens.refresh_token) throw new Error(`${provider} returned no refresh token`);
+  const stored = await saveTokens(provider, tokens);
+  return { file: tokenStorePath(), scope: stored.scope || '' };
+}
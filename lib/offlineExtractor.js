@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Rule-based extraction provider that works without any network access.
+ * @module lib/offlineExtractor
+ *
+ * Reads the text layer produced by pdf-parse and looks for the usual invoice
+ * labels (English, German and Albanian) next to dates and amounts. It is
+ * deterministic, which makes it suitable for tests and air-gapped runs, but it
+ * is far less capable than a model: line items are not extracted and images
+ * are not supported.
+ */
+
+import { validateInvoice, parseDate, parseNumber } from './invoiceValidator.js';
+
+const DATE_PATTERN = String.raw`(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4}|\d{1,2}\.?\s+[A-Za-zäëéÄ]+\.?\s+\d{4}|[A-Za-z]+\.?\s+\d{1,2},?\s+\d{4})`;
+const AMOUNT_PATTERN = String.raw`(-?\d{1,3}(?:[.,'\s]\d{3})*[.,]\d{2}|-?\d+[.,]\d{2})(?!\d)`;
+// Optional "19%" between a tax label and its amount, as in "VAT 19%: 190.00"
+const RATE_INFIX = String.raw`(?:\d{1,2}(?:[.,]\d{1,2})?\s?%[^\n\d]{0,10}?)?`;
+
+const LABELS = {
+  invoice_date: ['invoice date', 'date of issue', 'issue date', 'rechnungsdatum', 'datum', 'data e faturës', 'data', 'date'],
+  due_date: ['due date', 'payment due', 'fällig am', 'fälligkeit', 'zahlbar bis', 'afati i pagesës'],
+  total: ['grand total', 'total due', 'amount due', 'total amount', 'gesamtbetrag', 'rechnungsbetrag', 'gesamt', 'totali', 'total', 'summe'],
+  net_amount: ['subtotal', 'sub-total', 'net amount', 'total net', 'nettobetrag', 'netto', 'zwischensumme', 'vlera pa tvsh', 'net'],
+  tax: ['vat amount', 'tax amount', 'mwst', 'ust', 'umsatzsteuer', 'tvsh', 'vat', 'tax'],
+  invoice_number: ['invoice number', 'invoice no', 'invoice #', 'rechnungsnummer', 'rechnung nr', 'nr. i faturës', 'nr i fatures', 'receipt no', 'beleg nr']
+};
+
+const PAYMENT_METHODS = [
+  [/credit\s*card|kreditkarte|visa|mastercard|amex/i, 'Credit Card'],
+  [/debit\s*card|ec[- ]karte|girocard/i, 'Debit Card'],
+  [/paypal/i, 'PayPal'],
+  [/bank\s*transfer|überweisung|wire transfer|transfertë bankare|iban/i, 'Bank Transfer'],
+  [/\bcash\b|\bbar\b|para në dorë|cash payment/i, 'Cash']
+];
+
+const LEGAL_FORM = /\b(GmbH|AG|KG|UG|Ltd|LLC|Inc|SRL|S\.?A\.?|SH\.?P\.?K\.?|PLC|B\.?V\.?)\b/i;
+const VAT_ID = /\b([A-Z]{2}\d{8,12}|[A-Z]\d{8}[A-Z])\b/g;
+const NOT_ADDRESS = /ust|vat|tax|steuer|nipt|tel|phone|fax|iban|bic|invoice|rechnung|fatur|@/i;
+
+/**
+ * Escapes a label for use inside a regular expression
+ * @param {string} label - Literal label
+ * @returns {string} Escaped label
+ */
+function escapeLabel(label) {
+  return label.replace(/[.*+?^${}()|[\]\\#]/g, '\\$&');
+}
+
+/**
+ * Finds the first value matching `valuePattern` right after one of the labels.
+ * Labels are tried in order, so more specific labels win over generic ones.
+ * @param {string} text - Document text
+ * @param {string[]} labels - Labels to look for
+ * @param {string} valuePattern - Pattern with one capture group for the value
+ * @param {boolean} [last=false] - Use the last occurrence instead of the first
+ * @returns {string} Matched value or ''
+ */
+function findLabelled(text, labels, valuePattern, last = false) {
+  for (const label of labels) {
+    const pattern = new RegExp(`(?<![a-zäëé])${escapeLabel(label)}\\b(?!-id)[^\\n\\d]{0,30}?${RATE_INFIX}${valuePattern}`, 'gi');
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length) return matches[last ? matches.length - 1 : 0][1].trim();
+  }
+  return '';
+}
+
+/**
+ * Guesses the seller: the first line carrying a legal form, else the first text line
+ * @param {string[]} lines - Non-empty document lines
+ * @returns {string} Seller name or ''
+ */
+function findSeller(lines) {
+  const withLegalForm = lines.find(line => LEGAL_FORM.test(line) && line.length <= 80);
+  if (withLegalForm) return withLegalForm;
+  return lines.find(line => /[A-Za-z]{3}/.test(line) && !/invoice|rechnung|fatur|receipt/i.test(line)) || '';
+}
+
+/**
+ * Extracts the raw invoice fields from document text
+ * @param {string} text - Text layer of the document
+ * @returns {Object} Raw fields in the same shape the model would return
+ */
+export function extractFields(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  let invoiceDate = findLabelled(text, LABELS.invoice_date, DATE_PATTERN);
+  if (!invoiceDate) {
+    const anyDate = text.match(new RegExp(DATE_PATTERN));
+    if (anyDate && parseDate(anyDate[1])) invoiceDate = anyDate[1];
+  }
+
+  // The payable total is usually printed last, after subtotals and tax lines
+  let total = findLabelled(text, LABELS.total, AMOUNT_PATTERN, true);
+  if (!total) {
+    const amounts = [...text.matchAll(/\d[\d.,']*[.,]\d{2}\b/g)]
+      .map(match => parseNumber(match[0]))
+      .filter(value => typeof value === 'number');
+    if (amounts.length) total = String(Math.max(...amounts));
+  }
+
+  const vatIds = [...text.matchAll(VAT_ID)].map(match => match[1]);
+  const rate = text.match(/(\d{1,2}(?:[.,]\d{1,2})?)\s?%/);
+  const currency = text.match(/\b(EUR|USD|GBP|CHF|ALL)\b|€|£|\$|\bLek[eë]?\b/i);
+  const payment = PAYMENT_METHODS.find(([pattern]) => pattern.test(text));
+  const seller = findSeller(lines);
+  const sellerIndex = lines.indexOf(seller);
+  const addressLines = sellerIndex === -1 ? [] : lines.slice(sellerIndex + 1, sellerIndex + 3)
+    .filter(line => /\d/.test(line) && !NOT_ADDRESS.test(line));
+
+  return {
+    invoice_date: invoiceDate,
+    seller,
+    total,
+    tax: findLabelled(text, LABELS.tax, AMOUNT_PATTERN),
+    tax_rate: rate ? rate[1] : '',
+    payment_method: payment ? payment[1] : '',
+    invoice_number: findLabelled(text, LABELS.invoice_number, String.raw`([A-Z0-9][A-Z0-9\-/._]{1,30})`),
+    currency: currency ? currency[0] : '',
+    net_amount: findLabelled(text, LABELS.net_amount, AMOUNT_PATTERN),
+    due_date: findLabelled(text, LABELS.due_date, DATE_PATTERN),
+    seller_vat_id: vatIds[0] || '',
+    buyer_vat_id: vatIds[1] || '',
+    seller_address: addressLines.join(', '),
+    line_items: []
+  };
+}
+
+/**
+ * Creates the offline extraction provider.
+ * @returns {import('./extraction.js').ExtractionProvider} Extraction provider
+ */
+export function createOfflineExtractor() {
+  return {
+    name: 'offline',
+    readsImages: false,
+
+    async extractFromText(text) {
+      return { ...validateInvoice(extractFields(text)), attempts: 1 };
+    },
+
+    async extractFromImage() {
+      throw new Error('The offline extraction provider cannot read images; configure a model-based EXTRACTION_PROVIDER');
+    },
+
+    async extractFromImages() {
+      return this.extractFromImage();
+    }
+  };
+}
@@ -1,6 +1,11 @@
 /**
  * @fileoverview Microsoft OneDrive integration module for document management.
  * @module lib/onedrive
+ *
+ * Two ways to sign in: app-only (default) with the client secret, writing to
+ * the drive of `ONEDRIVE_USER_ID`, or `ONEDRIVE_AUTH=delegated`, where the
+ * app acts as the user signed in with `scripts/auth.js microsoft` and writes
+ * to that user's own drive (works for personal OneDrive accounts too).
  */
 
 import { Client } from '@microsoft/microsoft-graph-client';
@@ -9,12 +14,30 @@ import {
 } from '@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials/index.js';
 import { ClientSecretCredential } from '@azure/identity';
 import 'isomorphic-fetch';
+import { microsoftDelegatedCredential } from './oauth.js';
 
 // Configuration constants
-const USER_ID = process.env.ONEDRIVE_USER_ID;
-const DRIVE_ROOT = `/users/${USER_ID}/drive`;
 const DEFAULT_SCOPES = ['https://graph.microsoft.com/.default'];
-const INVOICE_ROOT_PATH = 'Invoices';
+export const INVOICE_ROOT_PATH = 'Invoices';
+/** Uploads tried by a conditional update before it gives up on a file that keeps changing */
+export const WRITE_ATTEMPTS = 5;
+const WRITE_RETRY_MS = 500;
+
+/**
+ * Tells whether the Graph client acts as a signed-in user
+ * @returns {boolean} True for `ONEDRIVE_AUTH=delegated`
+ */
+export function isDelegatedAuth() {
+  return process.env.ONEDRIVE_AUTH === 'delegated';
+}
+
+/**
+ * Returns the Graph path of the drive invoices are stored in
+ * @returns {string} The signed-in user's drive, or the drive of `ONEDRIVE_USER_ID`
+ */
+export function driveRoot() {
+  return isDelegatedAuth() ? '/me/drive' : `/users/${process.env.ONEDRIVE_USER_ID}/drive`;
+}
 
 /**
  * Initializes and returns an authenticated Microsoft Graph client.
@@ -22,6 +45,14 @@ const INVOICE_ROOT_PATH = 'Invoices';
  * @throws {Error} If authentication fails or required environment variables are missing
  */
 export async function getGraphClient() {
+  if (isDelegatedAuth()) {
+    if (!process.env.ONEDRIVE_CLIENT_ID) throw new Error('Missing required OneDrive client id');
+    const authProvider = new TokenCredentialAuthenticationProvider(microsoftDelegatedCredential(), {
+      scopes: DEFAULT_SCOPES
+    });
+    return Client.initWithMiddleware({ authProvider });
+  }
+
   if (!process.env.ONEDRIVE_CLIENT_ID || !process.env.ONEDRIVE_CLIENT_SECRET) {
     throw new Error('Missing required OneDrive authentication credentials');
   }
@@ -40,48 +71,79 @@ export async function getGraphClient() {
 }
 
 /**
- * Ensures the target year.month folder exists in the Invoices directory.
+ * Creates a folder path below the drive root, including missing parents.
+ * Folders are created with conflictBehavior `fail`, so concurrent requests
+ * end up sharing one folder instead of creating renamed copies.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} folderPath - Folder path below the drive root, e.g. `Clients/ACME/Invoices`
+ * @returns {Promise<string>} ID of the folder
+ */
+async function ensureFolderPath(client, folderPath) {
+  const item = `${driveRoot()}/root:/${folderPath}`;
+  try {
+    return (await client.api(item).select('id').get()).id;
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  const slash = folderPath.lastIndexOf('/');
+  const parent = slash === -1 ? '' : folderPath.slice(0, slash);
+  if (parent) await ensureFolderPath(client, parent);
+
+  try {
+    const response = await client
+      .api(parent ? `${driveRoot()}/root:/${parent}:/children` : `${driveRoot()}/root/children`)
+      .post({ name: folderPath.slice(slash + 1), folder: {}, '@microsoft.graph.conflictBehavior': 'fail' });
+    return response.id;
+  } catch (error) {
+    // Created by a concurrent request in the meantime
+    if (error.statusCode !== 409) throw error;
+    return (await client.api(item).select('id').get()).id;
+  }
+}
+
+/**
+ * Ensures the invoice root folder exists.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
+ * @returns {Promise<string>} ID of the root folder
+ */
+export async function ensureRootFolder(client, root = INVOICE_ROOT_PATH) {
+  return ensureFolderPath(client, root);
+}
+
+/**
+ * Ensures the target year.month folder exists in the invoice root folder.
  * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
  * @param {string|Date} invoiceDate - Date to extract year/month from
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
  * @returns {Promise<string>} ID of the target folder
  * @throws {Error} If folder creation fails
  */
-export async function ensureYearMonthFolder(client, invoiceDate) {
+export async function ensureYearMonthFolder(client, invoiceDate, root = INVOICE_ROOT_PATH) {
   if (!client || !invoiceDate) {
     throw new Error('Invalid parameters: client and invoiceDate are required');
   }
 
   const yearMonth = new Date(invoiceDate).toISOString().slice(0, 7).replace('-', '.');
-  const rootPath = `${DRIVE_ROOT}/root:/${INVOICE_ROOT_PATH}`;
 
   try {
-    const response = await client.api(`${rootPath}/${yearMonth}`).get();
-    return response.id;
-  } catch (error) {
-    try {
-      const response = await client
-        .api(`${rootPath}:/children`)
-        .post({
-          name: yearMonth,
-          folder: {},
-          '@microsoft.graph.conflictBehavior': 'rename'
-        });
-
-      return response.id;
-    } catch (folderCreationError) {
-      throw new Error(`Failed to create directory '${yearMonth}': ${folderCreationError.message}`);
-    }
+    // Concurrent first bookings of a month share the folder, a renamed "YYYY.MM 1" would split the ledger
+    return await ensureFolderPath(client, `${root}/${yearMonth}`);
+  } catch (folderCreationError) {
+    throw new Error(`Failed to create directory '${yearMonth}': ${folderCreationError.message}`, { cause: folderCreationError });
   }
 }
 
 /**
  * Uploads a file to the specified OneDrive folder.
+ * An existing file with the same name is never overwritten; OneDrive picks a new name instead.
  * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
  * @param {string} folderId - Target folder ID
  * @param {string} filename - Name of the file to upload
  * @param {Buffer} buffer - File content buffer
  * @param {string} [mime='application/octet-stream'] - MIME type of the file
- * @returns {Promise<void>}
+ * @returns {Promise<string>} Name the file was stored under
  * @throws {Error} If upload operation fails
  */
 export async function uploadFile(client, folderId, filename, buffer, mime = 'application/octet-stream') {
@@ -90,11 +152,134 @@ export async function uploadFile(client, folderId, filename, buffer, mime = 'app
   }
 
   try {
-    await client
-      .api(`${DRIVE_ROOT}/items/${folderId}:/${filename}:/content`)
+    const response = await client
+      .api(`${driveRoot()}/items/${folderId}:/${filename}:/content`)
+      .query({ '@microsoft.graph.conflictBehavior': 'rename' })
       .header('Content-Type', mime)
       .put(buffer);
+    return response?.name || filename;
+  } catch (error) {
+    throw new Error(`File upload failed for '${filename}': ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Reads a file stored directly in the invoice root folder.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} name - File name relative to the invoice root folder
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
+ * @returns {Promise<Buffer|null>} File content, or null if the file does not exist
+ * @throws {Error} If the download fails for any other reason
+ */
+export async function readRootFile(client, name, root = INVOICE_ROOT_PATH) {
+  try {
+    const content = await client
+      .api(`${driveRoot()}/root:/${root}/${name}:/content`)
+      .responseType('arraybuffer')
+      .get();
+    return Buffer.from(content);
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw new Error(`Failed to read '${name}': ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Creates or replaces a file stored directly in the invoice root folder.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} name - File name relative to the invoice root folder
+ * @param {Buffer} buffer - File content buffer
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
+ * @returns {Promise<void>}
+ * @throws {Error} If upload operation fails
+ */
+export async function writeRootFile(client, name, buffer, root = INVOICE_ROOT_PATH) {
+  try {
+    await client
+      .api(`${driveRoot()}/root:/${root}/${name}:/content`)
+      .header('Content-Type', 'application/octet-stream')
+      .put(buffer);
+  } catch (error) {
+    throw new Error(`Failed to write '${name}': ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Reads, changes and writes back a drive file without losing concurrent
+ * changes: the eTag is read before the content and the upload carries it in
+ * `If-Match` (a file that did not exist is created with conflictBehavior
+ * `fail`). When someone else wrote the file in between, e.g. a parallel job or
+ * a colleague saving it in Excel, the update starts over on the new version.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} item - Graph path of the drive item, `<drive>/items/<id>` or `<drive>/root:/<path>:`
+ * @param {(content: Buffer|null) => Buffer|null|Promise<Buffer|null>} update - Receives the current content
+ *   (null for a missing file) and returns the new one, or null to leave the file as it is; called again on every retry
+ * @param {string} [label] - File name for messages
+ * @returns {Promise<boolean>} True if the file was written
+ * @throws {Error} If a request fails, or the file keeps changing for {@link WRITE_ATTEMPTS} attempts
+ */
+export async function updateDriveFile(client, item, update, label = item) {
+  for (let attempt = 1; ; attempt++) {
+    let eTag = null;
+    let content = null;
+    try {
+      // The eTag is read before the content: a change in between makes the upload fail instead of losing it
+      ({ eTag } = await client.api(item).select('id,eTag').get());
+      content = Buffer.from(await client.api(`${item}/content`).responseType('arraybuffer').get());
+    } catch (error) {
+      if (error.statusCode !== 404) throw new Error(`Failed to read '${label}': ${error.message}`, { cause: error });
+      eTag = null;
+    }
+
+    const updated = await update(content);
+    if (!updated) return false;
+
+    try {
+      const request = client.api(`${item}/content`).header('Content-Type', 'application/octet-stream');
+      if (eTag) request.header('If-Match', eTag);
+      else request.query({ '@microsoft.graph.conflictBehavior': 'fail' });
+      await request.put(updated);
+      return true;
+    } catch (error) {
+      // 412: changed since it was read; 409: created meanwhile; 423: locked by an editor for a moment
+      if (![409, 412, 423].includes(error.statusCode)) {
+        throw new Error(`Failed to write '${label}': ${error.message}`, { cause: error });
+      }
+      if (attempt >= WRITE_ATTEMPTS) {
+        throw new Error(`'${label}' kept changing, not written after ${attempt} attempts`, { cause: error });
+      }
+      console.warn(`WARNING: '${label}' changed while updating it (${error.statusCode}), trying again`);
+      await new Promise(resolve => setTimeout(resolve, WRITE_RETRY_MS * attempt + Math.random() * WRITE_RETRY_MS));
+    }
+  }
+}
+
+/**
+ * Updates a file stored under the invoice root folder, see {@link updateDriveFile}.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} name - File name relative to the invoice root folder
+ * @param {(content: Buffer|null) => Buffer|null|Promise<Buffer|null>} update - Returns the new content, or null for no change
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
+ * @returns {Promise<boolean>} True if the file was written
+ * @throws {Error} If a request fails, or the file keeps changing
+ */
+export async function updateRootFile(client, name, update, root = INVOICE_ROOT_PATH) {
+  return updateDriveFile(client, `${driveRoot()}/root:/${root}/${name}:`, update, name);
+}
+
+/**
+ * Deletes a file stored under the invoice root folder. Missing files are ignored.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client instance
+ * @param {string} name - File name relative to the invoice root folder
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
+ * @returns {Promise<void>}
+ * @throws {Error} If the delete operation fails
+ */
+export async function deleteRootFile(client, name, root = INVOICE_ROOT_PATH) {
+  try {
+    await client.api(`${driveRoot()}/root:/${root}/${name}`).delete();
   } catch (error) {
-    throw new Error(`File upload failed for '${filename}': ${error.message}`);
+    if (error.statusCode === 404) return;
+    throw new Error(`Failed to delete '${name}': ${error.message}`, { cause: error });
   }
 }
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Extraction provider for the OpenAI API and OpenAI-compatible servers.
+ * @module lib/openaiExtractor
+ *
+ * The same chat-completions conversation is used for api.openai.com and for
+ * self-hosted servers exposing the OpenAI API (vLLM, Ollama, LM Studio, ...);
+ * only the base URL, model and the supported `response_format` differ.
+ */
+
+import { OpenAI } from 'openai';
+import { validateInvoice, describeErrors } from './invoiceValidator.js';
+
+/** Company the invoices are addressed to, when no tenant names its own */
+export const DEFAULT_BUYER_NAME = 'Timelessoft';
+
+/**
+ * Returns the data extraction prompt for AI
+ * @param {string} [buyerName] - Company the invoices are addressed to, never the seller
+ * @returns {string} Extraction prompt
+ */
+function extractionPrompt(buyerName = DEFAULT_BUYER_NAME) {
+  return `
+You are an information extraction system. Your task is to analyze the provided text (which may be an invoice, receipt, or financial document) and return a JSON object containing the following fields:
+
+- "invoice_date": The invoice issue date in strict ISO format (YYYY-MM-DD).  
+  • If multiple dates appear, choose the one most likely to be the invoice issue date (not due date, not delivery date).  
+  • If no date can be determined, return "".
+
+- "seller": The entity issuing the invoice (company or individual).  
+  • This is never "${buyerName}" (they are only processing invoices).  
+  • Extract the seller's name exactly as written in the text.  
+  • If no seller can be determined, return "".
+
+- "total": The total invoice amount as a number with exactly two decimal places.  
+  • Always extract the *final total payable amount* (including tax, if present).  
+  • Represent only the numeric value (no currency symbols, no commas). Example: 1234.50.  
+  • If no total can be determined, return "".
+
+- "tax": The tax amount as a number with exactly two decimal places.  
+  • If only a percentage is printed, return "" here and put the percentage in "tax_rate".  
+  • If no tax is mentioned, return "".
+
+- "tax_rate": The tax percentage as a number without "%" (e.g., "19" or "7.7").  
+  • If several rates apply, return the one that covers most of the amount.  
+  • If no rate is printed, return "".
+
+- "payment_method": The method of payment (e.g., "Credit Card", "Bank Transfer", "Cash", "PayPal").  
+  • If multiple are mentioned, pick the most relevant (the one actually used for this invoice, not just an option).  
+  • If not specified, return "".
+
+- "invoice_number": The invoice or receipt number exactly as printed (e.g., "RE-2025-0042").  
+  • Do not confuse it with an order number, customer number or tax ID.  
+  • If no invoice number can be determined, return "".
+
+- "currency": The ISO 4217 currency code of the amounts (e.g., "EUR", "USD", "ALL").  
+  • Derive it from symbols or words if no code is printed ("€" → "EUR", "Lekë" → "ALL").  
+  • If no currency can be determined, return "".
+
+- "net_amount": The total amount before tax as a number with exactly two decimal places.  
+  • If no net amount can be determined, return "".
+
+- "due_date": The payment due date in strict ISO format (YYYY-MM-DD).  
+  • If only payment terms are given (e.g., "30 days net"), compute the date from the invoice date.  
+  • If no due date can be determined, return "".
+
+- "seller_vat_id": The seller's VAT or tax identification number (e.g., "DE123456789", NIPT "L12345678A").  
+  • If not present, return "".
+
+- "buyer_vat_id": The buyer's VAT or tax identification number, if printed.  
+  • If not present, return "".
+
+- "seller_address": The seller's postal address as a single line, parts separated by ", ".  
+  • If not present, return "".
+
+- "line_items": An array with one object per invoice line, each with the keys  
+  "description", "quantity", "unit_price" and "amount" (numbers as strings with two decimals, or "").  
+  • If no individual lines can be determined, return [].
+
+STRICT REQUIREMENTS:
+1. Return ONLY a valid JSON object with the above keys, in exactly this format:
+   {
+     "invoice_date": "",
+     "seller": "",
+     "total": "",
+     "tax": "",
+     "tax_rate": "",
+     "payment_method": "",
+     "invoice_number": "",
+     "currency": "",
+     "net_amount": "",
+     "due_date": "",
+     "seller_vat_id": "",
+     "buyer_vat_id": "",
+     "seller_address": "",
+     "line_items": []
+   }
+
+2. Do NOT include explanations, notes, markdown fences, or extra text — only the JSON.
+
+3. All string values must be enclosed in double quotes ("").
+
+4. If a value cannot be confidently extracted, use an empty string ("") — or [] for "line_items".
+
+Example of a valid output:
+{
+  "invoice_date": "2025-09-10",
+  "seller": "ACME GmbH",
+  "total": "1250.75",
+  "tax": "199.70",
+  "tax_rate": "19",
+  "payment_method": "Bank Transfer",
+  "invoice_number": "RE-2025-0042",
+  "currency": "EUR",
+  "net_amount": "1051.05",
+  "due_date": "2025-10-10",
+  "seller_vat_id": "DE123456789",
+  "buyer_vat_id": "",
+  "seller_address": "Hauptstraße 1, 10115 Berlin, Germany",
+  "line_items": [
+    { "description": "Consulting, September", "quantity": "10.00", "unit_price": "105.11", "amount": "1051.05" }
+  ]
+}
+`;
+}
+
+const STRING_FIELDS = [
+  'invoice_date', 'seller', 'total', 'tax', 'tax_rate', 'payment_method',
+  'invoice_number', 'currency', 'net_amount', 'due_date',
+  'seller_vat_id', 'buyer_vat_id', 'seller_address'
+];
+
+const LINE_ITEM_FIELDS = ['description', 'quantity', 'unit_price', 'amount'];
+
+/**
+ * Strict JSON schema sent as `response_format`, so the API itself guarantees
+ * the reply is a single JSON object with exactly the fields of the prompt.
+ */
+const INVOICE_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'invoice',
+    strict: true,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: [...STRING_FIELDS, 'line_items'],
+      properties: {
+        ...Object.fromEntries(STRING_FIELDS.map(field => [field, { type: 'string' }])),
+        line_items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: LINE_ITEM_FIELDS,
+            properties: Object.fromEntries(LINE_ITEM_FIELDS.map(field => [field, { type: 'string' }]))
+          }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/** Model used when none is configured */
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Removes markdown code fences from string
+ * @param {string} str - Input string
+ * @returns {string} Cleaned string
+ */
+function stripFence(str = '') {
+  str = str.replace(/[\u200B-\u200D\uFEFF]/g, '');
+  const match = str.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (match) return match[1].trim();
+  return str.trim();
+}
+
+/**
+ * Builds the `response_format` request parameter.
+ * `json_schema` is the strict schema above, `json_object` only asks for any JSON
+ * object (for servers without structured outputs), `none` sends nothing.
+ * @param {string} mode - Configured response format mode
+ * @returns {Object|undefined} Request parameter
+ */
+function responseFormatFor(mode) {
+  switch (mode) {
+    case 'json_schema':
+      return INVOICE_RESPONSE_FORMAT;
+    case 'json_object':
+      return { type: 'json_object' };
+    case 'none':
+      return undefined;
+    default:
+      throw new Error(`Unknown extraction response format: ${mode}`);
+  }
+}
+
+/**
+ * Runs the extraction conversation, re-asking the model with the validation
+ * errors when its reply is malformed or misses required fields. The number of
+ * attempts is bounded by `EXTRACTION_MAX_ATTEMPTS` (default 3).
+ * @param {Object} settings
+ * @param {OpenAI} settings.client - OpenAI client
+ * @param {string} settings.model - Model name
+ * @param {Object} [settings.responseFormat] - `response_format` request parameter
+ * @param {Array<Object>} messages - Initial chat messages carrying the document
+ * @returns {Promise<import('./extraction.js').ExtractionResult>} Validated result of the last attempt
+ */
+async function runExtraction({ client, model, responseFormat }, messages) {
+  const maxAttempts = Math.max(1, Number(process.env.EXTRACTION_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS);
+  const conversation = [...messages];
+  let result;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await client.chat.completions.create({
+      model,
+      messages: conversation,
+      ...(responseFormat && { response_format: responseFormat })
+    });
+
+    const message = response.choices[0].message;
+    const content = message.content ?? '';
+
+    if (message.refusal) {
+      result = { data: {}, errors: { response: `model refused: ${message.refusal}` }, valid: false };
+    } else {
+      try {
+        result = validateInvoice(JSON.parse(stripFence(content)));
+      } catch (err) {
+        result = { data: {}, errors: { response: `not valid JSON (${err.message})` }, valid: false };
+      }
+    }
+
+    result.attempts = attempt;
+    if (result.valid) return result;
+
+    console.warn(`WARNING: Extraction attempt ${attempt}/${maxAttempts} rejected. ${describeErrors(result.errors)}`);
+    conversation.push(
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your previous answer could not be used: ${describeErrors(result.errors)}. ` +
+          'Look at the document again and return the corrected JSON object only. ' +
+          'Use "" only for values that are really not present in the document.'
+      }
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Creates an extraction provider backed by a chat-completions endpoint.
+ * @param {Object} [options]
+ * @param {string} [options.name='openai'] - Provider identifier
+ * @param {OpenAI} [options.client] - Existing client, otherwise one is created
+ * @param {string} [options.baseUrl] - Base URL of an OpenAI-compatible server
+ * @param {string} [options.apiKey] - API key, defaults to `OPENAI_API_KEY`
+ * @param {string} [options.model='gpt-4o-mini'] - Model name
+ * @param {string} [options.responseFormat='json_schema'] - `json_schema`, `json_object` or `none`
+ * @param {string} [options.buyerName] - Company the invoices are addressed to, see {@link DEFAULT_BUYER_NAME}
+ * @returns {import('./extraction.js').ExtractionProvider} Extraction provider
+ */
+export function createOpenAIExtractor({
+  name = 'openai',
+  client,
+  baseUrl,
+  apiKey,
+  model = DEFAULT_MODEL,
+  responseFormat = 'json_schema',
+  buyerName
+} = {}) {
+  const settings = {
+    client: client ?? new OpenAI({
+      apiKey: apiKey ?? process.env.OPENAI_API_KEY,
+      ...(baseUrl && { baseURL: baseUrl })
+    }),
+    model,
+    responseFormat: responseFormatFor(responseFormat)
+  };
+
+  return {
+    name,
+    model,
+    readsImages: true,
+
+    async extractFromText(text) {
+      return runExtraction(settings, [
+        { role: 'system', content: extractionPrompt(buyerName) },
+        { role: 'user', content: text }
+      ]);
+    },
+
+    async extractFromImage(buffer, contentType = 'image/png') {
+      return this.extractFromImages([{ buffer, contentType }]);
+    },
+
+    async extractFromImages(images) {
+      const pages = images.map(({ buffer, contentType = 'image/png' }) => ({
+        type: 'image_url',
+        image_url: { url: `data:${contentType};base64,${buffer.toString('base64')}` }
+      }));
+      const note = images.length > 1
+        ? [{ type: 'text', text: `The ${images.length} images are consecutive pages of one document.` }]
+        : [];
+
+      return runExtraction(settings, [
+        {
+          role: 'user',
+          content: [...pages, ...note, { type: 'text', text: extractionPrompt(buyerName) }]
+        }
+      ]);
+    }
+  };
+}
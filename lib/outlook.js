@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Microsoft 365 mailbox access over Microsoft Graph (shared or user mailboxes).
+ * @module lib/outlook
+ *
+ * Uses the Graph client of {@link module:lib/onedrive}, so the app registration
+ * needs the `Mail.ReadWrite` application permission next to the OneDrive one.
+ * `OUTLOOK_MAILBOX` names the mailbox (address or user id; `me` with
+ * `ONEDRIVE_AUTH=delegated`), `OUTLOOK_FOLDER` the folder to read (default
+ * `Inbox`; paths like `Inbox/Invoices` work).
+ *
+ * Every run continues the folder's delta query from the `@odata.deltaLink` of
+ * the previous one, stored in `<queue dir>/outlook-sync.json`, so only new
+ * mail is looked at. The first run, and a run whose delta token has expired,
+ * starts over with the mail of the last `OUTLOOK_SYNC_LOOKBACK_HOURS`
+ * (default 24). Messages whose jobs are still waiting for a retry are kept in
+ * the sync state and looked at again on the next run.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { getIngestionQueue } from './ingestion.js';
+import { getTenant } from './tenants.js';
+
+const DEFAULT_FOLDER = 'Inbox';
+const DEFAULT_PROCESSED_FOLDER = 'Inbox/Processed';
+const DEFAULT_LOOKBACK_HOURS = 24;
+const STATE_FILE = 'outlook-sync.json';
+const PAGE_SIZE = 50;
+
+// Folders Graph addresses by a fixed name, whatever the mailbox language
+const WELL_KNOWN_FOLDERS = ['inbox', 'archive', 'drafts', 'sentitems', 'deleteditems', 'junkemail'];
+
+const MESSAGE_FIELDS = [
+  'id', 'internetMessageId', 'subject', 'from', 'toRecipients', 'ccRecipients', 'hasAttachments', 'receivedDateTime', 'flag'
+];
+
+/**
+ * @typedef {Object} OutlookConfig
+ * @property {string} mailbox - Mailbox address or user id
+ * @property {string} folder - Folder read for new mail
+ * @property {string} processedFolder - Folder finished messages are moved to
+ * @property {string} [failedFolder] - Folder messages with failed documents are moved to
+ * @property {string} [tenant] - Tenant every message of the mailbox belongs to
+ */
+
+/**
+ * @typedef {Object} OutlookSyncState
+ * @property {string} [source] - Mailbox and folder the delta link belongs to
+ * @property {string} [deltaLink] - Delta link of the last run
+ * @property {string} [syncedAt] - ISO timestamp of the last run
+ * @property {string[]} pending - Messages with jobs still waiting for a retry
+ */
+
+/**
+ * Reads the mailbox settings from the environment
+ * @returns {OutlookConfig} Settings
+ * @throws {Error} If no mailbox is configured, or `OUTLOOK_TENANT` names an unknown tenant
+ */
+export function outlookConfig() {
+  if (!process.env.OUTLOOK_MAILBOX) throw new Error('Outlook mail source is not configured, missing OUTLOOK_MAILBOX');
+  // Otherwise every message would be skipped while the delta link moves past it
+  if (process.env.OUTLOOK_TENANT && !getTenant(process.env.OUTLOOK_TENANT)) {
+    throw new Error(`OUTLOOK_TENANT names unknown tenant: ${process.env.OUTLOOK_TENANT}`);
+  }
+  return {
+    mailbox: process.env.OUTLOOK_MAILBOX,
+    folder: process.env.OUTLOOK_FOLDER || DEFAULT_FOLDER,
+    processedFolder: process.env.OUTLOOK_PROCESSED_FOLDER || DEFAULT_PROCESSED_FOLDER,
+    ...(process.env.OUTLOOK_FAILED_FOLDER && { failedFolder: process.env.OUTLOOK_FAILED_FOLDER }),
+    ...(process.env.OUTLOOK_TENANT && { tenant: process.env.OUTLOOK_TENANT })
+  };
+}
+
+/**
+ * Returns the Graph path of a mailbox
+ * @param {string} mailbox - Mailbox address or user id, or `me` for the signed-in user (`ONEDRIVE_AUTH=delegated`)
+ * @returns {string} Path such as `/users/invoices@contoso.com`
+ */
+function mailboxPath(mailbox) {
+  return mailbox === 'me' ? '/me' : `/users/${encodeURIComponent(mailbox)}`;
+}
+
+/**
+ * Looks up a mail folder by path, optionally creating the missing parts
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {string} mailbox - Mailbox address or user id
+ * @param {string} folderPath - Folder path such as `Inbox/Processed`
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Create missing folders
+ * @returns {Promise<string>} Folder id
+ * @throws {Error} If a folder does not exist and is not created
+ */
+export async function resolveMailFolder(client, mailbox, folderPath, { create = false } = {}) {
+  const base = mailboxPath(mailbox);
+  const [first, ...rest] = folderPath.split('/').filter(Boolean);
+
+  let id;
+  if (WELL_KNOWN_FOLDERS.includes(first.toLowerCase())) {
+    id = (await client.api(`${base}/mailFolders/${first.toLowerCase()}`).select('id').get()).id;
+  } else {
+    id = await childFolder(client, `${base}/mailFolders`, first, create);
+  }
+  for (const name of rest) {
+    id = await childFolder(client, `${base}/mailFolders/${id}/childFolders`, name, create);
+  }
+  return id;
+}
+
+/**
+ * Finds (or creates) a folder by display name in a folder collection
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {string} collection - Graph path of the folder collection
+ * @param {string} name - Display name
+ * @param {boolean} create - Create the folder when it is missing
+ * @returns {Promise<string>} Folder id
+ */
+async function childFolder(client, collection, name, create) {
+  const res = await client.api(collection)
+    .filter(`displayName eq '${name.replace(/'/g, "''")}'`)
+    .select('id')
+    .get();
+  if (res.value?.length) return res.value[0].id;
+  if (!create) throw new Error(`Mail folder "${name}" not found`);
+  console.log(`INFO: Creating mail folder ${name}`);
+  return (await client.api(collection).post({ displayName: name })).id;
+}
+
+/**
+ * Reads the messages of a folder that are new since the last run
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {string} mailbox - Mailbox address or user id
+ * @param {string} folderId - Folder id
+ * @param {OutlookSyncState} state - Sync state of the last run
+ * @returns {Promise<{messages: Object[], deltaLink: string}>} New messages (removed ones left out)
+ *   and the delta link for the next run
+ */
+export async function deltaMessages(client, mailbox, folderId, state) {
+  const start = () => {
+    const hours = Number(process.env.OUTLOOK_SYNC_LOOKBACK_HOURS) || DEFAULT_LOOKBACK_HOURS;
+    const since = state.syncedAt ? new Date(state.syncedAt) : new Date(Date.now() - hours * 60 * 60 * 1000);
+    return client.api(`${mailboxPath(mailbox)}/mailFolders/${folderId}/messages/delta`)
+      .filter(`receivedDateTime ge ${since.toISOString()}`)
+      .select(MESSAGE_FIELDS.join(','))
+      .header('Prefer', `odata.maxpagesize=${PAGE_SIZE}`);
+  };
+
+  let request = state.deltaLink ? client.api(state.deltaLink).header('Prefer', `odata.maxpagesize=${PAGE_SIZE}`) : start();
+  const messages = [];
+  for (;;) {
+    let page;
+    try {
+      page = await request.get();
+    } catch (err) {
+      // Graph forgets delta tokens after a while; the search since the last run replaces them
+      if (state.deltaLink && (err.statusCode === 410 || /syncState/i.test(err.code || ''))) {
+        console.warn('WARNING: Outlook delta token has expired, starting over');
+        state = { ...state, deltaLink: undefined };
+        messages.length = 0;
+        request = start();
+        continue;
+      }
+      throw err;
+    }
+    messages.push(...(page.value || []).filter(message => !message['@removed']));
+    if (page['@odata.nextLink']) {
+      request = client.api(page['@odata.nextLink']).header('Prefer', `odata.maxpagesize=${PAGE_SIZE}`);
+      continue;
+    }
+    return { messages, deltaLink: page['@odata.deltaLink'] };
+  }
+}
+
+/**
+ * Reads one message with the fields used for routing
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {string} mailbox - Mailbox address or user id
+ * @param {string} id - Message id
+ * @returns {Promise<Object>} Message
+ */
+export async function getMessage(client, mailbox, id) {
+  return client.api(`${mailboxPath(mailbox)}/messages/${id}`).select(MESSAGE_FIELDS.join(',')).get();
+}
+
+/**
+ * Formats the addresses of a Graph recipient list
+ * @param {Array<{emailAddress: {name?: string, address: string}}>} [recipients] - Recipients
+ * @returns {string} Header-like value such as `"Jane" <jane@acme.de>, bob@acme.de`
+ */
+export function formatRecipients(recipients = []) {
+  return recipients
+    .map(({ emailAddress = {} }) => (emailAddress.name ? `"${emailAddress.name}" <${emailAddress.address}>` : emailAddress.address))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Lists the attachments of a message as loadable documents. File attachments
+ * are taken as they are; item attachments (a forwarded or attached mail) are
+ * downloaded as MIME and handed on as `.eml`, which the container handling
+ * unpacks. Inline images and links to cloud files are left out.
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {string} mailbox - Mailbox address or user id
+ * @param {string} messageId - Message id
+ * @returns {Promise<import('./ingestion.js').MessageAttachment[]>} Attachments with loaders
+ */
+export async function messageAttachments(client, mailbox, messageId) {
+  const base = `${mailboxPath(mailbox)}/messages/${messageId}/attachments`;
+  const res = await client.api(base).select('id,name,contentType,size,isInline').get();
+
+  return (res.value || []).flatMap(attachment => {
+    const type = attachment['@odata.type'];
+    if (type === '#microsoft.graph.fileAttachment') {
+      if (attachment.isInline && attachment.contentType !== 'application/pdf') return [];
+      return [{
+        id: attachment.id,
+        filename: attachment.name,
+        load: async () => ({
+          buffer: Buffer.from(await client.api(`${base}/${attachment.id}/$value`).responseType('arraybuffer').get()),
+          filename: attachment.name,
+          contentType: attachment.contentType || 'application/octet-stream'
+        })
+      }];
+    }
+    if (type === '#microsoft.graph.itemAttachment') {
+      const filename = `${(attachment.name || 'attached message').replace(/[\\/:*?"<>|]+/g, '_')}.eml`;
+      return [{
+        id: attachment.id,
+        filename,
+        load: async () => ({
+          buffer: Buffer.from(await client.api(`${base}/${attachment.id}/$value`).responseType('arraybuffer').get()),
+          filename,
+          contentType: 'message/rfc822'
+        })
+      }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Files a finished message: moved to the processed folder, or flagged and
+ * moved to the failed folder (if one is configured) when a document failed
+ * @param {import('@microsoft/microsoft-graph-client').Client} client - Graph client
+ * @param {string} messageId - Message id
+ * @param {'processed'|'failed'} outcome - How the message ended up
+ * @param {OutlookConfig} config - Settings
+ * @param {Map<string, string>} folders - Folder ids by path, filled on first use
+ * @returns {Promise<void>}
+ */
+export async function settleOutlookMessage(client, messageId, outcome, config, folders) {
+  const base = `${mailboxPath(config.mailbox)}/messages/${messageId}`;
+  if (outcome === 'failed') await client.api(base).patch({ flag: { flagStatus: 'flagged' } });
+
+  const target = outcome === 'failed' ? config.failedFolder : config.processedFolder;
+  if (!target) return;
+  if (!folders.has(target)) folders.set(target, await resolveMailFolder(client, config.mailbox, target, { create: true }));
+  await client.api(`${base}/move`).post({ destinationId: folders.get(target) });
+}
+
+/**
+ * Returns the sync state file
+ * @returns {string} `OUTLOOK_SYNC_STATE`, default `outlook-sync.json` in the queue directory
+ */
+function stateFile() {
+  return path.resolve(process.env.OUTLOOK_SYNC_STATE || path.join(getIngestionQueue().dir, STATE_FILE));
+}
+
+/**
+ * Reads the sync state of a mailbox folder
+ * @param {string} source - Mailbox and folder, e.g. `invoices@contoso.com/Inbox`
+ * @returns {Promise<OutlookSyncState>} State; empty before the first run or after the source changed
+ */
+export async function loadOutlookState(source) {
+  try {
+    const state = JSON.parse(await fs.readFile(stateFile(), 'utf8'));
+    return state.source === source ? { pending: [], ...state } : { source, pending: [] };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { source, pending: [] };
+    throw err;
+  }
+}
+
+/**
+ * Writes the sync state
+ * @param {OutlookSyncState} state - Sync state
+ * @returns {Promise<void>}
+ */
+export async function saveOutlookState(state) {
+  const file = stateFile();
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(state, null, 2));
+  await fs.rename(tmp, file);
+}
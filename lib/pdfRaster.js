@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Local PDF rasterization for scanned documents without a text layer.
+ * @module lib/pdfRaster
+ *
+ * Pages are rendered with pdf.js onto an @napi-rs/canvas surface and returned
+ * as PNG images, ready for the image extraction path. Both libraries are
+ * loaded on first use, so text-only deployments never pay for them.
+ */
+
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_MAX_PAGES = 5;
+const DEFAULT_SCALE = 2;
+
+/**
+ * Renders the first pages of a PDF to PNG images
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Page limit, defaults to `PDF_RASTER_MAX_PAGES` or 5
+ * @param {number} [options.scale] - Render scale (1 = 72 dpi), defaults to `PDF_RASTER_SCALE` or 2
+ * @returns {Promise<Array<{buffer: Buffer, contentType: string, page: number}>>} One PNG per page
+ * @throws {Error} If the PDF cannot be opened or rendered
+ */
+export async function rasterizePdf(buffer, { maxPages, scale } = {}) {
+  const pageLimit = maxPages || Number(process.env.PDF_RASTER_MAX_PAGES) || DEFAULT_MAX_PAGES;
+  const renderScale = scale || Number(process.env.PDF_RASTER_SCALE) || DEFAULT_SCALE;
+
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { createCanvas } = await import('@napi-rs/canvas');
+
+  // Non-embedded fonts (Helvetica, Times, ...) are drawn from the glyph data shipped with pdf.js
+  const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: `${path.join(pdfjsRoot, 'standard_fonts')}${path.sep}`,
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pageCount = Math.min(document.numPages, pageLimit);
+    if (document.numPages > pageLimit) {
+      console.warn(`WARNING: Rasterizing only the first ${pageLimit} of ${document.numPages} pages`);
+    }
+
+    const images = [];
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await document.getPage(number);
+      const viewport = page.getViewport({ scale: renderScale });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+
+      // Scans are often transparent PNGs wrapped in a PDF; give them a white page
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+
+      images.push({ buffer: canvas.toBuffer('image/png'), contentType: 'image/png', page: number });
+      page.cleanup();
+    }
+    return images;
+  } finally {
+    await document.destroy();
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Monthly and yearly summary reports of the ledgers.
+ * @module lib/reports
+ *
+ * A report sums a month's ledger (or the yearly ledger) per currency: count,
+ * total, tax and net, broken down per seller and per payment method, and for
+ * a year per month. It is rendered as CSV (one line per figure, for further
+ * processing) and as HTML laid out for printing or saving as PDF from the
+ * browser. {@link publishReport} stores both next to the ledger: monthly ones
+ * as `YYYY.MM/report-YYYY.MM.csv|html`, yearly ones as `report-YYYY.csv|html`
+ * at the storage root.
+ */
+
+import { stringify } from 'csv-stringify/sync';
+import { readLedger, rowToData } from './ledger.js';
+
+/**
+ * @typedef {Object} Figures
+ * @property {number} count - Number of invoices
+ * @property {number} total - Sum of the totals
+ * @property {number} tax - Sum of the taxes
+ * @property {number} net - Sum of the net amounts
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {'month'|'year'} period - Kind of report
+ * @property {string} label - Month folder (`2025.09`) or year (`2025`)
+ * @property {number} count - Number of invoices
+ * @property {Object<string, Figures>} currencies - Figures by currency
+ * @property {Array<{name: string, currency: string} & Figures>} sellers - Figures per seller and currency, largest first
+ * @property {Array<{name: string, currency: string} & Figures>} payments - Figures per payment method and currency
+ * @property {Array<{name: string, currency: string} & Figures>} [months] - Figures per month and currency (yearly reports)
+ */
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Adds a ledger row to a figures entry
+ * @param {Map<string, Object>} groups - Entries by key
+ * @param {string} key - Group key
+ * @param {Object} base - Fields of a new entry
+ * @param {Object} data - Invoice data of the row
+ */
+function add(groups, key, base, data) {
+  const entry = groups.get(key) || { ...base, count: 0, total: 0, tax: 0, net: 0 };
+  entry.count += 1;
+  entry.total = round(entry.total + (Number(data.total) || 0));
+  entry.tax = round(entry.tax + (Number(data.tax) || 0));
+  entry.net = round(entry.net + (Number(data.net_amount) || 0));
+  groups.set(key, entry);
+}
+
+/**
+ * Sums ledger rows into a report
+ * @param {string[][]} rows - Ledger rows
+ * @param {Object} period
+ * @param {'month'|'year'} period.period - Kind of report
+ * @param {string} period.label - Month folder or year
+ * @returns {Report} Report
+ */
+export function summarize(rows, { period, label }) {
+  const currencies = new Map();
+  const sellers = new Map();
+  const payments = new Map();
+  const months = new Map();
+
+  for (const data of rows.map(rowToData)) {
+    const currency = data.currency || '?';
+    const seller = data.seller || 'unknown seller';
+    const payment = data.payment_method || 'unknown';
+    add(currencies, currency, { currency }, data);
+    add(sellers, `${seller.toLowerCase()}\n${currency}`, { name: seller, currency }, data);
+    add(payments, `${payment.toLowerCase()}\n${currency}`, { name: payment, currency }, data);
+    if (period === 'year') {
+      const month = String(data.invoice_date).slice(0, 7).replace('-', '.');
+      add(months, `${month}\n${currency}`, { name: month, currency }, data);
+    }
+  }
+
+  const byTotal = (a, b) => b.total - a.total || a.name.localeCompare(b.name);
+  return {
+    period,
+    label,
+    count: rows.length,
+    currencies: Object.fromEntries([...currencies.values()].map(({ currency, ...figures }) => [currency, figures])),
+    sellers: [...sellers.values()].sort(byTotal),
+    payments: [...payments.values()].sort(byTotal),
+    ...(period === 'year' && { months: [...months.values()].sort((a, b) => a.name.localeCompare(b.name)) })
+  };
+}
+
+/**
+ * Builds the report of a month
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} folder - Year.month folder, e.g. `2025.09`
+ * @returns {Promise<Report>} Report
+ */
+export async function monthlyReport(storage, folder) {
+  return summarize(await readLedger(storage, folder), { period: 'month', label: folder });
+}
+
+/**
+ * Builds the report of a year from the yearly ledger
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {number|string} year - Year
+ * @returns {Promise<Report>} Report
+ */
+export async function yearlyReport(storage, year) {
+  return summarize(await storage.readYearLedgerRows(year), { period: 'year', label: String(year) });
+}
+
+/**
+ * Rebuilds the yearly ledger from the monthly ones, e.g. for the months
+ * booked before the yearly ledger existed
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {number|string} year - Year
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function rebuildYearLedger(storage, year) {
+  const rows = [];
+  for (let month = 1; month <= 12; month++) {
+    rows.push(...await readLedger(storage, `${year}.${String(month).padStart(2, '0')}`));
+  }
+  // Booking order, like the appends that maintain it
+  rows.sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+  await storage.writeYearLedger(year, rows);
+  console.log(`INFO: Rebuilt the ${year} ledger with ${rows.length} row(s)`);
+  return rows.length;
+}
+
+/**
+ * Renders a report as CSV, one line per figure
+ * @param {Report} report - Report
+ * @returns {string} CSV with the columns Section, Name, Currency, Count, Total, Tax, Net
+ */
+export function reportCsv(report) {
+  const line = (section, name, currency, figures) =>
+    [section, name, currency, figures.count, figures.total.toFixed(2), figures.tax.toFixed(2), figures.net.toFixed(2)];
+  return stringify([
+    ['Section', 'Name', 'Currency', 'Count', 'Total', 'Tax', 'Net'],
+    ...Object.entries(report.currencies).map(([currency, figures]) => line('Total', report.label, currency, figures)),
+    ...(report.months || []).map(entry => line('Month', entry.name, entry.currency, entry)),
+    ...report.sellers.map(entry => line('Seller', entry.name, entry.currency, entry)),
+    ...report.payments.map(entry => line('Payment method', entry.name, entry.currency, entry))
+  ]);
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Renders a report as a printable HTML page
+ * @param {Report} report - Report
+ * @param {Object} [options]
+ * @param {string} [options.title] - Heading, e.g. the tenant name
+ * @returns {string} HTML document
+ */
+export function reportHtml(report, { title = 'Invoice report' } = {}) {
+  const amount = value => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const table = (caption, first, entries) => entries.length ? `
+  <h2>${escapeHtml(caption)}</h2>
+  <table>
+    <thead><tr><th>${escapeHtml(first)}</th><th>Currency</th><th class="num">Invoices</th><th class="num">Total</th><th class="num">Tax</th><th class="num">Net</th></tr></thead>
+    <tbody>${entries.map(entry => `
+      <tr><td>${escapeHtml(entry.name)}</td><td>${escapeHtml(entry.currency)}</td><td class="num">${entry.count}</td><td class="num">${amount(entry.total)}</td><td class="num">${amount(entry.tax)}</td><td class="num">${amount(entry.net)}</td></tr>`).join('')}
+    </tbody>
+  </table>` : '';
+  const period = report.period === 'year' ? `Year ${report.label}` : `Month ${report.label}`;
+  const totals = Object.entries(report.currencies).map(([currency, figures]) => ({ name: 'All invoices', currency, ...figures }));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${title} – ${period}`)}</title>
+<style>
+  body { font: 11pt/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+  h1 { font-size: 16pt; margin-bottom: 0; }
+  h2 { font-size: 12pt; margin-top: 1.6em; }
+  .meta { color: #666; margin-top: 0.2em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { padding: 0.3em 0.5em; border-bottom: 1px solid #ddd; text-align: left; }
+  th { background: #f3f3f3; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  tr { page-break-inside: avoid; }
+  @media print { body { margin: 0; } th { background: none; border-bottom: 2px solid #222; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)} – ${escapeHtml(period)}</h1>
+  <p class="meta">${report.count} invoice(s) · generated ${escapeHtml(new Date().toISOString().slice(0, 16).replace('T', ' '))} UTC</p>${
+  report.count ? table('Totals', 'Scope', totals) +
+    table('Per month', 'Month', report.months || []) +
+    table('Per seller', 'Seller', report.sellers) +
+    table('Per payment method', 'Payment method', report.payments) : '\n  <p>No invoices were booked in this period.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Summarizes a report for a WhatsApp message
+ * @param {Report} report - Report
+ * @param {string[]} files - Stored report files
+ * @returns {string} Message text
+ */
+export function reportMessage(report, files) {
+  const lines = [`📊 Invoice report ${report.label}: ${report.count} invoice(s)`];
+  for (const [currency, figures] of Object.entries(report.currencies)) {
+    lines.push(`• ${[figures.total.toFixed(2), currency === '?' ? '' : currency].filter(Boolean).join(' ')} (tax ${figures.tax.toFixed(2)})`);
+  }
+  const top = report.sellers.slice(0, 3).map(entry => `${entry.name} ${entry.total.toFixed(2)} ${entry.currency}`);
+  if (top.length) lines.push(`Top sellers: ${top.join(', ')}`);
+  lines.push(`Saved as ${files.join(' and ')}`);
+  return lines.join('\n');
+}
+
+/**
+ * Stores a report as CSV and HTML next to its ledger
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Report} report - Report
+ * @param {Object} [options]
+ * @param {string} [options.title] - Heading of the HTML report
+ * @returns {Promise<string[]>} Stored files, relative to the storage root
+ */
+export async function publishReport(storage, report, { title } = {}) {
+  const base = report.period === 'year' ? `report-${report.label}` : `${report.label}/report-${report.label}`;
+  const files = [`${base}.csv`, `${base}.html`];
+  await storage.writeRootFile(files[0], Buffer.from(reportCsv(report), 'utf8'));
+  await storage.writeRootFile(files[1], Buffer.from(reportHtml(report, { title }), 'utf8'));
+  console.log(`INFO: Stored the ${report.label} report as ${files.join(', ')}`);
+  return files;
+}
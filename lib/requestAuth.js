@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Authentication of incoming HTTP requests.
+ * @module lib/requestAuth
+ *
+ * - Twilio webhooks are verified with the `X-Twilio-Signature` header, an
+ *   HMAC-SHA1 over the public webhook URL and the form parameters keyed with
+ *   `TWILIO_AUTH_TOKEN`.
+ * - Internal endpoints (`/api/invoice-inbox`, `/api/review`, `/api/export`) take either a
+ *   bearer token or, for the inbox, an HMAC-SHA256 of the raw body.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import twilio from 'twilio';
+
+// Signed inbox requests older than this are refused, which limits replays
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Compares two secrets in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both are non-empty and equal
+ */
+export function safeEqual(a, b) {
+  if (!a || !b) return false;
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Reads the raw request body of a handler with `bodyParser: false`
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {Promise<string>} Body as UTF-8 text
+ */
+export async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Tells whether a request carries `Authorization: Bearer <secret>`
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {string} secret - Expected token
+ * @returns {boolean} True if the token matches
+ */
+export function hasBearerToken(req, secret) {
+  const header = req.headers?.authorization || '';
+  return header.startsWith('Bearer ') && safeEqual(header.slice(7), secret);
+}
+
+/**
+ * Returns the public URL Twilio posted to, which is what it signed
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {string|null} Webhook URL, from `TWILIO_WEBHOOK_URL` or `PUBLIC_URL` + request path
+ */
+function webhookUrl(req) {
+  if (process.env.TWILIO_WEBHOOK_URL) return process.env.TWILIO_WEBHOOK_URL;
+  if (process.env.PUBLIC_URL) return `${process.env.PUBLIC_URL.replace(/\/+$/, '')}${req.url || ''}`;
+  return null;
+}
+
+/**
+ * Verifies the `X-Twilio-Signature` of a webhook request
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {Object<string, string>} params - Parsed form parameters
+ * @returns {boolean} True if the request was signed by Twilio for this URL
+ * @throws {Error} If `TWILIO_AUTH_TOKEN` or the webhook URL is not configured
+ */
+export function isValidTwilioRequest(req, params) {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const url = webhookUrl(req);
+  if (!token || !url) {
+    throw new Error('Twilio signature check needs TWILIO_AUTH_TOKEN and TWILIO_WEBHOOK_URL (or PUBLIC_URL)');
+  }
+
+  const signature = req.headers?.['x-twilio-signature'];
+  return Boolean(signature) && twilio.validateRequest(token, signature, url, params);
+}
+
+/**
+ * Computes the inbox request signature
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix time in milliseconds, as sent in `X-Inbox-Timestamp`
+ * @param {string} body - Raw request body
+ * @returns {string} Header value `sha256=<hex>`
+ */
+export function signInboxRequest(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Authenticates a call to the inbox endpoint. Accepted are
+ * `Authorization: Bearer <INBOX_SECRET>`, or `X-Inbox-Timestamp` plus
+ * `X-Inbox-Signature: sha256=HMAC(INBOX_SECRET, "<timestamp>.<raw body>")`
+ * no older than five minutes.
+ * @param {import('http').IncomingMessage} req - Request
+ * @param {string} rawBody - Raw request body
+ * @returns {boolean} True if the caller knows the secret
+ * @throws {Error} If `INBOX_SECRET` is not configured
+ */
+export function isValidInboxRequest(req, rawBody) {
+  const secret = process.env.INBOX_SECRET;
+  if (!secret) throw new Error('INBOX_SECRET is not configured');
+  if (hasBearerToken(req, secret)) return true;
+
+  const timestamp = req.headers?.['x-inbox-timestamp'];
+  const signature = req.headers?.['x-inbox-signature'];
+  if (!timestamp || !signature) return false;
+  // NaN compares false with everything, so a garbage timestamp must not reach the age check
+  if (!Number.isFinite(Number(timestamp))) return false;
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_SIGNATURE_AGE_MS) return false;
+  return safeEqual(signature, signInboxRequest(secret, timestamp, rawBody));
+}
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Human review queue for extractions that cannot be stored as is.
+ * @module lib/reviewQueue
+ *
+ * A document whose extraction is invalid (no usable invoice date or total) or
+ * scores below `REVIEW_MIN_CONFIDENCE` is parked here instead of being lost:
+ * the original file goes to `review/` at the storage root and an entry with
+ * the partial data, the reason and a confidence score is added to
+ * `review-queue.json`. A reviewer can then correct the fields and approve the
+ * entry, which completes the normal upload, or reject it.
+ *
+ * In confirmation mode the sender takes the reviewer's place: entries with an
+ * `expiresAt` wait for the sender's YES, NO or correction and are expired
+ * (discarded) when that does not come in time.
+ */
+
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { validateInvoice, describeErrors, REQUIRED_FIELDS } from './invoiceValidator.js';
+
+/** Name of the review index kept at the storage root */
+export const REVIEW_INDEX = 'review-queue.json';
+
+/** Folder at the storage root holding the documents awaiting review */
+export const REVIEW_FOLDER = 'review';
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// An approval claim this old was left behind by a crashed process
+const CLAIM_STALE_MS = 10 * 60 * 1000;
+
+// Fields whose absence makes an otherwise valid extraction less trustworthy
+const SUPPORTING_FIELDS = ['seller', 'invoice_number', 'currency', 'tax'];
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} id - Review identifier
+ * @property {'pending'|'approving'|'approved'|'rejected'|'expired'} status - Review state; `approving`
+ *   while an approval stores the document
+ * @property {string} filename - Original file name
+ * @property {string} contentType - MIME type of the original file
+ * @property {string} file - Root file name of the stored original
+ * @property {string} hash - Content hash of the original
+ * @property {Object} data - Extracted (and possibly corrected) invoice data
+ * @property {Object<string, string>} errors - Per-field validation errors for `data`
+ * @property {string} reason - Why the document needs review
+ * @property {number} confidence - Confidence score between 0 and 1
+ * @property {string} [source] - Extraction path (text, vision, e-invoice)
+ * @property {number} [attempts] - Extraction attempts made
+ * @property {string} [sender] - Phone number or email address of the sender
+ * @property {string} [expiresAt] - ISO timestamp; set on entries awaiting the sender's confirmation
+ * @property {string} createdAt - ISO timestamp of the enqueue
+ * @property {string} [claimedAt] - ISO timestamp the running approval started
+ * @property {string} [resolvedAt] - ISO timestamp of the approval or rejection
+ * @property {string} [storedAs] - Stored file name after approval
+ * @property {string} [rejectReason] - Reviewer note on rejection
+ */
+
+/**
+ * Scores how much an extraction can be trusted, from 0 to 1. Missing required
+ * fields weigh most, then other field errors, missing supporting fields and
+ * model retries. Structured e-invoices are read without a model and score 1
+ * unless their data has errors.
+ * @param {import('./extraction.js').ExtractionResult & {source?: string}} extraction - Extraction result
+ * @returns {number} Confidence score rounded to two decimals
+ */
+export function scoreConfidence({ data = {}, errors = {}, attempts = 1, source }) {
+  const fields = Object.keys(errors);
+  const required = fields.filter(field => REQUIRED_FIELDS.includes(field)).length;
+  const missing = source === 'e-invoice' ? 0 : SUPPORTING_FIELDS.filter(field => !data[field]).length;
+
+  const score = 1 -
+    0.35 * required -
+    0.1 * (fields.length - required) -
+    0.05 * missing -
+    0.1 * Math.max(0, attempts - 1);
+  return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+/**
+ * Returns the confidence below which valid extractions are still sent to review
+ * @returns {number} Threshold from `REVIEW_MIN_CONFIDENCE`, default 0.5
+ */
+export function minConfidence() {
+  const value = Number(process.env.REVIEW_MIN_CONFIDENCE);
+  return process.env.REVIEW_MIN_CONFIDENCE && !Number.isNaN(value) ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+/**
+ * Loads the review index from storage.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @returns {Promise<ReviewItem[]>} All review entries, oldest first
+ */
+async function loadItems(storage) {
+  return parseItems(await storage.readRootFile(REVIEW_INDEX));
+}
+
+/**
+ * Parses the content of the review index.
+ * @param {Buffer|null} content - Index file content
+ * @returns {ReviewItem[]} Review entries; empty for a missing index
+ * @throws {Error} If the index is not valid JSON
+ */
+function parseItems(content) {
+  if (!content) return [];
+
+  try {
+    const parsed = JSON.parse(content.toString('utf8'));
+    return Array.isArray(parsed.items) ? parsed.items : [];
+  } catch (err) {
+    throw new Error(`Unreadable ${REVIEW_INDEX}: ${err.message}`);
+  }
+}
+
+/**
+ * Applies a change to the review index with a conditional write, so parallel
+ * jobs and reviewers never drop each other's entries. A change that throws
+ * (e.g. the entry is no longer pending) writes nothing.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {(items: ReviewItem[]) => *} change - Mutates the list, its return value is passed through;
+ *   runs again on the current index if it changed meanwhile
+ * @returns {Promise<*>} Return value of `change`
+ */
+async function updateItems(storage, change) {
+  let result;
+  await storage.updateRootFile(REVIEW_INDEX, content => {
+    const items = parseItems(content);
+    result = change(items);
+    return Buffer.from(JSON.stringify({ items }, null, 2), 'utf8');
+  });
+  return result;
+}
+
+/**
+ * Finds a review entry in a list
+ * @param {ReviewItem[]} items - Review entries
+ * @param {string} id - Review identifier
+ * @returns {ReviewItem} Matching entry
+ * @throws {Error} If there is no entry with that id
+ */
+function findItem(items, id) {
+  const item = items.find(entry => entry.id === id);
+  if (!item) throw new Error(`Review item not found: ${id}`);
+  return item;
+}
+
+/**
+ * Finds a pending review entry in a list
+ * @param {ReviewItem[]} items - Review entries
+ * @param {string} id - Review identifier
+ * @returns {ReviewItem} Matching pending entry
+ * @throws {Error} If the entry does not exist or was already resolved
+ */
+function findPending(items, id) {
+  const item = findItem(items, id);
+  if (item.status !== 'pending') throw new Error(`Review item ${id} is already ${item.status}`);
+  return item;
+}
+
+/**
+ * Parks a document in the review queue.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} entry
+ * @param {Buffer} entry.buffer - Original file content
+ * @param {string} entry.filename - Sanitized file name
+ * @param {string} entry.contentType - MIME type
+ * @param {string} entry.hash - Content hash of the file
+ * @param {Object} entry.data - Partial invoice data
+ * @param {Object<string, string>} entry.errors - Per-field validation errors
+ * @param {string} entry.reason - Why the document needs review
+ * @param {number} entry.confidence - Confidence score
+ * @param {string} [entry.source] - Extraction path
+ * @param {number} [entry.attempts] - Extraction attempts made
+ * @param {string} [entry.sender] - Phone number or email address of the sender
+ * @param {string} [entry.expiresAt] - Makes the entry a confirmation request to the sender, discarded after this time
+ * @returns {Promise<ReviewItem>} New review entry
+ */
+export async function enqueueReview(storage, {
+  buffer, filename, contentType, hash, data, errors, reason, confidence, source, attempts, sender, expiresAt
+}) {
+  const id = randomUUID();
+  const file = `${REVIEW_FOLDER}/${id}${path.extname(filename).toLowerCase()}`;
+  await storage.writeRootFile(file, buffer);
+
+  const item = {
+    id,
+    status: 'pending',
+    filename,
+    contentType,
+    file,
+    hash,
+    data,
+    errors,
+    reason,
+    confidence,
+    ...(source && { source }),
+    ...(attempts !== undefined && { attempts }),
+    ...(sender && { sender }),
+    ...(expiresAt && { expiresAt }),
+    createdAt: new Date().toISOString()
+  };
+  await updateItems(storage, items => items.push(item));
+  console.log(`INFO: ${filename} queued for review as ${id}: ${reason}`);
+  return item;
+}
+
+/**
+ * Lists review entries.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Only entries in this state, all if omitted
+ * @returns {Promise<ReviewItem[]>} Matching entries, oldest first
+ */
+export async function listReviews(storage, { status } = {}) {
+  const items = await loadItems(storage);
+  return status ? items.filter(item => item.status === status) : items;
+}
+
+/**
+ * Returns one review entry.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @returns {Promise<ReviewItem>} Review entry
+ * @throws {Error} If there is no entry with that id
+ */
+export async function getReview(storage, id) {
+  return findItem(await loadItems(storage), id);
+}
+
+/**
+ * Reads the original document of a review entry.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {ReviewItem} item - Review entry
+ * @returns {Promise<Buffer>} File content
+ * @throws {Error} If the file is gone (the entry was resolved)
+ */
+export async function readReviewFile(storage, item) {
+  const content = await storage.readRootFile(item.file);
+  if (!content) throw new Error(`Original document of review item ${item.id} is no longer available`);
+  return content;
+}
+
+/**
+ * Applies reviewer corrections to a pending entry and re-validates the data.
+ * Fields set to '' or null are cleared.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @param {Object} fields - Corrected invoice fields
+ * @returns {Promise<ReviewItem>} Updated entry; `errors` reflects the corrected data
+ * @throws {Error} If the entry does not exist or was already resolved
+ */
+export async function correctReview(storage, id, fields = {}) {
+  return updateItems(storage, items => {
+    const item = findPending(items, id);
+    const { data, errors } = validateInvoice({ ...item.data, ...fields });
+    Object.assign(item, {
+      data,
+      errors,
+      confidence: scoreConfidence({ data, errors, source: item.source }),
+      correctedAt: new Date().toISOString()
+    });
+    return item;
+  });
+}
+
+/**
+ * Claims a pending entry for approval with a conditional write, so two
+ * approvals of the same entry (a double "yes", the review API and WhatsApp at
+ * once) cannot both store its document. A claim left behind by a crashed
+ * approval can be taken over after ten minutes.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @returns {Promise<ReviewItem>} Claimed entry
+ * @throws {Error} If the entry does not exist, is not pending, or its data is not valid
+ */
+export async function claimReview(storage, id) {
+  return updateItems(storage, items => {
+    const item = findItem(items, id);
+    const abandoned = item.status === 'approving' && Date.now() - Date.parse(item.claimedAt) > CLAIM_STALE_MS;
+    if (item.status !== 'pending' && !abandoned) throw new Error(`Review item ${id} is already ${item.status}`);
+    const { valid, errors } = validateInvoice(item.data);
+    if (!valid) throw new Error(`Invalid invoice data: ${describeErrors(errors)}`);
+    return Object.assign(item, { status: 'approving', claimedAt: new Date().toISOString() });
+  });
+}
+
+/**
+ * Gives a claimed entry back to the queue after its approval failed.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @returns {Promise<void>}
+ */
+export async function releaseReview(storage, id) {
+  await updateItems(storage, items => {
+    const item = findItem(items, id);
+    if (item.status !== 'approving') return;
+    item.status = 'pending';
+    delete item.claimedAt;
+  });
+}
+
+/**
+ * Marks a claimed entry as approved and removes its parked document.
+ * Called after the document has been stored, see {@link claimReview}.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @param {Object} outcome
+ * @param {Object} outcome.data - Invoice data as stored
+ * @param {string} outcome.storedAs - Stored file name
+ * @returns {Promise<ReviewItem>} Updated entry
+ * @throws {Error} If the entry is not claimed for approval
+ */
+export async function markApproved(storage, id, { data, storedAs }) {
+  const item = await updateItems(storage, items => {
+    const claimed = findItem(items, id);
+    if (claimed.status !== 'approving') throw new Error(`Review item ${id} is ${claimed.status}, not being approved`);
+    delete claimed.claimedAt;
+    return Object.assign(claimed, {
+      status: 'approved',
+      data,
+      errors: {},
+      storedAs,
+      resolvedAt: new Date().toISOString()
+    });
+  });
+  await storage.deleteRootFile(item.file);
+  return item;
+}
+
+/**
+ * Rejects a pending entry and removes its parked document.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @param {string} [reason] - Reviewer note
+ * @returns {Promise<ReviewItem>} Updated entry
+ * @throws {Error} If the entry does not exist or was already resolved
+ */
+export async function rejectReview(storage, id, reason = '') {
+  const item = await updateItems(storage, items => Object.assign(findPending(items, id), {
+    status: 'rejected',
+    ...(reason && { rejectReason: reason }),
+    resolvedAt: new Date().toISOString()
+  }));
+  await storage.deleteRootFile(item.file);
+  console.log(`INFO: Review item ${id} rejected`);
+  return item;
+}
+
+/**
+ * Returns a pending entry, for callers that need to check it before acting.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} id - Review identifier
+ * @returns {Promise<ReviewItem>} Pending entry
+ * @throws {Error} If the entry does not exist or was already resolved
+ */
+export async function getPendingReview(storage, id) {
+  return findPending(await loadItems(storage), id);
+}
+
+/**
+ * Lists the entries a sender still has to confirm.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @param {string} sender - Normalized sender
+ * @returns {Promise<ReviewItem[]>} Pending confirmation requests, oldest first
+ */
+export async function listConfirmations(storage, sender) {
+  const now = new Date().toISOString();
+  return (await loadItems(storage)).filter(item =>
+    item.status === 'pending' && item.expiresAt && item.expiresAt > now && item.sender === sender
+  );
+}
+
+/**
+ * Discards confirmation requests that were not answered in time.
+ * @param {import('./storage.js').InvoiceStorage} storage - Storage backend
+ * @returns {Promise<ReviewItem[]>} Entries expired by this call
+ */
+export async function expireConfirmations(storage) {
+  const now = new Date().toISOString();
+  const due = item => item.status === 'pending' && item.expiresAt && item.expiresAt <= now;
+  if (!(await loadItems(storage)).some(due)) return [];
+
+  const expired = await updateItems(storage, items => items.filter(due).map(item => Object.assign(item, {
+    status: 'expired',
+    resolvedAt: now
+  })));
+  for (const item of expired) {
+    await storage.deleteRootFile(item.file);
+    console.log(`INFO: Confirmation request ${item.id} for ${item.filename} expired`);
+  }
+  return expired;
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Storage backend selection for processed invoices.
+ * @module lib/storage
+ *
+ * Every backend exposes the same operations used by the invoice processor:
+ * resolve the year.month folder, upload the original document, make sure the
+ * ledger exists and append a row to it, plus read/write access to bookkeeping
+ * files kept at the storage root (such as the duplicate fingerprint index and
+ * the review queue). Root file names may contain a sub folder, e.g. `review/x.pdf`.
+ * The backend is picked with `STORAGE_BACKEND` (`onedrive` by default, or `local`).
+ *
+ * The ledger is `invoices.csv` per month folder by default, with a yearly
+ * `invoices-YYYY.csv` at the storage root that gets every row as well. With
+ * `LEDGER_FORMAT=xlsx` the OneDrive backend keeps Excel workbooks instead
+ * (see {@link module:lib/excelDrive}), per month plus per year or, with
+ * `LEDGER_XLSX_SCOPE=year`, per year only. Everything that reads or amends
+ * bookings goes through the ledger operations, so both formats behave the same.
+ */
+
+import path from 'path';
+import {
+  getGraphClient,
+  ensureRootFolder,
+  ensureYearMonthFolder,
+  uploadFile,
+  readRootFile,
+  writeRootFile,
+  updateRootFile,
+  deleteRootFile,
+  INVOICE_ROOT_PATH
+} from './onedrive.js';
+import { ensureCsvFile, appendCsvRow, csvLedger } from './csvDrive.js';
+import { workbookPath, appendWorkbookRow, readWorkbookRows, replaceWorkbookRow } from './excelDrive.js';
+import { createLocalStorage } from './localDrive.js';
+
+const DEFAULT_BACKEND = 'onedrive';
+const DEFAULT_LOCAL_ROOT = 'local_out';
+
+/**
+ * @typedef {Object} InvoiceStorage
+ * @property {string} name - Backend identifier
+ * @property {(invoiceDate: string|Date) => Promise<string>} ensureYearMonthFolder - Returns the folder ID for the invoice month
+ * @property {(folderId: string, filename: string, buffer: Buffer, mime?: string) => Promise<string>} uploadFile - Stores the original document without overwriting, returns the stored name
+ * @property {() => Promise<string>} ensureRootFolder - Returns the ID of the storage root folder, creating it if needed
+ * @property {(folderId: string, filename?: string) => Promise<string>} ensureCsvFile - Returns the ID of a ledger file
+ *   (`invoices.csv` unless named), creating it if needed
+ * @property {(fileId: string, row: Array) => Promise<void>} appendCsvRow - Appends one row to the ledger
+ * @property {(name: string) => Promise<Buffer|null>} readRootFile - Reads a file at the storage root, null if missing
+ * @property {(name: string, buffer: Buffer) => Promise<void>} writeRootFile - Creates or replaces a file at the storage root
+ * @property {(name: string, update: (content: Buffer|null) => Buffer|null|Promise<Buffer|null>) => Promise<boolean>} updateRootFile
+ *   Read-modify-write of a file at the storage root that never loses a concurrent write: `update` gets the current
+ *   content (null if missing) and returns the new one (null for no change), and runs again if the file changed meanwhile
+ * @property {(name: string) => Promise<void>} deleteRootFile - Deletes a file at the storage root, ignoring missing files
+ * @property {(folderId: string, invoiceDate: string|Date, row: Array) => Promise<void>} appendLedgerRow - Books a row in the
+ *   ledger of the invoice month, creating the ledger if needed
+ * @property {(folder: string) => Promise<string[][]>} readLedgerRows - Data rows of a year.month folder's ledger, empty if it has none
+ * @property {(folder: string, timestamp: string, row: Array|null|((current: string[]) => Array|null)) => Promise<boolean>} replaceLedgerRow -
+ *   Replaces (or with null deletes) the row with the given timestamp; false if there is no such row. A function gets
+ *   the row as it is right before the write and returns the new one, so a change applies to the current row
+ * @property {(year: number|string) => Promise<string[][]>} readYearLedgerRows - Data rows of the yearly ledger
+ * @property {(year: number|string, rows: string[][]) => Promise<void>} writeYearLedger - Replaces the yearly ledger
+ */
+
+/**
+ * Returns the configured ledger format
+ * @returns {'csv'|'xlsx'} `LEDGER_FORMAT`, default `csv`
+ * @throws {Error} If the format is unknown
+ */
+export function ledgerFormat() {
+  const format = (process.env.LEDGER_FORMAT || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) throw new Error(`Unknown ledger format: ${format}`);
+  return format;
+}
+
+/**
+ * Ledger operations on Excel workbooks in OneDrive: the monthly workbooks
+ * (unless `LEDGER_XLSX_SCOPE=year`) and the yearly one, which with the year
+ * scope is the only ledger
+ * @param {() => Promise<Object>} client - Returns the Graph client
+ * @param {string} root - Invoice root folder below the drive root
+ * @returns {Pick<InvoiceStorage, 'appendLedgerRow'|'readLedgerRows'|'replaceLedgerRow'|'readYearLedgerRows'|'writeYearLedger'>}
+ *   Ledger operations
+ */
+function workbookLedger(client, root) {
+  const monthly = process.env.LEDGER_XLSX_SCOPE !== 'year';
+  // A year.month folder name stands for any date in that month
+  const folderDate = folder => `${folder.replace('.', '-')}-01`;
+  const yearPath = year => workbookPath(root, `${year}-01-01`, 'year');
+  const followYear = async (year, update) => {
+    try {
+      await update(yearPath(year));
+    } catch (err) {
+      console.warn(`WARNING: Yearly workbook ${yearPath(year)} not updated, rebuild it with "node scripts/reports.js rebuild ${year}":`, err.message);
+    }
+  };
+
+  return {
+    async appendLedgerRow(folderId, invoiceDate, row) {
+      const year = new Date(invoiceDate).getUTCFullYear();
+      if (!monthly) return appendWorkbookRow(await client(), yearPath(year), row);
+      await appendWorkbookRow(await client(), workbookPath(root, invoiceDate), row);
+      await followYear(year, async file => appendWorkbookRow(await client(), file, row));
+    },
+    async readLedgerRows(folder) {
+      return monthly
+        ? readWorkbookRows(await client(), workbookPath(root, folderDate(folder)))
+        : readWorkbookRows(await client(), yearPath(folder.slice(0, 4)), folder.replace('.', '-'));
+    },
+    async replaceLedgerRow(folder, timestamp, row) {
+      if (!monthly) return replaceWorkbookRow(await client(), yearPath(folder.slice(0, 4)), timestamp, row);
+      // The yearly workbook gets the row the monthly one ended up with
+      let written = row;
+      const change = typeof row === 'function' ? current => (written = row(current)) : row;
+      if (!(await replaceWorkbookRow(await client(), workbookPath(root, folderDate(folder)), timestamp, change))) return false;
+      await followYear(folder.slice(0, 4), async file => replaceWorkbookRow(await client(), file, timestamp, written));
+      return true;
+    },
+    async readYearLedgerRows(year) {
+      return readWorkbookRows(await client(), yearPath(year));
+    },
+    async writeYearLedger(year, rows) {
+      if (!monthly) throw new Error('With LEDGER_XLSX_SCOPE=year the yearly workbook is the ledger itself, there is nothing to rebuild');
+      await deleteRootFile(await client(), yearPath(year).slice(root.length + 1), root);
+      for (const row of rows) await appendWorkbookRow(await client(), yearPath(year), row);
+    }
+  };
+}
+
+/**
+ * Creates the OneDrive storage backend. The Graph client is created on first use.
+ * @param {string} [root='Invoices'] - Invoice root folder below the drive root
+ * @returns {InvoiceStorage} OneDrive storage backend
+ */
+export function createOneDriveStorage(root = INVOICE_ROOT_PATH) {
+  let clientPromise = null;
+  const client = () => (clientPromise ??= getGraphClient());
+
+  const storage = {
+    name: 'onedrive',
+    async ensureYearMonthFolder(invoiceDate) {
+      return ensureYearMonthFolder(await client(), invoiceDate, root);
+    },
+    async uploadFile(folderId, filename, buffer, mime) {
+      return uploadFile(await client(), folderId, filename, buffer, mime);
+    },
+    async ensureRootFolder() {
+      return ensureRootFolder(await client(), root);
+    },
+    async ensureCsvFile(folderId, filename) {
+      return ensureCsvFile(await client(), folderId, filename);
+    },
+    async appendCsvRow(fileId, row) {
+      return appendCsvRow(await client(), fileId, row);
+    },
+    async readRootFile(name) {
+      return readRootFile(await client(), name, root);
+    },
+    async writeRootFile(name, buffer) {
+      return writeRootFile(await client(), name, buffer, root);
+    },
+    async updateRootFile(name, update) {
+      return updateRootFile(await client(), name, update, root);
+    },
+    async deleteRootFile(name) {
+      return deleteRootFile(await client(), name, root);
+    }
+  };
+  return Object.assign(storage, ledgerFormat() === 'xlsx' ? workbookLedger(client, root) : csvLedger(storage));
+}
+
+/**
+ * Returns the storage backend selected by configuration.
+ * @param {Object} [options]
+ * @param {string} [options.backend] - `onedrive` or `local`, defaults to `STORAGE_BACKEND`
+ * @param {string} [options.root] - Root folder for the local backend, defaults to `OUTPUT_DIR`
+ * @param {string} [options.folder] - Tenant folder: replaces `Invoices` as the OneDrive root
+ *   folder (a path below the drive root), or becomes a sub folder of the local root
+ * @returns {InvoiceStorage} Storage backend
+ * @throws {Error} If the backend is unknown
+ */
+export function getStorage({ backend, root, folder } = {}) {
+  const selected = (backend || process.env.STORAGE_BACKEND || DEFAULT_BACKEND).toLowerCase();
+
+  switch (selected) {
+    case 'onedrive':
+      return createOneDriveStorage(folder || INVOICE_ROOT_PATH);
+    case 'local': {
+      const localRoot = root || process.env.OUTPUT_DIR || DEFAULT_LOCAL_ROOT;
+      return createLocalStorage(folder ? path.join(localRoot, folder) : localRoot);
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${selected}`);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Sender allowlist and routing of documents to tenants (the companies we keep books for).
+ * @module lib/tenants
+ *
+ * The routing configuration is read from `TENANTS_CONFIG` (inline JSON) or the
+ * file named by `TENANTS_FILE` (default `tenants.json`):
+ *
+ *   {
+ *     "tenants": [{
+ *       "id": "acme",
+ *       "name": "ACME GmbH",
+ *       "buyerName": "ACME GmbH",
+ *       "folder": "Clients/ACME/Invoices",
+ *       "whatsapp": ["+491701234567"],
+ *       "email": { "senders": ["billing@supplier.com", "@acme.de"], "recipients": ["invoices+acme@example.com"] },
+ *       "notify": ["+491701234567"],
+ *       "confirm": true
+ *     }]
+ *   }
+ *
+ * `folder` is the tenant's OneDrive root folder (below the drive root) or, with
+ * local storage, a sub folder of `OUTPUT_DIR`; it holds the tenant's ledgers,
+ * fingerprints and review queue. `confirm` turns confirmation mode (see
+ * {@link module:lib/confirmations}) on or off for the tenant. Senders that
+ * match no tenant are rejected.
+ *
+ * Without a configuration a single `default` tenant takes the WhatsApp
+ * numbers listed in `WHATSAPP_ALLOWED_NUMBERS` (comma separated; no list
+ * rejects every number), `TARGET_SENDER_EMAIL` for email, the `Invoices` root
+ * folder and `TWILIO_REPLY_TO` for notifications.
+ */
+
+import fs from 'fs';
+import { getStorage } from './storage.js';
+
+const DEFAULT_FILE = 'tenants.json';
+
+/** Reply sent to senders that are not on the allowlist */
+export const UNKNOWN_SENDER_REPLY =
+  'Sorry, this number is not registered for invoice processing. Please contact your bookkeeper to get access.';
+
+/**
+ * @typedef {Object} Tenant
+ * @property {string} id - Tenant identifier, stored with every job
+ * @property {string} name - Display name
+ * @property {string} [buyerName] - Company the invoices are addressed to, for the extraction prompt
+ * @property {string} [folder] - Root folder of the tenant's documents and ledgers
+ * @property {string[]} whatsapp - Allowed WhatsApp numbers
+ * @property {{senders: string[], recipients: string[]}} email - Email addresses (or `@domain`) routed to the tenant
+ * @property {string[]} notify - WhatsApp numbers that get the email processing summaries
+ * @property {boolean} [confirm] - Overrides `CONFIRM_SUBMISSIONS` for the tenant's WhatsApp senders
+ * @property {Object} [accounts] - Account mapping of the accounting exports by format, see {@link module:lib/exports}
+ */
+
+let cached = null;
+
+/**
+ * Normalizes a phone number for comparison: drops the `whatsapp:` prefix and
+ * formatting characters
+ * @param {string} number - Phone number as entered or sent by Twilio
+ * @returns {string} Number like `+491701234567`
+ */
+export function normalizePhone(number = '') {
+  const digits = String(number).replace(/^whatsapp:/i, '').replace(/[^\d+]/g, '');
+  return digits && !digits.startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Lists the email addresses in a header value such as `"Jane" <jane@acme.de>, bob@acme.de`
+ * @param {string} value - Header value
+ * @returns {string[]} Lower-cased addresses
+ */
+export function emailAddresses(value = '') {
+  return (String(value).match(/[^\s<>,;:"']+@[^\s<>,;:"']+/g) || []).map(address => address.toLowerCase());
+}
+
+/**
+ * Tells whether an address matches an allowlist entry (`jane@acme.de` or `@acme.de`)
+ * @param {string} address - Lower-cased email address
+ * @param {string} entry - Allowlist entry
+ * @returns {boolean} True on a match
+ */
+export function matchesAddress(address, entry) {
+  const pattern = entry.toLowerCase();
+  return pattern.startsWith('@') ? address.endsWith(pattern) : address === pattern;
+}
+
+/**
+ * Builds the single tenant used when no routing is configured
+ * @returns {Tenant} Default tenant
+ */
+function defaultTenant() {
+  return {
+    id: 'default',
+    name: 'default',
+    whatsapp: (process.env.WHATSAPP_ALLOWED_NUMBERS || '').split(',').map(normalizePhone).filter(Boolean),
+    email: {
+      senders: process.env.TARGET_SENDER_EMAIL ? [process.env.TARGET_SENDER_EMAIL] : [],
+      recipients: []
+    },
+    notify: process.env.TWILIO_REPLY_TO ? [process.env.TWILIO_REPLY_TO] : []
+  };
+}
+
+/**
+ * Checks and completes one configured tenant
+ * @param {Object} entry - Tenant as written in the configuration
+ * @returns {Tenant} Tenant
+ * @throws {Error} If the id or folder is missing
+ */
+function toTenant(entry) {
+  if (!entry?.id) throw new Error('Every tenant needs an "id"');
+  // A shared folder would mix the ledgers of two companies
+  if (!entry.folder) throw new Error(`Tenant "${entry.id}" needs a "folder"`);
+
+  return {
+    id: String(entry.id),
+    name: entry.name || String(entry.id),
+    ...(entry.buyerName && { buyerName: entry.buyerName }),
+    folder: entry.folder.replace(/^\/+|\/+$/g, ''),
+    whatsapp: (entry.whatsapp || []).map(normalizePhone).filter(Boolean),
+    email: {
+      senders: entry.email?.senders || [],
+      recipients: entry.email?.recipients || []
+    },
+    notify: (entry.notify || []).map(normalizePhone).filter(Boolean),
+    ...(typeof entry.confirm === 'boolean' && { confirm: entry.confirm }),
+    ...(entry.accounts && { accounts: entry.accounts })
+  };
+}
+
+/**
+ * Reads the routing configuration
+ * @returns {Object|null} Parsed configuration, or null when none is set up
+ * @throws {Error} If the configuration is not valid JSON
+ */
+function readConfig() {
+  if (process.env.TENANTS_CONFIG) return JSON.parse(process.env.TENANTS_CONFIG);
+
+  const file = process.env.TENANTS_FILE || DEFAULT_FILE;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    // Only a missing default file means "not configured"; a named file must exist
+    if (err.code === 'ENOENT' && !process.env.TENANTS_FILE) return null;
+    throw new Error(`Failed to read tenant configuration ${file}: ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Returns the configured tenants (read once per process)
+ * @returns {Tenant[]} Tenants; the single default tenant when routing is not configured
+ * @throws {Error} If the configuration is invalid or has duplicate ids
+ */
+export function loadTenants() {
+  if (cached) return cached;
+
+  const config = readConfig();
+  if (!config) {
+    const tenant = defaultTenant();
+    if (!tenant.whatsapp.length) {
+      console.warn('WARNING: No tenant routing (TENANTS_FILE) or WHATSAPP_ALLOWED_NUMBERS configured, every WhatsApp sender is rejected');
+    }
+    return (cached = [tenant]);
+  }
+
+  const tenants = (Array.isArray(config) ? config : config.tenants || []).map(toTenant);
+  const ids = new Set();
+  for (const tenant of tenants) {
+    if (ids.has(tenant.id)) throw new Error(`Duplicate tenant id: ${tenant.id}`);
+    ids.add(tenant.id);
+  }
+  return (cached = tenants);
+}
+
+/**
+ * Looks up a tenant by id
+ * @param {string} id - Tenant identifier
+ * @returns {Tenant|null} Tenant, or null if unknown
+ */
+export function getTenant(id) {
+  return loadTenants().find(tenant => tenant.id === id) || null;
+}
+
+/**
+ * Finds the tenant a WhatsApp sender belongs to
+ * @param {string} number - Sender number, with or without `whatsapp:` prefix
+ * @returns {Tenant|null} Tenant, or null if the number is not on the allowlist
+ */
+export function tenantForWhatsApp(number) {
+  const normalized = normalizePhone(number);
+  if (!normalized) return null;
+  return loadTenants().find(tenant => tenant.whatsapp.includes(normalized)) || null;
+}
+
+/**
+ * Finds the tenant an email belongs to. The recipient (e.g. a plus address per
+ * company) decides first, then the sender.
+ * @param {Object} headers
+ * @param {string} headers.from - `From` header
+ * @param {string} [headers.to] - `To`, `Cc` and `Delivered-To` headers, joined
+ * @returns {Tenant|null} Tenant, or null if neither address is routed
+ */
+export function tenantForEmail({ from, to = '' }) {
+  const tenants = loadTenants();
+  const recipients = emailAddresses(to);
+  const senders = emailAddresses(from);
+
+  return tenants.find(tenant =>
+    recipients.some(address => tenant.email.recipients.some(entry => matchesAddress(address, entry)))
+  ) || tenants.find(tenant =>
+    senders.some(address => tenant.email.senders.some(entry => matchesAddress(address, entry)))
+  ) || null;
+}
+
+/**
+ * Returns the tenant for documents that no routing rule claims
+ * @returns {Tenant|null} The default tenant when routing is not configured, else null
+ */
+export function unroutedTenant() {
+  const tenants = loadTenants();
+  return tenants.length === 1 && tenants[0].id === 'default' ? tenants[0] : null;
+}
+
+/**
+ * Returns the storage backend rooted at the tenant's folder
+ * @param {Tenant|null} tenant - Tenant, or null for the configured root
+ * @returns {import('./storage.js').InvoiceStorage} Storage backend
+ */
+export function tenantStorage(tenant) {
+  return getStorage({ folder: tenant?.folder });
+}
+
+/**
+ * Processing options for documents of a tenant
+ * @param {Tenant|null} tenant - Tenant, or null for the configured defaults
+ * @returns {{storage: import('./storage.js').InvoiceStorage, buyerName?: string}} Options for
+ *   {@link module:lib/invoiceProcessor.processAttachment}
+ */
+export function tenantOptions(tenant) {
+  return {
+    storage: tenantStorage(tenant),
+    ...(tenant?.buyerName && { buyerName: tenant.buyerName })
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Local store for the OAuth tokens of Google and Microsoft.
+ * @module lib/tokenStore
+ *
+ * `scripts/auth.js` writes the tokens here and the Gmail and Graph clients
+ * read them and write back the ones they refresh. The store is one JSON file
+ * (`TOKEN_STORE`, default `.tokens/tokens.json`) keyed by provider, readable
+ * by the owner only: the directory is created with mode 0700 and the file
+ * with 0600.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_STORE = '.tokens/tokens.json';
+
+/**
+ * @typedef {Object} StoredTokens
+ * @property {string} [access_token] - Current access token
+ * @property {string} [refresh_token] - Refresh token
+ * @property {number} [expiry_date] - Expiry of the access token, ms since the epoch
+ * @property {string} [scope] - Granted scopes
+ * @property {string} [updatedAt] - ISO timestamp of the last write
+ */
+
+/**
+ * Returns the token store file
+ * @returns {string} Absolute path from `TOKEN_STORE`
+ */
+export function tokenStorePath() {
+  return path.resolve(process.env.TOKEN_STORE || DEFAULT_STORE);
+}
+
+/**
+ * Reads the whole store
+ * @returns {Promise<Object<string, StoredTokens>>} Tokens by provider; empty when there is no store yet
+ */
+async function readStore() {
+  const file = tokenStorePath();
+  try {
+    const [content, stats] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+    if (process.platform !== 'win32' && stats.mode & 0o077) {
+      console.warn(`WARNING: Token store ${file} is readable by other users, run chmod 600 on it`);
+    }
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Token store ${file} could not be read`, { cause: err });
+  }
+}
+
+/**
+ * Reads the tokens of a provider
+ * @param {'google'|'microsoft'} provider - Provider
+ * @returns {Promise<StoredTokens|null>} Tokens, or null if none are stored
+ */
+export async function readTokens(provider) {
+  return (await readStore())[provider] || null;
+}
+
+/**
+ * Stores the tokens of a provider. Fields missing in `tokens` are kept, so a
+ * refresh that returns no new refresh token does not lose the old one.
+ * @param {'google'|'microsoft'} provider - Provider
+ * @param {StoredTokens} tokens - New tokens
+ * @returns {Promise<StoredTokens>} Stored tokens
+ */
+export async function saveTokens(provider, tokens) {
+  const file = tokenStorePath();
+  const store = await readStore();
+  const defined = Object.fromEntries(Object.entries(tokens).filter(([, value]) => value != null));
+  store[provider] = { ...store[provider], ...defined, updatedAt: new Date().toISOString() };
+
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, file);
+  return store[provider];
+}
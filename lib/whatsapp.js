@@ -0,0 +1,347 @@
+/**
+ * @fileoverview WhatsApp (Twilio) message handling shared by the webhook and the inbox API.
+ * @module lib/whatsapp
+ *
+ * Downloads the media of a message with the Twilio credentials, queues every
+ * file for processing, runs the jobs right away and formats the reply. Jobs
+ * that hit a transient error stay queued; when a worker finishes them later,
+ * {@link notifyJobFinished} sends the sender a follow-up. Text messages are
+ * answers to confirmation requests or commands, see {@link handleWhatsAppText}.
+ */
+
+import twilio from 'twilio';
+import { describeDuplicate } from './duplicates.js';
+import { ingestMessage, jobResults } from './ingestion.js';
+import { normalizePhone } from './tenants.js';
+import { parseCommand, runCommand } from './commands.js';
+import { describeExtraction, handleConfirmationReply, CONFIRM_INSTRUCTIONS } from './confirmations.js';
+
+/** Reply to a text message that is neither a command nor a confirmation answer */
+export const NO_ATTACHMENT_REPLY =
+  'No attachment found in your message. Please attach the document and try again, or send "help" for the commands.';
+
+/**
+ * @typedef {Object} MediaItem
+ * @property {string} url - Twilio media URL
+ * @property {string} contentType - MIME type
+ * @property {string} filename - File name
+ */
+
+/**
+ * Returns the Basic auth header for the Twilio API
+ * @returns {string} Authorization header value
+ */
+function twilioAuth() {
+  return 'Basic ' + Buffer.from(
+    `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
+  ).toString('base64');
+}
+
+/**
+ * Tells whether a media URL points at Twilio. The Twilio credentials are only
+ * ever sent to these hosts (`TWILIO_MEDIA_HOSTS`, comma-separated, default
+ * `api.twilio.com`), never to a URL an attacker put into a request.
+ * @param {string} url - Media URL
+ * @returns {boolean} True for an https URL on an allowed host
+ */
+export function isTwilioMediaUrl(url) {
+  const hosts = (process.env.TWILIO_MEDIA_HOSTS || 'api.twilio.com')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && hosts.includes(hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the number that gets the replies to a message. Twilio sends `From`
+ * as `whatsapp:+49...`; only a sender without a usable number falls back to
+ * `TWILIO_REPLY_TO`.
+ * @param {string} [from] - `From` parameter of the webhook
+ * @returns {string|undefined} Number like `+491701234567`
+ */
+export function replyNumber(from) {
+  return normalizePhone(from) || process.env.TWILIO_REPLY_TO;
+}
+
+/**
+ * Sends a WhatsApp message through the Twilio API
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Twilio message
+ */
+export async function sendWhatsAppMessage(to, body) {
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  return client.messages.create({
+    from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
+    to: `whatsapp:${to}`,
+    body
+  });
+}
+
+/**
+ * Lists the media of an incoming Twilio message from the webhook parameters
+ * (`MediaUrl0`, `MediaContentType0`, ...). The file name is not part of the
+ * webhook, so it is looked up with a HEAD request when possible.
+ * @param {Object<string, string>} params - Webhook form parameters
+ * @returns {Promise<MediaItem[]>} Media items
+ */
+export async function resolveMedia(params) {
+  const count = parseInt(params.NumMedia || '0', 10);
+  const media = [];
+
+  for (let i = 0; i < count; i++) {
+    const url = params[`MediaUrl${i}`];
+    if (!url) continue;
+
+    let filename = `media_${i}`;
+    let contentType = params[`MediaContentType${i}`] || 'application/octet-stream';
+    if (!isTwilioMediaUrl(url)) {
+      // Left for processWhatsAppMedia to report; no credentials go out
+      media.push({ url, contentType, filename });
+      continue;
+    }
+    try {
+      const headRes = await fetch(url, { method: 'HEAD', headers: { Authorization: twilioAuth() } });
+      const match = (headRes.headers.get('content-disposition') || '').match(/filename="([^"]+)"/);
+      if (match) filename = match[1];
+      contentType = headRes.headers.get('content-type') || contentType;
+    } catch (err) {
+      console.warn('WARNING: Failed to fetch headers for media item:', err.message);
+    }
+    media.push({ url, contentType, filename });
+  }
+  return media;
+}
+
+/**
+ * Downloads a media file with the Twilio credentials
+ * @param {MediaItem} item - Media item, already checked with {@link isTwilioMediaUrl}
+ * @returns {Promise<{buffer: Buffer, filename: string, contentType: string}>} Attachment
+ */
+async function downloadMedia({ url, contentType, filename }) {
+  try {
+    const response = await fetch(url, { headers: { Authorization: twilioAuth() } });
+    if (!response.ok) throw new Error(`Download failed: ${response.status}`);
+    return { buffer: Buffer.from(await response.arrayBuffer()), filename, contentType };
+  } catch (err) {
+    throw new Error(err.message.startsWith('Download failed') ? err.message : `Download failed: ${err.message}`);
+  }
+}
+
+/**
+ * Downloads, queues and processes the media of one message. With a
+ * `messageSid`, a redelivery of the same message (Twilio retries webhooks)
+ * only processes the media that did not finish the first time.
+ * @param {Object} message
+ * @param {string} message.from - Sender phone number
+ * @param {string} [message.replyTo] - Number that gets follow-ups for retried files
+ * @param {string} [message.messageSid] - Twilio MessageSid
+ * @param {string} [message.tenant] - Tenant id the sender is routed to
+ * @param {MediaItem[]} message.media - Media items
+ * @returns {Promise<Object[]>} One result per document (containers yield several)
+ */
+export async function processWhatsAppMedia({ from, replyTo, messageSid, tenant, media }) {
+  const results = [];
+  const attachments = [];
+
+  for (const [idx, item] of media.entries()) {
+    const { url, contentType, filename } = item || {};
+    if (!url) {
+      results.push({ ok: false, filename: filename || `media_${idx}`, error: 'Missing media URL' });
+      continue;
+    }
+    if (!contentType) {
+      results.push({ ok: false, filename: filename || url.split('/').pop() || `media_${idx}`, error: 'Missing content type' });
+      continue;
+    }
+    if (!isTwilioMediaUrl(url)) {
+      console.warn(`WARNING: Refused to download ${filename} from a non-Twilio URL: ${url}`);
+      results.push({ ok: false, filename, error: 'Media URL is not a Twilio URL' });
+      continue;
+    }
+    attachments.push({ id: String(idx), filename, load: () => downloadMedia(item) });
+  }
+
+  // Queued first, so a transient OpenAI or Graph error is retried instead of losing the file.
+  // ZIP archives and forwarded emails produce one result per contained invoice
+  const { results: processed } = await ingestMessage(
+    messageSid ? `twilio:${messageSid}` : null,
+    attachments,
+    { source: 'whatsapp', tenant, meta: { from, ...(replyTo && { replyTo }) } }
+  );
+  results.push(...processed);
+  return results;
+}
+
+/**
+ * Names a result in the reply, including the archive or email it came from
+ * @param {Object} result - Processing result
+ * @returns {string} Display name
+ */
+function label(result) {
+  return result.container ? `${result.filename} (in ${result.container})` : result.filename;
+}
+
+/**
+ * Formats processing results as a WhatsApp reply
+ * @param {Object[]} results - Processing results
+ * @returns {string} Reply text
+ */
+export function formatReply(results) {
+  const ok = results.filter(r => r.ok && !r.skipped);
+  const skipped = results.filter(r => r.ok && r.skipped);
+  const err = results.filter(r => !r.ok);
+  const confirm = err.filter(r => r.confirmation);
+  const held = err.filter(r => r.review);
+  const queued = err.filter(r => r.queued);
+  const failed = err.filter(r => !r.review && !r.queued && !r.confirmation);
+
+  let replyBody = '';
+
+  if (ok.length) {
+    replyBody +=
+      'Successfully processed the following attachments:\n' +
+      ok.map(r => r.duplicate
+        ? `• ${label(r)} (${describeDuplicate(r.duplicate)}, please check)`
+        : `• ${label(r)}`).join('\n') +
+      '\n\n';
+  }
+
+  if (skipped.length) {
+    replyBody +=
+      'The following attachments were skipped as duplicates:\n' +
+      skipped.map(r => `• ${label(r)} – ${describeDuplicate(r.duplicate)}`).join('\n') +
+      '\n\n';
+  }
+
+  if (confirm.length) {
+    replyBody +=
+      'Please check the data read from the following attachments, nothing is booked yet:\n' +
+      confirm.map(r => `• ${label(r)}\n${describeExtraction(r.data)}`).join('\n\n') +
+      '\n\n' + CONFIRM_INSTRUCTIONS +
+      (confirm.length > 1 ? ' Your answers apply to the attachments one at a time, in this order.' : '') +
+      '\n\n';
+  }
+
+  if (held.length) {
+    replyBody +=
+      'The following attachments were held for manual review:\n' +
+      held.map(r => `• ${label(r)} – ${r.error}`).join('\n') +
+      '\n\n';
+  }
+
+  if (queued.length) {
+    replyBody +=
+      'The following attachments hit a temporary error and will be retried automatically:\n' +
+      queued.map(r => `• ${label(r)}`).join('\n') +
+      '\n\n';
+  }
+
+  if (failed.length) {
+    replyBody +=
+      'The following attachments could not be processed:\n' +
+      failed.map(r => `• ${label(r)} – ${r.error}`).join('\n');
+  }
+
+  return replyBody.trim() || 'No attachments were detected in your submission.';
+}
+
+/**
+ * Describes a processing result in the summary of an email source
+ * @param {Object} result - Processing result
+ * @returns {string|null} Summary line, or null for a document that failed
+ */
+export function emailSummaryLine(result) {
+  const name = label(result);
+  if (result.ok && result.duplicate) return `${name} (${describeDuplicate(result.duplicate)})`;
+  if (result.ok) return name;
+  if (result.review) return `${name} (held for review: ${result.error})`;
+  if (result.queued) return `${name} (${result.error.toLowerCase()})`;
+  return null;
+}
+
+/**
+ * Sends a tenant's notification recipients the summary of an email run
+ * @param {import('./tenants.js').Tenant} tenant - Tenant
+ * @param {string[]} filenames - Summary lines, see {@link emailSummaryLine}
+ * @returns {Promise<void>}
+ */
+export async function notifyEmailSummary(tenant, filenames) {
+  if (!filenames.length) return;
+  await notifyTenant(tenant, formatEmailSummary(filenames), 'the email summary');
+}
+
+/**
+ * Sends a message to each of a tenant's notification recipients. A recipient
+ * that cannot be reached is logged and does not stop the others.
+ * @param {import('./tenants.js').Tenant} tenant - Tenant
+ * @param {string} body - Message text
+ * @param {string} [what='the notification'] - What is sent, for the error log
+ * @returns {Promise<number>} Number of recipients reached
+ */
+export async function notifyTenant(tenant, body, what = 'the notification') {
+  let sent = 0;
+  for (const recipient of tenant.notify) {
+    try {
+      await sendWhatsAppMessage(recipient, body);
+      sent++;
+    } catch (err) {
+      console.error(`ERROR: Failed to send ${what} to ${recipient}:`, err.message);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Formats the WhatsApp summary of the invoices taken in from an email source
+ * @param {string[]} filenames - Processed files, with notes such as "(held for review: ...)"
+ * @returns {string} Message text
+ */
+export function formatEmailSummary(filenames) {
+  return `📬 The following invoice${filenames.length > 1 ? 's were' : ' was'} processed from your email:\n` +
+    filenames.map(name => `• ${name}`).join('\n');
+}
+
+/**
+ * Answers a WhatsApp message without media: an answer to an open confirmation
+ * request, a command, or neither
+ * @param {Object} message
+ * @param {string} message.from - Sender phone number
+ * @param {string} [message.text] - Message body
+ * @param {import('./tenants.js').Tenant} message.tenant - Tenant the sender is routed to
+ * @returns {Promise<{reply: string, kind: string}>} Reply text and what the text was
+ *   (`confirmation`, a command name, or `text`)
+ */
+export async function handleWhatsAppText({ from, text = '', tenant }) {
+  const sender = normalizePhone(from);
+  const confirmation = await handleConfirmationReply(text, { tenant, sender });
+  if (confirmation) return { reply: confirmation, kind: 'confirmation' };
+
+  const command = parseCommand(text);
+  if (command) return { reply: await runCommand(command, { tenant, sender }), kind: command.name };
+  return { reply: NO_ATTACHMENT_REPLY, kind: 'text' };
+}
+
+/**
+ * Sends the sender of a retried WhatsApp job its final result. Meant as the
+ * `onFinished` hook of queue workers; the first attempt is reported by the
+ * webhook itself, so only jobs that needed a retry are announced here.
+ * @param {import('./jobQueue.js').Job} job - Job after an attempt
+ * @returns {Promise<void>}
+ */
+export async function notifyJobFinished(job) {
+  const to = job.payload?.meta?.replyTo;
+  if (job.payload?.source !== 'whatsapp' || !to) return;
+  if (job.attempts < 2 || (job.status !== 'done' && job.status !== 'dead')) return;
+
+  try {
+    await sendWhatsAppMessage(to, `Update on ${job.payload.filename}:\n${formatReply(jobResults([job]))}`);
+  } catch (err) {
+    console.error(`ERROR: Failed to send the follow-up for job ${job.id}:`, err.message);
+  }
+}
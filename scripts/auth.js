@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// scripts/auth.js — sign in once in the browser and store the OAuth tokens locally
+//
+//   node scripts/auth.js google        (Gmail, for api/fetchEmails.js)
+//   node scripts/auth.js microsoft     (OneDrive and Outlook as the signed-in user, ONEDRIVE_AUTH=delegated)
+//
+// The redirect OAUTH_REDIRECT_URI (default http://localhost:53682/oauth/callback) must be registered with the app.
+// Tokens go to TOKEN_STORE (default .tokens/tokens.json, owner-only) and are refreshed by the clients.
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { authorize, OAUTH_SCOPES } from "../lib/oauth.js";
+
+const provider = process.argv[2];
+
+if (!OAUTH_SCOPES[provider]) {
+  console.error("Usage: node scripts/auth.js google|microsoft");
+  process.exit(1);
+}
+
+authorize(provider)
+  .then(({ file, scope }) => {
+    console.log(`Signed in with ${provider}, tokens stored in ${file}${scope ? `\nScopes: ${scope}` : ""}`);
+  })
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
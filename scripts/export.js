@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// scripts/export.js — export the ledger for an accounting package, with the original documents
+//
+//   node scripts/export.js <datev|quickbooks|xero> <from> [to] [--tenant <id>] [--out <file>] [--store]
+//
+// from/to are invoice dates (YYYY-MM-DD) or months (YYYY-MM); without "to" the
+// month of "from" is exported. The zip is written to the current directory
+// (or --out); --store also puts it into exports/ at the storage root for the
+// month-end handover.
+import fs from "fs/promises";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { exportBundle } from "../lib/exports.js";
+import { getTenant, tenantStorage } from "../lib/tenants.js";
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const tenantId = option(args, "--tenant");
+  const out = option(args, "--out");
+  const store = args.includes("--store");
+  const [format, from, to] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!format || !from) {
+    console.log(
+      "Usage: node scripts/export.js <datev|quickbooks|xero> <from> [to] [--tenant <id>] [--out <file>] [--store]"
+    );
+    process.exitCode = format ? 1 : 0;
+    return;
+  }
+
+  const tenant = tenantId ? getTenant(tenantId) : null;
+  if (tenantId && !tenant) throw new Error(`Unknown tenant: ${tenantId}`);
+  const storage = tenantStorage(tenant);
+
+  const { filename, buffer, count, missing, skipped } = await exportBundle(storage, { format, from, to, tenant });
+  await fs.writeFile(out || filename, buffer);
+  console.log(`${count} booking(s) written to ${out || filename}`);
+  if (store) {
+    await storage.writeRootFile(`exports/${filename}`, buffer);
+    console.log(`Stored as exports/${filename}`);
+  }
+  missing.forEach((item) => console.log(`  without document: ${item}`));
+  skipped.forEach((item) => console.log(`  not exported, not in EUR: ${item}`));
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// scripts/fetch-imap.js — take in the unseen messages of the IMAP mailbox once (e.g. from cron)
+//
+//   node scripts/fetch-imap.js
+//
+// Against a local test server: IMAP_HOST=localhost IMAP_PORT=3143 IMAP_SECURE=false
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { fetchImapEmails } from "../api/fetchImapEmails.js";
+
+fetchImapEmails()
+  .then((files) => {
+    console.log(files.length ? `Processed:\n${files.map((f) => `• ${f}`).join("\n")}` : "Nothing new.");
+  })
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// scripts/fetch-outlook.js — take in the new messages of the Microsoft 365 mailbox once (e.g. from cron)
+//
+//   node scripts/fetch-outlook.js
+//
+// Needs OUTLOOK_MAILBOX and the ONEDRIVE_* app registration with the Mail.ReadWrite permission
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { fetchOutlookEmails } from "../api/fetchOutlookEmails.js";
+
+fetchOutlookEmails()
+  .then((files) => {
+    console.log(files.length ? `Processed:\n${files.map((f) => `• ${f}`).join("\n")}` : "Nothing new.");
+  })
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// scripts/jobs.js — inspect and operate the ingestion job queue
+//
+//   node scripts/jobs.js list [queued|running|done|dead]
+//   node scripts/jobs.js show <id>
+//   node scripts/jobs.js requeue <id>... | --all    (dead jobs only)
+//   node scripts/jobs.js work                        (run a worker until Ctrl+C)
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { getIngestionQueue, processJob } from "../lib/ingestion.js";
+import { notifyJobFinished } from "../lib/whatsapp.js";
+
+const queue = getIngestionQueue();
+
+function summary(job) {
+  const file = job.payload?.filename || "-";
+  const error = job.lastError ? `  ${job.lastError}` : "";
+  return `${job.id}  ${job.status.padEnd(7)}  ${job.attempts}/${job.maxAttempts}  ${job.payload?.source || "-"}  ${file}${error}`;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "list": {
+      const jobs = await queue.list({ status: args[0] });
+      if (!jobs.length) console.log("No jobs.");
+      jobs.forEach((job) => console.log(summary(job)));
+      break;
+    }
+
+    case "show": {
+      const job = await queue.get(args[0] || "");
+      if (!job) throw new Error(`Job not found: ${args[0]}`);
+      console.log(JSON.stringify(job, null, 2));
+      break;
+    }
+
+    case "requeue": {
+      const ids = args.includes("--all")
+        ? (await queue.list({ status: "dead" })).map((job) => job.id)
+        : args;
+      if (!ids.length) throw new Error("Nothing to requeue: pass job ids or --all");
+      for (const id of ids) console.log(summary(await queue.requeue(id)));
+      break;
+    }
+
+    case "work": {
+      // WhatsApp senders get a follow-up once a retried file is finished
+      const worker = queue.work(processJob, { onFinished: notifyJobFinished });
+      console.log("Worker running on", queue.dir);
+      process.on("SIGINT", async () => {
+        await worker.stop();
+        process.exit(0);
+      });
+      break;
+    }
+
+    default:
+      console.log(
+        "Usage: node scripts/jobs.js list [status] | show <id> | requeue <id>...|--all | work"
+      );
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// scripts/reports.js — monthly and yearly summary reports of the ledgers
+//
+//   node scripts/reports.js month [YYYY-MM] [--tenant <id>] [--notify]   (default: last month)
+//   node scripts/reports.js year [YYYY] [--tenant <id>] [--notify]       (default: this year)
+//   node scripts/reports.js rebuild <YYYY> [--tenant <id>]               (yearly ledger from the monthly ones)
+//
+// Reports are stored as CSV and HTML next to the ledger; --notify sends the
+// summary to the tenant's notification numbers. Without --tenant every
+// configured tenant is reported.
+import dotenv from "dotenv";
+
+dotenv.config();
+
+import { parseMonth } from "../lib/commands.js";
+import {
+  monthlyReport,
+  publishReport,
+  rebuildYearLedger,
+  reportMessage,
+  yearlyReport,
+} from "../lib/reports.js";
+import { getTenant, loadTenants, tenantStorage } from "../lib/tenants.js";
+import { notifyTenant } from "../lib/whatsapp.js";
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+function tenantsFor(id) {
+  if (!id) return loadTenants();
+  const tenant = getTenant(id);
+  if (!tenant) throw new Error(`Unknown tenant: ${id}`);
+  return [tenant];
+}
+
+async function report(tenants, build, notify) {
+  for (const tenant of tenants) {
+    const storage = tenantStorage(tenant);
+    const report = await build(storage);
+    const files = await publishReport(storage, report, { title: tenant.name });
+    console.log(`${tenant.id}  ${report.label}  ${report.count} invoice(s)  ${files.join("  ")}`);
+    if (notify) await notifyTenant(tenant, reportMessage(report, files), "the report");
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const notify = args.includes("--notify");
+  const tenants = tenantsFor(option(args, "--tenant"));
+  const [period] = args.filter((arg) => !arg.startsWith("--"));
+
+  switch (command) {
+    case "month": {
+      const folder = parseMonth(period || "last month");
+      if (!folder) throw new Error(`Not a month: ${period}`);
+      await report(tenants, (storage) => monthlyReport(storage, folder), notify);
+      break;
+    }
+
+    case "year": {
+      const year = period || String(new Date().getUTCFullYear());
+      if (!/^\d{4}$/.test(year)) throw new Error(`Not a year: ${year}`);
+      await report(tenants, (storage) => yearlyReport(storage, year), notify);
+      break;
+    }
+
+    case "rebuild": {
+      if (!/^\d{4}$/.test(period || "")) throw new Error("Pass the year to rebuild, e.g. 2025");
+      for (const tenant of tenants) {
+        const rows = await rebuildYearLedger(tenantStorage(tenant), period);
+        console.log(`${tenant.id}  ${period}  ${rows} row(s)`);
+      }
+      break;
+    }
+
+    default:
+      console.log(
+        "Usage: node scripts/reports.js month [YYYY-MM] | year [YYYY] | rebuild <YYYY>  [--tenant <id>] [--notify]"
+      );
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
@@ -5,12 +5,18 @@ import path from "path";
 import fs from "fs/promises";
 import fssync from "fs";
 import dotenv from "dotenv";
-import { OpenAI } from "openai";
 
 dotenv.config();
 
-// 👉 Your processor:
-import { processAttachment } from "../lib/invoiceProcessor.js";
+// 👉 Your processor, behind the persistent job queue:
+import {
+  enqueueAttachment,
+  getIngestionQueue,
+  processJob,
+  jobResults,
+} from "../lib/ingestion.js";
+import { notifyJobFinished } from "../lib/whatsapp.js";
+import { guessContentType } from "../lib/containers.js";
 
 // Watch <repo>/api/attachments by default; allow override via ATTACHMENTS_DIR
 const DEFAULT_ATTACHMENTS_DIR = path.join("api", "attachments");
@@ -20,11 +26,6 @@ const ATTACHMENTS_DIR = path.resolve(
 const PROCESSED_DIR = path.join(ATTACHMENTS_DIR, "processed");
 const FAILED_DIR = path.join(ATTACHMENTS_DIR, "failed");
 
-// One OpenAI client instance passed to your processor
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 async function ensureDirs() {
   for (const d of [ATTACHMENTS_DIR, PROCESSED_DIR, FAILED_DIR]) {
     if (!fssync.existsSync(d)) await fs.mkdir(d, { recursive: true });
@@ -40,30 +41,8 @@ function isFinalInvoice(name) {
     base.endsWith(".partial")
   )
     return false;
-  // Your processor supports pdf + image/*
-  return /\.(pdf|png|jpg|jpeg|webp|tif|tiff|heic)$/i.test(base);
-}
-
-function guessContentType(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  switch (ext) {
-    case ".pdf":
-      return "application/pdf";
-    case ".png":
-      return "image/png";
-    case ".jpg":
-    case ".jpeg":
-      return "image/jpeg";
-    case ".webp":
-      return "image/webp";
-    case ".tif":
-    case ".tiff":
-      return "image/tiff";
-    case ".heic":
-      return "image/heic";
-    default:
-      return "application/octet-stream";
-  }
+  // Your processor supports pdf + image/* + xml e-invoices, and unpacks zip/eml/msg
+  return /\.(pdf|png|jpg|jpeg|webp|tif|tiff|heic|xml|zip|eml|msg)$/i.test(base);
 }
 
 async function safeRename(oldPath, newPath) {
@@ -95,13 +74,49 @@ async function getUniqueDest(dir, filename) {
   }
 }
 
+// Move a watched file once its job is finished: processed/ or failed/ + reason
+async function settle(job) {
+  const filePath = job.payload.meta?.path;
+  if (job.payload.source !== "watcher" || !filePath) return;
+  if (job.status !== "done" && job.status !== "dead") return; // retry pending
+  if (!fssync.existsSync(filePath)) return;
+
+  const filename = path.basename(filePath);
+  // Archives and forwarded emails yield one result per contained document
+  const failed = jobResults([job]).filter((r) => !r.ok);
+  try {
+    if (!failed.length) {
+      const dest = await getUniqueDest(PROCESSED_DIR, filename);
+      await safeRename(filePath, dest);
+      console.log("✔ processed", filename);
+      return;
+    }
+
+    const reason = failed
+      .map(
+        (r) =>
+          `${r.filename}: ${r.error}` +
+          (r.review ? ` (review id ${r.review.id})` : "")
+      )
+      .join("; ");
+    console.error("✖ failed", filename, reason);
+    const dest = await getUniqueDest(FAILED_DIR, filename);
+    await safeRename(filePath, dest);
+    // Keep the reason next to the file instead of only in the console
+    await fs.writeFile(`${dest}.error.txt`, `${reason}\n`);
+  } catch (err) {
+    console.error("✖ could not move", filename, err?.message || err);
+  }
+}
+
 async function handle(filePath) {
   // Give the OS some time to finish writing the file
   await new Promise((r) => setTimeout(r, 600));
 
   // Skip if missing, empty, or not a regular file
+  let stat;
   try {
-    const stat = await fs.stat(filePath);
+    stat = await fs.stat(filePath);
     if (!stat.isFile() || stat.size === 0) return;
   } catch {
     return;
@@ -111,37 +126,39 @@ async function handle(filePath) {
   const contentType = guessContentType(filename);
 
   try {
-    console.log("start to read the file:", filePath);
+    console.log("queueing file:", filePath);
 
     const buffer = await fs.readFile(filePath);
-
-    // Call YOUR pipeline
-    const result = await processAttachment(
+    // Same file seen again after a restart → same job, not a second one
+    const job = await enqueueAttachment(
       { buffer, filename, contentType },
-      openai
+      {
+        source: "watcher",
+        key: `watcher:${filePath}:${stat.size}:${stat.mtimeMs}`,
+        meta: { path: filePath },
+      }
     );
-    if (!result?.ok)
-      throw new Error(result?.error || "Processor reported failure");
-
-    const dest = await getUniqueDest(PROCESSED_DIR, filename);
-    await safeRename(filePath, dest);
-    console.log("✔ processed", filename);
+    await settle(job);
   } catch (err) {
-    console.error("✖ failed", filename, err?.message || err);
-    try {
-      const dest = await getUniqueDest(FAILED_DIR, filename);
-      await safeRename(filePath, dest);
-    } catch {}
+    console.error("✖ could not queue", filename, err?.message || err);
   }
 }
 
 async function main() {
   await ensureDirs();
 
-  // Process any existing files on startup (top-level only)
+  // Jobs run JOB_CONCURRENCY at a time, with retries for transient errors
+  getIngestionQueue().work(processJob, {
+    onFinished: async (job) => {
+      await settle(job);
+      await notifyJobFinished(job);
+    },
+  });
+
+  // Queue any existing files on startup (top-level only)
   for (const f of fssync.readdirSync(ATTACHMENTS_DIR)) {
     const full = path.join(ATTACHMENTS_DIR, f);
-    if (fssync.statSync(full).isFile() && isFinalInvoice(f)) handle(full);
+    if (fssync.statSync(full).isFile() && isFinalInvoice(f)) await handle(full);
   }
 
   const watcher = chokidar.watch(ATTACHMENTS_DIR, {
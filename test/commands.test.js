@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMonth } from '../lib/commands.js';
+
+const now = new Date('2025-03-15T12:00:00Z');
+
+test('parseMonth defaults to the current month', () => {
+  assert.equal(parseMonth('', now), '2025.03');
+  assert.equal(parseMonth('this month', now), '2025.03');
+});
+
+test('parseMonth goes back across the year for last month', () => {
+  assert.equal(parseMonth('last month', now), '2025.02');
+  assert.equal(parseMonth('last month', new Date('2025-01-10T00:00:00Z')), '2024.12');
+});
+
+test('parseMonth reads numeric months in both orders', () => {
+  assert.equal(parseMonth('2025-09', now), '2025.09');
+  assert.equal(parseMonth('2024/1', now), '2024.01');
+  assert.equal(parseMonth('09/2024', now), '2024.09');
+  assert.equal(parseMonth('2025-13', now), null);
+  assert.equal(parseMonth('0/2025', now), null);
+});
+
+test('parseMonth takes the latest past occurrence of a month name', () => {
+  assert.equal(parseMonth('march', now), '2025.03');
+  assert.equal(parseMonth('Sep', now), '2024.09');
+  assert.equal(parseMonth('sept. 2023', now), '2023.09');
+  assert.equal(parseMonth('sep 2023', now), '2023.09');
+});
+
+test('parseMonth rejects anything else', () => {
+  assert.equal(parseMonth('yesterday', now), null);
+  assert.equal(parseMonth('ma', now), null);
+});
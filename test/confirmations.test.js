@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCorrection } from '../lib/confirmations.js';
+
+test('parseCorrection reads a field and its value', () => {
+  assert.deepEqual(parseCorrection('total 123.45'), { name: 'total', field: 'total', value: '123.45' });
+  assert.deepEqual(parseCorrection('Seller ACME GmbH'), { name: 'seller', field: 'seller', value: 'ACME GmbH' });
+});
+
+test('parseCorrection accepts the "fix" prefix of the ledger command', () => {
+  assert.deepEqual(parseCorrection('fix date 2025-09-10'), { name: 'date', field: 'invoice_date', value: '2025-09-10' });
+});
+
+test('parseCorrection leaves "total <month>" to the month command', () => {
+  assert.equal(parseCorrection('total september'), null);
+  assert.deepEqual(parseCorrection('total 1.234,50'), { name: 'total', field: 'total', value: '1.234,50' });
+});
+
+test('parseCorrection ignores unknown fields and missing values', () => {
+  assert.equal(parseCorrection('colour blue'), null);
+  assert.equal(parseCorrection('total'), null);
+  assert.equal(parseCorrection('yes'), null);
+});
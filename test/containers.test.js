@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Zip, ZipDeflate, zipSync, strToU8 } from 'fflate';
+import { containerKind, expandAttachment, guessContentType } from '../lib/containers.js';
+
+const pdf = strToU8('%PDF-1.4 invoice');
+
+/**
+ * Wraps files into a ZIP attachment
+ * @param {string} filename - Archive name
+ * @param {Object<string, Uint8Array>} files - Archive entries by path
+ * @returns {{buffer: Buffer, filename: string, contentType: string}} Attachment
+ */
+function zipAttachment(filename, files) {
+  return { buffer: Buffer.from(zipSync(files)), filename, contentType: 'application/zip' };
+}
+
+/**
+ * Builds an archive whose single entry inflates to `megabytes` of zeros
+ * @param {number} megabytes - Unpacked size
+ * @returns {Promise<Buffer>} ZIP content, a few hundred KB
+ */
+function zeroBomb(megabytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const zip = new Zip((err, data, final) => {
+      if (err) return reject(err);
+      chunks.push(data);
+      if (final) resolve(Buffer.concat(chunks));
+    });
+    const entry = new ZipDeflate('invoice.pdf', { level: 1 });
+    zip.add(entry);
+    const megabyte = new Uint8Array(1024 * 1024);
+    for (let i = 0; i < megabytes; i++) entry.push(megabyte, i === megabytes - 1);
+    zip.end();
+  });
+}
+
+test('guessContentType and containerKind go by type and extension', () => {
+  assert.equal(guessContentType('scan.JPG'), 'image/jpeg');
+  assert.equal(guessContentType('notes.txt'), 'application/octet-stream');
+  assert.equal(containerKind('application/x-zip-compressed'), 'zip');
+  assert.equal(containerKind('application/octet-stream', 'fwd.eml'), 'eml');
+  assert.equal(containerKind('', 'mail.msg'), 'msg');
+  assert.equal(containerKind('application/pdf', 'invoice.pdf'), null);
+});
+
+test('expandAttachment returns plain documents unchanged', async () => {
+  const attachment = { buffer: Buffer.from(pdf), filename: 'invoice.pdf', contentType: 'application/pdf' };
+  assert.deepEqual(await expandAttachment(attachment), { documents: [attachment], errors: [] });
+});
+
+test('expandAttachment unpacks nested archives and drops what is not an invoice', async () => {
+  const inner = zipSync({ 'b.pdf': pdf });
+  const { documents, errors } = await expandAttachment(zipAttachment('march.zip', {
+    'a.pdf': pdf, 'notes.txt': strToU8('hi'), '__MACOSX/._a.pdf': pdf, 'sub/inner.zip': inner
+  }));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(documents.map(doc => [doc.filename, doc.contentType, doc.container]), [
+    ['a.pdf', 'application/pdf', 'march.zip'],
+    ['b.pdf', 'application/pdf', 'march.zip/inner.zip']
+  ]);
+  assert.equal(documents[1].buffer.toString(), '%PDF-1.4 invoice');
+});
+
+test('expandAttachment reports archives without invoices and corrupt archives', async () => {
+  const empty = await expandAttachment(zipAttachment('empty.zip', { 'notes.txt': strToU8('hi') }));
+  assert.deepEqual(empty, { documents: [], errors: [{ filename: 'empty.zip', error: 'No invoice documents found inside' }] });
+
+  const broken = zipAttachment('bad.zip', { 'a.pdf': strToU8('%PDF '.repeat(100)) });
+  broken.buffer.fill(0xff, 40, 60);
+  const corrupt = await expandAttachment(broken);
+  assert.equal(corrupt.documents.length, 0);
+  assert.match(corrupt.errors[0].error, /^Could not unpack/);
+});
+
+test('expandAttachment stops at the nesting limit', async () => {
+  let archive = zipSync({ 'deep.pdf': pdf });
+  for (let level = 0; level < 3; level++) archive = zipSync({ [`level${level}.zip`]: archive });
+  const { documents, errors } = await expandAttachment({ buffer: Buffer.from(archive), filename: 'top.zip', contentType: 'application/zip' });
+  assert.equal(documents.length, 0);
+  assert.match(errors[0].error, /nested deeper than 3 levels/);
+});
+
+test('expandAttachment refuses archives with too many files', async () => {
+  const files = Object.fromEntries(Array.from({ length: 201 }, (_, i) => [`${i}.pdf`, pdf]));
+  const { documents, errors } = await expandAttachment(zipAttachment('many.zip', files));
+  assert.equal(documents.length, 0);
+  assert.match(errors[0].error, /more than 200 files/);
+});
+
+test('expandAttachment counts the bytes really inflated, not the sizes the archive claims', async () => {
+  const { documents, errors } = await expandAttachment({
+    buffer: await zeroBomb(201), filename: 'bomb.zip', contentType: 'application/zip'
+  });
+  assert.equal(documents.length, 0);
+  assert.match(errors[0].error, /more than 200 MB unpacked/);
+});
+
+test('expandAttachment unpacks the attachments of a forwarded email', async () => {
+  const eml = [
+    'From: supplier@example.com',
+    'Subject: Invoice',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'See attached.',
+    '--b',
+    'Content-Type: application/octet-stream; name="invoice.pdf"',
+    'Content-Disposition: attachment; filename="invoice.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(pdf).toString('base64'),
+    '--b--',
+    ''
+  ].join('\r\n');
+  const { documents, errors } = await expandAttachment({ buffer: Buffer.from(eml), filename: 'fwd.eml', contentType: 'message/rfc822' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(documents.map(doc => [doc.filename, doc.contentType, doc.container]), [['invoice.pdf', 'application/pdf', 'fwd.eml']]);
+});
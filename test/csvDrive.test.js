@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { stringify } from 'csv-stringify/sync';
+import { parse } from 'csv-parse/sync';
+import { replaceRow, ensureCsvFile, appendCsvRow, migrateLedger, parseLedger, CSV_HEADER } from '../lib/csvDrive.js';
+import { createLocalStorage } from '../lib/localDrive.js';
+import { createFakeGraph } from './fakeGraph.js';
+
+process.env.ONEDRIVE_AUTH = 'delegated';
+
+const ledger = text => Buffer.from(text, 'utf8');
+
+test('replaceRow replaces the row with the timestamp', () => {
+  const content = ledger('Timestamp,Seller,Total\nt1,ACME,10\nt2,Contoso,20\n');
+  assert.equal(replaceRow(content, 't2', ['t2', 'Contoso Ltd', '25']).toString(), 'Timestamp,Seller,Total\nt1,ACME,10\nt2,Contoso Ltd,25\n');
+});
+
+test('replaceRow deletes the row when no new one is given', () => {
+  const content = ledger('Timestamp,Seller,Total\nt1,ACME,10\nt2,Contoso,20\n');
+  assert.equal(replaceRow(content, 't1', null).toString(), 'Timestamp,Seller,Total\nt2,Contoso,20\n');
+});
+
+test('replaceRow keeps BOM, line endings and the header as they are', () => {
+  const content = ledger('\uFEFFTimestamp,Seller,Total,Custom\r\nt1,"ACME, Inc.",10,x\r\nt2,Contoso,20,y\r\n');
+  assert.equal(
+    replaceRow(content, 't1', ['t1', 'ACME, Inc.', '12', 'x']).toString(),
+    '\uFEFFTimestamp,Seller,Total,Custom\r\nt1,"ACME, Inc.",12,x\r\nt2,Contoso,20,y\r\n'
+  );
+});
+
+test('replaceRow returns null without a matching row or ledger', () => {
+  assert.equal(replaceRow(ledger('Timestamp,Seller\nt1,ACME\n'), 'Timestamp', null), null);
+  assert.equal(replaceRow(ledger('Timestamp,Seller\nt1,ACME\n'), 't9', null), null);
+  assert.equal(replaceRow(null, 't1', null), null);
+});
+
+test('ensureCsvFile creates a missing ledger with the header', async () => {
+  const graph = createFakeGraph();
+  const { id: folderId } = graph.putFolder('Invoices/2025.03');
+  const fileId = await ensureCsvFile(graph, folderId);
+  assert.equal(graph.items.get('Invoices/2025.03/invoices.csv').id, fileId);
+  assert.equal(graph.read('Invoices/2025.03/invoices.csv'), stringify([CSV_HEADER]));
+});
+
+test('ensureCsvFile keeps a ledger another booking created meanwhile', async () => {
+  const graph = createFakeGraph();
+  const { id: folderId } = graph.putFolder('Invoices/2025.03');
+  const booked = stringify([CSV_HEADER, ['t1', '2025-03-01', 'ACME']]);
+  graph.beforeWrite = itemPath => {
+    graph.beforeWrite = null;
+    graph.putFile(itemPath, booked);
+  };
+  const fileId = await ensureCsvFile(graph, folderId);
+  assert.equal(graph.items.get('Invoices/2025.03/invoices.csv').id, fileId);
+  assert.equal(graph.read('Invoices/2025.03/invoices.csv'), booked);
+});
+
+test('ensureCsvFile finds the ledger in a folder with many documents', async () => {
+  const graph = createFakeGraph();
+  const { id: folderId } = graph.putFolder('Invoices/2025.03');
+  for (let i = 0; i < 250; i++) graph.putFile(`Invoices/2025.03/scan-${i}.pdf`, 'pdf');
+  const { id } = graph.putFile('Invoices/2025.03/invoices.csv', stringify([CSV_HEADER]));
+  assert.equal(await ensureCsvFile(graph, folderId), id);
+  assert.ok(!graph.requests.some(request => request.startsWith('PUT')));
+});
+
+test('local first bookings of a month racing each other keep both rows', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+  try {
+    const storage = createLocalStorage(root);
+    const folder = await storage.ensureYearMonthFolder('2025-03-01');
+    await Promise.all(['t1', 't2', 't3', 't4'].map(async timestamp => {
+      await storage.appendCsvRow(await storage.ensureCsvFile(folder), [timestamp, '2025-03-01']);
+    }));
+    const rows = parseLedger(await fs.readFile(path.join(folder, 'invoices.csv')));
+    assert.deepEqual(rows.map(row => row[0]).sort(), ['t1', 't2', 't3', 't4']);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+const OLD_HEADER = CSV_HEADER.slice(0, 6);
+
+test('migrateLedger pads older ledgers and keeps columns added after ours', () => {
+  const content = stringify([[...OLD_HEADER, 'Notes'], ['t1', '2025-03-01', 'ACME', '10', '1', 'card', 'paid']]);
+  const [header, row] = parse(migrateLedger(content));
+  assert.deepEqual(header, [...CSV_HEADER, 'Notes']);
+  assert.equal(row.length, CSV_HEADER.length + 1);
+  assert.deepEqual([row[0], row[5], row[6], row.at(-1)], ['t1', 'card', '', 'paid']);
+});
+
+test('migrateLedger leaves a current ledger with extra columns alone', () => {
+  assert.equal(migrateLedger(stringify([[...CSV_HEADER, 'Notes', 'Booked by']])), null);
+});
+
+test('migrateLedger refuses a ledger with our columns in another order', () => {
+  assert.throws(() => migrateLedger(stringify([['Timestamp', 'Notes', 'Invoice Date']])), /Unrecognized/);
+});
+
+test('appendCsvRow migrates an old ledger in the same conditional write as the row', async () => {
+  const graph = createFakeGraph();
+  const { id: folderId } = graph.putFolder('Invoices/2025.03');
+  graph.putFile('Invoices/2025.03/invoices.csv', stringify([[...OLD_HEADER, 'Notes'], ['t1', '2025-03-01', 'ACME', '10', '1', 'card', 'paid']]));
+  // Another booking lands between the download and the upload
+  graph.beforeWrite = itemPath => {
+    if (itemPath !== 'Invoices/2025.03/invoices.csv') return;
+    graph.beforeWrite = null;
+    graph.putFile(itemPath, graph.read(itemPath) + stringify([['t2', '2025-03-02', 'Contoso', '20', '2', 'cash']]));
+  };
+
+  const fileId = await ensureCsvFile(graph, folderId);
+  await appendCsvRow(graph, fileId, ['t3', '2025-03-03', 'Fabrikam']);
+
+  const [header, ...rows] = parse(graph.read('Invoices/2025.03/invoices.csv'), { relax_column_count: true });
+  assert.deepEqual(header, [...CSV_HEADER, 'Notes']);
+  assert.deepEqual(rows.map(row => row[0]), ['t1', 't2', 't3']);
+  assert.equal(rows[0].at(-1), 'paid');
+  assert.ok([...graph.items.keys()].some(key => key.startsWith('Invoices/2025.03/invoices.backup-')));
+});
+
+test('ensureCsvFile and appendCsvRow download an existing ledger once per booking', async () => {
+  const graph = createFakeGraph();
+  const { id: folderId } = graph.putFolder('Invoices/2025.03');
+  graph.putFile('Invoices/2025.03/invoices.csv', stringify([CSV_HEADER]));
+  await appendCsvRow(graph, await ensureCsvFile(graph, folderId), ['t1']);
+  assert.equal(graph.requests.filter(request => request.startsWith('GET') && request.endsWith('/content')).length, 1);
+});
+
+test('local appendCsvRow migrates an old ledger and keeps a backup', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+  try {
+    const storage = createLocalStorage(root);
+    const folder = await storage.ensureYearMonthFolder('2025-03-01');
+    await fs.writeFile(path.join(folder, 'invoices.csv'), stringify([[...OLD_HEADER, 'Notes'], ['t1', '2025-03-01', 'ACME', '10', '1', 'card', 'paid']]));
+    await storage.appendCsvRow(await storage.ensureCsvFile(folder), ['t2', '2025-03-02']);
+
+    const [header, ...rows] = parse(await fs.readFile(path.join(folder, 'invoices.csv')), { relax_column_count: true });
+    assert.deepEqual(header, [...CSV_HEADER, 'Notes']);
+    assert.deepEqual(rows.map(row => row[0]), ['t1', 't2']);
+    assert.ok((await fs.readdir(folder)).some(name => name.startsWith('invoices.backup-')));
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
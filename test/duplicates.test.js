@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  FINGERPRINT_INDEX,
+  contentHash,
+  findDuplicate,
+  loadFingerprints,
+  recordFingerprint
+} from '../lib/duplicates.js';
+import { createLocalStorage } from '../lib/localDrive.js';
+
+const invoice = { seller: 'ACME GmbH', invoice_date: '2025-03-01', total: '119.00', invoice_number: 'R-1001' };
+
+/**
+ * Runs a test against local storage in a fresh temporary folder
+ * @param {(storage: Object, root: string) => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withStorage(fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprints-'));
+  try {
+    await fn(createLocalStorage(root), root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('findDuplicate matches the same file and the same invoice sent again', () => {
+  const entries = [{ hash: contentHash(Buffer.from('pdf')), key: { seller: 'acme', date: '2025-03-01', total: '119.00', number: 'R1001' }, filename: 'a.pdf' }];
+  assert.equal(findDuplicate(entries, { hash: contentHash(Buffer.from('pdf')) }).type, 'exact');
+  assert.equal(findDuplicate(entries, { hash: 'other', data: { ...invoice, seller: 'Acme' } }).type, 'near');
+  assert.equal(findDuplicate(entries, { hash: 'other', data: { ...invoice, invoice_number: 'R-1002' } }), null);
+});
+
+test('concurrent recordFingerprint calls keep every entry', async () => {
+  await withStorage(async storage => {
+    await Promise.all([1, 2, 3, 4].map(i =>
+      recordFingerprint(storage, { hash: `h${i}`, data: { ...invoice, invoice_number: `R-${i}` }, filename: `${i}.pdf` })
+    ));
+    assert.deepEqual((await loadFingerprints(storage)).map(entry => entry.hash).sort(), ['h1', 'h2', 'h3', 'h4']);
+  });
+});
+
+test('an unreadable index is never overwritten', async () => {
+  await withStorage(async (storage, root) => {
+    await fs.writeFile(path.join(root, FINGERPRINT_INDEX), '{"entries": [');
+    await assert.rejects(loadFingerprints(storage), /Unreadable fingerprints\.json/);
+    await assert.rejects(recordFingerprint(storage, { hash: 'h1', data: invoice, filename: '1.pdf' }), /Unreadable/);
+    assert.equal(await fs.readFile(path.join(root, FINGERPRINT_INDEX), 'utf8'), '{"entries": [');
+  });
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isXmlDocument, parseEInvoice } from '../lib/eInvoice.js';
+
+const ubl = `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:ID>R-1001</cbc:ID>
+  <cbc:IssueDate>2025-03-01</cbc:IssueDate>
+  <cbc:DueDate>2025-03-31</cbc:DueDate>
+  <cbc:DocumentCurrencyCode>EUR</cbc:DocumentCurrencyCode>
+  <cac:AccountingSupplierParty><cac:Party>
+    <cac:PostalAddress>
+      <cbc:StreetName>Hauptstr. 1</cbc:StreetName><cbc:CityName>Berlin</cbc:CityName><cbc:PostalZone>10115</cbc:PostalZone>
+      <cac:Country><cbc:IdentificationCode>DE</cbc:IdentificationCode></cac:Country>
+    </cac:PostalAddress>
+    <cac:PartyTaxScheme><cbc:CompanyID>DE123456789</cbc:CompanyID></cac:PartyTaxScheme>
+    <cac:PartyLegalEntity><cbc:RegistrationName>ACME GmbH</cbc:RegistrationName></cac:PartyLegalEntity>
+  </cac:Party></cac:AccountingSupplierParty>
+  <cac:PaymentMeans><cbc:PaymentMeansCode>58</cbc:PaymentMeansCode></cac:PaymentMeans>
+  <cac:TaxTotal>
+    <cbc:TaxAmount currencyID="EUR">19.00</cbc:TaxAmount>
+    <cac:TaxSubtotal><cac:TaxCategory><cbc:Percent>19</cbc:Percent></cac:TaxCategory></cac:TaxSubtotal>
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:TaxExclusiveAmount currencyID="EUR">100.00</cbc:TaxExclusiveAmount>
+    <cbc:PayableAmount currencyID="EUR">119.00</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+  <cac:InvoiceLine>
+    <cbc:InvoicedQuantity unitCode="C62">2</cbc:InvoicedQuantity>
+    <cbc:LineExtensionAmount currencyID="EUR">100.00</cbc:LineExtensionAmount>
+    <cac:Item><cbc:Name>Widget</cbc:Name></cac:Item>
+    <cac:Price><cbc:PriceAmount currencyID="EUR">50.00</cbc:PriceAmount></cac:Price>
+  </cac:InvoiceLine>
+</Invoice>`;
+
+const cii = `<?xml version="1.0" encoding="UTF-8"?>
+<rsm:CrossIndustryInvoice xmlns:rsm="urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100"
+  xmlns:ram="urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100"
+  xmlns:udt="urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100">
+  <rsm:ExchangedDocument>
+    <ram:ID>GS-42</ram:ID>
+    <ram:TypeCode>381</ram:TypeCode>
+    <ram:IssueDateTime><udt:DateTimeString format="102">20250315</udt:DateTimeString></ram:IssueDateTime>
+  </rsm:ExchangedDocument>
+  <rsm:SupplyChainTradeTransaction>
+    <ram:ApplicableHeaderTradeAgreement>
+      <ram:SellerTradeParty>
+        <ram:Name>Lieferant AG</ram:Name>
+        <ram:SpecifiedTaxRegistration><ram:ID schemeID="FC">201/113/40209</ram:ID></ram:SpecifiedTaxRegistration>
+        <ram:SpecifiedTaxRegistration><ram:ID schemeID="VA">DE987654321</ram:ID></ram:SpecifiedTaxRegistration>
+      </ram:SellerTradeParty>
+    </ram:ApplicableHeaderTradeAgreement>
+    <ram:ApplicableHeaderTradeSettlement>
+      <ram:InvoiceCurrencyCode>EUR</ram:InvoiceCurrencyCode>
+      <ram:ApplicableTradeTax><ram:RateApplicablePercent>7</ram:RateApplicablePercent></ram:ApplicableTradeTax>
+      <ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+        <ram:TaxBasisTotalAmount>50.00</ram:TaxBasisTotalAmount>
+        <ram:TaxTotalAmount currencyID="EUR">3.50</ram:TaxTotalAmount>
+        <ram:GrandTotalAmount>53.50</ram:GrandTotalAmount>
+      </ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+    </ram:ApplicableHeaderTradeSettlement>
+  </rsm:SupplyChainTradeTransaction>
+</rsm:CrossIndustryInvoice>`;
+
+test('isXmlDocument recognizes XML by type or name', () => {
+  assert.equal(isXmlDocument('application/xml'), true);
+  assert.equal(isXmlDocument('application/octet-stream', 'xrechnung.XML'), true);
+  assert.equal(isXmlDocument('application/pdf', 'invoice.pdf'), false);
+});
+
+test('parseEInvoice maps a UBL invoice', () => {
+  const { data, valid, syntax, source } = parseEInvoice(Buffer.from(ubl));
+  assert.equal(valid, true);
+  assert.deepEqual([syntax, source], ['ubl', 'e-invoice']);
+  assert.equal(data.invoice_number, 'R-1001');
+  assert.equal(data.invoice_date, '2025-03-01');
+  assert.equal(data.due_date, '2025-03-31');
+  assert.equal(data.seller, 'ACME GmbH');
+  assert.equal(data.seller_address, 'Hauptstr. 1, 10115 Berlin, DE');
+  assert.deepEqual([data.total, data.net_amount, data.tax, data.tax_rate], ['119.00', '100.00', '19.00', '19.00']);
+  assert.equal(data.payment_method, 'Bank Transfer');
+  assert.deepEqual(data.line_items, [{ description: 'Widget', quantity: '2', unit_price: '50.00', amount: '100.00' }]);
+});
+
+test('parseEInvoice maps a CII credit note with negative amounts', () => {
+  const { data, valid, syntax } = parseEInvoice(cii);
+  assert.equal(valid, true);
+  assert.equal(syntax, 'cii');
+  assert.equal(data.invoice_date, '2025-03-15');
+  assert.equal(data.seller_vat_id, 'DE987654321');
+  assert.deepEqual([data.total, data.net_amount, data.tax, data.tax_rate], ['-53.50', '-50.00', '-3.50', '7.00']);
+});
+
+test('parseEInvoice rejects malformed and unsupported documents', () => {
+  assert.throws(() => parseEInvoice('<Invoice><ID>1</Invoice>'), /Malformed XML/);
+  assert.throws(() => parseEInvoice('<?xml version="1.0"?><Order/>'), /not a UBL or CII e-invoice \(root element: Order\)/);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV_HEADER } from '../lib/csvDrive.js';
+import { toWorkbookValues, fromWorkbookValues } from '../lib/excelDrive.js';
+
+const column = name => CSV_HEADER.indexOf(name);
+
+test('toWorkbookValues types dates and amounts', () => {
+  const values = toWorkbookValues(['2025-09-10T12:00:00.000Z', '2025-09-10', 'ACME', '119.00', '19.00']);
+  assert.equal(values.length, CSV_HEADER.length);
+  assert.equal(values[column('Invoice Date')], 45910);
+  assert.equal(values[column('Total')], 119);
+  assert.equal(values[column('Tax')], 19);
+  assert.equal(values[column('Due Date')], '');
+});
+
+test('toWorkbookValues keeps text as text', () => {
+  const row = CSV_HEADER.map(() => '');
+  row[column('Seller')] = '=HYPERLINK("http://example.com","ACME")';
+  row[column('Invoice Number')] = '00123';
+  row[column('Invoice Date')] = '10.09.2025';
+  row[column('Total')] = 'n/a';
+  const values = toWorkbookValues(row);
+  assert.equal(values[column('Seller')], '\'=HYPERLINK("http://example.com","ACME")');
+  assert.equal(values[column('Invoice Number')], "'00123");
+  assert.equal(values[column('Invoice Date')], "'10.09.2025");
+  assert.equal(values[column('Total')], "'n/a");
+});
+
+test('fromWorkbookValues turns cells back into a ledger row', () => {
+  const values = CSV_HEADER.map(() => '');
+  values[column('Timestamp')] = '2025-09-10T12:00:00.000Z';
+  values[column('Invoice Date')] = 45910;
+  values[column('Total')] = 119;
+  values[column('Tax Rate')] = 19;
+  values[column('Invoice Number')] = '00123';
+  const row = fromWorkbookValues(values);
+  assert.equal(row[column('Invoice Date')], '2025-09-10');
+  assert.equal(row[column('Total')], '119.00');
+  assert.equal(row[column('Tax Rate')], '19.00');
+  assert.equal(row[column('Invoice Number')], '00123');
+  assert.equal(row[column('Due Date')], '');
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { unzipSync, strFromU8 } from 'fflate';
+import { parse } from 'csv-parse/sync';
+import { exportRange, exportBundle, accountMapping, xeroExport } from '../lib/exports.js';
+import { createLocalStorage } from '../lib/localDrive.js';
+import { toCsvRow } from '../lib/csvDrive.js';
+import { contentHash, recordFingerprint } from '../lib/duplicates.js';
+import { monthFolder } from '../lib/ledger.js';
+
+test('exportRange covers the month of "from" by default', () => {
+  assert.deepEqual(exportRange('2025-09'), { from: '2025-09-01', to: '2025-09-30' });
+  assert.deepEqual(exportRange('2024-02'), { from: '2024-02-01', to: '2024-02-29' });
+});
+
+test('exportRange mixes days and months', () => {
+  assert.deepEqual(exportRange('2025-01-15', '2025-03'), { from: '2025-01-15', to: '2025-03-31' });
+  assert.deepEqual(exportRange('2025-01', '2025-02-10'), { from: '2025-01-01', to: '2025-02-10' });
+  assert.deepEqual(exportRange('2025-12-31', '2025-12-31'), { from: '2025-12-31', to: '2025-12-31' });
+});
+
+test('exportRange rejects dates that do not exist', () => {
+  assert.throws(() => exportRange('2025-13'), /Invalid date "2025-13"/);
+  assert.throws(() => exportRange('2025-02-30'), /Invalid date/);
+  assert.throws(() => exportRange('09/2025'), /Invalid date/);
+  assert.throws(() => exportRange(undefined), /Invalid date/);
+});
+
+test('exportRange rejects a reversed range', () => {
+  assert.throws(() => exportRange('2025-03', '2025-02'), /Invalid range: 2025-03-01 is after 2025-02-28/);
+});
+
+const invoice = {
+  invoice_date: '2025-09-12', seller: 'ACME GmbH', total: '119.00', tax: '19.00', net_amount: '100.00',
+  currency: 'EUR', invoice_number: 'R-1001', tax_rate: ''
+};
+
+/**
+ * Books documents into local storage in a fresh temporary folder and runs a test on it
+ * @param {Array<{data: Object, document: Buffer}>} bookings - Invoices with their document
+ * @param {(storage: Object) => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withBookings(bookings, fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'export-'));
+  try {
+    const storage = createLocalStorage(root);
+    for (const [i, { data, document }] of bookings.entries()) {
+      const folderId = await storage.ensureYearMonthFolder(data.invoice_date);
+      const filename = await storage.uploadFile(folderId, `invoice-${i}.pdf`, document);
+      const row = new Date(Date.UTC(2025, 8, 12, 0, 0, i)).toISOString();
+      await storage.appendLedgerRow(folderId, data.invoice_date, toCsvRow(data, row));
+      await recordFingerprint(storage, { hash: contentHash(document), data, filename, folder: monthFolder(data.invoice_date), row });
+    }
+    await fn(storage);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('exportBundle zips the export file, the documents and a README', async () => {
+  delete process.env.EXPORT_MAX_MB;
+  const document = Buffer.from('%PDF-1.4 scanned invoice');
+  await withBookings([{ data: invoice, document }], async storage => {
+    const { filename, buffer, count, missing } = await exportBundle(storage, { format: 'xero', from: '2025-09' });
+    assert.equal(filename, 'xero-export_2025-09-01_2025-09-30.zip');
+    assert.equal(count, 1);
+    assert.deepEqual(missing, []);
+    const files = unzipSync(buffer);
+    assert.deepEqual(Object.keys(files), ['xero-bills_2025-09-01_2025-09-30.csv', 'documents/2025.09/invoice-0.pdf', 'README.txt']);
+    assert.deepEqual(Buffer.from(files['documents/2025.09/invoice-0.pdf']), document);
+    assert.match(strFromU8(files['README.txt']), /documents\/ - 1 original document\(s\)/);
+  });
+});
+
+test('exportBundle refuses a bundle over EXPORT_MAX_MB', async () => {
+  process.env.EXPORT_MAX_MB = '0.01';
+  try {
+    await withBookings([{ data: invoice, document: Buffer.alloc(20 * 1024) }], async storage => {
+      await assert.rejects(exportBundle(storage, { format: 'xero', from: '2025-09' }), /Export is larger than .* MB \(EXPORT_MAX_MB\)/);
+    });
+  } finally {
+    delete process.env.EXPORT_MAX_MB;
+  }
+});
+
+test('a tax rate cell that is not a number is derived from tax and net', () => {
+  process.env.EXPORT_ACCOUNTS = JSON.stringify({ xero: { taxTypes: { 19: 'INPUT19' } } });
+  try {
+    const mapping = accountMapping('xero');
+    const range = { from: '2025-09-01', to: '2025-09-30' };
+    const taxType = data => parse(strFromU8(Object.values(xeroExport([{ ...data, timestamp: 't1' }], mapping, range))[0]), { columns: true })[0]['*TaxType'];
+    assert.equal(taxType({ ...invoice, tax_rate: '19' }), 'INPUT19');
+    assert.equal(taxType({ ...invoice, tax_rate: 'n/a' }), 'INPUT19');
+    assert.equal(taxType({ ...invoice, tax_rate: 'n/a', tax: '', net_amount: '' }), 'NONE');
+  } finally {
+    delete process.env.EXPORT_ACCOUNTS;
+  }
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview In-memory stand-in for the Graph drive endpoints used by the OneDrive modules.
+ * @module test/fakeGraph
+ *
+ * Items are addressed like Graph does (`/me/drive/root:/path:`,
+ * `/me/drive/items/<id>:/name:`, `.../content`, `.../children`) and honour
+ * `If-Match` and `@microsoft.graph.conflictBehavior`. `beforeWrite` runs
+ * right before a PUT or POST is applied, so a test can slip in a concurrent
+ * change at the worst moment. Needs `ONEDRIVE_AUTH=delegated` (drive `/me/drive`).
+ */
+
+const DRIVE = '/me/drive';
+
+/**
+ * Builds an error the way the Graph client reports it
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error with statusCode
+ */
+function graphError(statusCode) {
+  return Object.assign(new Error(`Graph request failed with ${statusCode}`), { statusCode });
+}
+
+/**
+ * Creates an empty fake drive
+ * @returns {Object} Fake Graph client with `api()`, plus helpers for tests
+ */
+export function createFakeGraph() {
+  let nextId = 1;
+  const items = new Map([['', { id: 'root', folder: true }]]);
+
+  const pathOf = id => {
+    for (const [itemPath, item] of items) if (item.id === id) return itemPath;
+    throw graphError(404);
+  };
+  const join = (base, name) => (base ? `${base}/${name}` : name);
+
+  const resolve = url => {
+    let op = 'item';
+    let rest = url.slice(DRIVE.length);
+    for (const suffix of ['content', 'children']) {
+      if (rest.endsWith(`/${suffix}`)) {
+        op = suffix;
+        rest = rest.slice(0, -suffix.length - 1);
+      }
+    }
+    rest = rest.replace(/:$/, '');
+    if (rest.startsWith('/root')) return { op, path: rest.startsWith('/root:/') ? rest.slice(7) : '' };
+    const [id, sub] = rest.slice('/items/'.length).split(':/');
+    return { op, path: sub ? join(pathOf(id), sub) : pathOf(id) };
+  };
+
+  const write = (itemPath, fields) => {
+    const item = { ...items.get(itemPath), ...fields, eTag: `"${nextId}"` };
+    item.id ??= `item${nextId}`;
+    nextId++;
+    items.set(itemPath, item);
+    return { id: item.id, name: itemPath.split('/').pop() };
+  };
+
+  const free = itemPath => {
+    let candidate = itemPath;
+    for (let i = 1; items.has(candidate); i++) candidate = itemPath.replace(/(\.[^./]*)?$/, ` ${i}$1`);
+    return candidate;
+  };
+
+  const fake = {
+    items,
+    requests: [],
+    beforeWrite: null,
+
+    /** Stores a file by path, as another client would */
+    putFile(itemPath, content) {
+      return write(itemPath, { content: Buffer.from(content) });
+    },
+    /** Creates a folder by path */
+    putFolder(itemPath) {
+      return write(itemPath, { folder: true });
+    },
+    /** Returns the content of a file by path as a string, or null */
+    read(itemPath) {
+      return items.get(itemPath)?.content?.toString('utf8') ?? null;
+    },
+
+    api(url) {
+      const headers = {};
+      let query = {};
+      const request = {
+        select: () => request,
+        responseType: () => request,
+        header(name, value) {
+          headers[name] = value;
+          return request;
+        },
+        query(values) {
+          query = { ...query, ...values };
+          return request;
+        },
+        async get() {
+          fake.requests.push(`GET ${url}`);
+          const { op, path: itemPath } = resolve(url);
+          const item = items.get(itemPath);
+          if (!item) throw graphError(404);
+          if (op === 'content') return new Uint8Array(item.content);
+          const parent = itemPath.includes('/') ? itemPath.slice(0, itemPath.lastIndexOf('/')) : '';
+          return { id: item.id, eTag: item.eTag, name: itemPath.split('/').pop(), parentReference: { id: items.get(parent)?.id } };
+        },
+        async put(body) {
+          fake.requests.push(`PUT ${url}`);
+          const { path: itemPath } = resolve(url);
+          await fake.beforeWrite?.(itemPath);
+          const existing = items.get(itemPath);
+          if (headers['If-Match'] && existing?.eTag !== headers['If-Match']) throw graphError(412);
+          const behavior = query['@microsoft.graph.conflictBehavior'];
+          if (existing && behavior === 'fail') throw graphError(409);
+          return write(existing && behavior === 'rename' ? free(itemPath) : itemPath, { content: Buffer.from(body) });
+        },
+        async post(body) {
+          fake.requests.push(`POST ${url}`);
+          const { path: parent } = resolve(url);
+          if (!items.get(parent)?.folder) throw graphError(404);
+          const itemPath = join(parent, body.name);
+          await fake.beforeWrite?.(itemPath);
+          const behavior = body['@microsoft.graph.conflictBehavior'];
+          if (items.has(itemPath) && behavior === 'fail') throw graphError(409);
+          return write(items.has(itemPath) && behavior === 'rename' ? free(itemPath) : itemPath, { folder: true });
+        },
+        async delete() {
+          fake.requests.push(`DELETE ${url}`);
+          const { path: itemPath } = resolve(url);
+          if (!items.delete(itemPath)) throw graphError(404);
+        }
+      };
+      return request;
+    }
+  };
+  return fake;
+}
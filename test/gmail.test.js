@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSyncQuery } from '../lib/gmail.js';
+
+const since = new Date('2025-09-01T08:30:00Z');
+
+test('buildSyncQuery ORs the rules and leaves out finished messages', () => {
+  delete process.env.GMAIL_PROCESSED_LABEL;
+  delete process.env.GMAIL_FAILED_LABEL;
+  const query = buildSyncQuery([
+    { label: 'Invoices/Incoming' },
+    { from: ['billing@acme.com', '@supplier.de'], to: ['ap@contoso.com'] },
+    { query: 'subject:Rechnung has:attachment' }
+  ], since);
+  assert.equal(
+    query,
+    '{(label:invoices-incoming) (from:(billing@acme.com OR supplier.de) to:(ap@contoso.com)) ((subject:Rechnung has:attachment))}' +
+    ' after:2025/09/01 -label:invoice-processed -label:invoice-failed'
+  );
+});
+
+test('buildSyncQuery follows the configured result labels', () => {
+  process.env.GMAIL_PROCESSED_LABEL = 'Done Invoices';
+  process.env.GMAIL_FAILED_LABEL = 'Invoice Errors';
+  try {
+    assert.equal(
+      buildSyncQuery([{ label: 'Inbox' }], since),
+      '{(label:inbox)} after:2025/09/01 -label:done-invoices -label:invoice-errors'
+    );
+  } finally {
+    delete process.env.GMAIL_PROCESSED_LABEL;
+    delete process.env.GMAIL_FAILED_LABEL;
+  }
+});
+
+test('the Gmail fetch module loads with the repo\'s own modules only', async () => {
+  const { fetchEmails } = await import('../api/fetchEmails.js');
+  assert.equal(typeof fetchEmails, 'function');
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { imapConfig, settleImapMessage } from '../lib/imap.js';
+import { fetchImapEmails } from '../api/fetchImapEmails.js';
+
+process.env.TENANTS_CONFIG = JSON.stringify({ tenants: [{ id: 'acme', folder: 'Clients/ACME', whatsapp: ['+491701234567'] }] });
+Object.assign(process.env, { IMAP_HOST: 'imap.example.com', IMAP_USER: 'invoices', IMAP_PASSWORD: 'secret' });
+
+/**
+ * Records the IMAP calls of a test
+ * @returns {{calls: string[]}} Client stand-in
+ */
+function recordingClient() {
+  const calls = [];
+  return {
+    calls,
+    async connect() { calls.push('connect'); },
+    async messageFlagsAdd(uid, flags) { calls.push(`flags ${uid} ${flags.join(' ')}`); },
+    async mailboxCreate(folder) { calls.push(`create ${folder}`); },
+    async messageMove(uid, folder) { calls.push(`move ${uid} ${folder}`); }
+  };
+}
+
+test('imapConfig accepts a configured IMAP_TENANT', () => {
+  process.env.IMAP_TENANT = 'acme';
+  assert.equal(imapConfig().tenant, 'acme');
+});
+
+test('an unknown IMAP_TENANT fails the run before any message is touched', async () => {
+  process.env.IMAP_TENANT = 'acme-typo';
+  assert.throws(() => imapConfig(), /IMAP_TENANT names unknown tenant: acme-typo/);
+  const client = recordingClient();
+  await assert.rejects(fetchImapEmails({ client }), /unknown tenant/);
+  assert.deepEqual(client.calls, []);
+});
+
+test('settleImapMessage files messages by outcome', async () => {
+  const config = { processedFolder: 'Processed', failedFolder: 'Failed' };
+  const client = recordingClient();
+  await settleImapMessage(client, 1, 'processed', config);
+  await settleImapMessage(client, 2, 'failed', config);
+  await settleImapMessage(client, 3, 'skipped', config);
+  assert.deepEqual(client.calls, [
+    'flags 1 \\Seen', 'create Processed', 'move 1 Processed',
+    'flags 2 \\Seen \\Flagged', 'create Failed', 'move 2 Failed',
+    'flags 3 \\Seen'
+  ]);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { processAttachment } from '../lib/invoiceProcessor.js';
+import { createOfflineExtractor } from '../lib/offlineExtractor.js';
+import { createLocalStorage } from '../lib/localDrive.js';
+import { listReviews } from '../lib/reviewQueue.js';
+
+/**
+ * Builds a one-page PDF without a text layer, like a scan
+ * @returns {Buffer} PDF file
+ */
+function blankPdf() {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Runs a test against local storage in a fresh temporary folder
+ * @param {(storage: Object) => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withStorage(fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'processor-'));
+  try {
+    await fn(createLocalStorage(root));
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('the offline provider parks a scanned PDF for review without rasterizing it', async () => {
+  await withStorage(async storage => {
+    const provider = createOfflineExtractor();
+    provider.extractFromImages = () => assert.fail('scanned pages were sent to the offline provider');
+
+    const result = await processAttachment(
+      { buffer: blankPdf(), filename: 'scan.pdf', contentType: 'application/pdf' },
+      null,
+      { storage, provider }
+    );
+    assert.equal(result.ok, false);
+    assert.ok(!result.transient);
+    assert.match(result.error, /Scanned PDF needs image extraction.*offline/);
+    const [review] = await listReviews(storage, { status: 'pending' });
+    assert.equal(review.id, result.review.id);
+    assert.equal(review.reason, result.error);
+  });
+});
+
+test('the offline provider parks a photographed invoice for review', async () => {
+  await withStorage(async storage => {
+    const result = await processAttachment(
+      { buffer: Buffer.from('not really a png'), filename: 'photo.png', contentType: 'image/png' },
+      null,
+      { storage, provider: createOfflineExtractor() }
+    );
+    assert.equal(result.ok, false);
+    assert.match(result.error, /Image needs image extraction/);
+    assert.equal((await listReviews(storage, { status: 'pending' })).length, 1);
+  });
+});
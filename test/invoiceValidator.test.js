@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, parseNumber, validateInvoice, describeErrors } from '../lib/invoiceValidator.js';
+
+test('parseDate reads the usual invoice date notations', () => {
+  assert.equal(parseDate('2025-03-01'), '2025-03-01');
+  assert.equal(parseDate('2025-03-01T10:00:00Z'), '2025-03-01');
+  assert.equal(parseDate('01.03.2025'), '2025-03-01');
+  assert.equal(parseDate('03/15/2025'), '2025-03-15');
+  assert.equal(parseDate('1. März 2025'), '2025-03-01');
+  assert.equal(parseDate('March 1, 2025'), '2025-03-01');
+  assert.equal(parseDate(''), '');
+});
+
+test('parseDate rejects dates that do not exist', () => {
+  assert.equal(parseDate('31.02.2025'), null);
+  assert.equal(parseDate('2025-13-01'), null);
+  assert.equal(parseDate('soon'), null);
+});
+
+test('parseDate honours INVOICE_DATE_ORDER for ambiguous dates', () => {
+  assert.equal(parseDate('03/04/2025'), '2025-04-03');
+  process.env.INVOICE_DATE_ORDER = 'mdy';
+  try {
+    assert.equal(parseDate('03/04/2025'), '2025-03-04');
+  } finally {
+    delete process.env.INVOICE_DATE_ORDER;
+  }
+});
+
+test('parseNumber reads European and English notations', () => {
+  assert.equal(parseNumber('1.234,56 €'), 1234.56);
+  assert.equal(parseNumber('1,234.56'), 1234.56);
+  assert.equal(parseNumber('EUR 1 234.56'), 1234.56);
+  assert.equal(parseNumber('1.234'), 1234);
+  assert.equal(parseNumber('12,5'), 12.5);
+  assert.equal(parseNumber('(12.00)'), -12);
+  assert.equal(parseNumber(''), '');
+  assert.equal(parseNumber('n/a'), null);
+  assert.equal(parseNumber(Infinity), null);
+});
+
+test('validateInvoice normalizes amounts, currency and aliases', () => {
+  const { data, errors, valid } = validateInvoice({
+    date: '01.03.2025', total_amount: '119,00 €', net_amount: '100', vat: '19%', seller_vat_id: 'de 123.456.789'
+  });
+  assert.equal(valid, true);
+  assert.deepEqual(errors, {});
+  assert.equal(data.invoice_date, '2025-03-01');
+  assert.equal(data.total, '119.00');
+  assert.equal(data.currency, 'EUR');
+  assert.equal(data.tax, '19.00');
+  assert.equal(data.tax_rate, '19.00');
+  assert.equal(data.seller_vat_id, 'DE123456789');
+});
+
+test('validateInvoice takes a bare tax number as a rate only when that adds up', () => {
+  const ambiguous = validateInvoice({ invoice_date: '2025-03-01', total: '107', net_amount: '100', tax: '7' }).data;
+  assert.deepEqual([ambiguous.tax, ambiguous.tax_rate], ['7.00', '']);
+  const { data } = validateInvoice({ invoice_date: '2025-03-01', total: '238', net_amount: '200', tax: '19' });
+  assert.deepEqual([data.tax, data.tax_rate], ['38.00', '19.00']);
+});
+
+test('validateInvoice reports every field it cannot use', () => {
+  const { errors, valid } = validateInvoice({
+    invoice_date: 'yesterday', total: 'lots', tax_rate: '150%', currency: '???', line_items: 'coffee'
+  });
+  assert.equal(valid, false);
+  assert.match(errors.invoice_date, /unrecognized date/);
+  assert.match(errors.total, /unrecognized amount/);
+  assert.match(errors.tax_rate, /out of range/);
+  assert.match(errors.currency, /unrecognized currency/);
+  assert.match(errors.line_items, /list/);
+  assert.match(describeErrors(errors), /^invoice_date: unrecognized date "yesterday"; total: /);
+});
+
+test('validateInvoice flags totals that do not add up and missing required fields', () => {
+  assert.match(
+    validateInvoice({ invoice_date: '2025-03-01', total: '150', net_amount: '100', tax: '19' }).errors.net_amount,
+    /does not match total/
+  );
+  assert.deepEqual(validateInvoice(null).errors, { invoice_date: 'missing', total: 'missing' });
+  assert.deepEqual(validateInvoice({ seller: 'ACME' }).errors, { invoice_date: 'missing', total: 'missing' });
+});
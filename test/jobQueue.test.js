@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJobQueue, isTransientError, retryDelay } from '../lib/jobQueue.js';
+
+/**
+ * Runs a test against a queue in a fresh temporary folder
+ * @param {(queue: import('../lib/jobQueue.js').JobQueue, dir: string) => Promise<void>} fn - Test body
+ * @param {Object} [options] - Further createJobQueue options
+ * @returns {Promise<void>}
+ */
+async function withQueue(fn, options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'queue-'));
+  try {
+    await fn(createJobQueue({ dir, retryBaseMs: 0, ...options }), dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('isTransientError retries rate limits, server and network errors only', () => {
+  assert.equal(isTransientError(Object.assign(new Error('busy'), { status: 429 })), true);
+  assert.equal(isTransientError(Object.assign(new Error('down'), { statusCode: 503 })), true);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new Error('upload failed', { cause: new Error('fetch failed') })), true);
+  assert.equal(isTransientError(Object.assign(new Error('nope'), { status: 400 })), false);
+  assert.equal(isTransientError(new Error('Invalid PDF')), false);
+});
+
+test('retryDelay doubles per attempt up to an hour', () => {
+  assert.deepEqual([1, 2, 3].map(attempts => retryDelay(attempts, 1000)), [1000, 2000, 4000]);
+  assert.equal(retryDelay(30, 1000), 60 * 60 * 1000);
+});
+
+test('concurrent enqueues with the same key create a single job', async () => {
+  await withQueue(async queue => {
+    const jobs = await Promise.all(Array.from({ length: 5 }, () =>
+      queue.enqueue({ filename: 'a.pdf' }, Buffer.from('%PDF'), { key: 'gmail:1:0' })
+    ));
+    assert.equal(new Set(jobs.map(job => job.id)).size, 1);
+    assert.equal((await queue.list()).length, 1);
+  });
+});
+
+test('a job is run by one worker even when two claim it at once', async () => {
+  await withQueue(async queue => {
+    const { id } = await queue.enqueue({ filename: 'a.pdf' }, Buffer.from('%PDF'));
+    let calls = 0;
+    const handler = async (job, buffer) => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { result: buffer.toString() };
+    };
+    const outcomes = await Promise.all([queue.run(id, handler), queue.run(id, handler)]);
+    assert.equal(calls, 1);
+    assert.equal(outcomes.filter(Boolean).length, 1);
+
+    const job = await queue.get(id);
+    assert.deepEqual([job.status, job.result], ['done', '%PDF']);
+    assert.equal(await queue.readPayload(id), null);
+    assert.deepEqual(await queue.list({ status: 'queued' }), []);
+  });
+});
+
+test('a fresh lock is respected and a stale one is broken', async () => {
+  await withQueue(async (queue, dir) => {
+    const { id } = await queue.enqueue({ filename: 'a.pdf' });
+    const lock = path.join(dir, 'locks', id);
+    await fs.writeFile(lock, '12345');
+    assert.equal(await queue.run(id, async () => ({ result: 1 })), null);
+
+    const old = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(lock, old, old);
+    assert.equal((await queue.run(id, async () => ({ result: 1 }))).status, 'done');
+  }, { lockTimeoutMs: 30 * 1000 });
+});
+
+test('failed jobs are retried, go dead after the last attempt and free their key', async () => {
+  await withQueue(async queue => {
+    const first = await queue.enqueue({ filename: 'a.pdf' }, null, { key: 'twilio:SM1:0', maxAttempts: 2 });
+    const failing = async () => {
+      throw new Error('OpenAI timed out');
+    };
+
+    const retried = await queue.run(first.id, failing);
+    assert.deepEqual([retried.status, retried.attempts, retried.lastError], ['queued', 1, 'OpenAI timed out']);
+    const dead = (await queue.drain(failing))[0];
+    assert.deepEqual([dead.status, dead.attempts], ['dead', 2]);
+
+    const second = await queue.enqueue({ filename: 'a.pdf' }, null, { key: 'twilio:SM1:0' });
+    assert.notEqual(second.id, first.id);
+    await assert.rejects(queue.requeue(first.id), /queued again in the meantime/);
+    await assert.rejects(queue.requeue(second.id), /only dead jobs can be requeued/);
+  });
+});
+
+test('a dead job can be requeued with fresh attempts', async () => {
+  await withQueue(async queue => {
+    const { id } = await queue.enqueue({ filename: 'a.pdf' }, null, { key: 'k', maxAttempts: 1 });
+    await queue.run(id, async () => ({ retry: true, error: 'Graph 503' }));
+    const requeued = await queue.requeue(id);
+    assert.deepEqual([requeued.status, requeued.attempts], ['queued', 0]);
+    assert.equal((await queue.enqueue({ filename: 'a.pdf' }, null, { key: 'k' })).id, id);
+  });
+});
+
+test('prune deletes finished jobs past the retention and their keys', async () => {
+  await withQueue(async (queue, dir) => {
+    const { id } = await queue.enqueue({ filename: 'a.pdf' }, null, { key: 'k' });
+    await queue.run(id, async () => ({ result: 'ok' }));
+    assert.equal(await queue.prune(), 0);
+
+    const old = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    await fs.utimes(path.join(dir, 'done', `${id}.json`), old, old);
+    assert.equal(await queue.prune(), 1);
+    assert.equal(await queue.get(id), null);
+    assert.notEqual((await queue.enqueue({ filename: 'a.pdf' }, null, { key: 'k' })).id, id);
+  }, { retentionDays: 1 });
+});
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { amendBooking, undoBooking, readLedger, rowToData, monthFolder } from '../lib/ledger.js';
+import { toCsvRow } from '../lib/csvDrive.js';
+import { loadFingerprints, recordFingerprint } from '../lib/duplicates.js';
+import { createLocalStorage } from '../lib/localDrive.js';
+
+const invoice = {
+  invoice_date: '2025-09-12', seller: 'ACME GmbH', total: '119.00', tax: '19.00', net_amount: '100.00',
+  currency: 'EUR', invoice_number: 'R-1001', payment_method: 'card'
+};
+
+/**
+ * Books one invoice into local storage in a fresh temporary folder and runs a test on it
+ * @param {(storage: Object, booking: Object) => Promise<void>} fn - Test body, gets the fingerprint entry
+ * @returns {Promise<void>}
+ */
+async function withBooking(fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+  try {
+    const storage = createLocalStorage(root);
+    const folderId = await storage.ensureYearMonthFolder(invoice.invoice_date);
+    const filename = await storage.uploadFile(folderId, 'invoice.pdf', Buffer.from('%PDF'));
+    const row = '2025-09-12T10:00:00.000Z';
+    await storage.appendLedgerRow(folderId, invoice.invoice_date, toCsvRow(invoice, row));
+    await recordFingerprint(storage, { hash: 'h1', data: invoice, filename, folder: monthFolder(invoice.invoice_date), row });
+    const [booking] = await loadFingerprints(storage);
+    await fn(storage, booking);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('concurrent corrections of different fields both stay', async () => {
+  await withBooking(async (storage, booking) => {
+    await Promise.all([
+      amendBooking(storage, booking, 'total', '238.00'),
+      amendBooking(storage, booking, 'number', 'R-2002'),
+      amendBooking(storage, booking, 'payment', 'cash')
+    ]);
+    const [data] = (await readLedger(storage, '2025.09')).map(rowToData);
+    assert.deepEqual([data.total, data.invoice_number, data.payment_method], ['238.00', 'R-2002', 'cash']);
+    const [yearly] = (await storage.readYearLedgerRows(2025)).map(rowToData);
+    assert.deepEqual([yearly.total, yearly.invoice_number, yearly.payment_method], ['238.00', 'R-2002', 'cash']);
+  });
+});
+
+test('an invalid correction leaves the ledger as it is', async () => {
+  await withBooking(async (storage, booking) => {
+    const before = await readLedger(storage, '2025.09');
+    await assert.rejects(amendBooking(storage, booking, 'total', 'lots'), /Invalid total/);
+    assert.deepEqual(await readLedger(storage, '2025.09'), before);
+  });
+});
+
+test('undoBooking removes the row, the document and the fingerprint', async () => {
+  await withBooking(async (storage, booking) => {
+    await undoBooking(storage, booking);
+    assert.deepEqual(await readLedger(storage, '2025.09'), []);
+    assert.equal(await storage.readRootFile('2025.09/invoice.pdf'), null);
+    assert.deepEqual(await loadFingerprints(storage), []);
+    await assert.rejects(undoBooking(storage, booking), /not found/);
+  });
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJobQueue } from '../lib/jobQueue.js';
+import { createMessageStore, isAttachmentFinished, isMessageComplete } from '../lib/messageStore.js';
+
+/**
+ * Runs a test against a message store and its queue in a fresh temporary folder
+ * @param {(messages: Object, queue: import('../lib/jobQueue.js').JobQueue, dir: string) => Promise<void>} fn - Test body
+ * @returns {Promise<void>}
+ */
+async function withStore(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'messages-'));
+  try {
+    const queue = createJobQueue({ dir, retryBaseMs: 0, maxAttempts: 1 });
+    await fn(createMessageStore({ queue }), queue, dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const statuses = record => Object.fromEntries(Object.entries(record.attachments).map(([id, entry]) => [id, entry.status]));
+
+test('isMessageComplete needs every attachment done or failed', () => {
+  assert.equal(isMessageComplete(null), false);
+  assert.equal(isMessageComplete({ attachments: {} }), false);
+  assert.equal(isMessageComplete({ attachments: { 0: { status: 'done' }, 1: { status: 'queued' } } }), false);
+  assert.equal(isMessageComplete({ attachments: { 0: { status: 'done' }, 1: { status: 'failed' } } }), true);
+  assert.equal(isAttachmentFinished(undefined), false);
+  assert.equal(isAttachmentFinished({ status: 'failed' }), true);
+});
+
+test('attachments follow the state of their jobs', async () => {
+  await withStore(async (messages, queue) => {
+    const key = 'twilio:SM/1?';
+    const record = await messages.begin(key, [{ id: '0', filename: 'a.pdf' }, { id: '1', filename: 'b.pdf' }]);
+    assert.deepEqual(statuses(record), { 0: 'pending', 1: 'pending' });
+
+    const done = await queue.enqueue({ filename: 'a.pdf' });
+    const failing = await queue.enqueue({ filename: 'b.pdf' });
+    await messages.track(key, '0', done);
+    await messages.track(key, '1', failing);
+    assert.deepEqual(statuses(await messages.get(key)), { 0: 'queued', 1: 'queued' });
+
+    await queue.run(done.id, async () => ({ result: 'booked' }));
+    await queue.run(failing.id, async () => ({ retry: true, error: 'Graph 503' }));
+    const finished = await messages.get(key);
+    assert.deepEqual(statuses(finished), { 0: 'done', 1: 'failed' });
+    assert.equal(isMessageComplete(finished), true);
+
+    await queue.requeue(failing.id);
+    assert.deepEqual(statuses(await messages.get(key)), { 0: 'done', 1: 'queued' });
+  });
+});
+
+test('a redelivery keeps known attachments and adds new ones', async () => {
+  await withStore(async messages => {
+    await messages.begin('gmail:1', [{ id: 'x', filename: 'a.pdf' }]);
+    await messages.finish('gmail:1', 'x', 'a.pdf');
+    const record = await messages.begin('gmail:1', [{ id: 'x', filename: 'a.pdf' }, { id: 'y', filename: 'b.pdf' }]);
+    assert.deepEqual(statuses(record), { x: 'done', y: 'pending' });
+    assert.equal(await messages.get('gmail:2'), null);
+  });
+});
+
+test('an attachment whose job was lost is processed again', async () => {
+  await withStore(async (messages, queue, dir) => {
+    const job = await queue.enqueue({ filename: 'a.pdf' });
+    await messages.track('gmail:1', '0', job);
+    await fs.rm(path.join(dir, 'jobs'), { recursive: true });
+
+    const entry = (await messages.get('gmail:1')).attachments['0'];
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.job, undefined);
+    assert.equal(entry.filename, 'a.pdf');
+  });
+});
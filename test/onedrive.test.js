@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ensureYearMonthFolder } from '../lib/onedrive.js';
+import { createFakeGraph } from './fakeGraph.js';
+
+process.env.ONEDRIVE_AUTH = 'delegated';
+
+test('ensureYearMonthFolder creates the tenant root and the month folder', async () => {
+  const graph = createFakeGraph();
+  const id = await ensureYearMonthFolder(graph, '2025-03-14', 'Clients/ACME');
+  assert.equal(graph.items.get('Clients/ACME/2025.03').id, id);
+  assert.equal(await ensureYearMonthFolder(graph, '2025-03-30', 'Clients/ACME'), id);
+});
+
+test('concurrent first bookings of a month share one folder', async () => {
+  const graph = createFakeGraph();
+  graph.putFolder('Invoices');
+  const ids = await Promise.all([1, 2, 3].map(() => ensureYearMonthFolder(graph, '2025-03-14')));
+  assert.equal(new Set(ids).size, 1);
+  assert.deepEqual([...graph.items.keys()].filter(key => key.startsWith('Invoices/')), ['Invoices/2025.03']);
+});
+
+test('ensureYearMonthFolder does not create a folder when the lookup fails', async () => {
+  const graph = createFakeGraph();
+  graph.putFolder('Invoices');
+  const failing = {
+    api(url) {
+      const request = graph.api(url);
+      request.get = async () => { throw Object.assign(new Error('Service unavailable'), { statusCode: 503 }); };
+      return request;
+    }
+  };
+  await assert.rejects(ensureYearMonthFolder(failing, '2025-03-14'), /Service unavailable/);
+  assert.ok(!graph.requests.some(request => request.startsWith('POST')));
+});
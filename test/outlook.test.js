@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { outlookConfig } from '../lib/outlook.js';
+import { fetchOutlookEmails } from '../api/fetchOutlookEmails.js';
+
+process.env.TENANTS_CONFIG = JSON.stringify({ tenants: [{ id: 'acme', folder: 'Clients/ACME', whatsapp: ['+491701234567'] }] });
+process.env.OUTLOOK_MAILBOX = 'invoices@example.com';
+
+test('outlookConfig reads the mailbox settings', () => {
+  process.env.OUTLOOK_TENANT = 'acme';
+  assert.deepEqual(outlookConfig(), {
+    mailbox: 'invoices@example.com',
+    folder: 'Inbox',
+    processedFolder: 'Inbox/Processed',
+    tenant: 'acme'
+  });
+});
+
+test('an unknown OUTLOOK_TENANT fails the run before the delta link moves on', async () => {
+  process.env.OUTLOOK_TENANT = 'acme-typo';
+  assert.throws(() => outlookConfig(), /OUTLOOK_TENANT names unknown tenant: acme-typo/);
+  const requests = [];
+  const client = { api: url => requests.push(url) && assert.fail(`unexpected Graph request ${url}`) };
+  await assert.rejects(fetchOutlookEmails({ client }), /unknown tenant/);
+  assert.deepEqual(requests, []);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import twilio from 'twilio';
+import {
+  hasBearerToken,
+  isValidInboxRequest,
+  isValidTwilioRequest,
+  safeEqual,
+  signInboxRequest
+} from '../lib/requestAuth.js';
+
+const WEBHOOK_URL = 'https://invoices.example.com/api/twilio-webhook';
+const params = { From: 'whatsapp:+491701234567', MessageSid: 'SM1', NumMedia: '0', Body: 'status' };
+
+/**
+ * Sets environment variables for the duration of a test
+ * @param {Object<string, string>} values - Variables to set
+ * @param {() => void} fn - Test body
+ */
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  try {
+    fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('safeEqual and hasBearerToken refuse empty and different secrets', () => {
+  assert.equal(safeEqual('secret', 'secret'), true);
+  assert.equal(safeEqual('secret', 'secreT'), false);
+  assert.equal(safeEqual('', ''), false);
+  assert.equal(hasBearerToken({ headers: { authorization: 'Bearer secret' } }, 'secret'), true);
+  assert.equal(hasBearerToken({ headers: { authorization: 'Basic secret' } }, 'secret'), false);
+  assert.equal(hasBearerToken({ headers: { authorization: 'Bearer ' } }, ''), false);
+});
+
+test('isValidTwilioRequest accepts only what Twilio signed for the webhook URL', () => {
+  withEnv({ TWILIO_AUTH_TOKEN: 'token', TWILIO_WEBHOOK_URL: WEBHOOK_URL }, () => {
+    const signature = twilio.getExpectedTwilioSignature('token', WEBHOOK_URL, params);
+    assert.equal(isValidTwilioRequest({ headers: { 'x-twilio-signature': signature } }, params), true);
+    assert.equal(isValidTwilioRequest({ headers: { 'x-twilio-signature': signature } }, { ...params, From: 'whatsapp:+1555' }), false);
+    assert.equal(isValidTwilioRequest({ headers: {} }, params), false);
+  });
+});
+
+test('isValidTwilioRequest builds the URL from PUBLIC_URL and needs the configuration', () => {
+  withEnv({ TWILIO_AUTH_TOKEN: 'token', TWILIO_WEBHOOK_URL: '', PUBLIC_URL: 'https://invoices.example.com/' }, () => {
+    const signature = twilio.getExpectedTwilioSignature('token', WEBHOOK_URL, params);
+    assert.equal(isValidTwilioRequest({ url: '/api/twilio-webhook', headers: { 'x-twilio-signature': signature } }, params), true);
+  });
+  withEnv({ TWILIO_AUTH_TOKEN: '', TWILIO_WEBHOOK_URL: WEBHOOK_URL }, () => {
+    assert.throws(() => isValidTwilioRequest({ headers: {} }, params), /TWILIO_AUTH_TOKEN/);
+  });
+});
+
+test('isValidInboxRequest accepts the bearer token or a fresh signature', () => {
+  withEnv({ INBOX_SECRET: 'inbox' }, () => {
+    const body = '{"filename":"a.pdf"}';
+    const now = String(Date.now());
+    const signed = headers => ({ headers: { 'x-inbox-timestamp': now, 'x-inbox-signature': signInboxRequest('inbox', now, body), ...headers } });
+
+    assert.equal(isValidInboxRequest({ headers: { authorization: 'Bearer inbox' } }, body), true);
+    assert.equal(isValidInboxRequest(signed(), body), true);
+    assert.equal(isValidInboxRequest(signed(), `${body} `), false);
+    assert.equal(isValidInboxRequest(signed({ 'x-inbox-signature': signInboxRequest('other', now, body) }), body), false);
+    assert.equal(isValidInboxRequest({ headers: {} }, body), false);
+  });
+});
+
+test('isValidInboxRequest refuses old and non-numeric timestamps', () => {
+  withEnv({ INBOX_SECRET: 'inbox' }, () => {
+    const body = '{}';
+    const old = String(Date.now() - 10 * 60 * 1000);
+    const request = timestamp => ({
+      headers: { 'x-inbox-timestamp': timestamp, 'x-inbox-signature': signInboxRequest('inbox', timestamp, body) }
+    });
+    assert.equal(isValidInboxRequest(request(old), body), false);
+    assert.equal(isValidInboxRequest(request('soon'), body), false);
+  });
+  withEnv({ INBOX_SECRET: '' }, () => {
+    assert.throws(() => isValidInboxRequest({ headers: {} }, ''), /INBOX_SECRET is not configured/);
+  });
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Tenants are read once per module instance; every test loads its own with the environment it needs
+let instance = 0;
+
+/**
+ * Loads a fresh copy of lib/tenants.js under the given environment
+ * @param {Object<string, string|undefined>} env - Variables to set (undefined removes one)
+ * @returns {Promise<Object>} Module exports
+ */
+async function loadTenantsModule(env) {
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  return import(`../lib/tenants.js?instance=${++instance}`);
+}
+
+const NO_ROUTING = { TENANTS_CONFIG: undefined, TENANTS_FILE: undefined };
+
+test('without routing or an allowlist every WhatsApp sender is rejected', async () => {
+  const { tenantForWhatsApp } = await loadTenantsModule({ ...NO_ROUTING, WHATSAPP_ALLOWED_NUMBERS: undefined });
+  assert.equal(tenantForWhatsApp('whatsapp:+491701234567'), null);
+});
+
+test('without routing only WHATSAPP_ALLOWED_NUMBERS reach the default tenant', async () => {
+  const { tenantForWhatsApp } = await loadTenantsModule({
+    ...NO_ROUTING,
+    WHATSAPP_ALLOWED_NUMBERS: '+49 170 1234567, whatsapp:+491709876543'
+  });
+  assert.equal(tenantForWhatsApp('whatsapp:+491701234567')?.id, 'default');
+  assert.equal(tenantForWhatsApp('whatsapp:+491709876543')?.id, 'default');
+  assert.equal(tenantForWhatsApp('whatsapp:+491700000000'), null);
+});
+
+test('configured tenants route WhatsApp numbers and email addresses', async () => {
+  const { tenantForWhatsApp, tenantForEmail, unroutedTenant } = await loadTenantsModule({
+    TENANTS_CONFIG: JSON.stringify({
+      tenants: [
+        { id: 'acme', folder: 'Clients/ACME', whatsapp: ['+491701234567'], email: { senders: ['@supplier.com'] } },
+        { id: 'contoso', folder: 'Clients/Contoso', email: { recipients: ['invoices+contoso@example.com'] } }
+      ]
+    })
+  });
+  assert.equal(tenantForWhatsApp('whatsapp:+491701234567')?.id, 'acme');
+  assert.equal(tenantForWhatsApp('whatsapp:+491709876543'), null);
+  assert.equal(tenantForEmail({ from: 'Billing <billing@supplier.com>' })?.id, 'acme');
+  // The recipient decides before the sender
+  assert.equal(tenantForEmail({ from: 'billing@supplier.com', to: 'invoices+contoso@example.com' })?.id, 'contoso');
+  assert.equal(tenantForEmail({ from: 'someone@elsewhere.com' }), null);
+  assert.equal(unroutedTenant(), null);
+});
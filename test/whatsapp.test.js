@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isTwilioMediaUrl, replyNumber } from '../lib/whatsapp.js';
+
+test('replyNumber answers the sender of a Twilio WhatsApp message', () => {
+  process.env.TWILIO_REPLY_TO = '+4930000000';
+  assert.equal(replyNumber('whatsapp:+491701234567'), '+491701234567');
+  assert.equal(replyNumber('+49 170 1234567'), '+491701234567');
+});
+
+test('replyNumber falls back to TWILIO_REPLY_TO only without a sender number', () => {
+  process.env.TWILIO_REPLY_TO = '+4930000000';
+  assert.equal(replyNumber(''), '+4930000000');
+  assert.equal(replyNumber(undefined), '+4930000000');
+  assert.equal(replyNumber('whatsapp:'), '+4930000000');
+});
+
+test('isTwilioMediaUrl only allows https URLs on the Twilio media hosts', () => {
+  assert.equal(isTwilioMediaUrl('https://api.twilio.com/2010-04-01/Accounts/AC1/Messages/MM1/Media/ME1'), true);
+  assert.equal(isTwilioMediaUrl('http://api.twilio.com/media'), false);
+  assert.equal(isTwilioMediaUrl('https://api.twilio.com.evil.example/media'), false);
+  assert.equal(isTwilioMediaUrl('not a url'), false);
+  process.env.TWILIO_MEDIA_HOSTS = 'media.example.com, api.twilio.com';
+  try {
+    assert.equal(isTwilioMediaUrl('https://MEDIA.example.com/x'), true);
+  } finally {
+    delete process.env.TWILIO_MEDIA_HOSTS;
+  }
+});